@@ -2,8 +2,16 @@
 class MobileSpeechTranscriber {
     constructor() {
         // Core functionality from original script
-        this.recognition = null;
+        this.recognition = null; // SpeechEngine (utils/speech-engine.js)
         this.isListening = false;
+        this.inputMode = 'speech'; // 'speech' or 'typed'
+        this.vault = new CredentialVault(); // API keys - for this session, or encrypted under a passphrase
+        this.speechSettings = this.loadSpeechSettings();
+        
+        // Recognition, prompt and highlighting language - one of SharedConstants.LANGUAGES
+        this.language = localStorage.getItem('mobileLanguage') ||
+            (window.config && window.config.get('speech.language')) || 'en-US';
+        this.locale = new LocaleSupport(this.language);
         
         // Pause detection and LLM integration
         this.pauseTimer = null;
@@ -20,22 +28,56 @@ class MobileSpeechTranscriber {
         this.lastSuggestionContext = '';
         this.autoHideTimer = null;
         
-        // Latency tracking (console only)
+        // Latency tracking (shown under the suggestion pills)
         this.apiCallStartTime = null;
         this.lastApiLatency = null;
         this.latencyHistory = [];
         this.maxLatencyHistory = 10;
         
         // Prefetch cache system
-        this.suggestionCache = new Map();
-        this.activePrefetchCalls = new Map();
+        this.suggestionCache = new PrefixSuggestionCache(); // Map-like, with longest-prefix lookup
+        this.activePrefetchCalls = new Map(); // Map<text, {promise, controller}>
+        this.activeLLMCall = null; // {controller, text} for the pause-triggered call in flight
+        this.requestStats = { completed: 0, cancelled: 0 };
         this.cacheMaxAge = 10000; // 10 seconds cache validity
         this.maxCacheSize = 20;
         this.prefetchDebounceTimer = null;
         this.prefetchDebounceDelay = 200;
         
+        // Earlier utterances and what became of their suggestions, sent as chat history
+        this.conversation = new ConversationContext();
+        
+        // Words the recognizer wasn't sure of - underlined in the text, tap to pick another
+        this.alternatives = new RecognitionAlternatives({
+            threshold: window.config ? window.config.get('speech.lowConfidenceThreshold') : undefined
+        });
+        this.alternativesMenu = null;
+        
+        // Spoken commands ("pick two", "search this", ...) and what "undo last" can take back
+        this.voiceCommands = new VoiceCommands({
+            language: this.language,
+            enabled: !window.config || window.config.isFeatureEnabled('voiceCommands')
+        });
+        this.undoStack = []; // { text, utterance } before each final result
+        this.maxUndo = 20;
+        
+        // Search destinations - the built-ins, the deployment's and the user's own, shared with the desktop version
+        this.searchRegistry = new SearchProviderRegistry({
+            providers: window.config ? window.config.get('search.providers') : undefined
+        });
+        this.searchProvider = localStorage.getItem('mobileSearchProvider') ||
+            (window.config && window.config.get('search.defaultProvider')) || SearchProviderRegistry.DEFAULT_PROVIDER;
+        this.keepTextAfterSearch = localStorage.getItem('mobileKeepTextAfterSearch') === 'true'; // Mobile always cleared it
+        this.searchMenu = null;
+        this.searchLongPressTimer = null;
+        this.searchLongPressed = false;
+        
+        // Suggestion styles - the built-ins plus the user's own, shared with the desktop version
+        this.promptRegistry = new PromptTemplateRegistry();
+        
         // Dynamic LLM configuration
         this.llmConfig = {
+            provider: 'azure', // 'azure', 'local' (Ollama / llama.cpp) or 'proxy' (utils/proxy-server.js)
             endpoint: '',
             apiKey: '',
             modelName: '',
@@ -45,9 +87,32 @@ class MobileSpeechTranscriber {
             isConnected: false
         };
         
+        // What is scrubbed from transcripts before they leave the device - the categories
+        // are toggled in settings and shared with the desktop version
+        this.sanitizer = new InputSanitizer({
+            enabled: !window.config || window.config.get('security.sanitizeInput') !== false
+        });
+        
+        // Checks on model output before it reaches the suggestions - drop counts per filter
+        // are kept in this.suggestionFilter.stats
+        this.suggestionFilter = new SuggestionFilter(window.config ? window.config.get('suggestionFilter') : {});
+        
+        // All suggestion requests go through the shared LLM service, with an
+        // IndexedDB cache shared with the desktop version.
+        // Retry policy and the rate limit (shared with other tabs) come from
+        // ConfigManager (utils/config.js)
+        this.llmService = new SharedLLMService({
+            provider: 'azure',
+            persistentCache: new PersistentSuggestionCache(),
+            promptRegistry: this.promptRegistry,
+            sanitizer: this.sanitizer,
+            suggestionFilter: this.suggestionFilter,
+            ...this.getServiceSettings()
+        });
+        
         // Feature flag system
         this.featureFlags = {
-            suggestionStyle: 'default' // 'default' or 'keywords'
+            suggestionStyle: 'default' // Any style id in the prompt registry
         };
         
         // Mobile DOM elements
@@ -56,7 +121,13 @@ class MobileSpeechTranscriber {
         this.clearBtn = document.getElementById('clearBtn');
         this.searchBtn = document.getElementById('searchBtn');
         this.liveText = document.getElementById('liveText');
+        this.typedInput = document.getElementById('typedInput');
+        this.typeModeBtn = document.getElementById('typeModeBtn');
+        this.typeModeIcon = document.getElementById('typeModeIcon');
         this.suggestionsContainer = document.getElementById('suggestionsContainer');
+        this.suggestionsStatus = document.getElementById('suggestionsStatus');
+        this.suggestionsSource = document.getElementById('suggestionsSource');
+        this.latencyDisplay = document.getElementById('latencyDisplay');
         this.settingsBtn = document.getElementById('settingsBtn');
         this.closeBtn = document.getElementById('closeBtn');
         
@@ -65,25 +136,58 @@ class MobileSpeechTranscriber {
         this.closeMobileConfigBtn = document.getElementById('closeMobileConfigBtn');
         this.mobileTestBtn = document.getElementById('mobileTestBtn');
         this.mobileSaveBtn = document.getElementById('mobileSaveBtn');
+        this.mobileClearCacheBtn = document.getElementById('mobileClearCacheBtn');
+        this.mobileProviderSelect = document.getElementById('mobileProvider');
         this.mobileConnectionStatus = document.getElementById('mobileConnectionStatus');
         
+        // Speech engine elements
+        this.mobileSpeechEngineSelect = document.getElementById('mobileSpeechEngine');
+        this.mobileLanguageSelect = document.getElementById('mobileLanguage');
+        this.mobileSpeechStatus = document.getElementById('mobileSpeechStatus');
+        
+        // Key storage elements
+        this.mobileVaultMode = document.getElementById('mobileVaultMode');
+        this.mobileVaultPassphrase = document.getElementById('mobileVaultPassphrase');
+        this.mobileVaultStatus = document.getElementById('mobileVaultStatus');
+        
+        // Prompt style elements
+        this.suggestionStyleOptions = document.getElementById('suggestionStyleOptions');
+        this.mobileStyleSelect = document.getElementById('mobileStyleSelect');
+        this.mobileStyleStatus = document.getElementById('mobileStyleStatus');
+        this.mobileStyleImportFile = document.getElementById('mobileStyleImportFile');
+        
+        // Search destination elements
+        this.mobileSearchProviderSelect = document.getElementById('mobileSearchProvider');
+        this.mobileKeepAfterSearch = document.getElementById('mobileKeepAfterSearch');
+        this.mobileSearchEditSelect = document.getElementById('mobileSearchEditSelect');
+        this.mobileSearchStatus = document.getElementById('mobileSearchStatus');
+        
+        // Privacy filter elements
+        this.mobilePrivacyFilter = document.getElementById('mobilePrivacyFilter');
+        
         this.init();
     }
     
     init() {
-        this.checkBrowserSupport();
+        const speechSupported = this.checkBrowserSupport();
         this.setupEventListeners();
         this.setupSpeechRecognition();
+        this.renderLanguageOptions();
+        this.renderSearchOptions();
+        this.loadSearchForm();
+        this.renderPrivacyFilter();
+        this.setInputMode(speechSupported ? (localStorage.getItem('mobileInputMode') || 'speech') : 'typed');
         this.loadLLMConfig();
+        this.initCredentials();
         this.loadFeatureFlags();
         console.log('🎤 Mobile Voice Suggestions v2.0 initialized');
     }
     
     checkBrowserSupport() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-        
-        if (!SpeechRecognition) {
-            this.showError('Speech recognition not supported in this browser');
+        if (!SpeechEngine.isSupported(this.speechSettings)) {
+            this.showError(this.speechSettings.engine === 'whisper'
+                ? 'This browser cannot record audio for Whisper'
+                : 'Speech recognition not supported in this browser');
             return false;
         }
         
@@ -95,7 +199,34 @@ class MobileSpeechTranscriber {
         // Control buttons
         this.recordBtn.addEventListener('click', () => this.toggleRecording());
         this.clearBtn.addEventListener('click', () => this.clearText());
-        this.searchBtn.addEventListener('click', () => this.performSearch());
+        this.searchBtn.addEventListener('click', () => {
+            // The long-press already opened the destination menu
+            if (this.searchLongPressed) {
+                this.searchLongPressed = false;
+                return;
+            }
+            this.performSearch();
+        });
+        this.setupSearchLongPress();
+        this.typeModeBtn.addEventListener('click', () => this.toggleInputMode());
+        this.typedInput.addEventListener('input', () => this.handleTypedInput());
+        
+        // Uncertain words open a chooser with the recognizer's other guesses
+        this.liveText.addEventListener('click', (e) => {
+            const word = e.target.closest('.uncertain-word');
+            if (word) {
+                e.stopPropagation();
+                this.showAlternatives(word);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (this.alternativesMenu && !this.alternativesMenu.contains(e.target)) {
+                this.hideAlternatives();
+            }
+            if (this.searchMenu && !this.searchMenu.contains(e.target) && !this.searchBtn.contains(e.target)) {
+                this.hideSearchMenu();
+            }
+        });
         
         // Settings and navigation
         this.settingsBtn.addEventListener('click', () => this.openMobileConfigPanel());
@@ -105,14 +236,66 @@ class MobileSpeechTranscriber {
         this.closeMobileConfigBtn.addEventListener('click', () => this.closeMobileConfigPanel());
         this.mobileTestBtn.addEventListener('click', () => this.testMobileLLMConnection());
         this.mobileSaveBtn.addEventListener('click', () => this.saveMobileLLMConfiguration());
+        this.mobileClearCacheBtn.addEventListener('click', () => this.clearSuggestionCache());
+        this.mobileProviderSelect.addEventListener('change', () => this.updateProviderFields());
+        
+        // Speech engine settings - the language applies straight away
+        this.mobileLanguageSelect.addEventListener('change', () => this.setLanguage(this.mobileLanguageSelect.value));
+        this.mobileSpeechEngineSelect.addEventListener('change', () => this.updateSpeechEngineFields());
+        document.getElementById('mobileSpeechSaveBtn').addEventListener('click', () => this.saveSpeechSettings());
+        
+        // Key storage
+        this.mobileVaultMode.addEventListener('change', () => this.updateVaultFields());
+        document.getElementById('mobileVaultUnlockBtn').addEventListener('click', () => this.unlockCredentials());
+        document.getElementById('mobileVaultSaveBtn').addEventListener('click', () => this.saveVaultSettings());
+        document.getElementById('mobileVaultLockBtn').addEventListener('click', () => this.lockCredentials());
+        document.getElementById('mobileVaultForgetBtn').addEventListener('click', () => this.forgetCredentials());
+        
+        // Search destinations - the default and keep/clear apply immediately
+        this.mobileSearchProviderSelect.addEventListener('change', () => this.setSearchProvider(this.mobileSearchProviderSelect.value));
+        this.mobileKeepAfterSearch.addEventListener('change', () => {
+            this.keepTextAfterSearch = this.mobileKeepAfterSearch.checked;
+            localStorage.setItem('mobileKeepTextAfterSearch', String(this.keepTextAfterSearch));
+        });
+        this.mobileSearchEditSelect.addEventListener('change', () => this.loadSearchForm());
+        document.getElementById('mobileSearchSaveBtn').addEventListener('click', () => this.saveSearchProvider());
+        document.getElementById('mobileSearchDeleteBtn').addEventListener('click', () => this.deleteSearchProvider());
         
-        // Feature flag listeners
-        document.querySelectorAll('input[name="suggestionStyle"]').forEach(radio => {
-            radio.addEventListener('change', () => this.saveFeatureFlags());
+        // Tapping a pill picks the question the user is answering
+        this.suggestionsContainer.querySelectorAll('.suggestion-pill').forEach((pill, index) => {
+            pill.addEventListener('click', () => this.applySuggestion(index));
         });
         
+        // Feature flag listeners
+        // Style radios are re-rendered whenever styles change, so listen on their container
+        this.suggestionStyleOptions.addEventListener('change', () => this.saveFeatureFlags());
+        
+        // Prompt style editor
+        this.mobileStyleSelect.addEventListener('change', () => this.loadStyleForm());
+        document.getElementById('mobileStyleSaveBtn').addEventListener('click', () => this.saveStyle());
+        document.getElementById('mobileStyleDeleteBtn').addEventListener('click', () => this.deleteStyle());
+        document.getElementById('mobileStyleExportBtn').addEventListener('click', () => this.exportStyles());
+        document.getElementById('mobileStyleImportBtn').addEventListener('click', () => this.mobileStyleImportFile.click());
+        this.mobileStyleImportFile.addEventListener('change', () => this.importStyles(this.mobileStyleImportFile.files[0]));
+        
         // Keyboard shortcuts (mobile-friendly)
         document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideAlternatives();
+                this.hideSearchMenu();
+            }
+            if (e.target === this.typedInput) {
+                // Enter searches, Shift+Enter starts a new line
+                if (e.key === 'Enter' && !e.shiftKey && !e.repeat) {
+                    e.preventDefault();
+                    this.performSearch();
+                }
+                return;
+            }
+            if (e.target.closest && e.target.closest('input, textarea, select')) {
+                return; // Let the settings fields have their keys
+            }
+            
             if (e.code === 'Space' && !e.repeat) {
                 e.preventDefault();
                 this.toggleRecording();
@@ -122,43 +305,50 @@ class MobileSpeechTranscriber {
             } else if ((e.key === 'Delete' || e.key === 'Backspace') && e.ctrlKey) {
                 e.preventDefault();
                 this.clearText();
+            } else if (e.key >= '1' && e.key <= '3') {
+                this.applySuggestion(Number(e.key) - 1);
             }
         });
     }
     
     setupSpeechRecognition() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = SpeechEngine.create({
+            ...this.speechSettings,
+            language: this.language,
+            maxAlternatives: window.config ? window.config.get('speech.maxAlternatives') : undefined
+        });
         
-        if (!SpeechRecognition) {
+        if (!this.recognition) {
             return;
         }
         
-        this.recognition = new SpeechRecognition();
-        
-        // Configure recognition settings
-        this.recognition.continuous = true;
-        this.recognition.interimResults = true;
-        this.recognition.lang = 'en-US';
-        this.recognition.maxAlternatives = 1;
-        
         // Event handlers
-        this.recognition.onstart = () => {
+        this.recognition.setCallback('onStart', () => {
             console.log('🎤 Speech recognition started');
             this.currentSessionTranscript = ''; // Reset current session
             this.updateRecordingState(true);
-        };
+        });
         
-        this.recognition.onresult = (event) => {
-            this.handleSpeechResult(event);
-        };
+        // Late results after switching to typing are dropped
+        this.recognition.setCallback('onInterim', (text) => {
+            if (this.inputMode !== 'typed') this.handleSpeechInterim(text);
+        });
+        this.recognition.setCallback('onFinal', (text, details) => {
+            if (this.inputMode !== 'typed') this.handleSpeechFinal(text, details);
+        });
         
-        this.recognition.onerror = (event) => {
-            console.error('Speech recognition error:', event.error);
+        this.recognition.setCallback('onError', (error) => {
+            console.error('Speech recognition error:', error.error);
             this.updateRecordingState(false);
-            this.showError(`Speech recognition error: ${event.error}`);
-        };
+            this.showError(error.message);
+            
+            // No microphone to listen with - keep going by typing
+            if (['not-allowed', 'service-not-allowed', 'audio-capture'].includes(error.error)) {
+                this.setInputMode('typed');
+            }
+        });
         
-        this.recognition.onend = () => {
+        this.recognition.setCallback('onEnd', () => {
             console.log('🛑 Speech recognition ended');
             
             // Move current session transcript to persistent transcript
@@ -168,10 +358,19 @@ class MobileSpeechTranscriber {
             }
             
             this.updateRecordingState(false);
-        };
+        });
     }
     
     toggleRecording() {
+        if (this.inputMode === 'typed') {
+            // The mic button takes the user back to speaking
+            if (this.recognition) {
+                this.toggleInputMode();
+                this.startRecording();
+            }
+            return;
+        }
+        
         if (this.isListening) {
             this.stopRecording();
         } else {
@@ -203,6 +402,54 @@ class MobileSpeechTranscriber {
         }
     }
     
+    setInputMode(mode) {
+        const typed = mode === 'typed';
+        
+        if (typed && this.isListening) {
+            this.stopRecording();
+        }
+        
+        // Carry the text over, so switching mid-sentence doesn't lose it
+        this.persistentTranscript = this.inputMode === 'typed' ? this.typedInput.value.trim() : this.extractTextFromDisplay();
+        this.currentSessionTranscript = '';
+        
+        this.inputMode = typed ? 'typed' : 'speech';
+        this.liveText.hidden = typed;
+        this.typedInput.hidden = !typed;
+        this.typeModeBtn.disabled = !this.recognition; // No speech to switch back to
+        this.typeModeIcon.textContent = typed ? '🎤' : '⌨️';
+        this.typeModeBtn.title = typed ? 'Speak instead of typing' : 'Type instead of speaking';
+        
+        if (typed) {
+            this.typedInput.value = this.persistentTranscript;
+            this.typedInput.focus();
+        } else {
+            this.updateTextDisplay(this.persistentTranscript);
+        }
+    }
+    
+    toggleInputMode() {
+        this.setInputMode(this.inputMode === 'typed' ? 'speech' : 'typed');
+        localStorage.setItem('mobileInputMode', this.inputMode);
+    }
+    
+    // Keystrokes go through the same cancel, prefetch and pause detection as speech results
+    handleTypedInput() {
+        const text = this.typedInput.value.trim();
+        this.persistentTranscript = text;
+        this.currentSessionTranscript = '';
+        
+        this.conversation.addTypedText(this.typedInput.value);
+        this.cancelStaleRequests(text);
+        this.lastInterimText = text;
+        
+        if (this.wordCount(text) >= 3) {
+            this.debouncedPrefetch(text);
+        }
+        
+        this.resetPauseTimer();
+    }
+    
     updateRecordingState(isRecording) {
         this.isListening = isRecording;
         
@@ -221,11 +468,16 @@ class MobileSpeechTranscriber {
         // Clear the text display
         this.liveText.innerHTML = '<p class="placeholder">Tap the microphone to start speaking...</p>';
         this.liveText.classList.remove('recording');
+        this.typedInput.value = '';
+        this.alternatives.clear();
+        this.hideAlternatives();
+        this.undoStack = [];
         
         // Clear all transcript data
         this.persistentTranscript = '';
         this.currentSessionTranscript = '';
         this.lastInterimText = '';
+        this.cancelStaleRequests('');
         
         // Hide all suggestions
         this.hideSuggestions();
@@ -253,7 +505,10 @@ class MobileSpeechTranscriber {
         console.log('🧹 All text and suggestions cleared');
     }
     
-    performSearch() {
+    /**
+     * Search the current text with the default destination, or `providerId` just this once
+     */
+    performSearch(providerId = this.searchProvider) {
         // Get the current text from the live text display
         const searchText = this.extractTextFromDisplay();
         
@@ -262,28 +517,93 @@ class MobileSpeechTranscriber {
             return;
         }
         
-        // Clear suggestions when performing search
+        // Clear suggestions when performing search - the conversation is done
         this.hideSuggestions();
         this.lastValidSuggestions = null;
         this.lastSuggestionContext = '';
+        this.conversation.clear();
+        this.alternatives.clear();
+        this.hideAlternatives();
+        this.undoStack = [];
         
-        // Open Bing Copilot search for AI answers in new tab
-        const searchQuery = encodeURIComponent(searchText.trim());
-        const bingCopilotUrl = `https://www.bing.com/copilotsearch?q=${searchQuery}&FORM=CSSCOP`;
+        const provider = this.searchRegistry.get(providerId);
+        const searchUrl = this.searchRegistry.buildUrl(provider.id, searchText);
         
-        console.log(`🤖 AI Search for: "${searchText.trim()}" -> ${bingCopilotUrl}`);
+        console.log(`🔎 ${provider.name} search for: "${searchText.trim()}" -> ${searchUrl}`);
         
         // Open in new tab
-        window.open(bingCopilotUrl, '_blank');
+        window.open(searchUrl, '_blank');
         
-        // Clear the text after search (optional - you can remove this if you want to keep text)
+        if (this.keepTextAfterSearch) {
+            if (this.inputMode !== 'typed') {
+                this.updateTextDisplay(searchText); // Without the underlines of the cleared alternatives
+            }
+            return;
+        }
+        
+        // Clear the text after search, unless the user chose to keep it
         this.persistentTranscript = '';
         this.currentSessionTranscript = '';
+        this.cancelStaleRequests('');
         this.liveText.innerHTML = '<p class="placeholder">Search completed. Tap microphone to start again...</p>';
+        this.typedInput.value = '';
         
         console.log('🧹 Text cleared after search');
     }
     
+    // Holding the search button opens the destination menu instead of searching
+    setupSearchLongPress() {
+        const cancel = () => {
+            clearTimeout(this.searchLongPressTimer);
+            this.searchLongPressTimer = null;
+        };
+        
+        this.searchBtn.addEventListener('pointerdown', () => {
+            this.searchLongPressed = false;
+            cancel();
+            this.searchLongPressTimer = setTimeout(() => {
+                this.showSearchMenu();
+                this.searchLongPressed = true;
+            }, 500);
+        });
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => this.searchBtn.addEventListener(type, cancel));
+        this.searchBtn.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+    
+    showSearchMenu() {
+        this.hideSearchMenu();
+        
+        const menu = document.createElement('div');
+        menu.className = 'search-menu';
+        menu.setAttribute('role', 'menu');
+        this.searchRegistry.list().forEach(provider => {
+            const button = document.createElement('button');
+            button.className = 'search-option';
+            button.setAttribute('role', 'menuitem');
+            button.textContent = provider.id === this.searchProvider ? `${provider.name} ✓` : provider.name;
+            button.addEventListener('click', () => {
+                this.hideSearchMenu();
+                this.performSearch(provider.id);
+            });
+            menu.appendChild(button);
+        });
+        
+        // Above the button, which sits at the bottom of the screen
+        const rect = this.searchBtn.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, Math.min(rect.right - 200, window.innerWidth - 208)) + window.scrollX}px`;
+        menu.style.bottom = `${window.innerHeight - rect.top - window.scrollY + 8}px`;
+        document.body.appendChild(menu);
+        this.searchMenu = menu;
+    }
+    
+    hideSearchMenu() {
+        this.searchLongPressed = false; // In case the press ended off the button, with no click
+        if (this.searchMenu) {
+            this.searchMenu.remove();
+            this.searchMenu = null;
+        }
+    }
+    
     extractTextFromDisplay() {
         // Return the combined persistent and current session transcript
         const fullText = (this.persistentTranscript + ' ' + this.currentSessionTranscript).trim();
@@ -318,6 +638,34 @@ class MobileSpeechTranscriber {
                 pill.querySelector('span').textContent = pill.id.replace('suggestion', 'Suggestion ');
             }, index * 50); // Staggered hiding
         });
+        this.showSuggestionsSource(null);
+    }
+    
+    // Badge for suggestions that aren't a fresh answer for the current text
+    showSuggestionsSource(source) {
+        if (!this.suggestionsSource) return;
+        
+        if (source === 'prefix-cache') {
+            this.suggestionsSource.textContent = '(Prefix Cache)';
+            this.suggestionsSource.className = 'suggestions-source prefix-cache-source';
+            if (this.latencyDisplay) {
+                this.latencyDisplay.textContent = '⚡ Instant (prefix)';
+            }
+        } else {
+            this.suggestionsSource.textContent = '';
+            this.suggestionsSource.className = 'suggestions-source';
+        }
+    }
+    
+    // Status line under the pills, e.g. "retrying (2/3)"; an empty message hides it
+    showSuggestionsStatus(message) {
+        if (!this.suggestionsStatus) return;
+        
+        if (message) {
+            console.log(message);
+        }
+        this.suggestionsStatus.textContent = message;
+        this.suggestionsStatus.classList.toggle('visible', !!message);
     }
     
     showThinkingAnimation() {
@@ -330,94 +678,214 @@ class MobileSpeechTranscriber {
         });
     }
     
-    handleSpeechResult(event) {
-        let interimTranscript = '';
-        let finalTranscript = '';
-        
-        // Process all results from the current recognition session
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-            const transcript = event.results[i][0].transcript;
-            
-            if (event.results[i].isFinal) {
-                finalTranscript += transcript;
-            } else {
-                interimTranscript += transcript;
-            }
+    handleSpeechFinal(text, details) {
+        const command = this.getVoiceCommand(text);
+        if (command) {
+            // The alternatives belong to the whole result, command words included
+            if (command.remainder) this.addFinalText(command.remainder, {});
+            this.runVoiceCommand(command);
+            return;
         }
         
+        this.addFinalText(text, details);
+    }
+    
+    addFinalText(text, details) {
+        this.pushUndo({ text: this.extractTextFromDisplay(), utterance: text });
+        
         // Update current session transcript with final results
-        if (finalTranscript) {
-            this.currentSessionTranscript += finalTranscript;
-            console.log('📝 Final transcript added:', finalTranscript);
-        }
+        this.currentSessionTranscript = (this.currentSessionTranscript + ' ' + text).trim();
+        this.conversation.addUtterance(text);
+        this.alternatives.addResult(text, details);
+        console.log('📝 Final transcript added:', text);
+        
+        const fullText = (this.persistentTranscript + ' ' + this.currentSessionTranscript).trim();
+        this.updateTextDisplay(fullText);
+        
+        // Abort calls for text the user has already talked past
+        this.cancelStaleRequests(fullText);
         
-        // Combine persistent transcript with current session and interim text
-        const fullText = (this.persistentTranscript + ' ' + this.currentSessionTranscript + ' ' + interimTranscript).trim();
+        this.lastInterimText = fullText;
+        this.triggerLLMSuggestions(fullText);
+        
+        // Reset pause timer
+        this.resetPauseTimer();
+    }
+    
+    handleSpeechInterim(text) {
+        // Combine persistent transcript with current session and interim text; a command
+        // being spoken stays out of the display
+        const fullText = (this.persistentTranscript + ' ' + this.currentSessionTranscript + ' ' + this.voiceCommands.strip(text)).trim();
         
         // Update display with full accumulated text
         this.updateTextDisplay(fullText);
+        this.cancelStaleRequests(fullText);
         
-        // Handle LLM suggestions with word count validation
-        const textForLLM = this.persistentTranscript + ' ' + this.currentSessionTranscript;
-        if (finalTranscript && textForLLM.trim()) {
-            this.lastInterimText = textForLLM.trim();
-            this.triggerLLMSuggestions(textForLLM.trim());
-        } else if (interimTranscript && this.wordCount(fullText) >= 3) {
-            // Only prefetch if we have enough words in total
+        // Only prefetch if we have enough words in total
+        if (this.wordCount(fullText) >= 3) {
             this.debouncedPrefetch(fullText);
         }
         
-        // Reset pause timer
         this.resetPauseTimer();
     }
     
+    /**
+     * The command ending a final result, or null - picking a suggestion that
+     * isn't on screen is just something the user said
+     */
+    getVoiceCommand(text) {
+        const command = this.voiceCommands.parse(text);
+        if (command && command.name === 'pick') {
+            const pill = this.suggestionsContainer.querySelectorAll('.suggestion-pill')[command.index];
+            if (!pill || !pill.classList.contains('visible')) return null;
+        }
+        return command;
+    }
+    
+    runVoiceCommand(command) {
+        console.log(`🗣️ Voice command: ${command.name} ("${command.phrase}")`);
+        
+        const actions = {
+            pick: () => this.applySuggestion(command.index),
+            clear: () => this.clearText(),
+            search: () => this.performSearch(),
+            undo: () => this.undoLast(),
+            stop: () => this.stopRecording()
+        };
+        actions[command.name]();
+    }
+    
+    pushUndo(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+    }
+    
+    // Take back the last final result
+    undoLast() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            console.log('↩️ Nothing to undo');
+            return;
+        }
+        
+        this.persistentTranscript = entry.text;
+        this.currentSessionTranscript = '';
+        this.conversation.removeUtterance(entry.utterance);
+        console.log(`↩️ Removed "${entry.utterance}"`);
+        
+        this.hideSuggestions();
+        this.cancelStaleRequests(entry.text);
+        this.lastInterimText = entry.text;
+        this.updateTextDisplay(entry.text);
+    }
+    
     updateTextDisplay(text) {
         if (text.trim()) {
-            // Apply keyword highlighting using a safer approach
-            this.liveText.innerHTML = `<p>${this.highlightKeywords(text)}</p>`;
+            // Apply keyword highlighting using a safer approach; uncertain words get a tappable span
+            const html = this.alternatives.segment(text).map(part => part.entry
+                ? `<span class="uncertain-word" data-alternative-id="${part.entry.id}">${this.highlightKeywords(part.text)}</span>`
+                : this.highlightKeywords(part.text)
+            ).join('');
+            this.liveText.innerHTML = `<p>${html}</p>`;
         } else {
             this.liveText.innerHTML = '<p class="placeholder">Tap the microphone to start speaking...</p>';
         }
+        this.hideAlternatives();
+    }
+    
+    showAlternatives(word) {
+        const entry = this.alternatives.getEntry(Number(word.dataset.alternativeId));
+        this.hideAlternatives();
+        if (!entry) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'alternatives-menu';
+        menu.setAttribute('role', 'menu');
+        entry.options.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'alternative-option';
+            button.setAttribute('role', 'menuitem');
+            button.textContent = option;
+            button.addEventListener('click', () => this.pickAlternative(entry.id, option));
+            menu.appendChild(button);
+        });
+        
+        const rect = word.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, Math.min(rect.left, window.innerWidth - 200)) + window.scrollX}px`;
+        menu.style.top = `${rect.bottom + window.scrollY + 6}px`;
+        document.body.appendChild(menu);
+        this.alternativesMenu = menu;
+    }
+    
+    hideAlternatives() {
+        if (this.alternativesMenu) {
+            this.alternativesMenu.remove();
+            this.alternativesMenu = null;
+        }
+    }
+    
+    pickAlternative(id, option) {
+        const change = this.alternatives.pick(id, option);
+        this.hideAlternatives();
+        if (!change) return;
+        
+        console.log(`✏️ Changed "${change.from}" to "${change.to}"`);
+        if (this.persistentTranscript.includes(change.from)) {
+            this.persistentTranscript = this.persistentTranscript.replace(change.from, change.to);
+        } else {
+            this.currentSessionTranscript = this.currentSessionTranscript.replace(change.from, change.to);
+        }
+        this.conversation.replaceUtterance(change.from, change.to);
+        
+        // Suggestions for the misheard text are stale - ask again
+        const fullText = (this.persistentTranscript + ' ' + this.currentSessionTranscript).trim();
+        this.updateTextDisplay(fullText);
+        this.cancelStaleRequests(fullText);
+        this.lastInterimText = fullText;
+        this.triggerLLMSuggestions(fullText);
     }
     
     highlightKeywords(text) {
         // Clean the text first - remove any existing HTML markup
         const cleanText = text.replace(/<[^>]*>/g, '');
         
-        // Escape HTML characters
-        let escapedText = cleanText
+        // Numbers, dates, times and money (coral), then names (green) in the text between
+        // them, skipping the language's common words; the rules come from the current locale
+        const { numbers, properNouns, stopwords } = this.locale.getKeywordRules();
+        const highlightNames = (part) => (properNouns
+            ? this.wrapMatches(part, properNouns, match => (stopwords.has(match.toLowerCase()) ? null : 'keyword-important'))
+            : this.escapeHTML(part));
+        
+        return this.wrapMatches(cleanText, numbers, () => 'keyword-number', highlightNames);
+    }
+    
+    // HTML for `text` with every `regex` match wrapped in a span of the class classFor(match)
+    // returns (null leaves the match alone); text between matches goes through renderRest
+    wrapMatches(text, regex, classFor, renderRest = (part) => this.escapeHTML(part)) {
+        let html = '';
+        let cursor = 0;
+        
+        for (const match of text.matchAll(regex)) {
+            const className = classFor(match[0]);
+            if (!className) continue;
+            
+            html += renderRest(text.slice(cursor, match.index));
+            html += `<span class="${className}">${this.escapeHTML(match[0])}</span>`;
+            cursor = match.index + match[0].length;
+        }
+        
+        return html + renderRest(text.slice(cursor));
+    }
+    
+    escapeHTML(text) {
+        return text
             .replace(/&/g, '&amp;')
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
             .replace(/"/g, '&quot;')
             .replace(/'/g, '&#x27;');
-        
-        // Define keyword patterns
-        const patterns = [
-            // Numbers, dates, times, money (coral highlighting)
-            {
-                regex: /\b(\d+(?:\.\d+)?(?:\s*(?:dollars?|euros?|pounds?|₹|rs|rupees?))?|\$\d+(?:\.\d+)?|(?:january|february|march|april|may|june|july|august|september|october|november|december)\s+\d+|\d+[\/\-]\d+[\/\-]\d+|\d+:\d+(?:\s*(?:am|pm))?)\b/gi,
-                className: 'keyword-number'
-            }
-        ];
-        
-        // Apply number/date highlights first
-        patterns.forEach(pattern => {
-            escapedText = escapedText.replace(pattern.regex, `<span class="${pattern.className}">$&</span>`);
-        });
-        
-        // Apply proper noun highlighting (avoiding common false positives)
-        const commonWords = /^(I|The|A|An|This|That|These|Those|My|Your|His|Her|Its|Our|Their|Some|Any|All|Each|Every|Many|Much|Few|Little|More|Most|Less|Least|First|Last|Next|Previous|Same|Different|Other|Another)$/i;
-        
-        escapedText = escapedText.replace(/\b[A-Z][a-z]{2,}\b/g, (match) => {
-            // Skip if it's already highlighted or is a common word
-            if (match.includes('<span') || commonWords.test(match)) {
-                return match;
-            }
-            return `<span class="keyword-important">${match}</span>`;
-        });
-        
-        return escapedText;
     }
     
     updateLLMStatus() {
@@ -426,16 +894,18 @@ class MobileSpeechTranscriber {
         // Remove existing status classes
         settingsBtn.classList.remove('llm-offline', 'llm-ready');
         
-        // Add appropriate status class
-        if (this.llmConfig.isConfigured) {
+        // Add appropriate status class - a locked key can't be used yet
+        const keyLocked = this.llmConfig.provider === 'azure' && !this.llmConfig.apiKey && this.vault.isLocked();
+        if (this.llmConfig.isConfigured && !keyLocked) {
             settingsBtn.classList.add('llm-ready');
         } else {
             settingsBtn.classList.add('llm-offline');
         }
+        settingsBtn.title = keyLocked ? 'Settings (API keys locked)' : 'Settings (LLM Status)';
     }
     
     wordCount(text) {
-        return text.trim().split(/\s+/).filter(word => word.length > 0).length;
+        return this.locale.countWords(text);
     }
     
     resetPauseTimer() {
@@ -485,25 +955,43 @@ class MobileSpeechTranscriber {
             }
         }
         
-        // Show thinking animation
-        this.showThinkingAnimation();
+        // Reuse suggestions from the longest cached prefix while fresh ones load
+        const prefixMatch = this.suggestionCache.lookupPrefix(text,
+            (entry) => Date.now() - entry.timestamp < this.cacheMaxAge);
+        
+        if (prefixMatch) {
+            console.log(`📋 Using prefix-cache suggestions from "${prefixMatch.prefix}"`);
+            this.displaySuggestions(prefixMatch.suggestions, 'prefix-cache');
+        } else {
+            // Show thinking animation
+            this.showThinkingAnimation();
+        }
         
         // Make API call
+        const controller = new AbortController();
+        this.activeLLMCall = { controller, text };
+        
         try {
             this.isProcessingLLM = true;
             this.apiCallStartTime = Date.now();
             
-            const suggestions = await this.getLLMSuggestions(text);
+            const result = await this.getLLMSuggestions(text, {
+                signal: controller.signal,
+                onSuggestion: (suggestion, index) => this.showStreamedSuggestion(suggestion, index),
+                onRetry: (attempt, maxAttempts) => this.showSuggestionsStatus(`🔄 retrying (${attempt}/${maxAttempts})...`)
+            });
             
-            if (suggestions && suggestions.length > 0) {
-                this.displaySuggestions(suggestions, 'fresh');
-                this.cacheSuggestions(text, suggestions);
+            if (result && result.suggestions.length > 0) {
+                this.displaySuggestions(result.suggestions, result.source === 'cache' ? 'cached' : 'fresh');
+                this.cacheSuggestions(text, result);
             } else {
                 // Hide thinking animation if no suggestions
                 this.hideSuggestions();
             }
         } catch (error) {
-            console.error('❌ LLM API error:', error);
+            if (!error.cancelled) {
+                console.error('❌ LLM API error:', error);
+            }
             // Show persistent suggestions if available, otherwise hide thinking
             if (this.lastValidSuggestions) {
                 this.displaySuggestions(this.lastValidSuggestions, 'fallback');
@@ -512,6 +1000,10 @@ class MobileSpeechTranscriber {
             }
         } finally {
             this.isProcessingLLM = false;
+            this.showSuggestionsStatus('');
+            if (this.activeLLMCall && this.activeLLMCall.controller === controller) {
+                this.activeLLMCall = null;
+            }
         }
     }
     
@@ -522,32 +1014,71 @@ class MobileSpeechTranscriber {
         
         console.log('🔄 Prefetching suggestions for:', text);
         
-        const prefetchPromise = this.getLLMSuggestions(text);
-        this.activePrefetchCalls.set(text, prefetchPromise);
+        const controller = new AbortController();
+        // Prefetches take the low-priority lane of the rate limiter
+        const prefetchPromise = this.getLLMSuggestions(text, { signal: controller.signal, priority: 'low' });
+        this.activePrefetchCalls.set(text, { promise: prefetchPromise, controller });
         
         try {
-            const suggestions = await prefetchPromise;
-            if (suggestions && suggestions.length > 0) {
-                this.cacheSuggestions(text, suggestions);
+            const result = await prefetchPromise;
+            if (result && result.suggestions.length > 0) {
+                this.cacheSuggestions(text, result);
             }
         } catch (error) {
-            console.error('❌ Prefetch error:', error);
+            if (error.cancelled) {
+                console.log('✂️ Prefetch cancelled for:', text);
+            } else if (error.rateLimited) {
+                console.log('⏳ Prefetch skipped - rate limit reserved for pauses:', text);
+            } else {
+                console.error('❌ Prefetch error:', error);
+            }
         } finally {
             this.activePrefetchCalls.delete(text);
         }
     }
     
-    cacheSuggestions(text, suggestions) {
-        const latency = this.apiCallStartTime ? Date.now() - this.apiCallStartTime : 0;
+    // Abort in-flight calls whose text is no longer a prefix of the live transcript
+    cancelStaleRequests(liveText) {
+        const live = this.normalizeTranscript(liveText);
+        // Still current while the live transcript is the request's text or that text plus more words
+        const isStale = (text) => {
+            const prefix = this.normalizeTranscript(text);
+            return !live || (live !== prefix && !live.startsWith(`${prefix} `));
+        };
+        
+        this.activePrefetchCalls.forEach((call, text) => {
+            if (isStale(text)) {
+                call.controller.abort();
+            }
+        });
+        
+        if (this.activeLLMCall && isStale(this.activeLLMCall.text)) {
+            this.activeLLMCall.controller.abort();
+        }
+    }
+    
+    normalizeTranscript(text) {
+        return text.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+    
+    getRequestStatsText() {
+        const { completed, cancelled } = this.requestStats;
+        const filtered = this.suggestionFilter.getDroppedCount();
+        return (cancelled > 0 ? ` · ${completed} done / ${cancelled} cancelled` : '') +
+            (filtered > 0 ? ` · ${filtered} filtered` : '');
+    }
+    
+    cacheSuggestions(text, result) {
+        const latency = Math.round(result.latency || 0);
         
         this.suggestionCache.set(text, {
-            suggestions,
+            suggestions: result.suggestions,
             timestamp: Date.now(),
             latency
         });
         
-        // Update latency tracking
-        if (latency > 0) {
+        // Update latency tracking (cache hits in the service are not API latency)
+        if (latency > 0 && result.source === 'llm') {
             this.latencyHistory.push(latency);
             if (this.latencyHistory.length > this.maxLatencyHistory) {
                 this.latencyHistory.shift();
@@ -555,7 +1086,11 @@ class MobileSpeechTranscriber {
             this.lastApiLatency = latency;
             
             const avgLatency = this.latencyHistory.reduce((a, b) => a + b, 0) / this.latencyHistory.length;
-            console.log(`⚡ API Latency: ${latency}ms (avg: ${Math.round(avgLatency)}ms)`);
+            const latencyText = `${latency}ms (avg: ${Math.round(avgLatency)}ms)${this.getRequestStatsText()}`;
+            console.log(`⚡ API Latency: ${latencyText}`);
+            if (this.latencyDisplay) {
+                this.latencyDisplay.textContent = `⚡ ${latencyText}`;
+            }
         }
         
         // Cleanup old cache entries
@@ -571,6 +1106,8 @@ class MobileSpeechTranscriber {
         // Store as last valid suggestions
         this.lastValidSuggestions = suggestions;
         this.lastSuggestionContext = this.lastInterimText;
+        this.conversation.recordShown(suggestions);
+        this.showSuggestionsSource(source);
         
         // Update suggestion pills with enhanced animation
         const pills = this.suggestionsContainer.querySelectorAll('.suggestion-pill');
@@ -582,6 +1119,11 @@ class MobileSpeechTranscriber {
         
         // Then show suggestions with staggered reveal
         pills.forEach((pill, index) => {
+            // Pills already filled by a streamed suggestion stay put
+            if (pill.classList.contains('visible') && pill.querySelector('span').textContent === suggestions[index]) {
+                return;
+            }
+            
             pill.classList.remove('visible');
             
             setTimeout(() => {
@@ -595,59 +1137,84 @@ class MobileSpeechTranscriber {
         });
     }
     
-    async getLLMSuggestions(text) {
+    applySuggestion(index) {
+        const pill = this.suggestionsContainer.querySelectorAll('.suggestion-pill')[index];
+        if (!pill || !pill.classList.contains('visible')) return;
+        
+        const suggestion = pill.querySelector('span').textContent;
+        console.log('👆 Suggestion picked:', suggestion);
+        this.conversation.recordApplied(suggestion);
+        this.hideSuggestions();
+        
+        if (this.inputMode === 'typed') {
+            this.typedInput.focus(); // Straight back to typing the answer
+        }
+    }
+    
+    // Reveal a single pill as soon as its streamed suggestion is complete
+    showStreamedSuggestion(suggestion, index) {
+        const pills = this.suggestionsContainer.querySelectorAll('.suggestion-pill');
+        const pill = pills[index];
+        if (!pill) return;
+        
+        pill.querySelector('span').textContent = suggestion;
+        pill.classList.remove('thinking');
+        pill.classList.add('visible');
+    }
+    
+    // Resolves to the SharedLLMService result ({ suggestions, source, timestamp, latency }),
+    // or null when the LLM is not configured. Pass options.onSuggestion to stream pills in,
+    // options.onRetry to hear about retries and options.signal to cancel; a cancelled call
+    // throws an error with `cancelled` set
+    async getLLMSuggestions(text, options = {}) {
         if (!this.llmConfig.isConfigured) {
             console.log('⚠️ LLM not configured');
             return null;
         }
         
-        // Get the appropriate prompt template based on feature flags
-        const promptTemplate = this.getPromptTemplate(text);
+        // The selected style supplies prompt, token budget and parser
         const currentStyle = this.featureFlags.suggestionStyle || 'default';
         console.log(`🎯 Using suggestion style: ${currentStyle}`);
         
-        const requestBody = {
-            messages: [
-                { role: 'system', content: promptTemplate.systemMessage },
-                { role: 'user', content: promptTemplate.userPrompt }
-            ],
-            max_tokens: 120,
-            temperature: 0.7
-        };
-        
-        const headers = {
-            'Content-Type': 'application/json',
-            'api-key': this.llmConfig.apiKey
-        };
-        
-        const url = `${this.llmConfig.endpoint}/openai/deployments/${this.llmConfig.deploymentName}/chat/completions?api-version=${this.llmConfig.apiVersion}`;
-        
-        const response = await fetch(url, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify(requestBody)
+        const result = await this.llmService.generateSuggestions(text, {
+            style: currentStyle,
+            language: this.language,
+            onSuggestion: options.onSuggestion,
+            onRetry: options.onRetry,
+            priority: options.priority,
+            signal: options.signal,
+            ...this.conversation.toRequestContext(text),
+            ...this.alternatives.toRequestContext(text)
         });
         
-        if (!response.ok) {
-            throw new Error(`API call failed: ${response.status}`);
+        if (result.source === 'cancelled') {
+            this.requestStats.cancelled++;
+            const error = new Error('Request cancelled');
+            error.cancelled = true;
+            throw error;
         }
         
-        const data = await response.json();
-        const content = data.choices?.[0]?.message?.content;
+        if (result.source === 'llm') {
+            this.requestStats.completed++;
+        }
         
-        if (content) {
-            return content.split('\n')
-                .map(line => line.trim())
-                .filter(line => line.length > 0)
-                .slice(0, 3);
+        if (result.source !== 'llm' && result.source !== 'cache') {
+            const error = new Error(result.error || 'API call failed');
+            error.rateLimited = result.rateLimited;
+            throw error;
         }
         
-        return null;
+        return result;
     }
     
     // Mobile Configuration Methods
     openMobileConfigPanel() {
         this.loadMobileConfigFields();
+        this.loadSpeechSettingsFields();
+        this.loadVaultForm();
+        this.renderStyleOptions();
+        this.loadStyleForm();
+        this.showStyleStatus('', '');
         this.mobileConfigPanel.classList.add('active');
     }
     
@@ -660,68 +1227,104 @@ class MobileSpeechTranscriber {
         document.getElementById('mobileApiKey').value = this.llmConfig.apiKey || '';
         document.getElementById('mobileModel').value = this.llmConfig.modelName || '';
         document.getElementById('mobileDeployment').value = this.llmConfig.deploymentName || '';
+        this.mobileProviderSelect.value = this.llmConfig.provider;
+        this.updateProviderFields();
     }
     
-    async testMobileLLMConnection() {
+    /**
+     * Show only the fields the selected provider needs
+     */
+    updateProviderFields() {
+        const provider = this.mobileProviderSelect.value;
+        const isAzure = provider === 'azure';
+        
+        // The proxy takes its team token, if it has one, in the key field
+        document.getElementById('mobileApiKeyField').style.display = isAzure || provider === 'proxy' ? '' : 'none';
+        document.getElementById('mobileApiKey').placeholder = provider === 'proxy' ? 'Team token (if the proxy has one)' : 'Your API key';
+        document.getElementById('mobileDeploymentField').style.display = isAzure ? '' : 'none';
+        document.getElementById('mobileModelField').style.display = provider === 'proxy' ? 'none' : '';
+        document.getElementById('mobileEndpoint').placeholder = {
+            local: SharedLLMService.LOCAL_BASE_URL,
+            proxy: SharedConstants.ENDPOINTS.PROXY.DEFAULT_HOST
+        }[provider] || 'https://your-service.openai.azure.com/';
+        document.getElementById('mobileModel').placeholder = provider === 'local' ? 'llama3.2' : 'gpt-4o-mini';
+    }
+    
+    /**
+     * Read the config form, keeping only the fields the selected provider uses;
+     * null (after saying so) when a required one is empty
+     */
+    readMobileLLMConfigForm() {
+        const provider = this.mobileProviderSelect.value;
+        const isAzure = provider === 'azure';
         const endpoint = document.getElementById('mobileEndpoint').value.trim();
-        const apiKey = document.getElementById('mobileApiKey').value.trim();
-        const modelName = document.getElementById('mobileModel').value.trim();
-        const deploymentName = document.getElementById('mobileDeployment').value.trim();
+        const apiKey = isAzure || provider === 'proxy' ? document.getElementById('mobileApiKey').value.trim() : '';
+        const modelName = provider === 'proxy' ? '' : document.getElementById('mobileModel').value.trim();
+        const deploymentName = isAzure ? document.getElementById('mobileDeployment').value.trim() : '';
         
-        if (!endpoint || !apiKey || !modelName || !deploymentName) {
+        // Local servers need no key or deployment; the proxy server holds the key and picks the model
+        if (!endpoint || (provider !== 'proxy' && !modelName) || (isAzure && (!apiKey || !deploymentName))) {
             this.showMobileConnectionStatus('Please fill in all fields', 'error');
-            return;
+            return null;
         }
         
+        return { provider, endpoint, apiKey, modelName, deploymentName };
+    }
+    
+    async testMobileLLMConnection() {
+        const form = this.readMobileLLMConfigForm();
+        if (!form) return;
+        
+        await this.testServiceConnection({
+            provider: form.provider,
+            endpoint: form.endpoint,
+            apiKey: form.apiKey,
+            model: form.modelName,
+            deploymentName: form.deploymentName
+        });
+    }
+    
+    // A throwaway service sends the provider's own URL format and auth header, as on desktop,
+    // with the structured output setting real requests use
+    async testServiceConnection(settings) {
         this.showMobileConnectionStatus('Testing connection...', 'info');
         
-        try {
-            const testUrl = `${endpoint}/openai/deployments/${deploymentName}/chat/completions?api-version=${this.llmConfig.apiVersion}`;
-            
-            const response = await fetch(testUrl, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'api-key': apiKey
-                },
-                body: JSON.stringify({
-                    messages: [{ role: 'user', content: 'test' }],
-                    max_tokens: 5
-                })
-            });
-            
-            if (response.ok) {
-                this.showMobileConnectionStatus('✅ Connection successful!', 'success');
-            } else {
-                this.showMobileConnectionStatus(`❌ Connection failed: ${response.status}`, 'error');
-            }
-        } catch (error) {
-            this.showMobileConnectionStatus(`❌ Connection failed: ${error.message}`, 'error');
+        const service = new SharedLLMService({ ...this.getServiceSettings(), ...settings, apiVersion: this.llmConfig.apiVersion });
+        const result = await service.testConnection();
+        
+        if (result.success) {
+            this.showMobileConnectionStatus('✅ Connection successful!', 'success');
+        } else {
+            this.showMobileConnectionStatus(`❌ Connection failed: ${result.error}`, 'error');
         }
     }
     
-    saveMobileLLMConfiguration() {
-        const endpoint = document.getElementById('mobileEndpoint').value.trim();
-        const apiKey = document.getElementById('mobileApiKey').value.trim();
-        const modelName = document.getElementById('mobileModel').value.trim();
-        const deploymentName = document.getElementById('mobileDeployment').value.trim();
+    async saveMobileLLMConfiguration() {
+        const form = this.readMobileLLMConfigForm();
+        if (!form) return;
+        const { provider, endpoint, apiKey, modelName, deploymentName } = form;
         
-        if (!endpoint || !apiKey || !modelName || !deploymentName) {
-            this.showMobileConnectionStatus('Please fill in all fields', 'error');
+        try {
+            await this.vault.set('mobile.llm', apiKey);
+        } catch (error) {
+            this.showMobileConnectionStatus(`❌ Could not store the API key: ${error.message}`, 'error');
             return;
         }
         
+        this.llmConfig.provider = provider;
         this.llmConfig.endpoint = endpoint;
         this.llmConfig.apiKey = apiKey;
         this.llmConfig.modelName = modelName;
         this.llmConfig.deploymentName = deploymentName;
         this.llmConfig.isConfigured = true;
+        this.syncLLMService();
         
         // Update status indicator
         this.updateLLMStatus();
         
-        // Save to localStorage (excluding sensitive data)
+        // Save to localStorage - the API key is in the vault
         const configToSave = {
+            provider: this.llmConfig.provider,
             endpoint: this.llmConfig.endpoint,
             modelName: this.llmConfig.modelName,
             deploymentName: this.llmConfig.deploymentName,
@@ -744,7 +1347,13 @@ class MobileSpeechTranscriber {
             if (saved) {
                 const config = JSON.parse(saved);
                 this.llmConfig = { ...this.llmConfig, ...config };
+                this.syncLLMService();
                 console.log('📋 Mobile LLM configuration loaded');
+            } else if (window.config && window.config.get('llm.proxyUrl')) {
+                // A team deployment: suggestions go through its proxy server until the user sets up their own
+                this.llmConfig = { ...this.llmConfig, provider: 'proxy', endpoint: window.config.get('llm.proxyUrl'), isConfigured: true };
+                this.syncLLMService();
+                console.log('📋 Using the team proxy server');
             }
         } catch (error) {
             console.error('Error loading mobile LLM config:', error);
@@ -754,11 +1363,377 @@ class MobileSpeechTranscriber {
         this.updateLLMStatus();
     }
     
+    getServiceSettings() {
+        if (!window.config) {
+            return {};
+        }
+        
+        return {
+            retryAttempts: window.config.get('llm.retryAttempts'),
+            retryDelay: window.config.get('llm.retryDelay'),
+            structuredOutput: window.config.get('llm.structuredOutput') !== false,
+            maxRequestsPerMinute: window.config.get('security.maxRequestsPerMinute'),
+            enableRateLimit: window.config.get('security.enableRateLimit') !== false
+        };
+    }
+    
+    syncLLMService() {
+        this.llmService.updateConfig({
+            provider: this.llmConfig.provider,
+            endpoint: this.llmConfig.endpoint,
+            apiKey: this.llmConfig.apiKey,
+            model: this.llmConfig.modelName,
+            deploymentName: this.llmConfig.deploymentName,
+            apiVersion: this.llmConfig.apiVersion
+        });
+        this.llmService.clearCache();
+    }
+    
+    async clearSuggestionCache() {
+        try {
+            await this.llmService.clearPersistentCache();
+            this.suggestionCache.clear();
+            console.log('🗑️ Suggestion cache cleared');
+            this.showMobileConnectionStatus('🗑️ Suggestion cache cleared', 'success');
+        } catch (error) {
+            this.showMobileConnectionStatus(`❌ Failed to clear cache: ${error.message}`, 'error');
+        }
+    }
+    
     showMobileConnectionStatus(message, type) {
         this.mobileConnectionStatus.textContent = message;
         this.mobileConnectionStatus.className = `mobile-connection-status ${type}`;
     }
     
+    // Speech engine settings - Web Speech, or a Whisper-compatible server (its API key lives in the vault)
+    loadSpeechSettings() {
+        const defaults = { engine: 'webspeech', endpoint: '', apiKey: this.vault.get('mobile.whisper'), model: '' };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('mobileSpeechEngine') || '{}'), apiKey: defaults.apiKey };
+        } catch (error) {
+            console.error('Error loading mobile speech settings:', error);
+            return defaults;
+        }
+    }
+    
+    loadSpeechSettingsFields() {
+        this.mobileSpeechEngineSelect.value = this.speechSettings.engine;
+        document.getElementById('mobileWhisperEndpoint').value = this.speechSettings.endpoint;
+        document.getElementById('mobileWhisperApiKey').value = this.speechSettings.apiKey;
+        document.getElementById('mobileWhisperModel').value = this.speechSettings.model;
+        this.showSpeechStatus('', '');
+        this.updateSpeechEngineFields();
+    }
+    
+    updateSpeechEngineFields() {
+        document.getElementById('mobileWhisperFields').hidden = this.mobileSpeechEngineSelect.value !== 'whisper';
+    }
+    
+    async saveSpeechSettings() {
+        const settings = {
+            engine: this.mobileSpeechEngineSelect.value,
+            endpoint: document.getElementById('mobileWhisperEndpoint').value.trim(),
+            apiKey: document.getElementById('mobileWhisperApiKey').value.trim(),
+            model: document.getElementById('mobileWhisperModel').value.trim()
+        };
+        
+        if (settings.engine === 'whisper') {
+            if (!/^https?:\/\/[^/?#\s]+/i.test(settings.endpoint)) {
+                this.showSpeechStatus('Endpoint should look like http://127.0.0.1:8080/inference', 'error');
+                return;
+            }
+            if (!SpeechEngine.isSupported(settings)) {
+                this.showSpeechStatus('This browser cannot record audio for Whisper', 'error');
+                return;
+            }
+        }
+        
+        try {
+            await this.vault.set('mobile.whisper', settings.apiKey);
+        } catch (error) {
+            this.showSpeechStatus(`❌ Could not store the API key: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.speechSettings = settings;
+        localStorage.setItem('mobileSpeechEngine', JSON.stringify({ ...settings, apiKey: '' }));
+        this.applySpeechSettings();
+        
+        this.showSpeechStatus('✅ Speech settings saved!', 'success');
+        console.log('🎙️ Speech engine:', settings.engine);
+    }
+    
+    // Swap engines, keeping the text and input mode
+    applySpeechSettings() {
+        if (this.recognition) {
+            this.recognition.setCallback('onEnd', null);
+            this.recognition.abort();
+        }
+        this.updateRecordingState(false);
+        this.setupSpeechRecognition();
+        this.setInputMode(this.recognition ? this.inputMode : 'typed');
+    }
+    
+    // Key storage - plaintext keys from older versions move into the vault on load
+    async initCredentials() {
+        try {
+            const moved = await this.vault.migratePlaintext();
+            if (moved > 0) {
+                console.log(`🔐 Moved ${moved} plaintext API key(s) into key storage`);
+            }
+        } catch (error) {
+            console.error('Error migrating plaintext API keys:', error);
+        }
+        
+        this.applyCredentials();
+    }
+    
+    // Hand the vault's keys to the LLM service, speech engine and ConfigManager - empty while locked
+    applyCredentials() {
+        if (window.config) {
+            window.config.useVault(this.vault); // Secret ENV_* overrides moved into the vault
+        }
+        this.llmConfig.apiKey = this.vault.get('mobile.llm');
+        this.syncLLMService();
+        this.updateLLMStatus();
+        
+        const whisperKey = this.vault.get('mobile.whisper');
+        if (whisperKey !== this.speechSettings.apiKey) {
+            this.speechSettings.apiKey = whisperKey;
+            if (this.speechSettings.engine === 'whisper') {
+                this.applySpeechSettings();
+            }
+        }
+    }
+    
+    loadVaultForm() {
+        this.mobileVaultMode.value = this.vault.mode;
+        this.mobileVaultPassphrase.value = '';
+        this.updateVaultFields();
+        if (this.vault.isLocked()) {
+            this.showVaultStatus('🔒 Saved API keys are locked - enter your passphrase', 'error');
+        } else {
+            this.showVaultStatus('', '');
+        }
+    }
+    
+    updateVaultFields() {
+        const locked = this.vault.isLocked();
+        
+        document.getElementById('mobileVaultPassphraseField').hidden = !locked && this.mobileVaultMode.value === 'session';
+        document.getElementById('mobileVaultUnlockBtn').hidden = !locked;
+        document.getElementById('mobileVaultSaveBtn').hidden = locked;
+        document.getElementById('mobileVaultLockBtn').hidden = locked || this.vault.mode !== 'persistent';
+        this.mobileVaultMode.disabled = locked;
+    }
+    
+    async unlockCredentials() {
+        try {
+            await this.vault.unlock(this.mobileVaultPassphrase.value);
+        } catch (error) {
+            this.showVaultStatus(`❌ ${error.message}`, 'error');
+            return;
+        }
+        
+        this.applyCredentials();
+        this.loadVaultForm();
+        this.loadMobileConfigFields();
+        this.loadSpeechSettingsFields();
+        this.showVaultStatus('🔓 API keys unlocked for this session', 'success');
+    }
+    
+    async saveVaultSettings() {
+        try {
+            if (this.mobileVaultMode.value === 'persistent') {
+                await this.vault.usePassphrase(this.mobileVaultPassphrase.value);
+            } else {
+                this.vault.useSessionOnly();
+            }
+        } catch (error) {
+            this.showVaultStatus(`❌ ${error.message}`, 'error');
+            return;
+        }
+        
+        this.loadVaultForm();
+        this.showVaultStatus(this.vault.mode === 'persistent'
+            ? '🔐 API keys are encrypted on this device'
+            : '✅ API keys are kept until this tab closes', 'success');
+    }
+    
+    lockCredentials() {
+        this.vault.lock();
+        this.applyCredentials();
+        this.loadVaultForm();
+        this.loadMobileConfigFields();
+        this.loadSpeechSettingsFields();
+    }
+    
+    forgetCredentials() {
+        this.vault.forget();
+        this.applyCredentials();
+        this.loadVaultForm();
+        this.loadMobileConfigFields();
+        this.loadSpeechSettingsFields();
+        this.showVaultStatus('🗑️ Saved API keys deleted', 'success');
+    }
+    
+    showVaultStatus(message, type) {
+        this.mobileVaultStatus.textContent = message;
+        this.mobileVaultStatus.className = `mobile-connection-status ${type}`;
+    }
+    
+    // One checkbox per category; changes apply to the next suggestion request
+    renderPrivacyFilter() {
+        if (!this.mobilePrivacyFilter) return;
+        
+        this.mobilePrivacyFilter.innerHTML = '';
+        InputSanitizer.CATEGORIES.forEach(({ id, label }) => {
+            const field = document.createElement('div');
+            field.className = 'mobile-config-field mobile-checkbox-field';
+            
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = this.sanitizer.isEnabled(id);
+            toggle.disabled = !this.sanitizer.enabled;
+            toggle.addEventListener('change', () => {
+                this.sanitizer.setCategory(id, toggle.checked);
+                console.log(`🛡️ Privacy filter: ${id} ${toggle.checked ? 'on' : 'off'}`);
+            });
+            
+            const text = document.createElement('label');
+            text.append(toggle, label);
+            field.appendChild(text);
+            this.mobilePrivacyFilter.appendChild(field);
+        });
+        
+        if (!this.sanitizer.enabled) {
+            const note = document.createElement('div');
+            note.className = 'style-note';
+            note.innerHTML = '<small>Turned off for this deployment (security.sanitizeInput)</small>';
+            this.mobilePrivacyFilter.appendChild(note);
+        }
+    }
+    
+    setSearchProvider(providerId) {
+        this.searchProvider = this.searchRegistry.has(providerId) ? providerId : SearchProviderRegistry.DEFAULT_PROVIDER;
+        localStorage.setItem('mobileSearchProvider', this.searchProvider);
+        this.searchBtn.title = `Search with ${this.searchRegistry.get(this.searchProvider).name} (hold for more)`;
+        console.log(`🔎 Search destination: ${this.searchProvider}`);
+    }
+    
+    // Fill the default-destination selector and the destination editor's list
+    renderSearchOptions(editingId = this.searchProvider) {
+        const providers = this.searchRegistry.list();
+        this.setSearchProvider(this.searchProvider); // Falls back when the saved one was deleted
+        
+        this.mobileSearchProviderSelect.innerHTML = '';
+        providers.forEach(provider => {
+            this.mobileSearchProviderSelect.appendChild(new Option(provider.name, provider.id));
+        });
+        this.mobileSearchProviderSelect.value = this.searchProvider;
+        this.mobileKeepAfterSearch.checked = this.keepTextAfterSearch;
+        
+        this.mobileSearchEditSelect.innerHTML = '';
+        this.mobileSearchEditSelect.appendChild(new Option('➕ New destination', ''));
+        providers.forEach(provider => {
+            this.mobileSearchEditSelect.appendChild(new Option(provider.builtIn ? `${provider.name} (built-in)` : provider.name, provider.id));
+        });
+        this.mobileSearchEditSelect.value = this.searchRegistry.has(editingId) ? editingId : '';
+    }
+    
+    loadSearchForm() {
+        const id = this.mobileSearchEditSelect.value;
+        const provider = id ? this.searchRegistry.get(id) : { name: '', urlTemplate: '' };
+        
+        document.getElementById('mobileSearchName').value = provider.name;
+        document.getElementById('mobileSearchTemplate').value = provider.urlTemplate;
+        document.getElementById('mobileSearchDeleteBtn').disabled = !id || provider.builtIn;
+    }
+    
+    saveSearchProvider() {
+        const id = this.mobileSearchEditSelect.value || undefined;
+        const wasBuiltIn = id && this.searchRegistry.get(id).builtIn;
+        
+        try {
+            const saved = this.searchRegistry.save({
+                id,
+                name: document.getElementById('mobileSearchName').value,
+                urlTemplate: document.getElementById('mobileSearchTemplate').value
+            });
+            this.renderSearchOptions(saved.id);
+            this.loadSearchForm();
+            this.showSearchStatus(wasBuiltIn
+                ? `💾 Built-in destinations are read-only - saved as "${saved.name}"`
+                : `💾 Saved destination "${saved.name}"`, 'success');
+        } catch (error) {
+            this.showSearchStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    deleteSearchProvider() {
+        const provider = this.searchRegistry.get(this.mobileSearchEditSelect.value);
+        
+        if (this.searchRegistry.remove(this.mobileSearchEditSelect.value)) {
+            this.renderSearchOptions('');
+            this.loadSearchForm();
+            this.showSearchStatus(`🗑️ Deleted destination "${provider.name}"`, 'success');
+        }
+    }
+    
+    showSearchStatus(message, type) {
+        this.mobileSearchStatus.textContent = message;
+        this.mobileSearchStatus.className = `mobile-connection-status ${type}`;
+    }
+    
+    renderLanguageOptions() {
+        this.mobileLanguageSelect.innerHTML = '';
+        SharedConstants.LANGUAGES.forEach(({ code, name, flag }) => {
+            this.mobileLanguageSelect.appendChild(new Option(`${flag} ${name}`, code));
+        });
+        this.mobileLanguageSelect.value = this.language;
+        this.liveText.lang = this.language;
+        this.typedInput.lang = this.language;
+    }
+    
+    /**
+     * Switch the recognition, prompt and highlighting language - recording carries on
+     */
+    setLanguage(code) {
+        const language = SharedConstants.utils.getLanguage(code);
+        if (!language) return;
+        
+        this.language = language.code;
+        this.locale = new LocaleSupport(language.code);
+        this.voiceCommands.setLanguage(language.code);
+        localStorage.setItem('mobileLanguage', language.code);
+        this.liveText.lang = language.code;
+        this.typedInput.lang = language.code;
+        
+        if (this.recognition) {
+            this.recognition.setLanguage(language.code);
+        }
+        
+        // Suggestions so far were written in the previous language
+        this.hideSuggestions();
+        this.lastValidSuggestions = null;
+        this.lastSuggestionContext = '';
+        this.suggestionCache.clear();
+        this.cancelStaleRequests('');
+        
+        // Re-highlight with the new language's rules
+        if (this.inputMode !== 'typed') {
+            this.updateTextDisplay(this.extractTextFromDisplay());
+        }
+        
+        this.showSpeechStatus(`${language.flag} ${this.isListening ? 'Now listening in' : 'Language set to'} ${language.name}`, 'success');
+        console.log(`🌐 Language: ${language.code}`);
+    }
+    
+    showSpeechStatus(message, type) {
+        this.mobileSpeechStatus.textContent = message;
+        this.mobileSpeechStatus.className = `mobile-connection-status ${type}`;
+    }
+    
     goToDesktopVersion() {
         window.location.href = 'index.html';
     }
@@ -770,14 +1745,6 @@ class MobileSpeechTranscriber {
             if (saved) {
                 const flags = JSON.parse(saved);
                 this.featureFlags = { ...this.featureFlags, ...flags };
-                
-                // Update UI to reflect loaded flags
-                const selectedStyle = this.featureFlags.suggestionStyle || 'default';
-                const radio = document.getElementById(`${selectedStyle}Style`);
-                if (radio) {
-                    radio.checked = true;
-                }
-                
                 console.log('🏁 Feature flags loaded:', this.featureFlags);
             }
         } catch (error) {
@@ -785,6 +1752,9 @@ class MobileSpeechTranscriber {
             // Reset to defaults on error
             this.featureFlags = { suggestionStyle: 'default' };
         }
+        
+        // Update UI to reflect loaded flags
+        this.renderStyleOptions();
     }
     
     saveFeatureFlags() {
@@ -804,41 +1774,141 @@ class MobileSpeechTranscriber {
         }
     }
     
-    // Get appropriate prompt template based on current feature flags
-    getPromptTemplate(text) {
-        const style = this.featureFlags.suggestionStyle || 'default';
+    // Style radios and the editor's style list, from the prompt registry
+    renderStyleOptions(editingId = this.featureFlags.suggestionStyle) {
+        const styles = this.promptRegistry.list();
         
-        if (style === 'keywords') {
-            return {
-                systemMessage: 'You are a helpful assistant that provides short, keyword-style follow-up questions. Be concise and direct - each suggestion should be 1-2 words maximum, asking the most essential next question.',
-                userPrompt: `Someone just said: "${text}"
-
-Provide 3 short, keyword-style follow-up questions (1-2 words each) that ask for the most essential missing information. Think like essential form fields.
-
-Examples:
-- If they mention travel: "Where?" "When?" "Duration?"
-- If they mention food: "Cuisine?" "Budget?" "Location?"
-- If they mention work: "Role?" "Company?" "Timeline?"
-
-Be direct and focused - no explanations, just the essential questions as short keywords.`
-            };
+        // A deleted user style falls back to the default
+        if (!this.promptRegistry.has(this.featureFlags.suggestionStyle)) {
+            this.featureFlags.suggestionStyle = 'default';
         }
         
-        // Default style (current behavior)
+        this.suggestionStyleOptions.innerHTML = '';
+        styles.forEach(style => {
+            const option = document.createElement('div');
+            option.className = 'style-option';
+            
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.id = `${style.id}Style`;
+            radio.name = 'suggestionStyle';
+            radio.value = style.id;
+            radio.checked = style.id === this.featureFlags.suggestionStyle;
+            
+            const label = document.createElement('label');
+            label.htmlFor = radio.id;
+            label.className = 'style-label';
+            [['style-title', style.name], ['style-description', style.description], ['style-example', style.example && `Example: ${style.example}`]]
+                .filter(([, text]) => text)
+                .forEach(([className, text]) => {
+                    const span = document.createElement('span');
+                    span.className = className;
+                    span.textContent = text;
+                    label.appendChild(span);
+                });
+            
+            option.append(radio, label);
+            this.suggestionStyleOptions.appendChild(option);
+        });
+        
+        this.mobileStyleSelect.innerHTML = '';
+        this.mobileStyleSelect.appendChild(new Option('➕ New style', ''));
+        styles.forEach(style => {
+            this.mobileStyleSelect.appendChild(new Option(style.builtIn ? `${style.name} (built-in)` : style.name, style.id));
+        });
+        this.mobileStyleSelect.value = this.promptRegistry.has(editingId) ? editingId : '';
+    }
+    
+    loadStyleForm() {
+        const id = this.mobileStyleSelect.value;
+        const style = id ? this.promptRegistry.get(id) : {
+            name: '', description: '', systemMessage: '', userTemplate: '', maxTokens: 120, maxSuggestions: 3, parser: 'auto'
+        };
+        
+        document.getElementById('mobileStyleName').value = style.name;
+        document.getElementById('mobileStyleDescription').value = style.description;
+        document.getElementById('mobileStyleSystem').value = style.systemMessage;
+        document.getElementById('mobileStyleTemplate').value = style.userTemplate;
+        document.getElementById('mobileStyleMaxTokens').value = style.maxTokens;
+        document.getElementById('mobileStyleMaxSuggestions').value = style.maxSuggestions;
+        document.getElementById('mobileStyleParser').value = style.parser;
+        document.getElementById('mobileStyleDeleteBtn').disabled = !id || style.builtIn;
+    }
+    
+    readStyleForm() {
         return {
-            systemMessage: 'You are a helpful friend having a natural conversation. Your job is to ask the most logical, natural follow-up questions that continue the conversation in a flowing way. Be direct and focused - no pleasantries, excitement, or filler words. Just ask the essential questions that would naturally come next.',
-            userPrompt: `You are having a natural, helpful conversation with someone. They just told you: "${text}"
-
-Think like a helpful friend - what would you naturally ask next to continue this conversation in a flowing, logical way? 
-
-Consider:
-- What's the most immediate next thing you'd want to know?
-- What would make this feel like talking to a real person?
-- What single detail would be most helpful to understand next?
-
-Provide 3 natural, conversational follow-up questions (4-5 words each) that flow logically from what they just said. Be direct and focused - no pleasantries or filler words, just the essential questions.`
+            id: this.mobileStyleSelect.value || undefined,
+            name: document.getElementById('mobileStyleName').value,
+            description: document.getElementById('mobileStyleDescription').value,
+            systemMessage: document.getElementById('mobileStyleSystem').value,
+            userTemplate: document.getElementById('mobileStyleTemplate').value,
+            maxTokens: document.getElementById('mobileStyleMaxTokens').value || undefined,
+            maxSuggestions: document.getElementById('mobileStyleMaxSuggestions').value || undefined,
+            parser: document.getElementById('mobileStyleParser').value
         };
     }
+    
+    saveStyle() {
+        const form = this.readStyleForm();
+        const wasBuiltIn = form.id && this.promptRegistry.get(form.id).builtIn;
+        
+        try {
+            const saved = this.promptRegistry.save(form);
+            this.renderStyleOptions(saved.id);
+            this.loadStyleForm();
+            this.suggestionCache.clear();
+            this.showStyleStatus(wasBuiltIn
+                ? `💾 Built-in styles are read-only - saved as "${saved.name}"`
+                : `💾 Saved style "${saved.name}"`, 'success');
+        } catch (error) {
+            this.showStyleStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    deleteStyle() {
+        const style = this.promptRegistry.get(this.mobileStyleSelect.value);
+        
+        if (this.promptRegistry.remove(this.mobileStyleSelect.value)) {
+            this.renderStyleOptions('');
+            this.loadStyleForm();
+            this.saveFeatureFlags(); // The deleted style may have been the selected one
+            this.showStyleStatus(`🗑️ Deleted style "${style.name}"`, 'success');
+        }
+    }
+    
+    exportStyles() {
+        if (this.promptRegistry.getUserStyles().length === 0) {
+            this.showStyleStatus('⚠️ No custom styles to export yet', 'error');
+            return;
+        }
+        
+        const blob = new Blob([this.promptRegistry.exportStyles()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'prompt-styles.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    async importStyles(file) {
+        if (!file) return;
+        
+        try {
+            const imported = this.promptRegistry.importStyles(await file.text());
+            this.renderStyleOptions(imported[0].id);
+            this.loadStyleForm();
+            this.showStyleStatus(`📥 Imported ${imported.length} style(s)`, 'success');
+        } catch (error) {
+            this.showStyleStatus(`❌ Import failed: ${error.message}`, 'error');
+        } finally {
+            this.mobileStyleImportFile.value = '';
+        }
+    }
+    
+    showStyleStatus(message, type) {
+        this.mobileStyleStatus.textContent = message;
+        this.mobileStyleStatus.className = `mobile-connection-status ${type}`;
+    }
 
     showError(message) {
         console.error('❌', message);
@@ -2,8 +2,23 @@
 class SpeechTranscriber {
     constructor() {
         // Enhanced constructor with persistent suggestions
-        this.recognition = null;
+        this.recognition = null; // SpeechEngine (utils/speech-engine.js)
         this.isListening = false;
+        this.sessionTranscript = ''; // Final text of the current recording session
+        
+        // API keys - kept for this session, or encrypted on this device under a passphrase
+        this.vault = new CredentialVault();
+        
+        // Web Speech, or a Whisper-compatible server - its API key lives in the vault
+        this.speechSettings = this.loadSpeechSettings();
+        
+        // 'speech' or 'typed' - typing is the fallback when speech recognition isn't available
+        this.inputMode = 'speech';
+        
+        // Recognition, prompt and word-count language - one of SharedConstants.LANGUAGES
+        this.language = localStorage.getItem('desktopLanguage') ||
+            (window.config && window.config.get('speech.language')) || 'en-US';
+        this.locale = new LocaleSupport(this.language);
         
         // Pause detection and LLM integration
         this.pauseTimer = null;
@@ -23,24 +38,109 @@ class SpeechTranscriber {
         this.maxLatencyHistory = 10; // Keep last 10 latencies for average
         
         // Prefetch cache system
-        this.suggestionCache = new Map(); // Map<text, {suggestions, source, timestamp, latency}>
-        this.activePrefetchCalls = new Map(); // Map<text, Promise> to track ongoing calls
+        this.suggestionCache = new PrefixSuggestionCache(); // Map-like <text, {suggestions, source, timestamp, latency}> with prefix lookup
+        this.activePrefetchCalls = new Map(); // Map<text, {promise, controller, text}> to track ongoing calls
+        this.activeLLMCall = null; // {controller, text} for the pause-triggered call in flight
+        this.requestStats = { completed: 0, cancelled: 0 }; // LLM calls that finished vs. were superseded
         this.cacheMaxAge = 10000; // 10 seconds cache validity
         this.maxCacheSize = 20; // Maximum cached entries
         this.prefetchDebounceTimer = null;
         this.prefetchDebounceDelay = 200; // 200ms debounce for prefetch calls
         
+        // Earlier utterances and what became of their suggestions, sent as chat history
+        this.conversation = new ConversationContext();
+        
+        // Words the recognizer wasn't sure of - underlined in the preview, click to pick another
+        this.alternatives = new RecognitionAlternatives({
+            threshold: window.config ? window.config.get('speech.lowConfidenceThreshold') : undefined
+        });
+        this.alternativesMenu = null;
+        
+        // Spoken commands ("pick two", "search this", ...) and what "undo last" can take back
+        this.voiceCommands = new VoiceCommands({
+            language: this.language,
+            enabled: !window.config || window.config.isFeatureEnabled('voiceCommands')
+        });
+        this.undoStack = []; // { transcript, text, utterance, suggestion } before each final result or applied suggestion
+        this.maxUndo = 20;
+        
+        // Search destinations - the built-ins, the deployment's and the user's own, shared with the mobile version
+        this.searchRegistry = new SearchProviderRegistry({
+            providers: window.config ? window.config.get('search.providers') : undefined
+        });
+        this.searchProvider = localStorage.getItem('desktopSearchProvider') ||
+            (window.config && window.config.get('search.defaultProvider')) || SearchProviderRegistry.DEFAULT_PROVIDER;
+        this.keepTextAfterSearch = localStorage.getItem('desktopKeepTextAfterSearch') !== 'false'; // Desktop always kept it
+        this.searchMenu = null;
+        
+        // Suggestion styles - the built-ins plus the user's own, shared with the mobile version
+        this.promptRegistry = new PromptTemplateRegistry();
+        this.defaultSuggestionStyle = 'thinking-buddy';
+        this.suggestionStyle = localStorage.getItem('desktopSuggestionStyle') || this.defaultSuggestionStyle;
+        
         // Dynamic LLM configuration - no hardcoded credentials
         this.llmConfig = {
+            provider: 'azure', // 'azure', 'openai', 'anthropic', 'local' (Ollama / llama.cpp) or 'proxy' (utils/proxy-server.js)
             endpoint: '',
             apiKey: '',
             modelName: '',
             deploymentName: '',
             apiVersion: '2024-12-01-preview',
+            fallbackProviders: [], // Service configs tried in order when the main provider fails
             isConfigured: false,
             isConnected: false
         };
         
+        // Config panel fields each provider needs
+        this.providerFields = {
+            azure: {
+                label: 'Azure',
+                fields: ['endpoint', 'apiKey', 'modelName', 'deploymentName'],
+                endpointPlaceholder: 'https://your-service.openai.azure.com/',
+                modelPlaceholder: 'gpt-4o-mini'
+            },
+            openai: { label: 'OpenAI', fields: ['apiKey', 'modelName'], modelPlaceholder: 'gpt-4o-mini' },
+            anthropic: { label: 'Anthropic', fields: ['apiKey', 'modelName'], modelPlaceholder: 'claude-3-5-haiku-latest' },
+            local: {
+                label: 'Local',
+                fields: ['endpoint', 'modelName'],
+                endpointPlaceholder: SharedLLMService.LOCAL_BASE_URL,
+                modelPlaceholder: 'llama3.2'
+            },
+            // The proxy server holds the key and picks the model; the key field takes its team token, if it has one
+            proxy: {
+                label: 'Team Proxy',
+                fields: ['endpoint', 'apiKey'],
+                optionalFields: ['apiKey'],
+                endpointPlaceholder: SharedConstants.ENDPOINTS.PROXY.DEFAULT_HOST,
+                apiKeyPlaceholder: 'Team token (if the proxy has one)',
+                modelPlaceholder: 'Chosen by the proxy server'
+            }
+        };
+        
+        // What is scrubbed from transcripts before they leave the device - the categories
+        // are toggled in the config panel and shared with the mobile version
+        this.sanitizer = new InputSanitizer({
+            enabled: !window.config || window.config.get('security.sanitizeInput') !== false
+        });
+        
+        // Checks on model output before it reaches the suggestions - drop counts per filter
+        // are kept in this.suggestionFilter.stats
+        this.suggestionFilter = new SuggestionFilter(window.config ? window.config.get('suggestionFilter') : {});
+        
+        // All suggestion requests go through the shared LLM service, backed by
+        // an IndexedDB cache so repeated phrases stay instant across reloads.
+        // Retry policy and the rate limit (shared with other tabs) come from
+        // ConfigManager (utils/config.js)
+        this.llmService = new SharedLLMService({
+            provider: 'azure',
+            persistentCache: new PersistentSuggestionCache(),
+            promptRegistry: this.promptRegistry,
+            sanitizer: this.sanitizer,
+            suggestionFilter: this.suggestionFilter,
+            ...this.getServiceSettings()
+        });
+        
         // DOM elements
         this.startBtn = document.getElementById('startBtn');
         this.stopBtn = document.getElementById('stopBtn');
@@ -48,7 +148,11 @@ class SpeechTranscriber {
         this.statusText = document.getElementById('statusText');
         this.statusIndicator = document.getElementById('statusIndicator');
         this.livePreview = document.getElementById('livePreview');
+        this.typedInput = document.getElementById('typedInput');
+        this.typeModeBtn = document.getElementById('typeModeBtn');
+        this.typeModeLabel = document.getElementById('typeModeLabel');
         this.searchBtn = document.getElementById('searchBtn');
+        this.searchMenuBtn = document.getElementById('searchMenuBtn');
         this.supportInfo = document.getElementById('supportInfo');
         this.suggestionsContainer = null; // Will be created dynamically
         
@@ -58,9 +162,36 @@ class SpeechTranscriber {
         this.closeLLMConfigBtn = document.getElementById('closeConfigBtn');
         this.testConnectionBtn = document.getElementById('testConnectionBtn');
         this.saveLLMConfigBtn = document.getElementById('saveLLMConfigBtn');
+        this.clearCacheBtn = document.getElementById('clearCacheBtn');
+        this.llmProviderSelect = document.getElementById('llmProvider');
         this.llmStatus = document.getElementById('llmStatus');
         this.connectionStatus = document.getElementById('connectionStatus');
         
+        // Speech engine UI elements
+        this.speechEngineSelect = document.getElementById('speechEngineSelect');
+        this.speechSettingsStatus = document.getElementById('speechSettingsStatus');
+        
+        // Key storage UI elements
+        this.vaultModeSelect = document.getElementById('vaultMode');
+        this.vaultPassphrase = document.getElementById('vaultPassphrase');
+        this.vaultStatus = document.getElementById('vaultStatus');
+        
+        // Prompt style UI elements
+        this.suggestionStyleSelect = document.getElementById('suggestionStyleSelect');
+        this.languageSelect = document.getElementById('languageSelect');
+        this.promptStyleSelect = document.getElementById('promptStyleSelect');
+        this.promptStyleStatus = document.getElementById('promptStyleStatus');
+        this.promptStyleImportFile = document.getElementById('promptStyleImportFile');
+        
+        // Search destination UI elements
+        this.searchProviderSelect = document.getElementById('searchProviderSelect');
+        this.keepAfterSearchToggle = document.getElementById('keepAfterSearchToggle');
+        this.searchProviderEditSelect = document.getElementById('searchProviderEditSelect');
+        this.searchProviderStatus = document.getElementById('searchProviderStatus');
+        
+        // Privacy filter UI elements
+        this.privacyFilterOptions = document.getElementById('privacyFilterOptions');
+        
         this.init();
     }
     
@@ -68,21 +199,33 @@ class SpeechTranscriber {
         this.checkBrowserSupport();
         this.setupEventListeners();
         this.setupSpeechRecognition();
+        this.setInputMode(this.recognition ? (localStorage.getItem('desktopInputMode') || 'speech') : 'typed');
         this.createSuggestionsUI();
+        this.renderStyleOptions();
+        this.renderLanguageOptions();
+        this.renderSearchOptions();
+        this.loadSearchProviderForm();
+        this.renderPrivacyFilter();
         this.loadLLMConfig(); // Load LLM config after everything is set up
+        this.initCredentials();
     }
     
     checkBrowserSupport() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        const supported = SpeechEngine.isSupported(this.speechSettings);
+        const whisper = this.speechSettings.engine === 'whisper';
+        
+        this.supportInfo.classList.toggle('support-yes', supported);
+        this.supportInfo.classList.toggle('support-no', !supported);
         
-        if (SpeechRecognition) {
-            this.supportInfo.textContent = '✅ Your browser supports speech recognition!';
-            this.supportInfo.classList.add('support-yes');
+        if (supported) {
+            this.supportInfo.textContent = whisper
+                ? '✅ Speech recognition by your Whisper server!'
+                : '✅ Your browser supports speech recognition!';
         } else {
-            this.supportInfo.textContent = '❌ Your browser does not support speech recognition. Please use Chrome, Edge, or Safari.';
-            this.supportInfo.classList.add('support-no');
+            this.supportInfo.textContent = whisper
+                ? '⌨️ Your browser cannot record audio for Whisper - type instead, or switch back to browser speech recognition.'
+                : '⌨️ Your browser does not support speech recognition - type instead, or use Chrome, Edge, or Safari to speak.';
             this.startBtn.disabled = true;
-            this.statusText.textContent = 'Speech recognition not supported';
         }
     }
     
@@ -95,6 +238,16 @@ class SpeechTranscriber {
         if (this.searchBtn) {
             this.searchBtn.addEventListener('click', () => this.performSearch());
         }
+        if (this.searchMenuBtn) {
+            this.searchMenuBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                if (this.searchMenu) {
+                    this.hideSearchMenu();
+                } else {
+                    this.showSearchMenu();
+                }
+            });
+        }
         
         // Keyboard support for search
         this.livePreview.addEventListener('keydown', (e) => {
@@ -107,6 +260,39 @@ class SpeechTranscriber {
         // Make live preview focusable for keyboard events
         this.livePreview.setAttribute('tabindex', '0');
         
+        // Uncertain words open a chooser with the recognizer's other guesses
+        this.livePreview.addEventListener('click', (e) => {
+            const word = e.target.closest('.uncertain-word');
+            if (word) {
+                e.stopPropagation();
+                this.showAlternatives(word);
+            }
+        });
+        document.addEventListener('click', (e) => {
+            if (this.alternativesMenu && !this.alternativesMenu.contains(e.target)) {
+                this.hideAlternatives();
+            }
+            if (this.searchMenu && !this.searchMenu.contains(e.target)) {
+                this.hideSearchMenu();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.hideAlternatives();
+                this.hideSearchMenu();
+            }
+        });
+        
+        // Typed input feeds the same pipeline as speech results
+        this.typeModeBtn.addEventListener('click', () => this.toggleInputMode());
+        this.typedInput.addEventListener('input', () => this.onTypedInput());
+        this.typedInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.performSearch();
+            }
+        });
+        
         // LLM Configuration event listeners
         if (this.openLLMConfigBtn) {
             this.openLLMConfigBtn.addEventListener('click', () => {
@@ -125,6 +311,56 @@ class SpeechTranscriber {
         if (this.saveLLMConfigBtn) {
             this.saveLLMConfigBtn.addEventListener('click', () => this.saveLLMConfiguration());
         }
+        if (this.clearCacheBtn) {
+            this.clearCacheBtn.addEventListener('click', () => this.clearSuggestionCache());
+        }
+        if (this.llmProviderSelect) {
+            this.llmProviderSelect.addEventListener('change', () => this.updateProviderFields());
+        }
+        
+        // Speech engine event listeners
+        this.speechEngineSelect.addEventListener('change', () => this.updateSpeechEngineFields());
+        document.getElementById('saveSpeechSettingsBtn').addEventListener('click', () => this.saveSpeechSettings());
+        
+        // Key storage event listeners
+        if (this.vaultModeSelect) {
+            this.vaultModeSelect.addEventListener('change', () => this.updateVaultFields());
+            document.getElementById('vaultUnlockBtn').addEventListener('click', () => this.unlockCredentials());
+            document.getElementById('vaultSaveBtn').addEventListener('click', () => this.saveVaultSettings());
+            document.getElementById('vaultLockBtn').addEventListener('click', () => this.lockCredentials());
+            document.getElementById('vaultForgetBtn').addEventListener('click', () => this.forgetCredentials());
+        }
+        
+        if (this.languageSelect) {
+            this.languageSelect.addEventListener('change', () => this.setLanguage(this.languageSelect.value));
+        }
+        
+        // Search destination event listeners
+        if (this.searchProviderSelect) {
+            this.searchProviderSelect.addEventListener('change', () => this.setSearchProvider(this.searchProviderSelect.value));
+            this.keepAfterSearchToggle.addEventListener('change', () => {
+                this.keepTextAfterSearch = this.keepAfterSearchToggle.checked;
+                localStorage.setItem('desktopKeepTextAfterSearch', String(this.keepTextAfterSearch));
+            });
+        }
+        if (this.searchProviderEditSelect) {
+            this.searchProviderEditSelect.addEventListener('change', () => this.loadSearchProviderForm());
+            document.getElementById('searchProviderSaveBtn').addEventListener('click', () => this.saveSearchProvider());
+            document.getElementById('searchProviderDeleteBtn').addEventListener('click', () => this.deleteSearchProvider());
+        }
+        
+        // Prompt style event listeners
+        if (this.suggestionStyleSelect) {
+            this.suggestionStyleSelect.addEventListener('change', () => this.setSuggestionStyle(this.suggestionStyleSelect.value));
+        }
+        if (this.promptStyleSelect) {
+            this.promptStyleSelect.addEventListener('change', () => this.loadPromptStyleForm());
+            document.getElementById('promptStyleSaveBtn').addEventListener('click', () => this.savePromptStyle());
+            document.getElementById('promptStyleDeleteBtn').addEventListener('click', () => this.deletePromptStyle());
+            document.getElementById('promptStyleExportBtn').addEventListener('click', () => this.exportPromptStyles());
+            document.getElementById('promptStyleImportBtn').addEventListener('click', () => this.promptStyleImportFile.click());
+            this.promptStyleImportFile.addEventListener('change', () => this.importPromptStyles(this.promptStyleImportFile.files[0]));
+        }
         
         // Settings event listeners
         const pauseDelaySlider = document.getElementById('pauseDelaySlider');
@@ -139,25 +375,22 @@ class SpeechTranscriber {
     }
     
     setupSpeechRecognition() {
-        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        this.recognition = SpeechEngine.create({
+            ...this.speechSettings,
+            language: this.language,
+            maxAlternatives: window.config ? window.config.get('speech.maxAlternatives') : undefined
+        });
         
-        if (!SpeechRecognition) {
+        if (!this.recognition) {
             return;
         }
         
-        this.recognition = new SpeechRecognition();
-        
-        // Configure recognition settings
-        this.recognition.continuous = true;
-        this.recognition.interimResults = true;
-        this.recognition.lang = 'en-US';
-        this.recognition.maxAlternatives = 1;
-        
         // Event handlers
-        this.recognition.onstart = () => this.onRecognitionStart();
-        this.recognition.onresult = (event) => this.onRecognitionResult(event);
-        this.recognition.onerror = (event) => this.onRecognitionError(event);
-        this.recognition.onend = () => this.onRecognitionEnd();
+        this.recognition.setCallback('onStart', () => this.onRecognitionStart());
+        this.recognition.setCallback('onInterim', (text) => this.onRecognitionInterim(text));
+        this.recognition.setCallback('onFinal', (text, details) => this.onRecognitionFinal(text, details));
+        this.recognition.setCallback('onError', (error) => this.onRecognitionError(error));
+        this.recognition.setCallback('onEnd', () => this.onRecognitionEnd());
     }
     
     startRecording() {
@@ -184,6 +417,8 @@ class SpeechTranscriber {
     }
     
     onRecognitionStart() {
+        this.sessionTranscript = '';
+        this.undoStack = []; // The previous session's text is gone from the preview
         this.statusText.textContent = '🎤 Listening... Speak now!';
         this.statusIndicator.classList.add('listening');
         this.startBtn.disabled = true;
@@ -191,19 +426,91 @@ class SpeechTranscriber {
         document.body.classList.add('recording');
     }
     
-    onRecognitionResult(event) {
-        let fullText = '';
+    onRecognitionFinal(text, details) {
+        if (this.inputMode === 'typed') return; // Late results after switching to typing
+        
+        const command = this.getVoiceCommand(text);
+        if (command) {
+            // The alternatives belong to the whole result, command words included
+            if (command.remainder) this.addFinalText(command.remainder, {});
+            this.runVoiceCommand(command);
+            return;
+        }
         
-        // Build complete text from all results
-        for (let i = 0; i < event.results.length; i++) {
-            fullText += event.results[i][0].transcript;
-            if (event.results[i].isFinal) {
-                fullText += ' ';
-            }
+        this.addFinalText(text, details);
+    }
+    
+    addFinalText(text, details) {
+        this.pushUndo({ transcript: this.sessionTranscript, text: this.sessionTranscript, utterance: text });
+        this.sessionTranscript += text + ' ';
+        this.conversation.addUtterance(text);
+        this.alternatives.addResult(text, details);
+        this.onTranscriptUpdate(this.sessionTranscript);
+    }
+    
+    onRecognitionInterim(text) {
+        if (this.inputMode === 'typed') return;
+        
+        // A command being spoken stays out of the preview
+        this.onTranscriptUpdate(this.sessionTranscript + this.voiceCommands.strip(text));
+    }
+    
+    /**
+     * The command ending a final result, or null - picking a suggestion that
+     * isn't on screen is just something the user said
+     */
+    getVoiceCommand(text) {
+        const command = this.voiceCommands.parse(text);
+        if (command && command.name === 'pick' && !this.getSuggestionChips()[command.index]) {
+            return null;
+        }
+        return command;
+    }
+    
+    runVoiceCommand(command) {
+        console.log(`🗣️ Voice command: ${command.name} ("${command.phrase}")`);
+        
+        const actions = {
+            pick: () => this.pickSuggestion(command.index),
+            clear: () => this.clearTranscription(),
+            search: () => this.performSearch(),
+            undo: () => this.undoLast(),
+            stop: () => this.stopRecording()
+        };
+        actions[command.name]();
+    }
+    
+    pushUndo(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.maxUndo) {
+            this.undoStack.shift();
+        }
+    }
+    
+    // Take back the last final result or applied suggestion
+    undoLast() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.statusText.textContent = '↩️ Nothing to undo';
+            return;
         }
         
+        this.sessionTranscript = entry.transcript;
+        if (entry.utterance) this.conversation.removeUtterance(entry.utterance);
+        if (entry.suggestion) this.conversation.unapply(entry.suggestion);
+        
+        this.hideSuggestions();
+        this.onTranscriptUpdate(entry.text);
+        this.lastInterimText = entry.text;
+        this.statusText.textContent = `↩️ Removed "${entry.suggestion || entry.utterance}"`;
+    }
+    
+    onTranscriptUpdate(fullText) {
         this.updateLivePreview(fullText);
         
+        // Abort calls for text the user has already talked past
+        this.cancelStaleRequests(fullText);
+        
         // Trigger prefetch for partial transcripts
         this.triggerPrefetch(fullText);
         
@@ -237,13 +544,25 @@ class SpeechTranscriber {
         
         this.showError(errorMessage);
         this.updateUI('error');
+        
+        // Without a usable microphone, typing is the only way in
+        if (['not-allowed', 'service-not-allowed', 'audio-capture'].includes(event.error)) {
+            this.setInputMode('typed');
+            this.statusText.textContent = `⌨️ ${errorMessage} Switched to typing.`;
+        }
     }
     
     onRecognitionEnd() {
         this.isListening = false;
-        this.updateUI('stopped');
         document.body.classList.remove('recording');
         
+        // Switched to typing meanwhile - its status and timers carry on
+        if (this.inputMode === 'typed') {
+            return;
+        }
+        
+        this.updateUI('stopped');
+        
         // Remove speaking animation from live preview
         this.livePreview.classList.remove('speaking');
         
@@ -304,6 +623,52 @@ class SpeechTranscriber {
         }
     }
     
+    // Switch between speaking and typing, carrying the current text across
+    setInputMode(mode) {
+        const typed = mode === 'typed';
+        const text = this.getCurrentText();
+        
+        if (typed && this.isListening) {
+            this.stopRecording();
+        }
+        
+        this.inputMode = typed ? 'typed' : 'speech';
+        this.livePreview.hidden = typed;
+        this.typedInput.hidden = !typed;
+        this.startBtn.disabled = typed || !this.recognition;
+        this.stopBtn.disabled = true;
+        this.typeModeBtn.disabled = !this.recognition; // No speech to switch back to
+        this.typeModeLabel.textContent = typed ? 'Use Voice' : 'Type Instead';
+        
+        if (typed) {
+            this.typedInput.value = text;
+            this.typedInput.focus();
+            this.statusText.textContent = '⌨️ Typing mode - pause to get suggestions.';
+        } else {
+            this.updateLivePreview(text);
+            this.statusText.textContent = 'Ready to start transcription';
+        }
+    }
+    
+    toggleInputMode() {
+        this.setInputMode(this.inputMode === 'typed' ? 'speech' : 'typed');
+        localStorage.setItem('desktopInputMode', this.inputMode);
+    }
+    
+    // Keystrokes go through the same cancel, prefetch and pause detection as speech results
+    onTypedInput() {
+        const text = this.typedInput.value;
+        
+        this.conversation.addTypedText(text);
+        this.cancelStaleRequests(text);
+        this.triggerPrefetch(text);
+        this.handlePauseDetection(text);
+    }
+    
+    getCurrentText() {
+        return this.inputMode === 'typed' ? this.typedInput.value : this.extractTextFromPreview();
+    }
+    
     updateTranscriptionOutput() {
         // This method is no longer needed - keeping for compatibility
     }
@@ -314,18 +679,80 @@ class SpeechTranscriber {
     
     updateLivePreview(text) {
         if (text.trim()) {
-            this.livePreview.textContent = text;
+            // Text nodes, with a span around each uncertain word
+            this.livePreview.replaceChildren(...this.alternatives.segment(text).map(part => {
+                if (!part.entry) {
+                    return document.createTextNode(part.text);
+                }
+                const word = document.createElement('span');
+                word.className = 'uncertain-word';
+                word.dataset.alternativeId = part.entry.id;
+                word.title = `Not sure - maybe "${part.entry.options.join('" or "')}"? Click to choose`;
+                word.textContent = part.text;
+                return word;
+            }));
             this.livePreview.classList.add('speaking');
         } else {
             this.livePreview.innerHTML = '<p class="placeholder">Start speaking and your words will appear here in real-time...</p>';
             this.livePreview.classList.remove('speaking');
         }
+        this.hideAlternatives();
+    }
+    
+    showAlternatives(word) {
+        const entry = this.alternatives.getEntry(Number(word.dataset.alternativeId));
+        this.hideAlternatives();
+        if (!entry) return;
+        
+        const menu = document.createElement('div');
+        menu.className = 'alternatives-menu';
+        menu.setAttribute('role', 'menu');
+        entry.options.forEach(option => {
+            const button = document.createElement('button');
+            button.className = 'alternative-option';
+            button.setAttribute('role', 'menuitem');
+            button.textContent = option;
+            button.addEventListener('click', () => this.pickAlternative(entry.id, option));
+            menu.appendChild(button);
+        });
+        
+        const rect = word.getBoundingClientRect();
+        menu.style.left = `${rect.left + window.scrollX}px`;
+        menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+        document.body.appendChild(menu);
+        this.alternativesMenu = menu;
+        menu.querySelector('button').focus();
+    }
+    
+    hideAlternatives() {
+        if (this.alternativesMenu) {
+            this.alternativesMenu.remove();
+            this.alternativesMenu = null;
+        }
+    }
+    
+    pickAlternative(id, option) {
+        const change = this.alternatives.pick(id, option);
+        this.hideAlternatives();
+        if (!change) return;
+        
+        this.sessionTranscript = this.sessionTranscript.replace(change.from, change.to);
+        this.conversation.replaceUtterance(change.from, change.to);
+        this.onTranscriptUpdate(this.extractTextFromPreview().replace(change.from, change.to));
+        this.statusText.textContent = `✏️ Changed to "${option}"`;
     }
     
     clearTranscription() {
         this.livePreview.innerHTML = '<p class="placeholder">Start speaking and your words will appear here in real-time...</p>';
         this.livePreview.classList.remove('speaking');
-        this.statusText.textContent = 'Live preview cleared. Ready to start recording.';
+        this.typedInput.value = '';
+        this.sessionTranscript = ''; // Otherwise the next result brings the cleared text back
+        this.alternatives.clear();
+        this.hideAlternatives();
+        this.undoStack = [];
+        this.statusText.textContent = this.inputMode === 'typed'
+            ? '⌨️ Text cleared. Start typing.'
+            : 'Live preview cleared. Ready to start recording.';
         this.statusIndicator.classList.remove('listening', 'error');
         
         // Hide suggestions and clear timers
@@ -349,36 +776,79 @@ class SpeechTranscriber {
         this.lastValidSuggestions = null;
         this.lastSuggestionContext = '';
         
-        // Clear cache when manually clearing
+        // Clear cache when manually clearing; the conversation history stays,
+        // so what was said before the clear still informs the next suggestions
         this.suggestionCache.clear();
+        this.cancelStaleRequests('');
         this.activePrefetchCalls.clear();
     }
     
-    performSearch() {
-        // Get the current text from the live preview
-        const searchText = this.extractTextFromPreview();
+    /**
+     * Search the current text with the default destination, or `providerId` just this once
+     */
+    performSearch(providerId = this.searchProvider) {
+        // Get the current text from the live preview or the typed input
+        const searchText = this.getCurrentText();
         
         if (!searchText || searchText.trim().length === 0) {
-            this.statusText.textContent = '⚠️ No text to search for. Please speak something first.';
+            this.statusText.textContent = '⚠️ No text to search for. Please speak or type something first.';
             return;
         }
         
-        // Clear suggestions when performing search
+        // Clear suggestions when performing search - the conversation is done
         this.hideSuggestions();
         this.lastValidSuggestions = null;
         this.lastSuggestionContext = '';
+        this.conversation.clear();
+        this.alternatives.clear();
+        this.undoStack = [];
         
-        // Open Bing Copilot search for AI answers in new tab
-        const searchQuery = encodeURIComponent(searchText.trim());
-        const bingCopilotUrl = `https://www.bing.com/copilotsearch?q=${searchQuery}&FORM=CSSCOP`;
-        
-        // Update status
-        this.statusText.textContent = `🤖 AI Search for: "${searchText.trim()}"`;
+        const provider = this.searchRegistry.get(providerId);
+        const searchUrl = this.searchRegistry.buildUrl(provider.id, searchText);
         
         // Open in new tab
-        window.open(bingCopilotUrl, '_blank');
+        window.open(searchUrl, '_blank');
         
-        console.log(`AI Search executed: "${searchText.trim()}" -> ${bingCopilotUrl}`);
+        console.log(`Search executed: "${searchText.trim()}" -> ${searchUrl}`);
+        
+        if (!this.keepTextAfterSearch) {
+            this.clearTranscription();
+        }
+        this.statusText.textContent = `🔎 ${provider.name} search for: "${searchText.trim()}"`;
+    }
+    
+    showSearchMenu() {
+        this.hideSearchMenu();
+        
+        const menu = document.createElement('div');
+        menu.className = 'search-menu';
+        menu.setAttribute('role', 'menu');
+        this.searchRegistry.list().forEach(provider => {
+            const button = document.createElement('button');
+            button.className = 'search-option';
+            button.setAttribute('role', 'menuitem');
+            button.textContent = provider.id === this.searchProvider ? `${provider.name} (default)` : provider.name;
+            button.addEventListener('click', () => {
+                this.hideSearchMenu();
+                this.performSearch(provider.id);
+            });
+            menu.appendChild(button);
+        });
+        
+        // Right-aligned under the button, which sits at the right edge of the preview
+        const rect = this.searchMenuBtn.getBoundingClientRect();
+        menu.style.right = `${document.documentElement.clientWidth - rect.right - window.scrollX}px`;
+        menu.style.top = `${rect.bottom + window.scrollY + 4}px`;
+        document.body.appendChild(menu);
+        this.searchMenu = menu;
+        menu.querySelector('button').focus();
+    }
+    
+    hideSearchMenu() {
+        if (this.searchMenu) {
+            this.searchMenu.remove();
+            this.searchMenu = null;
+        }
     }
     
     extractTextFromPreview() {
@@ -474,7 +944,7 @@ class SpeechTranscriber {
         }
         
         // Check if user has spoken at least 3 words before triggering LLM
-        const wordCount = incompleteText.trim().split(/\s+/).length;
+        const wordCount = this.locale.countWords(incompleteText);
         if (wordCount < 3) {
             console.log(`Only ${wordCount} word(s) spoken, need at least 3 for LLM suggestions`);
             return;
@@ -484,12 +954,33 @@ class SpeechTranscriber {
         this.apiCallStartTime = performance.now();
         this.showLoadingSuggestions();
         
+        const controller = new AbortController();
+        this.activeLLMCall = { controller, text: incompleteText };
+        
         try {
-            const suggestions = await this.callLLMAPI(incompleteText);
-            this.lastApiLatency = performance.now() - this.apiCallStartTime;
+            const result = await this.callLLMAPI(incompleteText, {
+                signal: controller.signal,
+                onSuggestion: (suggestion, index) => this.showStreamedSuggestion(suggestion, index),
+                onRetry: (attempt, maxAttempts) => this.showRetryStatus(attempt, maxAttempts)
+            });
+            this.lastApiLatency = result.latency;
             this.updateLatencyHistory(this.lastApiLatency);
-            this.displaySuggestions(suggestions, 'llm');
+            this.displaySuggestions(result.suggestions, 'llm', result.latency, result.source === 'cache', result.provider);
+            
+            if (result.firstSuggestionLatency) {
+                this.latencyDisplay.textContent += ` · first in ${result.firstSuggestionLatency.toFixed(0)}ms`;
+            }
         } catch (error) {
+            if (error.cancelled) {
+                // The transcript moved on - the next pause brings fresh suggestions
+                if (this.lastValidSuggestions) {
+                    this.showLastValidSuggestions();
+                } else {
+                    this.hideSuggestions();
+                }
+                return;
+            }
+            
             console.error('LLM API Error:', error);
             this.lastApiLatency = performance.now() - this.apiCallStartTime;
             this.updateLatencyHistory(this.lastApiLatency);
@@ -497,66 +988,52 @@ class SpeechTranscriber {
             this.displaySuggestions(fallbackSuggestions, 'fallback');
         } finally {
             this.isProcessingLLM = false;
+            if (this.activeLLMCall && this.activeLLMCall.controller === controller) {
+                this.activeLLMCall = null;
+            }
         }
     }
     
-    // Enhanced LLM prompt strategy: "Thinking Buddy" approach
-    // Transforms from completion-based to curiosity-driven suggestions
-    // Focus: Fast, intelligent, casual questions that encourage depth
-    async callLLMAPI(incompleteText) {
+    // Prompt, token budget and parser come from the selected style in the prompt
+    // registry - by default "Thinking Buddy": fast, casual questions that encourage depth.
+    // Resolves to the SharedLLMService result: { suggestions, source, timestamp, latency }
+    // Pass options.onSuggestion to stream suggestions in as they complete and
+    // options.signal to cancel; a cancelled call throws an error with `cancelled` set.
+    // options.onRetry(attempt, maxAttempts) fires before each retry of a failed request
+    async callLLMAPI(incompleteText, options = {}) {
         if (!this.llmConfig.isConfigured) {
             throw new Error('LLM not configured. Please configure your LLM settings.');
         }
-
-        const url = `${this.llmConfig.endpoint}openai/deployments/${this.llmConfig.deploymentName}/chat/completions?api-version=${this.llmConfig.apiVersion}`;
-        
-        const prompt = `The user just said: "${incompleteText}" and paused. What 3 casual, friendly questions would help them think of more details to add? Think like their inner voice encouraging them to elaborate naturally.`;
         
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'api-key': this.llmConfig.apiKey
-            },
-            body: JSON.stringify({
-                messages: [
-                    {
-                        role: "system",
-                        content: "You're like a thoughtful friend helping someone think through what they're saying. When they pause, suggest 3 casual, conversational questions that would naturally help them add more interesting details. Keep questions short (2-5 words), friendly, and focused on going deeper into what they mentioned. Use casual language like 'what kind?', 'with who?', 'how come?', 'when exactly?'. Format as three separate questions, each ending with '?'. Example format: what kind?, with who?, when exactly?"
-                    },
-                    {
-                        role: "user",
-                        content: prompt
-                    }
-                ],
-                max_tokens: 50,
-                temperature: 0.7
-            })
+        const result = await this.llmService.generateSuggestions(incompleteText, {
+            style: this.suggestionStyle,
+            language: this.language,
+            onSuggestion: options.onSuggestion,
+            onRetry: options.onRetry,
+            priority: options.priority,
+            signal: options.signal,
+            ...this.conversation.toRequestContext(incompleteText),
+            ...this.alternatives.toRequestContext(incompleteText)
         });
         
-        if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+        if (result.source === 'cancelled') {
+            this.requestStats.cancelled++;
+            const error = new Error('Request cancelled');
+            error.cancelled = true;
+            throw error;
         }
         
-        const data = await response.json();
-        const content = data.choices[0].message.content;
+        if (result.source === 'llm') {
+            this.requestStats.completed++;
+        }
         
-        // Enhanced parsing for question-based suggestions
-        // Handle both comma-separated and question mark separated formats
-        let suggestions;
-        if (content.includes('?')) {
-            // Split by question marks and clean up
-            suggestions = content.split('?')
-                .map(s => s.trim())
-                .filter(s => s.length > 0)
-                .map(s => s + '?') // Re-add question marks
-                .slice(0, 3);
-        } else {
-            // Fallback to comma separation
-            suggestions = content.split(',').map(s => s.trim()).slice(0, 3);
+        if (result.source !== 'llm' && result.source !== 'cache') {
+            const error = new Error(result.error || 'LLM request failed');
+            error.rateLimited = result.rateLimited;
+            throw error;
         }
         
-        return suggestions;
+        return result;
     }
     
     getFallbackSuggestions(incompleteText) {
@@ -585,7 +1062,32 @@ class SpeechTranscriber {
         this.suggestionsContainer.style.display = 'block';
     }
     
-    displaySuggestions(suggestions, source, latency = null, isFromCache = false) {
+    showRetryStatus(attempt, maxAttempts) {
+        console.log(`🔄 Retrying LLM request (${attempt}/${maxAttempts})`);
+        this.latencyDisplay.textContent = `🔄 retrying (${attempt}/${maxAttempts})...`;
+        this.latencyDisplay.className = 'latency-display loading-latency';
+    }
+    
+    // Fill chips one by one while a streamed response is still arriving
+    showStreamedSuggestion(suggestion, index) {
+        if (index === 0) {
+            this.suggestionsChips.innerHTML = '';
+        }
+        
+        const chip = document.createElement('div');
+        chip.className = 'suggestion-chip';
+        chip.textContent = suggestion;
+        chip.onclick = () => this.applySuggestion(suggestion);
+        
+        if (index < 3) {
+            chip.title = `Click or press ${index + 1} to apply`;
+        }
+        
+        this.suggestionsChips.appendChild(chip);
+        this.suggestionsContainer.style.display = 'block';
+    }
+    
+    displaySuggestions(suggestions, source, latency = null, isFromCache = false, provider = null) {
         if (!suggestions || suggestions.length === 0) {
             // Don't hide immediately, try to show last valid suggestions
             this.showLastValidSuggestions();
@@ -598,9 +1100,14 @@ class SpeechTranscriber {
             source: source,
             latency: latency,
             isFromCache: isFromCache,
-            context: this.livePreview.textContent || ''
+            context: this.getCurrentText()
         };
         
+        // Generic fallbacks say nothing about what the user skipped
+        if (source !== 'fallback') {
+            this.conversation.recordShown(suggestions);
+        }
+        
         this.suggestionsChips.innerHTML = '';
         
         suggestions.forEach((suggestion, index) => {
@@ -619,7 +1126,10 @@ class SpeechTranscriber {
         
         // Update source indicator and latency
         if (source === 'llm') {
-            this.suggestionsSource.textContent = isFromCache ? '(AI Cached)' : '(AI Powered)';
+            // Name the provider that answered - it differs from the configured one after a failover
+            const providerInfo = this.providerFields[provider];
+            const providerLabel = providerInfo ? ` · ${providerInfo.label}` : '';
+            this.suggestionsSource.textContent = isFromCache ? `(AI Cached${providerLabel})` : `(AI Powered${providerLabel})`;
             this.suggestionsSource.className = isFromCache ? 'suggestions-source llm-cached-source' : 'suggestions-source llm-source';
             
             if (latency !== null) {
@@ -628,9 +1138,15 @@ class SpeechTranscriber {
                 if (avgLatency && this.latencyHistory.length > 1 && !isFromCache) {
                     latencyText += ` (avg: ${avgLatency.toFixed(0)}ms)`;
                 }
+                latencyText += this.getRequestStatsText();
                 this.latencyDisplay.textContent = latencyText;
                 this.latencyDisplay.className = isFromCache ? 'latency-display cached-latency' : 'latency-display llm-latency';
             }
+        } else if (source === 'prefix-cache') {
+            this.suggestionsSource.textContent = '(Prefix Cache)';
+            this.suggestionsSource.className = 'suggestions-source prefix-cache-source';
+            this.latencyDisplay.textContent = '⚡ Instant (prefix)';
+            this.latencyDisplay.className = 'latency-display cached-latency';
         } else {
             this.suggestionsSource.textContent = '(Fallback)';
             this.suggestionsSource.className = 'suggestions-source fallback-source';
@@ -692,16 +1208,39 @@ class SpeechTranscriber {
     
     applySuggestion(suggestion) {
         // Get current text and add the suggestion
-        const currentText = this.livePreview.textContent || '';
-        const newText = currentText.replace(/Start speaking.*$/, '').trim() + ' ' + suggestion + ' ';
+        const currentText = this.getCurrentText();
+        const newText = currentText.trim() + ' ' + suggestion + ' ';
         
-        this.updateLivePreview(newText);
+        if (this.inputMode === 'typed') {
+            this.typedInput.value = newText;
+            this.typedInput.focus();
+            this.typedInput.setSelectionRange(newText.length, newText.length);
+        } else {
+            this.pushUndo({ transcript: this.sessionTranscript, text: currentText, suggestion });
+            this.updateLivePreview(newText);
+        }
         this.hideSuggestions();
+        this.conversation.recordApplied(suggestion);
         
         // Update the last interim text to prevent immediate re-triggering
         this.lastInterimText = newText;
     }
     
+    getSuggestionChips() {
+        if (!this.suggestionsContainer || this.suggestionsContainer.style.display === 'none') {
+            return [];
+        }
+        return this.suggestionsContainer.querySelectorAll('.suggestion-chip:not(.loading)');
+    }
+    
+    // Apply the suggestion at `index` as shown, for the 1-3 keys and "pick two"
+    pickSuggestion(index) {
+        const chip = this.getSuggestionChips()[index];
+        if (chip) {
+            chip.click();
+        }
+    }
+    
     hideSuggestions() {
         if (this.suggestionsContainer) {
             this.suggestionsContainer.style.display = 'none';
@@ -727,7 +1266,7 @@ class SpeechTranscriber {
         const cacheKey = text.trim().toLowerCase();
         
         // Check if we have enough words for meaningful suggestions
-        const wordCount = text.trim().split(/\s+/).length;
+        const wordCount = this.locale.countWords(text);
         if (wordCount < 3) {
             return; // Not enough words for quality suggestions
         }
@@ -743,8 +1282,9 @@ class SpeechTranscriber {
         }
         
         // Start prefetch call
-        const prefetchPromise = this.performPrefetch(text, cacheKey);
-        this.activePrefetchCalls.set(cacheKey, prefetchPromise);
+        const controller = new AbortController();
+        const prefetchPromise = this.performPrefetch(text, cacheKey, controller.signal);
+        this.activePrefetchCalls.set(cacheKey, { promise: prefetchPromise, controller, text });
         
         try {
             await prefetchPromise;
@@ -755,25 +1295,30 @@ class SpeechTranscriber {
         }
     }
     
-    async performPrefetch(text, cacheKey) {
+    async performPrefetch(text, cacheKey, signal) {
         const startTime = performance.now();
         
         try {
-            const suggestions = await this.callLLMAPI(text);
-            const latency = performance.now() - startTime;
+            // Prefetches take the low-priority lane of the rate limiter
+            const result = await this.callLLMAPI(text, { signal, priority: 'low' });
             
             // Cache the successful result
             this.cacheResult(cacheKey, {
-                suggestions,
+                suggestions: result.suggestions,
                 source: 'llm',
-                timestamp: Date.now(),
-                latency
+                provider: result.provider,
+                timestamp: result.timestamp,
+                latency: result.latency
             });
             
             // If this is the most recent text and suggestions are currently showing, update them
-            this.maybeUpdateDisplayedSuggestions(text, suggestions, 'llm', latency);
+            this.maybeUpdateDisplayedSuggestions(text, result.suggestions, 'llm', result.latency, result.provider);
             
         } catch (error) {
+            if (error.cancelled || error.rateLimited) {
+                return; // Superseded by newer speech or out of budget - nothing worth caching
+            }
+            
             const latency = performance.now() - startTime;
             
             // Cache fallback suggestions
@@ -789,16 +1334,57 @@ class SpeechTranscriber {
         }
     }
     
+    // Abort in-flight calls whose text is no longer a prefix of the live transcript
+    cancelStaleRequests(liveText) {
+        const live = this.normalizeTranscript(liveText);
+        // Still current while the live transcript is the request's text or that text plus more words
+        const isStale = (text) => {
+            const prefix = this.normalizeTranscript(text);
+            return !live || (live !== prefix && !live.startsWith(`${prefix} `));
+        };
+        
+        for (const call of this.activePrefetchCalls.values()) {
+            if (isStale(call.text)) {
+                call.controller.abort();
+            }
+        }
+        
+        if (this.activeLLMCall && isStale(this.activeLLMCall.text)) {
+            this.activeLLMCall.controller.abort();
+        }
+    }
+    
+    normalizeTranscript(text) {
+        return text.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+    
+    getRequestStatsText() {
+        const { completed, cancelled } = this.requestStats;
+        const filtered = this.suggestionFilter.getDroppedCount();
+        return (cancelled > 0 ? ` · ${completed} done / ${cancelled} cancelled` : '') +
+            (filtered > 0 ? ` · ${filtered} filtered` : '');
+    }
+    
     showCachedSuggestions(text) {
         const cacheKey = text.trim().toLowerCase();
         const cached = this.suggestionCache.get(cacheKey);
         
         if (cached && this.isCacheValid(cacheKey)) {
             // Show cached suggestions instantly
-            this.displaySuggestions(cached.suggestions, cached.source, cached.latency, true);
+            this.displaySuggestions(cached.suggestions, cached.source, cached.latency, true, cached.provider);
+            return;
+        }
+        
+        // Reuse suggestions for the longest cached prefix, minus the ones already answered;
+        // the prefetch for the full text replaces them when it lands
+        const prefixMatch = this.suggestionCache.lookupPrefix(cacheKey,
+            (entry) => entry.source === 'llm' && Date.now() - entry.timestamp < this.cacheMaxAge);
+        
+        if (prefixMatch) {
+            this.displaySuggestions(prefixMatch.suggestions, 'prefix-cache', prefixMatch.latency, true);
         } else {
             // Check if we have enough words for meaningful suggestions
-            const wordCount = text.trim().split(/\s+/).length;
+            const wordCount = this.locale.countWords(text);
             if (wordCount >= 3) {
                 // No cache available but we have meaningful text
                 // Show last valid suggestions if available, otherwise trigger new LLM call
@@ -812,14 +1398,14 @@ class SpeechTranscriber {
         }
     }
     
-    maybeUpdateDisplayedSuggestions(text, suggestions, source, latency) {
+    maybeUpdateDisplayedSuggestions(text, suggestions, source, latency, provider = null) {
         // Only update if suggestions are currently visible and this matches the current text
         if (this.suggestionsContainer && 
             this.suggestionsContainer.style.display === 'block' &&
             text.trim().toLowerCase() === this.lastInterimText.trim().toLowerCase()) {
             
             // Quietly update the displayed suggestions
-            this.displaySuggestions(suggestions, source, latency, false);
+            this.displaySuggestions(suggestions, source, latency, false, provider);
         }
     }
     
@@ -858,6 +1444,205 @@ class SpeechTranscriber {
         }
     }
     
+    // === SPEECH ENGINE SETTINGS ===
+    
+    loadSpeechSettings() {
+        const defaults = { engine: 'webspeech', endpoint: '', apiKey: this.vault.get('desktop.whisper'), model: '' };
+        try {
+            return { ...defaults, ...JSON.parse(localStorage.getItem('desktopSpeechEngine') || '{}'), apiKey: defaults.apiKey };
+        } catch (error) {
+            console.warn('Failed to load speech engine settings:', error);
+            return defaults;
+        }
+    }
+    
+    loadSpeechSettingsFields() {
+        this.speechEngineSelect.value = this.speechSettings.engine;
+        document.getElementById('whisperEndpoint').value = this.speechSettings.endpoint;
+        document.getElementById('whisperApiKey').value = this.speechSettings.apiKey;
+        document.getElementById('whisperModel').value = this.speechSettings.model;
+        this.speechSettingsStatus.style.display = 'none';
+        this.updateSpeechEngineFields();
+    }
+    
+    updateSpeechEngineFields() {
+        document.getElementById('whisperFields').hidden = this.speechEngineSelect.value !== 'whisper';
+    }
+    
+    async saveSpeechSettings() {
+        const settings = {
+            engine: this.speechEngineSelect.value,
+            endpoint: document.getElementById('whisperEndpoint').value.trim(),
+            apiKey: document.getElementById('whisperApiKey').value.trim(), // Optional - local servers need none
+            model: document.getElementById('whisperModel').value.trim()
+        };
+        
+        if (settings.engine === 'whisper') {
+            if (!/^https?:\/\/[^/?#\s]+/i.test(settings.endpoint)) {
+                this.showSpeechSettingsStatus('Endpoint should look like http://127.0.0.1:8080/inference', 'error');
+                return;
+            }
+            if (!SpeechEngine.isSupported(settings)) {
+                this.showSpeechSettingsStatus('This browser cannot record audio for Whisper', 'error');
+                return;
+            }
+        }
+        
+        try {
+            await this.vault.set('desktop.whisper', settings.apiKey);
+        } catch (error) {
+            this.showSpeechSettingsStatus(`Could not store the API key: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.speechSettings = settings;
+        localStorage.setItem('desktopSpeechEngine', JSON.stringify({ ...settings, apiKey: '' }));
+        this.applySpeechSettings();
+        
+        this.showSpeechSettingsStatus('Speech settings saved!', 'success');
+    }
+    
+    /**
+     * Swap the speech engine, keeping the text and input mode
+     */
+    applySpeechSettings() {
+        if (this.recognition) {
+            this.recognition.setCallback('onEnd', null); // The old engine's end isn't ours to handle
+            this.recognition.abort();
+        }
+        this.isListening = false;
+        document.body.classList.remove('recording');
+        
+        this.setupSpeechRecognition();
+        this.checkBrowserSupport();
+        this.setInputMode(this.recognition ? this.inputMode : 'typed');
+    }
+    
+    showSpeechSettingsStatus(message, type) {
+        this.speechSettingsStatus.textContent = message;
+        this.speechSettingsStatus.className = `connection-status ${type}`;
+        this.speechSettingsStatus.style.display = 'block';
+    }
+    
+    // === KEY STORAGE ===
+    
+    /**
+     * Move plaintext keys left by older versions into the vault, then use the vault's keys
+     */
+    async initCredentials() {
+        try {
+            const moved = await this.vault.migratePlaintext();
+            if (moved > 0) {
+                console.log(`🔐 Moved ${moved} plaintext API key(s) into key storage`);
+            }
+        } catch (error) {
+            console.warn('Failed to migrate plaintext API keys:', error);
+        }
+        
+        this.applyCredentials();
+        this.loadVaultForm();
+    }
+    
+    /**
+     * Hand the vault's keys to the LLM service, speech engine and ConfigManager - empty while locked
+     */
+    applyCredentials() {
+        if (window.config) {
+            window.config.useVault(this.vault); // Secret ENV_* overrides moved into the vault
+        }
+        const fallbackKeys = this.vault.get('desktop.fallbacks') || [];
+        this.llmConfig.apiKey = this.vault.get('desktop.llm');
+        this.llmConfig.fallbackProviders = this.llmConfig.fallbackProviders.map((provider, index) => ({
+            ...provider,
+            apiKey: fallbackKeys[index] || ''
+        }));
+        this.syncLLMService();
+        this.updateLLMStatus();
+        
+        const whisperKey = this.vault.get('desktop.whisper');
+        if (whisperKey !== this.speechSettings.apiKey) {
+            this.speechSettings.apiKey = whisperKey;
+            if (this.speechSettings.engine === 'whisper') {
+                this.applySpeechSettings();
+            }
+        }
+    }
+    
+    loadVaultForm() {
+        if (!this.vaultModeSelect) return;
+        
+        this.vaultModeSelect.value = this.vault.mode;
+        this.vaultPassphrase.value = '';
+        this.updateVaultFields();
+        
+        if (this.vault.isLocked()) {
+            this.showVaultStatus('🔒 Saved API keys are locked - enter your passphrase to use them', 'error');
+        } else {
+            this.vaultStatus.style.display = 'none';
+        }
+    }
+    
+    updateVaultFields() {
+        const locked = this.vault.isLocked();
+        const persistent = this.vault.mode === 'persistent';
+        
+        document.getElementById('vaultPassphraseField').hidden = !locked && this.vaultModeSelect.value === 'session';
+        document.getElementById('vaultUnlockBtn').hidden = !locked;
+        document.getElementById('vaultSaveBtn').hidden = locked;
+        document.getElementById('vaultLockBtn').hidden = locked || !persistent;
+        this.vaultModeSelect.disabled = locked;
+    }
+    
+    async unlockCredentials() {
+        try {
+            await this.vault.unlock(this.vaultPassphrase.value);
+        } catch (error) {
+            this.showVaultStatus(error.message, 'error');
+            return;
+        }
+        
+        this.applyCredentials();
+        this.loadVaultForm();
+        this.showVaultStatus('🔓 API keys unlocked for this session', 'success');
+    }
+    
+    async saveVaultSettings() {
+        try {
+            if (this.vaultModeSelect.value === 'persistent') {
+                await this.vault.usePassphrase(this.vaultPassphrase.value);
+            } else {
+                this.vault.useSessionOnly();
+            }
+        } catch (error) {
+            this.showVaultStatus(error.message, 'error');
+            return;
+        }
+        
+        this.loadVaultForm();
+        this.showVaultStatus(this.vault.mode === 'persistent'
+            ? '🔐 API keys are encrypted on this device'
+            : '✅ API keys are kept until this tab closes', 'success');
+    }
+    
+    lockCredentials() {
+        this.vault.lock();
+        this.applyCredentials();
+        this.loadVaultForm();
+    }
+    
+    forgetCredentials() {
+        this.vault.forget();
+        this.applyCredentials();
+        this.loadVaultForm();
+        this.showVaultStatus('🗑️ Saved API keys deleted', 'success');
+    }
+    
+    showVaultStatus(message, type) {
+        this.vaultStatus.textContent = message;
+        this.vaultStatus.className = `connection-status ${type}`;
+        this.vaultStatus.style.display = 'block';
+    }
+    
     // === LLM CONFIGURATION METHODS ===
     
     loadLLMConfig() {
@@ -866,42 +1651,155 @@ class SpeechTranscriber {
             try {
                 const config = JSON.parse(saved);
                 this.llmConfig = { ...this.llmConfig, ...config };
+                this.syncLLMService();
                 this.updateLLMStatus();
             } catch (error) {
                 console.warn('Failed to load LLM config:', error);
             }
+        } else if (window.config && window.config.get('llm.proxyUrl')) {
+            // A team deployment: suggestions go through its proxy server until the user sets up their own
+            this.llmConfig = {
+                ...this.llmConfig,
+                provider: 'proxy',
+                endpoint: window.config.get('llm.proxyUrl'),
+                isConfigured: true
+            };
+            this.syncLLMService();
         }
         this.updateLLMStatus();
     }
     
-    saveLLMConfiguration() {
-        const endpoint = document.getElementById('llmEndpoint').value.trim();
-        const apiKey = document.getElementById('llmApiKey').value.trim();
-        const modelName = document.getElementById('llmModel').value.trim();
-        const deploymentName = document.getElementById('llmDeployment').value.trim();
+    /**
+     * Read the config form, keeping only the fields the selected provider uses
+     */
+    readLLMConfigForm() {
+        const provider = this.llmProviderSelect ? this.llmProviderSelect.value : 'azure';
+        const { fields } = this.providerFields[provider];
+        const read = (field, id) => fields.includes(field) ? document.getElementById(id).value.trim() : '';
+        
+        return {
+            provider,
+            // OpenAI and Anthropic have fixed endpoints
+            endpoint: fields.includes('endpoint')
+                ? read('endpoint', 'llmEndpoint')
+                : SharedConstants.utils.buildApiEndpoint(provider),
+            apiKey: read('apiKey', 'llmApiKey'),
+            modelName: read('modelName', 'llmModel'),
+            deploymentName: read('deploymentName', 'llmDeployment'),
+            fallbackProvidersText: document.getElementById('llmFallbackProviders').value.trim()
+        };
+    }
+    
+    /**
+     * Parse the fallback chain - a JSON array of SharedLLMService provider configs
+     * Returns { providers } or { error }
+     */
+    parseFallbackProviders(text) {
+        if (!text) {
+            return { providers: [] };
+        }
+        
+        let entries;
+        try {
+            entries = JSON.parse(text);
+        } catch (error) {
+            return { error: 'Fallback providers must be valid JSON' };
+        }
+        
+        if (!Array.isArray(entries)) {
+            return { error: 'Fallback providers must be a JSON array' };
+        }
+        
+        const providers = [];
+        for (const [index, entry] of entries.entries()) {
+            if (!entry || !this.providerFields[entry.provider]) {
+                return { error: `Fallback ${index + 1}: provider must be one of ${Object.keys(this.providerFields).join(', ')}` };
+            }
+            
+            const provider = {
+                provider: entry.provider,
+                endpoint: entry.endpoint || (this.providerFields[entry.provider].fields.includes('endpoint')
+                    ? ''
+                    : SharedConstants.utils.buildApiEndpoint(entry.provider)),
+                apiKey: entry.apiKey || '',
+                model: entry.model || '',
+                deploymentName: entry.deploymentName || ''
+            };
+            
+            const validationError = this.validateLLMConfigForm({ ...provider, modelName: provider.model });
+            if (validationError) {
+                return { error: `Fallback ${index + 1} (${entry.provider}): ${validationError}` };
+            }
+            providers.push(provider);
+        }
         
-        if (!endpoint || !apiKey || !modelName || !deploymentName) {
-            this.showConnectionStatus('Please fill in all fields', 'error');
+        return { providers };
+    }
+    
+    /**
+     * Validate the form for its provider; returns an error message or null
+     */
+    validateLLMConfigForm(form) {
+        const { fields, optionalFields = [] } = this.providerFields[form.provider];
+        
+        if (fields.some(field => !form[field] && !optionalFields.includes(field))) {
+            return 'Please fill in all fields';
+        }
+        
+        if (!SharedConstants.utils.validateEndpoint(form.provider, form.endpoint)) {
+            const examples = { local: SharedLLMService.LOCAL_BASE_URL, proxy: SharedConstants.ENDPOINTS.PROXY.DEFAULT_HOST };
+            return `Endpoint should look like ${examples[form.provider] || 'https://your-resource.openai.azure.com/ (or .cognitiveservices.azure.com)'}`;
+        }
+        
+        return null;
+    }
+    
+    async saveLLMConfiguration() {
+        const form = this.readLLMConfigForm();
+        const validationError = this.validateLLMConfigForm(form);
+        const fallback = this.parseFallbackProviders(form.fallbackProvidersText);
+        
+        if (validationError || fallback.error) {
+            this.showConnectionStatus(validationError || fallback.error, 'error');
             return;
         }
         
-        this.llmConfig.endpoint = endpoint.endsWith('/') ? endpoint : endpoint + '/';
-        this.llmConfig.apiKey = apiKey;
-        this.llmConfig.modelName = modelName;
-        this.llmConfig.deploymentName = deploymentName;
+        try {
+            await this.vault.setMany({
+                'desktop.llm': form.apiKey,
+                'desktop.fallbacks': fallback.providers.map(provider => provider.apiKey)
+            });
+        } catch (error) {
+            this.showConnectionStatus(`Could not store the API key: ${error.message}`, 'error');
+            return;
+        }
+        
+        this.llmConfig.provider = form.provider;
+        this.llmConfig.endpoint = form.provider === 'azure' && !form.endpoint.endsWith('/')
+            ? form.endpoint + '/'
+            : form.endpoint;
+        this.llmConfig.apiKey = form.apiKey;
+        this.llmConfig.modelName = form.modelName;
+        this.llmConfig.deploymentName = form.deploymentName;
+        this.llmConfig.fallbackProviders = fallback.providers;
         this.llmConfig.isConfigured = true;
+        this.syncLLMService();
         
-        // Save to localStorage (without sensitive data in production)
+        // Save to localStorage - API keys are in the vault
         const configToSave = {
+            provider: this.llmConfig.provider,
             endpoint: this.llmConfig.endpoint,
             modelName: this.llmConfig.modelName,
             deploymentName: this.llmConfig.deploymentName,
+            fallbackProviders: this.llmConfig.fallbackProviders.map(provider => ({ ...provider, apiKey: '' })),
             isConfigured: true
         };
         
         localStorage.setItem('llmConfig', JSON.stringify(configToSave));
         
-        this.showConnectionStatus('Configuration saved successfully!', 'success');
+        this.showConnectionStatus(this.vault.isLocked()
+            ? 'Configuration saved - unlock Key Storage to encrypt the key with the others'
+            : 'Configuration saved successfully!', 'success');
         this.updateLLMStatus();
         
         setTimeout(() => {
@@ -910,60 +1808,380 @@ class SpeechTranscriber {
     }
     
     async testLLMConnection() {
-        const endpoint = document.getElementById('llmEndpoint').value.trim();
-        const apiKey = document.getElementById('llmApiKey').value.trim();
-        const modelName = document.getElementById('llmModel').value.trim();
-        const deploymentName = document.getElementById('llmDeployment').value.trim();
+        const form = this.readLLMConfigForm();
+        const validationError = this.validateLLMConfigForm(form);
         
-        if (!endpoint || !apiKey || !modelName || !deploymentName) {
-            this.showConnectionStatus('Please fill in all fields', 'error');
+        if (validationError) {
+            this.showConnectionStatus(validationError, 'error');
             return;
         }
         
         this.showConnectionStatus('Testing connection...', 'testing');
         
+        // A throwaway service sends the provider's own URL format and auth header,
+        // with the structured output setting real requests use
+        const testService = new SharedLLMService({
+            ...this.getServiceSettings(),
+            provider: form.provider,
+            endpoint: form.endpoint,
+            apiKey: form.apiKey,
+            model: form.modelName,
+            deploymentName: form.deploymentName,
+            apiVersion: this.llmConfig.apiVersion
+        });
+        const result = await testService.testConnection();
+        
+        if (result.success) {
+            this.showConnectionStatus('✅ Connection successful!', 'success');
+            this.llmConfig.isConnected = true;
+        } else {
+            this.showConnectionStatus(`❌ Connection failed: ${result.error}`, 'error');
+            this.llmConfig.isConnected = false;
+        }
+    }
+    
+    getServiceSettings() {
+        if (!window.config) {
+            return {};
+        }
+        
+        return {
+            retryAttempts: window.config.get('llm.retryAttempts'),
+            retryDelay: window.config.get('llm.retryDelay'),
+            structuredOutput: window.config.get('llm.structuredOutput') !== false,
+            maxRequestsPerMinute: window.config.get('security.maxRequestsPerMinute'),
+            enableRateLimit: window.config.get('security.enableRateLimit') !== false
+        };
+    }
+    
+    syncLLMService() {
+        this.llmService.updateConfig({
+            provider: this.llmConfig.provider,
+            endpoint: this.llmConfig.endpoint,
+            apiKey: this.llmConfig.apiKey,
+            model: this.llmConfig.modelName,
+            deploymentName: this.llmConfig.deploymentName,
+            apiVersion: this.llmConfig.apiVersion,
+            fallbackProviders: this.llmConfig.fallbackProviders
+        });
+        this.llmService.clearCache();
+    }
+    
+    async clearSuggestionCache() {
         try {
-            const testEndpoint = (endpoint.endsWith('/') ? endpoint : endpoint + '/') + 
-                                 `openai/deployments/${deploymentName}/chat/completions?api-version=${this.llmConfig.apiVersion}`;
+            await this.llmService.clearPersistentCache();
+            this.suggestionCache.clear();
+            console.log('🗑️ Suggestion cache cleared');
+            this.showConnectionStatus('🗑️ Suggestion cache cleared', 'success');
+        } catch (error) {
+            this.showConnectionStatus(`❌ Failed to clear cache: ${error.message}`, 'error');
+        }
+    }
+    
+    // === LANGUAGE ===
+    
+    renderLanguageOptions() {
+        if (!this.languageSelect) return;
+        
+        this.languageSelect.innerHTML = '';
+        SharedConstants.LANGUAGES.forEach(({ code, name, flag }) => {
+            this.languageSelect.appendChild(new Option(`${flag} ${name}`, code));
+        });
+        this.languageSelect.value = this.language;
+        this.livePreview.lang = this.language;
+        this.typedInput.lang = this.language;
+    }
+    
+    /**
+     * Switch the recognition, prompt and highlighting language - recording carries on
+     */
+    setLanguage(code) {
+        const language = SharedConstants.utils.getLanguage(code);
+        if (!language) return;
+        
+        this.language = language.code;
+        this.locale = new LocaleSupport(language.code);
+        this.voiceCommands.setLanguage(language.code);
+        localStorage.setItem('desktopLanguage', language.code);
+        this.livePreview.lang = language.code;
+        this.typedInput.lang = language.code;
+        
+        if (this.recognition) {
+            this.recognition.setLanguage(language.code);
+        }
+        
+        // Suggestions so far were written in the previous language
+        this.hideSuggestions();
+        this.lastValidSuggestions = null;
+        this.lastSuggestionContext = '';
+        this.suggestionCache.clear();
+        this.cancelStaleRequests('');
+        this.activePrefetchCalls.clear();
+        
+        this.statusText.textContent = `${language.flag} ${this.isListening ? 'Now listening in' : 'Language set to'} ${language.name}`;
+        console.log(`🌐 Language: ${language.code}`);
+    }
+    
+    // === PRIVACY FILTER ===
+    
+    // One checkbox per category; changes apply to the next suggestion request
+    renderPrivacyFilter() {
+        if (!this.privacyFilterOptions) return;
+        
+        this.privacyFilterOptions.innerHTML = '';
+        InputSanitizer.CATEGORIES.forEach(({ id, label }) => {
+            const field = document.createElement('div');
+            field.className = 'config-field config-checkbox';
             
-            const response = await fetch(testEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'api-key': apiKey
-                },
-                body: JSON.stringify({
-                    messages: [
-                        {
-                            role: "user",
-                            content: "Hello, this is a connection test."
-                        }
-                    ],
-                    max_tokens: 5,
-                    temperature: 0.1
-                })
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.checked = this.sanitizer.isEnabled(id);
+            toggle.disabled = !this.sanitizer.enabled;
+            toggle.addEventListener('change', () => {
+                this.sanitizer.setCategory(id, toggle.checked);
+                console.log(`🛡️ Privacy filter: ${id} ${toggle.checked ? 'on' : 'off'}`);
             });
             
-            if (response.ok) {
-                this.showConnectionStatus('✅ Connection successful!', 'success');
-                this.llmConfig.isConnected = true;
-            } else {
-                const errorText = await response.text();
-                this.showConnectionStatus(`❌ Connection failed: ${response.status} ${response.statusText}`, 'error');
-                this.llmConfig.isConnected = false;
-            }
+            const text = document.createElement('label');
+            text.append(toggle, ` ${label}`);
+            field.appendChild(text);
+            this.privacyFilterOptions.appendChild(field);
+        });
+        
+        if (!this.sanitizer.enabled) {
+            const note = document.createElement('p');
+            note.className = 'connection-status';
+            note.textContent = 'Turned off for this deployment (security.sanitizeInput)';
+            this.privacyFilterOptions.appendChild(note);
+        }
+    }
+    
+    // === SEARCH DESTINATIONS ===
+    
+    setSearchProvider(providerId) {
+        this.searchProvider = this.searchRegistry.has(providerId) ? providerId : SearchProviderRegistry.DEFAULT_PROVIDER;
+        localStorage.setItem('desktopSearchProvider', this.searchProvider);
+        
+        if (this.searchBtn) {
+            this.searchBtn.title = `Search with ${this.searchRegistry.get(this.searchProvider).name}`;
+        }
+        console.log(`🔎 Search destination: ${this.searchProvider}`);
+    }
+    
+    // Fill the default-destination selector and the config panel's destination list
+    renderSearchOptions(editingId = this.searchProvider) {
+        const providers = this.searchRegistry.list();
+        this.setSearchProvider(this.searchProvider); // Falls back when the saved one was deleted
+        
+        if (this.searchProviderSelect) {
+            this.searchProviderSelect.innerHTML = '';
+            providers.forEach(provider => {
+                this.searchProviderSelect.appendChild(new Option(provider.name, provider.id));
+            });
+            this.searchProviderSelect.value = this.searchProvider;
+            this.keepAfterSearchToggle.checked = this.keepTextAfterSearch;
+        }
+        
+        if (this.searchProviderEditSelect) {
+            this.searchProviderEditSelect.innerHTML = '';
+            this.searchProviderEditSelect.appendChild(new Option('➕ New destination', ''));
+            providers.forEach(provider => {
+                this.searchProviderEditSelect.appendChild(new Option(provider.builtIn ? `${provider.name} (built-in)` : provider.name, provider.id));
+            });
+            this.searchProviderEditSelect.value = this.searchRegistry.has(editingId) ? editingId : '';
+        }
+    }
+    
+    loadSearchProviderForm() {
+        if (!this.searchProviderEditSelect) return;
+        
+        const id = this.searchProviderEditSelect.value;
+        const provider = id ? this.searchRegistry.get(id) : { name: '', urlTemplate: '' };
+        
+        document.getElementById('searchProviderName').value = provider.name;
+        document.getElementById('searchProviderTemplate').value = provider.urlTemplate;
+        document.getElementById('searchProviderDeleteBtn').disabled = !id || provider.builtIn;
+    }
+    
+    saveSearchProvider() {
+        const id = this.searchProviderEditSelect.value || undefined;
+        const wasBuiltIn = id && this.searchRegistry.get(id).builtIn;
+        
+        try {
+            const saved = this.searchRegistry.save({
+                id,
+                name: document.getElementById('searchProviderName').value,
+                urlTemplate: document.getElementById('searchProviderTemplate').value
+            });
+            this.renderSearchOptions(saved.id);
+            this.loadSearchProviderForm();
+            this.showSearchProviderStatus(wasBuiltIn
+                ? `💾 Built-in destinations are read-only - saved as "${saved.name}"`
+                : `💾 Saved destination "${saved.name}"`, 'success');
         } catch (error) {
-            this.showConnectionStatus(`❌ Connection error: ${error.message}`, 'error');
-            this.llmConfig.isConnected = false;
+            this.showSearchProviderStatus(`❌ ${error.message}`, 'error');
         }
     }
     
+    deleteSearchProvider() {
+        const provider = this.searchRegistry.get(this.searchProviderEditSelect.value);
+        
+        if (this.searchRegistry.remove(this.searchProviderEditSelect.value)) {
+            this.renderSearchOptions('');
+            this.loadSearchProviderForm();
+            this.showSearchProviderStatus(`🗑️ Deleted destination "${provider.name}"`, 'success');
+        }
+    }
+    
+    showSearchProviderStatus(message, type) {
+        this.searchProviderStatus.textContent = message;
+        this.searchProviderStatus.className = `connection-status ${type}`;
+        this.searchProviderStatus.style.display = 'block';
+    }
+    
+    // === PROMPT STYLES ===
+    
+    setSuggestionStyle(styleId) {
+        this.suggestionStyle = this.promptRegistry.has(styleId) ? styleId : this.defaultSuggestionStyle;
+        localStorage.setItem('desktopSuggestionStyle', this.suggestionStyle);
+        
+        // Prefetched suggestions were written in the previous style
+        this.suggestionCache.clear();
+        console.log(`🎯 Suggestion style: ${this.suggestionStyle}`);
+    }
+    
+    // Fill the style selector and the config panel's style list from the registry
+    renderStyleOptions(editingId = this.suggestionStyle) {
+        const styles = this.promptRegistry.list();
+        
+        if (!this.promptRegistry.has(this.suggestionStyle)) {
+            this.setSuggestionStyle(this.defaultSuggestionStyle);
+        }
+        
+        if (this.suggestionStyleSelect) {
+            this.suggestionStyleSelect.innerHTML = '';
+            styles.forEach(style => {
+                const option = new Option(style.name, style.id);
+                option.title = style.description;
+                this.suggestionStyleSelect.appendChild(option);
+            });
+            this.suggestionStyleSelect.value = this.suggestionStyle;
+        }
+        
+        if (this.promptStyleSelect) {
+            this.promptStyleSelect.innerHTML = '';
+            this.promptStyleSelect.appendChild(new Option('➕ New style', ''));
+            styles.forEach(style => {
+                this.promptStyleSelect.appendChild(new Option(style.builtIn ? `${style.name} (built-in)` : style.name, style.id));
+            });
+            this.promptStyleSelect.value = this.promptRegistry.has(editingId) ? editingId : '';
+        }
+    }
+    
+    loadPromptStyleForm() {
+        const id = this.promptStyleSelect.value;
+        const style = id ? this.promptRegistry.get(id) : {
+            name: '', description: '', systemMessage: '', userTemplate: '', maxTokens: 150, maxSuggestions: 3, parser: 'auto'
+        };
+        
+        document.getElementById('promptStyleName').value = style.name;
+        document.getElementById('promptStyleDescription').value = style.description;
+        document.getElementById('promptStyleSystem').value = style.systemMessage;
+        document.getElementById('promptStyleTemplate').value = style.userTemplate;
+        document.getElementById('promptStyleMaxTokens').value = style.maxTokens;
+        document.getElementById('promptStyleMaxSuggestions').value = style.maxSuggestions;
+        document.getElementById('promptStyleParser').value = style.parser;
+        document.getElementById('promptStyleDeleteBtn').disabled = !id || style.builtIn;
+    }
+    
+    readPromptStyleForm() {
+        return {
+            id: this.promptStyleSelect.value || undefined,
+            name: document.getElementById('promptStyleName').value,
+            description: document.getElementById('promptStyleDescription').value,
+            systemMessage: document.getElementById('promptStyleSystem').value,
+            userTemplate: document.getElementById('promptStyleTemplate').value,
+            maxTokens: document.getElementById('promptStyleMaxTokens').value || undefined,
+            maxSuggestions: document.getElementById('promptStyleMaxSuggestions').value || undefined,
+            parser: document.getElementById('promptStyleParser').value
+        };
+    }
+    
+    savePromptStyle() {
+        const form = this.readPromptStyleForm();
+        const wasBuiltIn = form.id && this.promptRegistry.get(form.id).builtIn;
+        
+        try {
+            const saved = this.promptRegistry.save(form);
+            this.renderStyleOptions(saved.id);
+            this.loadPromptStyleForm();
+            this.suggestionCache.clear();
+            this.showPromptStyleStatus(wasBuiltIn
+                ? `💾 Built-in styles are read-only - saved as "${saved.name}"`
+                : `💾 Saved style "${saved.name}"`, 'success');
+        } catch (error) {
+            this.showPromptStyleStatus(`❌ ${error.message}`, 'error');
+        }
+    }
+    
+    deletePromptStyle() {
+        const style = this.promptRegistry.get(this.promptStyleSelect.value);
+        
+        if (this.promptRegistry.remove(this.promptStyleSelect.value)) {
+            this.renderStyleOptions('');
+            this.loadPromptStyleForm();
+            this.showPromptStyleStatus(`🗑️ Deleted style "${style.name}"`, 'success');
+        }
+    }
+    
+    exportPromptStyles() {
+        if (this.promptRegistry.getUserStyles().length === 0) {
+            this.showPromptStyleStatus('⚠️ No custom styles to export yet', 'error');
+            return;
+        }
+        
+        const blob = new Blob([this.promptRegistry.exportStyles()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'prompt-styles.json';
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+    
+    async importPromptStyles(file) {
+        if (!file) return;
+        
+        try {
+            const imported = this.promptRegistry.importStyles(await file.text());
+            this.renderStyleOptions(imported[0].id);
+            this.loadPromptStyleForm();
+            this.showPromptStyleStatus(`📥 Imported ${imported.length} style(s)`, 'success');
+        } catch (error) {
+            this.showPromptStyleStatus(`❌ Import failed: ${error.message}`, 'error');
+        } finally {
+            this.promptStyleImportFile.value = '';
+        }
+    }
+    
+    showPromptStyleStatus(message, type) {
+        this.promptStyleStatus.textContent = message;
+        this.promptStyleStatus.className = `connection-status ${type}`;
+        this.promptStyleStatus.style.display = 'block';
+    }
+    
     openLLMConfigPanel() {
         // Populate fields with current config
         document.getElementById('llmEndpoint').value = this.llmConfig.endpoint || '';
         document.getElementById('llmApiKey').value = this.llmConfig.apiKey || '';
         document.getElementById('llmModel').value = this.llmConfig.modelName || '';
         document.getElementById('llmDeployment').value = this.llmConfig.deploymentName || '';
+        document.getElementById('llmFallbackProviders').value = this.llmConfig.fallbackProviders.length > 0
+            ? JSON.stringify(this.llmConfig.fallbackProviders, null, 2)
+            : '';
+        if (this.llmProviderSelect) {
+            this.llmProviderSelect.value = this.llmConfig.provider;
+            this.updateProviderFields();
+        }
         
         if (this.llmConfigPanel) {
             this.llmConfigPanel.style.display = 'block';
@@ -974,6 +2192,30 @@ class SpeechTranscriber {
         if (this.connectionStatus) {
             this.connectionStatus.style.display = 'none';
         }
+        
+        this.loadSpeechSettingsFields();
+        
+        // Start the style editor on the style in use
+        if (this.promptStyleSelect) {
+            this.renderStyleOptions(this.suggestionStyle);
+            this.loadPromptStyleForm();
+            this.promptStyleStatus.style.display = 'none';
+        }
+    }
+    
+    /**
+     * Show only the fields the selected provider needs
+     */
+    updateProviderFields() {
+        const provider = this.providerFields[this.llmProviderSelect.value];
+        const fieldIds = { endpoint: 'llmEndpointField', apiKey: 'llmApiKeyField', deploymentName: 'llmDeploymentField' };
+        
+        Object.entries(fieldIds).forEach(([field, id]) => {
+            document.getElementById(id).style.display = provider.fields.includes(field) ? '' : 'none';
+        });
+        document.getElementById('llmEndpoint').placeholder = provider.endpointPlaceholder || '';
+        document.getElementById('llmApiKey').placeholder = provider.apiKeyPlaceholder || 'Your API key';
+        document.getElementById('llmModel').placeholder = provider.modelPlaceholder;
     }
     
     closeLLMConfigPanel() {
@@ -987,9 +2229,13 @@ class SpeechTranscriber {
     }
     
     updateLLMStatus() {
-        if (this.llmConfig.isConfigured && this.llmConfig.endpoint && this.llmConfig.apiKey) {
+        const hasCredentials = ['local', 'proxy'].includes(this.llmConfig.provider) || this.llmConfig.apiKey;
+        if (this.llmConfig.isConfigured && this.llmConfig.endpoint && hasCredentials) {
             this.llmStatus.textContent = 'Configured';
             this.llmStatus.className = 'llm-status configured';
+        } else if (this.llmConfig.isConfigured && this.vault.isLocked()) {
+            this.llmStatus.textContent = 'Keys Locked';
+            this.llmStatus.className = 'llm-status not-configured';
         } else {
             this.llmStatus.textContent = 'Not Configured';
             this.llmStatus.className = 'llm-status not-configured';
@@ -1017,12 +2263,13 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Add keyboard shortcuts for suggestions
     document.addEventListener('keydown', (e) => {
-        if (e.key >= '1' && e.key <= '3') {
-            const suggestionIndex = parseInt(e.key) - 1;
-            const chips = document.querySelectorAll('.suggestion-chip:not(.loading)');
-            if (chips[suggestionIndex]) {
-                chips[suggestionIndex].click();
-            }
+        // Digits typed into the text box or the settings are just text
+        if (e.target.closest && e.target.closest('input, textarea, select')) {
+            return;
+        }
+        
+        if (e.key >= '1' && e.key <= '3' && window.speechTranscriber) {
+            window.speechTranscriber.pickSuggestion(parseInt(e.key) - 1);
         }
     });
 });
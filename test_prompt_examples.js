@@ -42,11 +42,18 @@ const testCases = [
 // 5. UNIVERSAL - Works across all topics and domains
 // 6. DEPTH-FOCUSED - Goes deeper rather than broader
 
-console.log("Test cases ready for validation:");
-testCases.forEach((test, index) => {
-    console.log(`${index + 1}. "${test.input}"`);
-    console.log(`   Expected: ${test.expectedExamples.join(', ')}`);
-    console.log(`   Style: ${test.expectedStyle}\n`);
-});
+// Scored automatically for every prompt style by utils/prompt-eval.js (npm run eval:prompts)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { testCases };
+}
+
+if (typeof require !== 'undefined' && require.main === module) {
+    console.log("Test cases ready for validation:");
+    testCases.forEach((test, index) => {
+        console.log(`${index + 1}. "${test.input}"`);
+        console.log(`   Expected: ${test.expectedExamples.join(', ')}`);
+        console.log(`   Style: ${test.expectedStyle}\n`);
+    });
+}
 
 // Usage: Open the app, speak these phrases, pause, and check if suggestions match the friendly, depth-encouraging style
\ No newline at end of file
@@ -0,0 +1,205 @@
+/**
+ * Record-and-Replay fetch for LLM provider tests
+ * Replaces global.fetch. Tests queue named recordings with use(provider, name), and
+ * each request gets the next one: in replay mode it is served from
+ * tests/fixtures/llm/<provider>.json, in record mode the request goes to the real
+ * provider and the response (status, selected headers, JSON body or stream chunks)
+ * is kept for save(). Request headers are never stored, so API keys stay out of fixtures.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FetchRecorder {
+    constructor(options = {}) {
+        this.options = {
+            mode: options.mode || 'replay', // 'replay' or 'record'
+            fixtureDir: options.fixtureDir || path.join(__dirname, '..', 'fixtures', 'llm'),
+            realFetch: options.realFetch || global.fetch
+        };
+
+        this.fixtures = {};
+        this.queue = [];
+        this.requests = []; // { url, options, body, recording } of every request made
+        this.previousFetch = null;
+    }
+
+    install() {
+        this.previousFetch = global.fetch;
+        global.fetch = this.fetch.bind(this);
+        return this;
+    }
+
+    uninstall() {
+        global.fetch = this.previousFetch;
+        this.previousFetch = null;
+    }
+
+    /**
+     * Queue a recording for the next request; call several times for retries and failover
+     */
+    use(provider, name) {
+        this.queue.push({ provider, name });
+        return this;
+    }
+
+    reset() {
+        this.queue = [];
+        this.requests = [];
+    }
+
+    async fetch(url, options = {}) {
+        const recording = this.queue.shift();
+        if (!recording) {
+            throw new Error(`No recording queued for ${options.method || 'GET'} ${url}`);
+        }
+
+        this.requests.push({
+            url,
+            options,
+            body: options.body ? JSON.parse(options.body) : null,
+            recording: `${recording.provider}/${recording.name}`
+        });
+
+        return this.options.mode === 'record'
+            ? this.record(recording, url, options)
+            : this.replay(recording);
+    }
+
+    replay({ provider, name }) {
+        const entry = this.getRecordings(provider)[name];
+        if (!entry) {
+            throw new Error(`No recording "${name}" in ${this.getFixturePath(provider)}`);
+        }
+
+        return FetchRecorder.createResponse(entry.response);
+    }
+
+    /**
+     * Forward the request and keep the response
+     * Streams are read to the end, so the caller gets a replay of the recorded chunks
+     */
+    async record({ provider, name }, url, options) {
+        const response = await this.options.realFetch(url, options);
+        const recorded = {
+            status: response.status,
+            statusText: response.statusText,
+            headers: FetchRecorder.pickHeaders(response.headers)
+        };
+
+        const contentType = response.headers.get('content-type') || '';
+        if (contentType.includes('text/event-stream') && response.body) {
+            recorded.chunks = await FetchRecorder.readChunks(response.body);
+        } else {
+            const text = await response.text();
+            try {
+                recorded.body = JSON.parse(text);
+            } catch (error) {
+                recorded.body = text;
+            }
+        }
+
+        this.getRecordings(provider)[name] = {
+            recordedAt: new Date().toISOString(),
+            request: {
+                method: options.method || 'GET',
+                path: new URL(url).pathname, // Without the host, which names the Azure resource
+                body: options.body ? JSON.parse(options.body) : null
+            },
+            response: recorded
+        };
+
+        return FetchRecorder.createResponse(recorded);
+    }
+
+    getRecordings(provider) {
+        if (!this.fixtures[provider]) {
+            const file = this.getFixturePath(provider);
+            this.fixtures[provider] = fs.existsSync(file)
+                ? JSON.parse(fs.readFileSync(file, 'utf8'))
+                : { provider, recordings: {} };
+        }
+        return this.fixtures[provider].recordings;
+    }
+
+    getFixturePath(provider) {
+        return path.join(this.options.fixtureDir, `${provider}.json`);
+    }
+
+    /**
+     * Write every fixture touched while recording
+     */
+    save() {
+        Object.entries(this.fixtures).forEach(([provider, fixture]) => {
+            fs.writeFileSync(this.getFixturePath(provider), JSON.stringify(fixture, null, 2) + '\n');
+            console.log(`📼 Saved ${this.getFixturePath(provider)}`);
+        });
+    }
+
+    /**
+     * fetch Response stand-in for a recorded response
+     */
+    static createResponse(recorded) {
+        const headers = {};
+        Object.entries(recorded.headers || {}).forEach(([key, value]) => {
+            headers[key.toLowerCase()] = value;
+        });
+        const text = typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body ?? null);
+
+        return {
+            ok: recorded.status >= 200 && recorded.status < 300,
+            status: recorded.status,
+            statusText: recorded.statusText || '',
+            headers: { get: (name) => headers[name.toLowerCase()] ?? null },
+            body: recorded.chunks ? FetchRecorder.createStreamBody(recorded.chunks) : null,
+            json: async () => JSON.parse(text),
+            text: async () => text
+        };
+    }
+
+    static createStreamBody(chunks) {
+        const encoder = new TextEncoder();
+        const queue = [...chunks];
+        return {
+            getReader: () => ({
+                read: async () => queue.length > 0
+                    ? { done: false, value: encoder.encode(queue.shift()) }
+                    : { done: true, value: undefined },
+                cancel: async () => {}
+            })
+        };
+    }
+
+    static async readChunks(body) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        const chunks = [];
+
+        let chunk = await reader.read();
+        while (!chunk.done) {
+            chunks.push(decoder.decode(chunk.value, { stream: true }));
+            chunk = await reader.read();
+        }
+        return chunks;
+    }
+
+    /**
+     * Response headers worth keeping - the rest carry request ids and account details
+     */
+    static pickHeaders(headers) {
+        const picked = {};
+        headers.forEach((value, key) => {
+            if (FetchRecorder.RECORDED_HEADERS.some(pattern => pattern.test(key))) {
+                picked[key] = value;
+            }
+        });
+        return picked;
+    }
+}
+
+FetchRecorder.RECORDED_HEADERS = [/^content-type$/i, /^retry-after(-ms)?$/i, /ratelimit/i];
+
+// Export for use in tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FetchRecorder;
+}
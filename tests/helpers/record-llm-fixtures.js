@@ -0,0 +1,78 @@
+/**
+ * Re-record the LLM response fixtures from a live provider
+ *
+ * Usage:
+ *   node tests/helpers/record-llm-fixtures.js <azure|openai|anthropic> [scenario ...]
+ *
+ * Credentials come from AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT,
+ * OPENAI_API_KEY and ANTHROPIC_API_KEY. Only successful responses can be asked for on
+ * demand, so the error recordings (rate limits, content filter) are left untouched -
+ * edit those by hand when a provider changes its error format.
+ */
+
+const SharedLLMService = require('../../utils/shared-llm.js');
+const SharedConstants = require('../../utils/shared-constants.js');
+const FetchRecorder = require('./fetch-recorder.js');
+
+const INPUT = 'I\'m planning a trip to Paris';
+
+const PROVIDERS = {
+    azure: () => ({
+        endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+        apiKey: process.env.AZURE_OPENAI_API_KEY,
+        deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o-mini'
+    }),
+    openai: () => ({
+        endpoint: SharedConstants.ENDPOINTS.OPENAI.BASE_URL,
+        apiKey: process.env.OPENAI_API_KEY,
+        model: 'gpt-4o-mini'
+    }),
+    anthropic: () => ({
+        endpoint: SharedConstants.ENDPOINTS.ANTHROPIC.BASE_URL,
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        model: 'claude-3-5-haiku-latest'
+    })
+};
+
+// Scenario name -> request that produces it
+const SCENARIOS = {
+    suggestions: (service) => service.generateSuggestions(INPUT, { style: 'thinking-buddy' }),
+    streaming: (service) => service.generateSuggestions(INPUT, { style: 'thinking-buddy', onSuggestion: () => {} }),
+    structured: (service) => service.generateSuggestions(INPUT, { style: 'thinking-buddy', structuredOutput: true })
+};
+
+async function recordFixtures(provider, names) {
+    if (!PROVIDERS[provider]) {
+        throw new Error(`Unknown provider "${provider}" - use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const recorder = new FetchRecorder({ mode: 'record' }).install();
+    const service = new SharedLLMService({
+        provider,
+        ...PROVIDERS[provider](),
+        retryAttempts: 0,
+        enableRateLimit: false
+    });
+
+    try {
+        for (const name of names) {
+            if (!SCENARIOS[name]) {
+                throw new Error(`Unknown scenario "${name}" - use one of: ${Object.keys(SCENARIOS).join(', ')}`);
+            }
+
+            recorder.use(provider, name);
+            const result = await SCENARIOS[name](service);
+            console.log(`${result.source === 'llm' ? '✅' : '⚠️'} ${provider}/${name}: ${result.suggestions.join(' | ')}`);
+        }
+    } finally {
+        recorder.uninstall();
+    }
+
+    recorder.save();
+}
+
+const [provider, ...scenarios] = process.argv.slice(2);
+recordFixtures(provider, scenarios.length > 0 ? scenarios : Object.keys(SCENARIOS)).catch(error => {
+    console.error('❌ Recording failed:', error.message);
+    process.exit(1);
+});
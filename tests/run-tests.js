@@ -5,6 +5,22 @@ console.log('🧪 Running Voice Autocomplete Tests...\n');
 
 const tests = [
     'tests/unit/speech-transcriber.test.js',
+    'tests/unit/shared-llm.test.js',
+    'tests/unit/prefix-cache.test.js',
+    'tests/unit/rate-limiter.test.js',
+    'tests/unit/conversation-context.test.js',
+    'tests/unit/prompt-templates.test.js',
+    'tests/unit/prompt-eval.test.js',
+    'tests/unit/llm-fixtures.test.js',
+    'tests/unit/speech-engine.test.js',
+    'tests/unit/recognition-alternatives.test.js',
+    'tests/unit/locale-support.test.js',
+    'tests/unit/voice-commands.test.js',
+    'tests/unit/search-providers.test.js',
+    'tests/unit/credential-vault.test.js',
+    'tests/unit/proxy-server.test.js',
+    'tests/unit/input-sanitizer.test.js',
+    'tests/unit/suggestion-filter.test.js',
     'tests/integration/end-to-end.test.js'
 ];
 
@@ -0,0 +1,242 @@
+/**
+ * Unit Tests for ConversationContext
+ * Tests the rolling utterance window, applied/dismissed tracking and history messages
+ */
+
+const ConversationContext = require('../../utils/conversation-context.js');
+
+// Test Suite
+class ConversationContextTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running ConversationContext Unit Tests...\n');
+
+        await this.testRollingWindow();
+        await this.testAppliedAndDismissed();
+        await this.testHistoryMessages();
+        await this.testTypedText();
+        await this.testReplaceUtterance();
+        await this.testUndo();
+        await this.testClear();
+
+        this.printResults();
+    }
+
+    async testRollingWindow() {
+        try {
+            const conversation = new ConversationContext({ maxTurns: 2 });
+            ['first', '  ', 'second', 'third'].forEach(text => conversation.addUtterance(text));
+
+            this.assert(
+                conversation.turns.map(t => t.utterance).join(',') === 'second,third',
+                'Window: Should keep only the last maxTurns utterances and skip blank ones'
+            );
+
+        } catch (error) {
+            this.assert(false, `Window test failed: ${error.message}`);
+        }
+    }
+
+    async testAppliedAndDismissed() {
+        try {
+            const conversation = new ConversationContext();
+            conversation.addUtterance('I am planning a trip');
+            conversation.recordShown(['Where to?', 'When?', 'With who?']);
+            conversation.recordApplied('Where to?');
+
+            const turn = conversation.getCurrentTurn();
+            this.assert(
+                turn.applied.join('|') === 'Where to?' && turn.dismissed.join('|') === 'When?|With who?',
+                'Tracking: Applying one suggestion should dismiss the rest of its set'
+            );
+
+            conversation.addUtterance('to Japan');
+            conversation.recordShown(['Which city?', 'How long?']);
+            conversation.recordShown(['Which city?', 'How long?']); // Same set shown again
+            conversation.recordShown(['Budget?']);
+
+            this.assert(
+                conversation.getCurrentTurn().dismissed.join('|') === 'Which city?|How long?',
+                'Tracking: A replaced set should count as dismissed once'
+            );
+
+            this.assert(
+                conversation.getAvoidList().join('|') === 'Which city?|How long?|Where to?|When?|With who?',
+                'Tracking: Avoid list should hold applied and dismissed suggestions, newest first'
+            );
+
+        } catch (error) {
+            this.assert(false, `Tracking test failed: ${error.message}`);
+        }
+    }
+
+    async testHistoryMessages() {
+        try {
+            const conversation = new ConversationContext();
+            conversation.addUtterance('I am planning a trip');
+            conversation.recordShown(['Where to?', 'When?']);
+            conversation.recordApplied('Where to?');
+            conversation.addUtterance('to Japan');
+
+            const history = conversation.getHistory('to Japan');
+            this.assert(
+                history.map(m => `${m.role}:${m.content}`).join('|') === 'user:I am planning a trip|assistant:Where to?',
+                'History: Should pair each utterance with the suggestion applied to it'
+            );
+
+            this.assert(
+                conversation.getHistory('I am  planning a trip to Japan').length === 0,
+                'History: Should leave out utterances still in the current text'
+            );
+
+            const short = new ConversationContext();
+            short.addUtterance('no');
+            this.assert(
+                short.getHistory('I know a place').length === 1 && short.getHistory('no thanks').length === 0,
+                'History: Should only match whole utterances, not words containing them'
+            );
+
+            const context = conversation.toRequestContext('to Japan');
+            this.assert(
+                context.history.length === 2 && context.avoidSuggestions.includes('When?'),
+                'History: Should build request context for SharedLLMService'
+            );
+
+        } catch (error) {
+            this.assert(false, `History test failed: ${error.message}`);
+        }
+    }
+
+    async testTypedText() {
+        try {
+            const conversation = new ConversationContext();
+            conversation.addTypedText('I am planning a trip');
+            conversation.addTypedText('I am planning a trip. To Japan');
+
+            this.assert(
+                conversation.turns.map(t => t.utterance).join('|') === 'I am planning a trip.',
+                'Typed: A sentence should count once its punctuation is followed by a space'
+            );
+
+            conversation.addTypedText('I am planning a trip. To Japan? In May! ');
+            this.assert(
+                conversation.turns.map(t => t.utterance).join('|') === 'I am planning a trip.|To Japan?|In May!',
+                'Typed: Should record each sentence finished since the last call'
+            );
+
+            conversation.addTypedText('');
+            conversation.addTypedText('Something new. ');
+            this.assert(
+                conversation.getCurrentTurn().utterance === 'Something new.' && conversation.turns.length === 4,
+                'Typed: Clearing the text should start over'
+            );
+
+        } catch (error) {
+            this.assert(false, `Typed text test failed: ${error.message}`);
+        }
+    }
+
+    async testReplaceUtterance() {
+        try {
+            const conversation = new ConversationContext();
+            conversation.addUtterance('a trip to pairs');
+            conversation.addUtterance('in May');
+            conversation.replaceUtterance('A trip to  pairs', 'a trip to Paris');
+
+            this.assert(
+                conversation.turns[0].utterance === 'a trip to Paris' &&
+                    conversation.getHistory('a trip to Paris in May').length === 0,
+                'Replace: A corrected utterance should still match the current text'
+            );
+
+        } catch (error) {
+            this.assert(false, `Replace utterance test failed: ${error.message}`);
+        }
+    }
+
+    async testUndo() {
+        try {
+            const conversation = new ConversationContext();
+            conversation.addUtterance('I am planning a trip');
+            conversation.addUtterance('to Paris');
+            conversation.addUtterance('to  paris');
+            conversation.removeUtterance('To Paris');
+
+            this.assert(
+                conversation.turns.map(t => t.utterance).join('|') === 'I am planning a trip|to Paris',
+                'Undo: Removing an utterance should drop only the latest match'
+            );
+
+            conversation.recordShown(['In May?', 'With whom?']);
+            conversation.recordApplied('In May?');
+            conversation.unapply('In May?');
+            const turn = conversation.getCurrentTurn();
+            this.assert(
+                turn.applied.length === 0 && turn.dismissed.join('|') === 'With whom?|In May?',
+                'Undo: A taken-back suggestion should count as dismissed'
+            );
+
+        } catch (error) {
+            this.assert(false, `Undo test failed: ${error.message}`);
+        }
+    }
+
+    async testClear() {
+        try {
+            const conversation = new ConversationContext();
+            conversation.addUtterance('I am planning a trip');
+            conversation.recordShown(['Where to?']);
+            conversation.clear();
+
+            this.assert(
+                conversation.getHistory().length === 0 && conversation.getAvoidList().length === 0,
+                'Clear: Should forget utterances and suggestions'
+            );
+
+        } catch (error) {
+            this.assert(false, `Clear test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ConversationContextTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new ConversationContextTests();
+    tests.runAllTests().catch(console.error);
+}
@@ -0,0 +1,277 @@
+/**
+ * Unit Tests for CredentialVault
+ * Tests session-only keys, encryption at rest, locking, passphrase changes and plaintext migration
+ */
+
+const CredentialVault = require('../../utils/credential-vault.js');
+
+// Mock localStorage / sessionStorage for testing
+class MockLocalStorage {
+    constructor() {
+        this.storage = {};
+    }
+
+    get length() {
+        return Object.keys(this.storage).length;
+    }
+
+    key(index) {
+        return Object.keys(this.storage)[index] || null;
+    }
+
+    getItem(key) {
+        return this.storage[key] || null;
+    }
+
+    setItem(key, value) {
+        this.storage[key] = value;
+    }
+
+    removeItem(key) {
+        delete this.storage[key];
+    }
+}
+
+const STORAGE_KEY = 'voice_autocomplete_credentials';
+
+// Test Suite
+class CredentialVaultTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    // Low PBKDF2 iterations keep the suite fast; the default is 600000
+    createVault(storage = new MockLocalStorage(), sessionStorage = new MockLocalStorage()) {
+        return new CredentialVault({ storage, sessionStorage, iterations: 1000 });
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running CredentialVault Unit Tests...\n');
+
+        await this.testSessionOnly();
+        await this.testEncryption();
+        await this.testLocking();
+        await this.testPassphraseChanges();
+        await this.testMigration();
+
+        this.printResults();
+    }
+
+    async testSessionOnly() {
+        try {
+            const storage = new MockLocalStorage();
+            const sessionStorage = new MockLocalStorage();
+            const vault = this.createVault(storage, sessionStorage);
+            await vault.setMany({ 'desktop.llm': 'sk-session', 'desktop.fallbacks': ['', ''] });
+
+            this.assert(
+                vault.mode === 'session' && !vault.isLocked() && storage.length === 0 &&
+                    this.createVault(storage, sessionStorage).get('desktop.llm') === 'sk-session',
+                'Session: Keys should last for the session without touching localStorage'
+            );
+
+            this.assert(
+                vault.get('desktop.fallbacks') === '' && vault.get('mobile.llm') === '',
+                'Session: Empty values and missing keys should read as empty'
+            );
+
+        } catch (error) {
+            this.assert(false, `Session only test failed: ${error.message}`);
+        }
+    }
+
+    async testEncryption() {
+        try {
+            const storage = new MockLocalStorage();
+            const vault = this.createVault(storage);
+            await vault.set('desktop.llm', 'sk-secret-123');
+            await vault.usePassphrase('correct horse');
+
+            const saved = storage.getItem(STORAGE_KEY);
+            const record = JSON.parse(saved);
+            this.assert(
+                vault.mode === 'persistent' && !saved.includes('sk-secret-123') &&
+                    record.salt && record.iv && record.data && record.iterations === 1000,
+                'Encryption: Keys at rest should be ciphertext with their salt, IV and iteration count'
+            );
+
+            await vault.set('mobile.llm', 'sk-mobile');
+            this.assert(
+                JSON.parse(storage.getItem(STORAGE_KEY)).iv !== record.iv && !storage.getItem(STORAGE_KEY).includes('sk-mobile'),
+                'Encryption: Every save should encrypt with a fresh IV'
+            );
+
+        } catch (error) {
+            this.assert(false, `Encryption test failed: ${error.message}`);
+        }
+    }
+
+    async testLocking() {
+        try {
+            const storage = new MockLocalStorage();
+            const vault = this.createVault(storage);
+            await vault.set('desktop.llm', 'sk-locked');
+            await vault.usePassphrase('correct horse');
+
+            // A reload: the encrypted keys are there, the passphrase isn't
+            const reloaded = this.createVault(storage);
+            this.assert(
+                reloaded.isLocked() && reloaded.get('desktop.llm') === '',
+                'Locking: A new session should start locked'
+            );
+
+            let wrongPassphrase = null;
+            try {
+                await reloaded.unlock('wrong horse');
+            } catch (error) {
+                wrongPassphrase = error.message;
+            }
+            this.assert(
+                wrongPassphrase === 'Wrong passphrase' && reloaded.isLocked(),
+                'Locking: A wrong passphrase should be refused'
+            );
+
+            // Saved while locked: waits in the session, then joins the encrypted keys on unlock
+            await reloaded.set('mobile.llm', 'sk-pending');
+            await reloaded.unlock('correct horse');
+            const third = this.createVault(storage);
+            await third.unlock('correct horse');
+            this.assert(
+                reloaded.get('desktop.llm') === 'sk-locked' && third.get('mobile.llm') === 'sk-pending',
+                'Locking: Unlocking should decrypt the keys and encrypt any saved while locked'
+            );
+
+            reloaded.lock();
+            this.assert(
+                reloaded.isLocked() && reloaded.get('desktop.llm') === '',
+                'Locking: lock() should forget the decrypted keys'
+            );
+
+        } catch (error) {
+            this.assert(false, `Locking test failed: ${error.message}`);
+        }
+    }
+
+    async testPassphraseChanges() {
+        try {
+            const storage = new MockLocalStorage();
+            const sessionStorage = new MockLocalStorage();
+            const vault = this.createVault(storage, sessionStorage);
+            await vault.set('desktop.whisper', 'sk-whisper');
+
+            let shortPassphrase = null;
+            try {
+                await vault.usePassphrase('short');
+            } catch (error) {
+                shortPassphrase = error.message;
+            }
+            this.assert(
+                shortPassphrase && shortPassphrase.includes('at least 8') && vault.mode === 'session',
+                'Passphrase: Short passphrases should be refused'
+            );
+
+            await vault.usePassphrase('first passphrase');
+            await vault.usePassphrase('second passphrase');
+            const reloaded = this.createVault(storage, sessionStorage);
+            let oldRejected = false;
+            try {
+                await reloaded.unlock('first passphrase');
+            } catch (error) {
+                oldRejected = true;
+            }
+            await reloaded.unlock('second passphrase');
+            this.assert(
+                oldRejected && reloaded.get('desktop.whisper') === 'sk-whisper',
+                'Passphrase: Changing it should re-encrypt under the new one only'
+            );
+
+            reloaded.useSessionOnly();
+            this.assert(
+                reloaded.mode === 'session' && storage.getItem(STORAGE_KEY) === null &&
+                    this.createVault(storage, sessionStorage).get('desktop.whisper') === 'sk-whisper',
+                'Passphrase: Going session-only should delete the encrypted copy and keep the keys for the session'
+            );
+
+        } catch (error) {
+            this.assert(false, `Passphrase changes test failed: ${error.message}`);
+        }
+    }
+
+    async testMigration() {
+        try {
+            const storage = new MockLocalStorage();
+            storage.setItem('llmConfig', JSON.stringify({
+                provider: 'azure',
+                apiKey: 'sk-old-desktop',
+                fallbackProviders: [{ provider: 'openai', apiKey: 'sk-old-fallback' }, { provider: 'local', apiKey: '' }]
+            }));
+            storage.setItem('mobileSpeechEngine', JSON.stringify({ engine: 'whisper', apiKey: 'sk-old-whisper' }));
+            storage.setItem('ENV_LLM_API_KEY', 'sk-old-env');
+            storage.setItem('ENV_LLM_MODEL', 'gpt-4o-mini');
+
+            const vault = this.createVault(storage);
+            const moved = await vault.migratePlaintext();
+            const leftovers = Object.values(storage.storage).join(' ');
+
+            this.assert(
+                moved === 4 && vault.get('desktop.llm') === 'sk-old-desktop' &&
+                    vault.get('desktop.fallbacks').join(',') === 'sk-old-fallback,' &&
+                    vault.get('mobile.whisper') === 'sk-old-whisper' && vault.get('env.LLM_API_KEY') === 'sk-old-env',
+                'Migration: Plaintext keys should move into the vault'
+            );
+
+            this.assert(
+                !leftovers.includes('sk-old') && storage.getItem('ENV_LLM_MODEL') === 'gpt-4o-mini' &&
+                    JSON.parse(storage.getItem('llmConfig')).provider === 'azure',
+                'Migration: Plaintext keys should be scrubbed, leaving the other settings'
+            );
+
+            this.assert(
+                await vault.migratePlaintext() === 0,
+                'Migration: A second run should find nothing'
+            );
+
+        } catch (error) {
+            this.assert(false, `Migration test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CredentialVaultTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new CredentialVaultTests();
+    tests.runAllTests().catch(console.error);
+}
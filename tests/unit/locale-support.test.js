@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for LocaleSupport
+ * Tests locale lookup, response instructions, fallbacks, word counting and keyword rules
+ */
+
+const LocaleSupport = require('../../utils/locale-support.js');
+const SharedConstants = require('../../utils/shared-constants.js');
+
+// Test Suite
+class LocaleSupportTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    // Text of every match of a global regex
+    matches(text, regex) {
+        return Array.from(text.matchAll(regex), match => match[0]);
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running LocaleSupport Unit Tests...\n');
+
+        await this.testLookup();
+        await this.testInstructionsAndFallbacks();
+        await this.testWordCount();
+        await this.testKeywordRules();
+
+        this.printResults();
+    }
+
+    async testLookup() {
+        try {
+            this.assert(
+                SharedConstants.LANGUAGES.every(({ code }) => LocaleSupport.isSupported(code)),
+                'Lookup: Every language in SharedConstants.LANGUAGES should have locale data'
+            );
+
+            const british = new LocaleSupport('en-GB');
+            const unknown = new LocaleSupport('nl-NL');
+            this.assert(
+                british.language === 'en' && british.data === LocaleSupport.LOCALES.en &&
+                    unknown.data === LocaleSupport.LOCALES.en && !LocaleSupport.isSupported('nl-NL'),
+                'Lookup: Regional variants should share their language, unknown languages should get English'
+            );
+
+        } catch (error) {
+            this.assert(false, `Lookup test failed: ${error.message}`);
+        }
+    }
+
+    async testInstructionsAndFallbacks() {
+        try {
+            this.assert(
+                new LocaleSupport('en-US').getResponseInstruction() === '' &&
+                    new LocaleSupport('pt-BR').getResponseInstruction().includes('português'),
+                'Instructions: Only non-English locales should ask for another language'
+            );
+
+            this.assert(
+                new LocaleSupport('en-US').getFallbackSuggestions('I am planning a trip')[0] === 'I am planning a trip - please continue' &&
+                    new LocaleSupport('es-ES').getFallbackSuggestions('Voy a Madrid').join('|') ===
+                        'Voy a Madrid... ¿y después?|Voy a Madrid y más detalles|Voy a Madrid con más contexto|Inténtalo de nuevo',
+                'Fallbacks: Should fill in the text in the locale\'s language'
+            );
+
+        } catch (error) {
+            this.assert(false, `Instructions test failed: ${error.message}`);
+        }
+    }
+
+    async testWordCount() {
+        try {
+            this.assert(
+                new LocaleSupport('fr-FR').countWords('  je vais à Paris ') === 4 && new LocaleSupport('fr-FR').countWords(' ') === 0,
+                'Word Count: Spaced languages should count words between spaces'
+            );
+
+            this.assert(
+                new LocaleSupport('ja-JP').countWords('東京に行きたいです') >= 3 &&
+                    new LocaleSupport('zh-CN').countWords('我想去北京旅游') >= 3,
+                'Word Count: Languages without spaces should still reach the 3-word threshold'
+            );
+
+        } catch (error) {
+            this.assert(false, `Word count test failed: ${error.message}`);
+        }
+    }
+
+    async testKeywordRules() {
+        try {
+            const english = new LocaleSupport('en-US').getKeywordRules();
+            this.assert(
+                this.matches('On May 5 I paid $300 and 20 dollars at 3 pm, not B52', english.numbers).join('|') === 'May 5|$300|20 dollars|3 pm',
+                'Keywords: English should match dates, amounts and times but not digits inside words'
+            );
+
+            const spanish = new LocaleSupport('es-ES').getKeywordRules();
+            this.assert(
+                this.matches('El 5 de mayo pagué 300 euros', spanish.numbers).join('|') === '5 de mayo|300 euros' &&
+                    this.matches('Yo voy a Madrid', spanish.properNouns).filter(word => !spanish.stopwords.has(word.toLowerCase())).join('|') === 'Madrid',
+                'Keywords: Spanish should use its own dates, units and stoplist'
+            );
+
+            const russian = new LocaleSupport('ru-RU').getKeywordRules();
+            this.assert(
+                this.matches('5 мая в Москве за 300 рублей', russian.numbers).join('|') === '5 мая|300 рублей' &&
+                    this.matches('5 мая в Москве', russian.properNouns).join('|') === 'Москве',
+                'Keywords: Rules should work outside the Latin alphabet'
+            );
+
+            const japanese = new LocaleSupport('ja-JP').getKeywordRules();
+            this.assert(
+                this.matches('5月3日に東京で3000円', japanese.numbers).join('|') === '5月3日|3000円' &&
+                    japanese.properNouns === null && new LocaleSupport('de-DE').getKeywordRules().properNouns === null,
+                'Keywords: Japanese should match counters; languages where capitals don\'t mark names skip them'
+            );
+
+        } catch (error) {
+            this.assert(false, `Keyword rules test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LocaleSupportTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new LocaleSupportTests();
+    tests.runAllTests().catch(console.error);
+}
@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for PrefixSuggestionCache
+ * Tests Map compatibility, longest-prefix lookup and answered-suggestion filtering
+ */
+
+const PrefixSuggestionCache = require('../../utils/prefix-cache.js');
+
+// Test Suite
+class PrefixSuggestionCacheTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    createEntry(suggestions, timestamp = Date.now()) {
+        return { suggestions, source: 'llm', timestamp, latency: 420 };
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running PrefixSuggestionCache Unit Tests...\n');
+
+        await this.testMapCompatibility();
+        await this.testLongestPrefix();
+        await this.testAnsweredFiltering();
+        await this.testStaleEntries();
+
+        this.printResults();
+    }
+
+    async testMapCompatibility() {
+        try {
+            const cache = new PrefixSuggestionCache();
+            cache.set('i\'m planning a trip', this.createEntry(['where to?']));
+            cache.set('i bought a new car', this.createEntry(['what kind?']));
+
+            this.assert(
+                cache.size === 2 && cache.has('i bought a new car'),
+                'Map Compatibility: Should track size and exact keys'
+            );
+
+            cache.delete('i\'m planning a trip');
+            this.assert(
+                cache.size === 1 && cache.findLongestPrefix('I\'m planning a trip to Paris') === null,
+                'Map Compatibility: Should drop deleted keys from prefix lookups'
+            );
+
+            this.assert(
+                Array.from(cache.entries()).length === 1,
+                'Map Compatibility: Should iterate entries'
+            );
+
+        } catch (error) {
+            this.assert(false, `Map compatibility test failed: ${error.message}`);
+        }
+    }
+
+    async testLongestPrefix() {
+        try {
+            const cache = new PrefixSuggestionCache();
+            cache.set('i\'m planning a', this.createEntry(['what kind?']));
+            cache.set('i\'m planning a trip to', this.createEntry(['where to?', 'when?', 'with who?']));
+
+            const match = cache.findLongestPrefix('I\'m planning a trip to Paris.');
+
+            this.assert(
+                match && match.key === 'i\'m planning a trip to',
+                'Prefix Lookup: Should pick the longest cached prefix'
+            );
+
+            this.assert(
+                match.remainder.join(' ') === 'paris',
+                'Prefix Lookup: Should report words spoken since the prefix'
+            );
+
+        } catch (error) {
+            this.assert(false, `Prefix lookup test failed: ${error.message}`);
+        }
+    }
+
+    async testAnsweredFiltering() {
+        try {
+            const cache = new PrefixSuggestionCache();
+            cache.set('i\'m planning a trip to', this.createEntry(['where to?', 'when?', 'with who?']));
+
+            const result = cache.lookupPrefix('I\'m planning a trip to Paris');
+
+            this.assert(
+                result.source === 'prefix-cache',
+                'Answered Filtering: Should mark results as prefix-cache'
+            );
+
+            this.assert(
+                result.suggestions.join('|') === 'when?|with who?',
+                'Answered Filtering: Should drop questions the new words answer'
+            );
+
+            const later = cache.lookupPrefix('I\'m planning a trip to Paris with my sister');
+            this.assert(
+                later.suggestions.join('|') === 'when?',
+                'Answered Filtering: Should drop "who" once a companion is named'
+            );
+
+        } catch (error) {
+            this.assert(false, `Answered filtering test failed: ${error.message}`);
+        }
+    }
+
+    async testStaleEntries() {
+        try {
+            const cache = new PrefixSuggestionCache({ maxRemainderWords: 2 });
+            cache.set('i\'m planning a trip', this.createEntry(['where to?'], Date.now() - 60000));
+
+            this.assert(
+                cache.lookupPrefix('I\'m planning a trip soon', entry => Date.now() - entry.timestamp < 10000) === null,
+                'Stale Entries: Should skip entries rejected by the freshness check'
+            );
+
+            cache.set('i bought a new car', this.createEntry(['what kind?']));
+            this.assert(
+                cache.lookupPrefix('I bought a new car last week for work') === null,
+                'Stale Entries: Should not reuse a prefix too far behind the transcript'
+            );
+
+        } catch (error) {
+            this.assert(false, `Stale entries test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PrefixSuggestionCacheTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new PrefixSuggestionCacheTests();
+    tests.runAllTests().catch(console.error);
+}
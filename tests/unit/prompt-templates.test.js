@@ -0,0 +1,297 @@
+/**
+ * Unit Tests for PromptTemplateRegistry
+ * Tests built-in styles, rendering, validation, persistence and import/export
+ */
+
+const PromptTemplateRegistry = require('../../utils/prompt-templates.js');
+
+// Mock localStorage for testing
+class MockLocalStorage {
+    constructor() {
+        this.storage = {};
+    }
+
+    getItem(key) {
+        return this.storage[key] || null;
+    }
+
+    setItem(key, value) {
+        this.storage[key] = value;
+    }
+}
+
+// Test Suite
+class PromptTemplateRegistryTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    createStyle(overrides = {}) {
+        return {
+            name: 'Travel Agent',
+            description: 'Booking details',
+            systemMessage: 'You are a travel agent.',
+            userTemplate: 'Customer said: "{text}". Ask {maxSuggestions} booking questions.',
+            maxTokens: 80,
+            maxSuggestions: 2,
+            parser: 'lines',
+            ...overrides
+        };
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running PromptTemplateRegistry Unit Tests...\n');
+
+        await this.testBuiltInStyles();
+        await this.testRendering();
+        await this.testLocalization();
+        await this.testValidation();
+        await this.testSaveAndRemove();
+        await this.testPersistence();
+        await this.testImportExport();
+
+        this.printResults();
+    }
+
+    async testBuiltInStyles() {
+        try {
+            const registry = new PromptTemplateRegistry({ storage: null });
+            const ids = registry.list().map(style => style.id);
+
+            this.assert(
+                ['default', 'keywords', 'thinking-buddy', 'professional', 'conversational'].every(id => ids.includes(id)),
+                'Built-ins: Should register the mobile, desktop and service styles'
+            );
+
+            this.assert(
+                registry.get('missing').id === 'default' && !registry.remove('keywords'),
+                'Built-ins: Unknown ids should fall back to default, built-ins should not be removable'
+            );
+
+        } catch (error) {
+            this.assert(false, `Built-in styles test failed: ${error.message}`);
+        }
+    }
+
+    async testRendering() {
+        try {
+            const registry = new PromptTemplateRegistry({ storage: null });
+            const keywords = registry.render('keywords', 'I want to travel');
+
+            this.assert(
+                keywords.prompt.includes('Someone just said: "I want to travel"') &&
+                    keywords.systemMessage.includes('1-2 words maximum') &&
+                    keywords.maxTokens === 120 && keywords.maxSuggestions === 3,
+                'Rendering: Should fill the template and carry the style settings'
+            );
+
+            const custom = registry.save(this.createStyle());
+            const rendered = registry.render(custom.id, 'a trip to Rome');
+
+            this.assert(
+                rendered.prompt === 'Customer said: "a trip to Rome". Ask 2 booking questions.' && rendered.parser === 'lines',
+                'Rendering: Should replace {text} and {maxSuggestions}'
+            );
+
+        } catch (error) {
+            this.assert(false, `Rendering test failed: ${error.message}`);
+        }
+    }
+
+    async testLocalization() {
+        try {
+            const registry = new PromptTemplateRegistry({ storage: null });
+            const spanish = registry.render('keywords', 'Quiero viajar', 'es-ES');
+
+            this.assert(
+                spanish.prompt.includes('Someone just said: "Quiero viajar"') &&
+                    spanish.prompt.endsWith('escribe todas las sugerencias en español.') &&
+                    spanish.systemMessage.endsWith('escribe todas las sugerencias en español.') &&
+                    registry.render('keywords', 'I want to travel', 'en-GB').prompt === registry.render('keywords', 'I want to travel').prompt,
+                'Localization: Other languages should be told to answer in that language, English left as is'
+            );
+
+            const custom = registry.save(this.createStyle({
+                locales: { ja: { userTemplate: 'お客様:「{text}」。質問を{maxSuggestions}つ。' } }
+            }));
+            const japanese = registry.render(custom.id, '京都旅行', 'ja-JP');
+            this.assert(
+                japanese.prompt === 'お客様:「京都旅行」。質問を2つ。' && japanese.systemMessage === custom.systemMessage,
+                'Localization: A style\'s own translation should replace its template'
+            );
+
+            const edited = registry.save({ id: custom.id, ...this.createStyle({ maxTokens: 60 }) });
+            this.assert(
+                edited.locales && edited.locales.ja && JSON.parse(registry.exportStyles()).styles[0].locales.ja,
+                'Localization: Editing a style should keep its translations, and export them'
+            );
+
+            let error = null;
+            try {
+                registry.save(this.createStyle({ locales: { ja: { userTemplate: 'no placeholder' } } }));
+            } catch (e) {
+                error = e.message;
+            }
+            this.assert(error && error.includes('"ja"'), 'Localization: Translations should need {text} too');
+
+        } catch (error) {
+            this.assert(false, `Localization test failed: ${error.message}`);
+        }
+    }
+
+    async testValidation() {
+        const registry = new PromptTemplateRegistry({ storage: null });
+        const rejects = (style) => {
+            try {
+                registry.save(style);
+                return null;
+            } catch (error) {
+                return error.message;
+            }
+        };
+
+        this.assert(
+            rejects(this.createStyle({ name: ' ' })) === 'Style name is required',
+            'Validation: Should require a name'
+        );
+
+        this.assert(
+            /\{text\}/.test(rejects(this.createStyle({ userTemplate: 'No placeholder' }))),
+            'Validation: Should require the {text} placeholder'
+        );
+
+        this.assert(
+            rejects(this.createStyle({ maxTokens: '-5' })) && rejects(this.createStyle({ parser: 'regex' })),
+            'Validation: Should reject bad token counts and unknown parsers'
+        );
+    }
+
+    async testSaveAndRemove() {
+        try {
+            const registry = new PromptTemplateRegistry({ storage: null });
+            const created = registry.save(this.createStyle());
+
+            this.assert(
+                created.id === 'travel-agent' && created.builtIn === false,
+                'Save: Should derive an id from the name'
+            );
+
+            const edited = registry.save({ ...created, maxTokens: 60 });
+            this.assert(
+                edited.id === created.id && registry.get(created.id).maxTokens === 60,
+                'Save: Should update a user style in place'
+            );
+
+            const copy = registry.save({ ...registry.get('keywords'), id: 'keywords' });
+            this.assert(
+                copy.id === 'keywords-2' && registry.get('keywords').builtIn,
+                'Save: Should save edits to a built-in style as a copy'
+            );
+
+            this.assert(
+                registry.remove(created.id) && !registry.has(created.id),
+                'Remove: Should delete user styles'
+            );
+
+        } catch (error) {
+            this.assert(false, `Save test failed: ${error.message}`);
+        }
+    }
+
+    async testPersistence() {
+        try {
+            const storage = new MockLocalStorage();
+            new PromptTemplateRegistry({ storage }).save(this.createStyle());
+
+            const reloaded = new PromptTemplateRegistry({ storage });
+            this.assert(
+                reloaded.has('travel-agent') && reloaded.get('travel-agent').userTemplate.includes('{text}'),
+                'Persistence: User styles should survive a reload'
+            );
+
+            storage.setItem(reloaded.options.storageKey, 'not json');
+            this.assert(
+                new PromptTemplateRegistry({ storage }).getUserStyles().length === 0,
+                'Persistence: Corrupted storage should leave only the built-ins'
+            );
+
+        } catch (error) {
+            this.assert(false, `Persistence test failed: ${error.message}`);
+        }
+    }
+
+    async testImportExport() {
+        try {
+            const source = new PromptTemplateRegistry({ storage: null });
+            source.save(this.createStyle());
+            const exported = source.exportStyles();
+
+            const target = new PromptTemplateRegistry({ storage: null });
+            const imported = target.importStyles(exported);
+
+            this.assert(
+                JSON.parse(exported).styles.length === 1 && imported.length === 1 &&
+                    target.get(imported[0].id).name === 'Travel Agent',
+                'Import/Export: Should round-trip user styles'
+            );
+
+            this.assert(
+                target.importStyles(exported)[0].id === 'travel-agent-2',
+                'Import/Export: Imports should never overwrite existing styles'
+            );
+
+            let message = null;
+            try {
+                target.importStyles({ styles: [this.createStyle(), this.createStyle({ userTemplate: 'oops' })] });
+            } catch (error) {
+                message = error.message;
+            }
+            this.assert(
+                message && message.startsWith('Style 2:') && target.getUserStyles().length === 2,
+                'Import/Export: Should import nothing when any style is invalid'
+            );
+
+        } catch (error) {
+            this.assert(false, `Import/export test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PromptTemplateRegistryTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new PromptTemplateRegistryTests();
+    tests.runAllTests().catch(console.error);
+}
@@ -0,0 +1,190 @@
+/**
+ * Unit Tests for TokenBucketRateLimiter
+ * Tests token consumption, refill, priority lanes and cross-tab coordination
+ */
+
+const TokenBucketRateLimiter = require('../../utils/rate-limiter.js');
+
+// Test Suite
+class TokenBucketRateLimiterTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    createLimiter(options = {}) {
+        return new TokenBucketRateLimiter({ capacity: 4, channelName: null, ...options });
+    }
+
+    // Let BroadcastChannel messages arrive
+    flushMessages() {
+        return new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running TokenBucketRateLimiter Unit Tests...\n');
+
+        await this.testConsumption();
+        await this.testRefill();
+        await this.testPriorityLanes();
+        await this.testDisabled();
+        await this.testCrossTabSharing();
+
+        this.printResults();
+    }
+
+    async testConsumption() {
+        try {
+            const limiter = this.createLimiter();
+            const granted = [1, 2, 3, 4, 5].map(() => limiter.tryAcquire());
+
+            this.assert(
+                granted.join(',') === 'true,true,true,true,false',
+                'Consumption: Should grant up to capacity, then refuse'
+            );
+
+            this.assert(
+                limiter.getWaitTime() > 0 && limiter.getWaitTime() <= 15000,
+                'Consumption: Should report time until the next token'
+            );
+
+        } catch (error) {
+            this.assert(false, `Consumption test failed: ${error.message}`);
+        }
+    }
+
+    async testRefill() {
+        try {
+            const limiter = this.createLimiter();
+            [1, 2, 3, 4].forEach(() => limiter.tryAcquire());
+
+            // Pretend 30 seconds passed - half the bucket refills
+            limiter.lastRefill -= 30000;
+
+            this.assert(
+                Math.floor(limiter.getTokens()) === 2,
+                'Refill: Should refill in proportion to elapsed time'
+            );
+
+            limiter.lastRefill -= 600000;
+            this.assert(
+                limiter.getTokens() === 4,
+                'Refill: Should never exceed capacity'
+            );
+
+        } catch (error) {
+            this.assert(false, `Refill test failed: ${error.message}`);
+        }
+    }
+
+    async testPriorityLanes() {
+        try {
+            const limiter = this.createLimiter();
+            const lowGranted = [1, 2, 3, 4].map(() => limiter.tryAcquire('low')).filter(Boolean).length;
+
+            this.assert(
+                lowGranted === 3,
+                'Priority: Low priority should leave the reserve untouched'
+            );
+
+            this.assert(
+                limiter.tryAcquire('high') && !limiter.tryAcquire('high'),
+                'Priority: High priority should be able to use the reserve'
+            );
+
+        } catch (error) {
+            this.assert(false, `Priority test failed: ${error.message}`);
+        }
+    }
+
+    async testDisabled() {
+        try {
+            const limiter = this.createLimiter({ enabled: false });
+            const granted = [1, 2, 3, 4, 5, 6].every(() => limiter.tryAcquire());
+
+            this.assert(
+                granted && limiter.getWaitTime() === 0,
+                'Disabled: Should grant every request'
+            );
+
+        } catch (error) {
+            this.assert(false, `Disabled test failed: ${error.message}`);
+        }
+    }
+
+    async testCrossTabSharing() {
+        if (typeof BroadcastChannel === 'undefined') {
+            console.log('⏭️  Skipping cross-tab test - BroadcastChannel unavailable');
+            return;
+        }
+
+        const channelName = `rate_limit_test_${Date.now()}`;
+        const desktop = this.createLimiter({ channelName });
+        const mobile = this.createLimiter({ channelName });
+
+        try {
+            desktop.tryAcquire();
+            desktop.tryAcquire();
+            await this.flushMessages();
+
+            this.assert(
+                Math.floor(mobile.getTokens()) === 2,
+                'Cross-Tab: Tokens taken in one tab should drain the other'
+            );
+
+            // A tab opened later adopts the current budget instead of a full bucket
+            const lateTab = this.createLimiter({ channelName });
+            await this.flushMessages();
+
+            this.assert(
+                Math.floor(lateTab.getTokens()) === 2,
+                'Cross-Tab: New tabs should sync with open ones'
+            );
+
+            lateTab.close();
+        } catch (error) {
+            this.assert(false, `Cross-tab test failed: ${error.message}`);
+        } finally {
+            desktop.close();
+            mobile.close();
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TokenBucketRateLimiterTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new TokenBucketRateLimiterTests();
+    tests.runAllTests().catch(console.error);
+}
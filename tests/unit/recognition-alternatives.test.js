@@ -0,0 +1,203 @@
+/**
+ * Unit Tests for RecognitionAlternatives
+ * Tests finding uncertain words, locating them in the transcript and picking alternatives
+ */
+
+const RecognitionAlternatives = require('../../utils/recognition-alternatives.js');
+
+// Test Suite
+class RecognitionAlternativesTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    // onFinal details for an N-best list, most likely first
+    createDetails(confidence, ...transcripts) {
+        return { confidence, alternatives: transcripts.map(transcript => ({ transcript, confidence })) };
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running RecognitionAlternatives Unit Tests...\n');
+
+        await this.testUncertainSpan();
+        await this.testConfidenceThreshold();
+        await this.testLocateAndSegment();
+        await this.testPick();
+        await this.testRequestContext();
+
+        this.printResults();
+    }
+
+    async testUncertainSpan() {
+        try {
+            const span = (text, ...alternatives) => RecognitionAlternatives.findUncertainSpan(
+                RecognitionAlternatives.getWords(text),
+                alternatives.map(RecognitionAlternatives.getWords)
+            );
+
+            const single = span('a trip to Paris in May', 'a trip to pairs in May');
+            this.assert(
+                single.start === 3 && single.end === 4 && single.options.join('|') === 'pairs',
+                'Span: Should find the word the alternatives disagree on'
+            );
+
+            const union = span('I want to buy a car', 'I want to buy a card', 'I won to buy a car');
+            this.assert(
+                union.start === 1 && union.end === 6 && union.options.join('|') === 'want to buy a card|won to buy a car',
+                'Span: Should cover every disagreement and give each alternative\'s words for it'
+            );
+
+            const missing = span('see you then', 'see you then Ben');
+            this.assert(
+                missing.start === 2 && missing.end === 3 && missing.options.join('|') === 'then Ben',
+                'Span: Words only in an alternative should take in a neighbouring word'
+            );
+
+            this.assert(
+                span('Hello there', 'hello there!') === null,
+                'Span: Alternatives differing only in case and punctuation should agree'
+            );
+
+        } catch (error) {
+            this.assert(false, `Span test failed: ${error.message}`);
+        }
+    }
+
+    async testConfidenceThreshold() {
+        try {
+            const alternatives = new RecognitionAlternatives({ threshold: 0.8 });
+
+            this.assert(
+                alternatives.addResult('a trip to Paris', this.createDetails(0.9, 'a trip to Paris', 'a trip to pairs')) === null &&
+                    alternatives.addResult('a trip to Paris', { alternatives: [{ transcript: 'a trip to pairs' }] }) === null,
+                'Threshold: Confident results, and engines without confidence, should not be uncertain'
+            );
+
+            const entry = alternatives.addResult('a trip to Paris', this.createDetails(0.6, 'a trip to Paris', 'a trip to pairs', 'a trip to Paris'));
+            this.assert(
+                entry && entry.heard === 'Paris' && entry.options.join('|') === 'pairs' && alternatives.entries.length === 1,
+                'Threshold: Low-confidence results should keep their distinct alternatives'
+            );
+
+            this.assert(
+                alternatives.addResult('good morning', this.createDetails(0.4, 'good morning')) === null,
+                'Threshold: Results without differing alternatives should have nothing to offer'
+            );
+
+            const capped = new RecognitionAlternatives({ maxEntries: 2 });
+            ['one', 'two', 'three'].forEach(word => capped.addResult(`say ${word}`, this.createDetails(0.5, `say ${word}`, `say ${word}s`)));
+            this.assert(
+                capped.entries.map(e => e.heard).join('|') === 'two|three',
+                'Threshold: Should forget the oldest entries past maxEntries'
+            );
+
+        } catch (error) {
+            this.assert(false, `Threshold test failed: ${error.message}`);
+        }
+    }
+
+    async testLocateAndSegment() {
+        try {
+            const alternatives = new RecognitionAlternatives();
+            alternatives.addResult('a trip to Paris', this.createDetails(0.5, 'a trip to Paris', 'a trip to pairs'));
+            alternatives.addResult('with Ben', this.createDetails(0.5, 'with Ben', 'with Jen'));
+
+            const text = 'I am planning a trip to Paris with Ben next week';
+            const parts = alternatives.segment(text);
+
+            this.assert(
+                parts.map(part => part.text).join('') === text &&
+                    parts.filter(part => part.entry).map(part => part.text).join('|') === 'Paris|Ben',
+                'Segment: Should mark the uncertain words and keep the rest of the text'
+            );
+
+            this.assert(
+                alternatives.locate('a trip to Rome with Ben').map(({ entry }) => entry.heard).join('|') === 'Ben',
+                'Segment: Entries no longer in the text should be left out'
+            );
+
+        } catch (error) {
+            this.assert(false, `Segment test failed: ${error.message}`);
+        }
+    }
+
+    async testPick() {
+        try {
+            const alternatives = new RecognitionAlternatives();
+            const entry = alternatives.addResult('buy a new card', this.createDetails(0.5, 'buy a new card', 'buy a new car'));
+
+            this.assert(
+                alternatives.pick(entry.id, 'bus') === null && alternatives.pick(99, 'car') === null,
+                'Pick: Should reject unknown entries and options'
+            );
+
+            const change = alternatives.pick(entry.id, 'car');
+            this.assert(
+                change.from === 'buy a new card' && change.to === 'buy a new car' && alternatives.entries.length === 0,
+                'Pick: Should return the corrected result and settle the entry'
+            );
+
+        } catch (error) {
+            this.assert(false, `Pick test failed: ${error.message}`);
+        }
+    }
+
+    async testRequestContext() {
+        try {
+            const alternatives = new RecognitionAlternatives();
+            alternatives.addResult('a trip to Paris', this.createDetails(0.5, 'a trip to Paris', 'a trip to pairs', 'a trip to Perris'));
+
+            this.assert(
+                JSON.stringify(alternatives.toRequestContext('a trip to Paris in May')) ===
+                    JSON.stringify({ alternatives: [{ heard: 'Paris', options: ['pairs', 'Perris'] }] }) &&
+                    alternatives.toRequestContext('something else').alternatives.length === 0,
+                'Context: Should list the uncertain words still in the text'
+            );
+
+            alternatives.clear();
+            this.assert(alternatives.entries.length === 0, 'Context: Clear should forget every entry');
+
+        } catch (error) {
+            this.assert(false, `Context test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RecognitionAlternativesTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new RecognitionAlternativesTests();
+    tests.runAllTests().catch(console.error);
+}
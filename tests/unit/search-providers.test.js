@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for SearchProviderRegistry
+ * Tests built-in and configured providers, URL building, validation and persistence
+ */
+
+const SearchProviderRegistry = require('../../utils/search-providers.js');
+
+// Mock localStorage for testing
+class MockLocalStorage {
+    constructor() {
+        this.storage = {};
+    }
+
+    getItem(key) {
+        return this.storage[key] || null;
+    }
+
+    setItem(key, value) {
+        this.storage[key] = value;
+    }
+}
+
+// Test Suite
+class SearchProviderRegistryTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running SearchProviderRegistry Unit Tests...\n');
+
+        await this.testBuiltInProviders();
+        await this.testBuildUrl();
+        await this.testValidation();
+        await this.testConfiguredProviders();
+        await this.testPersistence();
+
+        this.printResults();
+    }
+
+    async testBuiltInProviders() {
+        try {
+            const registry = new SearchProviderRegistry({ storage: null });
+
+            this.assert(
+                ['bing-copilot', 'google', 'duckduckgo', 'perplexity'].every(id => registry.has(id) && registry.get(id).builtIn),
+                'Built-ins: Should include Bing Copilot, Google, DuckDuckGo and Perplexity'
+            );
+
+            this.assert(
+                registry.get('deleted-provider').id === SearchProviderRegistry.DEFAULT_PROVIDER &&
+                    registry.remove('google') === false,
+                'Built-ins: Unknown ids should fall back to Bing Copilot; built-ins cannot be removed'
+            );
+
+        } catch (error) {
+            this.assert(false, `Built-in providers test failed: ${error.message}`);
+        }
+    }
+
+    async testBuildUrl() {
+        try {
+            const registry = new SearchProviderRegistry({ storage: null });
+
+            this.assert(
+                registry.buildUrl('bing-copilot', ' flights to Paris ') ===
+                    'https://www.bing.com/copilotsearch?q=flights%20to%20Paris&FORM=CSSCOP',
+                'URL: Bing Copilot should keep the URL the app always used'
+            );
+
+            this.assert(
+                registry.buildUrl('duckduckgo', 'a&b=c #1') === 'https://duckduckgo.com/?q=a%26b%3Dc%20%231',
+                'URL: The query should be encoded so it cannot break out of its parameter'
+            );
+
+        } catch (error) {
+            this.assert(false, `Build URL test failed: ${error.message}`);
+        }
+    }
+
+    async testValidation() {
+        try {
+            const registry = new SearchProviderRegistry({ storage: null });
+            const message = (provider) => {
+                try {
+                    registry.save(provider);
+                    return null;
+                } catch (error) {
+                    return error.message;
+                }
+            };
+
+            this.assert(
+                message({ name: '', urlTemplate: 'https://wiki.example.com/?q={query}' }) === 'Provider name is required' &&
+                    message({ name: 'Wiki', urlTemplate: 'https://wiki.example.com/' }) === 'URL template must include {query}' &&
+                    message({ name: 'Wiki', urlTemplate: 'wiki/{query}' }).startsWith('URL template must be a full URL') &&
+                    message({ name: 'Wiki', urlTemplate: 'javascript:alert({query})' }).includes('https://'),
+                'Validation: Should require a name and an http(s) URL template with {query}'
+            );
+
+            const copy = registry.save({ id: 'google', name: 'Google', urlTemplate: 'https://www.google.com/search?q={query}&hl=fr' });
+            this.assert(
+                copy.id === 'google-2' && !copy.builtIn && registry.get('google').urlTemplate.endsWith('q={query}'),
+                'Validation: Saving over a built-in should create an editable copy'
+            );
+
+        } catch (error) {
+            this.assert(false, `Validation test failed: ${error.message}`);
+        }
+    }
+
+    async testConfiguredProviders() {
+        try {
+            const registry = new SearchProviderRegistry({
+                storage: null,
+                providers: [
+                    { name: 'Team Wiki', urlTemplate: 'https://wiki.example.com/search?q={query}' },
+                    { name: 'Broken', urlTemplate: 'https://example.com/' }
+                ]
+            });
+
+            this.assert(
+                registry.get('team-wiki').builtIn && !registry.has('broken') &&
+                    registry.buildUrl('team-wiki', 'release notes') === 'https://wiki.example.com/search?q=release%20notes',
+                'Configured: Deployment providers should be read-only, invalid ones skipped'
+            );
+
+        } catch (error) {
+            this.assert(false, `Configured providers test failed: ${error.message}`);
+        }
+    }
+
+    async testPersistence() {
+        try {
+            const storage = new MockLocalStorage();
+            const registry = new SearchProviderRegistry({ storage });
+            const saved = registry.save({ name: 'Intranet', urlTemplate: 'https://intranet.local/find?text={query}' });
+
+            const reloaded = new SearchProviderRegistry({ storage });
+            this.assert(
+                reloaded.has(saved.id) && !reloaded.get(saved.id).builtIn &&
+                    JSON.parse(storage.getItem('voice_autocomplete_search_providers')).length === 1,
+                'Persistence: Only user providers should be saved and reloaded'
+            );
+
+            reloaded.remove(saved.id);
+            this.assert(
+                !new SearchProviderRegistry({ storage }).has(saved.id),
+                'Persistence: Removed providers should stay removed'
+            );
+
+        } catch (error) {
+            this.assert(false, `Persistence test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SearchProviderRegistryTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new SearchProviderRegistryTests();
+    tests.runAllTests().catch(console.error);
+}
@@ -0,0 +1,458 @@
+/**
+ * Unit Tests for the speech engines
+ * Tests the engine factory, Web Speech result mapping and the Whisper segment uploads
+ */
+
+const { SpeechEngine, WebSpeechEngine, WhisperSpeechEngine } = require('../../utils/speech-engine.js');
+const SharedSpeechRecognition = require('../../utils/shared-speech.js');
+
+// Mock Web Speech API
+class MockSpeechRecognition {
+    start() {
+        if (this.onstart) this.onstart();
+    }
+
+    stop() {
+        if (this.onend) this.onend();
+    }
+
+    abort() {
+        if (this.onend) this.onend();
+    }
+
+    // Test helper - results are [transcript, isFinal, confidence]
+    simulateResults(results, resultIndex = 0) {
+        this.onresult({
+            resultIndex,
+            results: results.map(([transcript, isFinal, confidence]) => ({
+                0: { transcript, confidence },
+                isFinal,
+                length: 1
+            }))
+        });
+    }
+}
+
+// Mock MediaRecorder - stop() hands over one chunk of MockMediaRecorder.nextSize bytes
+class MockMediaRecorder {
+    constructor(stream) {
+        this.stream = stream;
+        this.state = 'inactive';
+        this.mimeType = 'audio/webm;codecs=opus';
+    }
+
+    start() {
+        this.state = 'recording';
+    }
+
+    stop() {
+        this.state = 'inactive';
+        this.ondataavailable({ data: new Blob([new Uint8Array(MockMediaRecorder.nextSize)]) });
+        this.onstop();
+    }
+}
+MockMediaRecorder.nextSize = 5000;
+
+// Test Suite
+class SpeechEngineTests {
+    constructor() {
+        this.testResults = [];
+        this.requests = [];
+        this.responses = [];
+        this.microphoneError = null;
+        this.setupMocks();
+    }
+
+    setupMocks() {
+        global.window = { SpeechRecognition: MockSpeechRecognition };
+        global.MediaRecorder = MockMediaRecorder;
+        Object.defineProperty(global, 'navigator', {
+            value: {
+                mediaDevices: {
+                    getUserMedia: async () => {
+                        if (this.microphoneError) throw this.microphoneError;
+                        return { getTracks: () => [{ stop: () => { this.tracksStopped = true; } }] };
+                    }
+                }
+            },
+            configurable: true,
+            writable: true
+        });
+        global.fetch = async (url, options) => {
+            this.requests.push({ url, options, form: options.body });
+            return this.responses.shift() || this.createResponse(200, { text: '' });
+        };
+    }
+
+    createResponse(status, body) {
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: status === 200 ? 'OK' : 'Error',
+            json: async () => body
+        };
+    }
+
+    // Record events from an engine
+    listen(engine) {
+        const events = [];
+        ['onStart', 'onInterim', 'onFinal', 'onError', 'onEnd'].forEach(name => {
+            engine.setCallback(name, (...args) => events.push([name, ...args]));
+        });
+        return events;
+    }
+
+    // End the current segment as the segment timer would
+    cutSegment(engine) {
+        clearTimeout(engine.segmentTimer);
+        engine.recorder.stop();
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running Speech Engine Unit Tests...\n');
+
+        await this.testFactory();
+        await this.testWebSpeechResults();
+        await this.testWhisperSegments();
+        await this.testWhisperStop();
+        await this.testWhisperErrors();
+        await this.testLanguageSwitch();
+        await this.testSharedSpeechRecognition();
+
+        this.printResults();
+    }
+
+    async testFactory() {
+        try {
+            this.assert(
+                SpeechEngine.create() instanceof WebSpeechEngine &&
+                    SpeechEngine.create({ engine: 'whisper', endpoint: 'http://127.0.0.1:8080/inference' }) instanceof WhisperSpeechEngine,
+                'Factory: Should create the configured engine, Web Speech by default'
+            );
+
+            this.assert(
+                SpeechEngine.create({ engine: 'whisper' }) === null && !SpeechEngine.isSupported({ engine: 'whisper' }),
+                'Factory: Whisper should need an endpoint'
+            );
+
+            global.window = {};
+            this.assert(
+                SpeechEngine.create() === null && SpeechEngine.isSupported({ engine: 'whisper', endpoint: 'http://x/inference' }),
+                'Factory: Whisper should work in browsers without Web Speech'
+            );
+            global.window = { SpeechRecognition: MockSpeechRecognition };
+
+            let error = null;
+            try {
+                SpeechEngine.create({ engine: 'dragon' });
+            } catch (e) {
+                error = e;
+            }
+            this.assert(error && /Unknown speech engine/.test(error.message), 'Factory: Should reject unknown engines');
+
+        } catch (error) {
+            this.assert(false, `Factory test failed: ${error.message}`);
+        }
+    }
+
+    async testWebSpeechResults() {
+        try {
+            const engine = new WebSpeechEngine({ language: 'de-DE' });
+            const events = this.listen(engine);
+
+            engine.start();
+            engine.recognition.simulateResults([[' hello there', true, 0.9], [' how are', false, 0.4]]);
+            engine.recognition.simulateResults([[' hello there', true, 0.9], [' how are you', true, 0.8]], 1);
+
+            this.assert(
+                engine.recognition.lang === 'de-DE' && engine.recognition.continuous && engine.recognition.interimResults &&
+                    engine.recognition.maxAlternatives === 3,
+                'Web Speech: Should configure the recognizer'
+            );
+
+            this.assert(
+                JSON.stringify(events.slice(1)) === JSON.stringify([
+                    ['onFinal', 'hello there', { confidence: 0.9, alternatives: [{ transcript: 'hello there', confidence: 0.9 }] }],
+                    ['onInterim', 'how are'],
+                    ['onFinal', 'how are you', { confidence: 0.8, alternatives: [{ transcript: 'how are you', confidence: 0.8 }] }]
+                ]),
+                'Web Speech: Should report each new final result once, trimmed, with its confidence'
+            );
+
+            engine.recognition.onresult({
+                resultIndex: 0,
+                results: [{
+                    0: { transcript: ' a trip to Paris', confidence: 0.5 },
+                    1: { transcript: ' a trip to pairs', confidence: 0.3 },
+                    isFinal: true,
+                    length: 2
+                }]
+            });
+            this.assert(
+                JSON.stringify(events[events.length - 1][2].alternatives.map(a => a.transcript)) ===
+                    JSON.stringify(['a trip to Paris', 'a trip to pairs']),
+                'Web Speech: Should pass on the N-best alternatives of a final result'
+            );
+
+            engine.recognition.onerror({ error: 'not-allowed' });
+            engine.stop();
+            const error = events.find(([name]) => name === 'onError')[1];
+
+            this.assert(
+                error.error === 'not-allowed' && /denied/.test(error.message) &&
+                    events[events.length - 1][0] === 'onEnd' && !engine.isListening,
+                'Web Speech: Should pass on errors with a readable message, then end'
+            );
+
+        } catch (error) {
+            this.assert(false, `Web Speech test failed: ${error.message}`);
+        }
+    }
+
+    async testWhisperSegments() {
+        try {
+            this.requests = [];
+            this.responses = [
+                this.createResponse(200, { text: ' I am planning a trip ' }),
+                this.createResponse(200, { text: 'to Paris' })
+            ];
+
+            const engine = new WhisperSpeechEngine({
+                endpoint: 'http://127.0.0.1:8080/inference',
+                apiKey: 'sk-test',
+                language: 'fr-FR',
+                segmentDuration: 60000
+            });
+            const events = this.listen(engine);
+
+            await engine.start();
+            this.cutSegment(engine);
+            this.cutSegment(engine);
+            await engine.transcriptions;
+
+            const [first, second] = this.requests;
+            this.assert(
+                first.url === 'http://127.0.0.1:8080/inference' && first.options.method === 'POST' &&
+                    first.options.headers.Authorization === 'Bearer sk-test',
+                'Whisper: Should post each segment to the endpoint'
+            );
+
+            this.assert(
+                first.form.get('file').name === 'speech.webm' && first.form.get('model') === 'whisper-1' &&
+                    first.form.get('language') === 'fr' && first.form.get('response_format') === 'json',
+                'Whisper: Should send the audio file, model and ISO-639-1 language'
+            );
+
+            this.assert(
+                first.form.get('prompt') === null && second.form.get('prompt') === 'I am planning a trip',
+                'Whisper: Should prompt with the previous segment\'s text'
+            );
+
+            this.assert(
+                JSON.stringify(events) === JSON.stringify([
+                    ['onStart'],
+                    ['onFinal', 'I am planning a trip', {}],
+                    ['onFinal', 'to Paris', {}]
+                ]) && engine.isListening,
+                'Whisper: Should report each segment as a final result, in order'
+            );
+
+            MockMediaRecorder.nextSize = 100;
+            this.cutSegment(engine);
+            MockMediaRecorder.nextSize = 5000;
+            await engine.transcriptions;
+
+            this.assert(this.requests.length === 2, 'Whisper: Should skip segments too small to hold speech');
+
+            engine.abort();
+        } catch (error) {
+            this.assert(false, `Whisper segment test failed: ${error.message}`);
+        }
+    }
+
+    async testWhisperStop() {
+        try {
+            this.requests = [];
+            this.tracksStopped = false;
+            this.responses = [this.createResponse(200, { text: 'last words' })];
+
+            const engine = new WhisperSpeechEngine({ endpoint: 'http://localhost:8080/inference', segmentDuration: 60000 });
+            const events = this.listen(engine);
+
+            await engine.start();
+            const ended = new Promise(resolve => engine.setCallback('onEnd', () => {
+                events.push(['onEnd']);
+                resolve();
+            }));
+            engine.stop();
+            await ended;
+
+            this.assert(
+                JSON.stringify(events.map(([name]) => name)) === JSON.stringify(['onStart', 'onFinal', 'onEnd']) &&
+                    !engine.isListening && this.tracksStopped && this.requests[0].options.headers.Authorization === undefined,
+                'Whisper: Stop should transcribe the last segment, release the microphone, then end'
+            );
+
+            this.requests = [];
+            const aborted = new WhisperSpeechEngine({ endpoint: 'http://localhost:8080/inference', segmentDuration: 60000 });
+            const abortedEvents = this.listen(aborted);
+            await aborted.start();
+            aborted.abort();
+            await aborted.transcriptions;
+
+            this.assert(
+                this.requests.length === 0 && abortedEvents[abortedEvents.length - 1][0] === 'onEnd',
+                'Whisper: Abort should drop audio that has not been transcribed'
+            );
+
+        } catch (error) {
+            this.assert(false, `Whisper stop test failed: ${error.message}`);
+        }
+    }
+
+    async testWhisperErrors() {
+        try {
+            this.microphoneError = Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' });
+            const denied = new WhisperSpeechEngine({ endpoint: 'http://localhost:8080/inference' });
+            const deniedEvents = this.listen(denied);
+            await denied.start();
+            this.microphoneError = null;
+
+            this.assert(
+                deniedEvents[0][0] === 'onError' && deniedEvents[0][1].error === 'not-allowed' &&
+                    deniedEvents[1][0] === 'onEnd' && !denied.isListening,
+                'Whisper errors: A denied microphone should report not-allowed, like Web Speech'
+            );
+
+            this.responses = [this.createResponse(401, { error: { message: 'Invalid API key' } })];
+            const engine = new WhisperSpeechEngine({ endpoint: 'https://api.openai.com/v1/audio/transcriptions', segmentDuration: 60000 });
+            const events = this.listen(engine);
+            await engine.start();
+            this.cutSegment(engine);
+            await engine.transcriptions;
+            await engine.transcriptions; // onEnd waits on the chain once more
+
+            const error = events.find(([name]) => name === 'onError')[1];
+            this.assert(
+                error.error === 'service-not-allowed' && /401/.test(error.message) &&
+                    !engine.isListening && events[events.length - 1][0] === 'onEnd',
+                'Whisper errors: A rejected key should report service-not-allowed and end the session'
+            );
+
+        } catch (error) {
+            this.assert(false, `Whisper error test failed: ${error.message}`);
+        }
+    }
+
+    async testLanguageSwitch() {
+        try {
+            const webSpeech = new WebSpeechEngine({ language: 'en-US' });
+            const events = this.listen(webSpeech);
+
+            webSpeech.start();
+            webSpeech.setLanguage('es-ES');
+            webSpeech.recognition.simulateResults([['hola', true, 0.9]]);
+
+            this.assert(
+                webSpeech.recognition.lang === 'es-ES' && webSpeech.isListening &&
+                    events.map(([name]) => name).join(',') === 'onStart,onFinal',
+                'Language: Web Speech should restart in the new language without ending the session'
+            );
+
+            webSpeech.stop();
+            this.assert(events[events.length - 1][0] === 'onEnd' && !webSpeech.isListening, 'Language: Stopping after a switch should end');
+
+            this.requests = [];
+            this.responses = [this.createResponse(200, { text: 'hello' }), this.createResponse(200, { text: 'hola' })];
+            const whisper = new WhisperSpeechEngine({ endpoint: 'http://127.0.0.1:8080/inference', segmentDuration: 60000 });
+            await whisper.start();
+            this.cutSegment(whisper);
+            whisper.setLanguage('es-ES');
+            this.cutSegment(whisper);
+            await whisper.transcriptions;
+
+            this.assert(
+                this.requests.map(request => request.form.get('language')).join(',') === 'en,es',
+                'Language: Whisper should send the new language with the next segment'
+            );
+            whisper.abort();
+
+        } catch (error) {
+            this.assert(false, `Language switch test failed: ${error.message}`);
+        }
+    }
+
+    async testSharedSpeechRecognition() {
+        try {
+            const recognizer = new SharedSpeechRecognition({ language: 'en-GB' });
+            const results = [];
+            recognizer.setCallback('onResult', result => results.push(result));
+
+            recognizer.start();
+            recognizer.recognition.recognition.simulateResults([['good morning', true, 0.7], [' every', false, 0.2]]);
+
+            this.assert(
+                recognizer.getStatus().isSupported && recognizer.isListening &&
+                    JSON.stringify(results) === JSON.stringify([
+                        { final: 'good morning', interim: '', confidence: 0.7, alternatives: [{ transcript: 'good morning', confidence: 0.7 }] },
+                        { final: '', interim: 'every', confidence: 0 }
+                    ]),
+                'SharedSpeechRecognition: Should report engine results through onResult'
+            );
+
+            recognizer.setLanguage('it-IT');
+            this.assert(
+                recognizer.config.language === 'it-IT' && recognizer.recognition.recognition.lang === 'it-IT' && recognizer.isListening,
+                'SharedSpeechRecognition: Should switch language while listening'
+            );
+
+            recognizer.updateConfig({ engine: 'whisper', endpoint: 'http://localhost:8080/inference' });
+            this.assert(
+                recognizer.recognition instanceof WhisperSpeechEngine && !recognizer.isListening,
+                'SharedSpeechRecognition: Should swap engines on a config update'
+            );
+
+        } catch (error) {
+            this.assert(false, `SharedSpeechRecognition test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechEngineTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new SpeechEngineTests();
+    tests.runAllTests().catch(console.error);
+}
@@ -0,0 +1,200 @@
+/**
+ * Unit Tests for SuggestionFilter
+ * Tests each filter, the order they run in, streamed checks and drop-count metrics
+ */
+
+const SuggestionFilter = require('../../utils/suggestion-filter.js');
+
+const REQUEST = {
+    inputText: 'I am planning a trip to Japan next month',
+    systemMessage: 'You are a helpful assistant. Suggest short follow-up questions the speaker might answer next.',
+    prompt: 'Continue this: "I am planning a trip to Japan next month" Give three short questions, one per line.'
+};
+
+// Test Suite
+class SuggestionFilterTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    createFilter(options = {}) {
+        return new SuggestionFilter({ metrics: null, ...options });
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running SuggestionFilter Unit Tests...\n');
+
+        await this.testBasicFilters();
+        await this.testBlocklist();
+        await this.testEchoes();
+        await this.testStreamedChecks();
+        await this.testMetrics();
+
+        this.printResults();
+    }
+
+    async testBasicFilters() {
+        try {
+            const filter = this.createFilter({ maxLength: 40 });
+            const result = filter.filter(
+                ['  Which cities? ', 'which cities', '', '...', 'What would you like to see there on your first morning?', 'Who with?'],
+                REQUEST
+            );
+
+            this.assert(
+                result.suggestions.join('|') === 'Which cities?|Who with?' && result.indexes.join(',') === '0,5',
+                'Basic: Survivors should be trimmed and keep their original positions'
+            );
+
+            this.assert(
+                result.dropped.duplicate === 1 && result.dropped.empty === 2 && result.dropped.tooLong === 1,
+                'Basic: Case and punctuation-only duplicates, empty text and overlong text should be dropped'
+            );
+
+            this.assert(
+                filter.filter(['Which cities?'], REQUEST, ['which cities']).dropped.duplicate === 1,
+                'Basic: Suggestions already kept for the request should count as duplicates'
+            );
+
+        } catch (error) {
+            this.assert(false, `Basic filters test failed: ${error.message}`);
+        }
+    }
+
+    async testBlocklist() {
+        try {
+            const filter = this.createFilter({ blocklist: ['competitor*', 'Acme Corp'] });
+            const result = filter.filter(
+                ['What the FUCK?', 'Shitty flights?', 'Try Competitors.com?', 'Book with ACME corp?', 'Prickly pears there?', 'Scunthorpe next?'],
+                REQUEST
+            );
+
+            this.assert(
+                result.dropped.blocked === 4 && result.suggestions.join('|') === 'Prickly pears there?|Scunthorpe next?',
+                'Blocklist: Built-in and configured words should match whole words, or word starts with *'
+            );
+
+        } catch (error) {
+            this.assert(false, `Blocklist test failed: ${error.message}`);
+        }
+    }
+
+    async testEchoes() {
+        try {
+            const filter = this.createFilter();
+            const result = filter.filter([
+                'I am planning a trip to Japan next month.',
+                'Planning a trip to Japan next month?',
+                'a trip to Japan',
+                'Suggest short follow-up questions the speaker might answer',
+                'Give three short questions',
+                'Which month exactly?',
+                'Is this your first trip to Japan?'
+            ], REQUEST);
+
+            this.assert(
+                result.dropped.echoesInput === 3,
+                'Echoes: The input repeated whole, nearly whole or in part should be dropped'
+            );
+
+            this.assert(
+                result.dropped.echoesPrompt === 2 &&
+                    result.suggestions.join('|') === 'Which month exactly?|Is this your first trip to Japan?',
+                'Echoes: System message and prompt instructions should be dropped, but not the quoted transcript'
+            );
+
+            this.assert(
+                SuggestionFilter.similarity(['a', 'b'], ['a', 'b']) === 1 && SuggestionFilter.similarity(['a'], ['b']) === 0,
+                'Echoes: Similarity should run from 0 (no shared words) to 1 (the same words)'
+            );
+
+        } catch (error) {
+            this.assert(false, `Echoes test failed: ${error.message}`);
+        }
+    }
+
+    async testStreamedChecks() {
+        try {
+            const filter = this.createFilter();
+            const prepared = filter.prepare(REQUEST);
+
+            this.assert(
+                filter.check('Which cities?', prepared, []) === null &&
+                    filter.check('which cities', prepared, ['Which cities?']) === 'duplicate' &&
+                    filter.stats.checked === 0,
+                'Streaming: check() should name the filter without counting toward the stats'
+            );
+
+            const disabled = this.createFilter({ enabled: false });
+            this.assert(
+                disabled.check('What the fuck?', REQUEST, []) === null && disabled.check('  ', REQUEST, []) === 'empty',
+                'Streaming: A disabled filter should only drop empty suggestions'
+            );
+
+        } catch (error) {
+            this.assert(false, `Streamed checks test failed: ${error.message}`);
+        }
+    }
+
+    async testMetrics() {
+        try {
+            const recorded = [];
+            const filter = new SuggestionFilter({ metrics: { recordMetric: (name, value) => recorded.push(`${name}=${value}`) } });
+            filter.filter(['Which cities?', 'which cities?', ''], REQUEST);
+            filter.recordBackfill();
+
+            this.assert(
+                SuggestionFilter.FILTERS.every(name => recorded.some(entry => entry.startsWith(`suggestionFilter_${name}=`))) &&
+                    recorded.includes('suggestionFilter_duplicate=1') && recorded.includes('suggestionFilter_backfill=1'),
+                'Metrics: Every filter should report its drop count, and backfills be counted'
+            );
+
+            this.assert(
+                filter.stats.checked === 3 && filter.stats.kept === 1 && filter.getDroppedCount() === 2 && filter.stats.backfills === 1,
+                'Metrics: Running totals should be kept in stats'
+            );
+
+        } catch (error) {
+            this.assert(false, `Metrics test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SuggestionFilterTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new SuggestionFilterTests();
+    tests.runAllTests().catch(console.error);
+}
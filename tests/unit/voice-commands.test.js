@@ -0,0 +1,166 @@
+/**
+ * Unit Tests for VoiceCommands
+ * Tests command spotting, the text kept before a command, suggestion numbers and languages
+ */
+
+const VoiceCommands = require('../../utils/voice-commands.js');
+
+// Test Suite
+class VoiceCommandsTests {
+    constructor() {
+        this.testResults = [];
+    }
+
+    async runAllTests() {
+        console.log('🧪 Running VoiceCommands Unit Tests...\n');
+
+        await this.testCommands();
+        await this.testRemainder();
+        await this.testPickNumbers();
+        await this.testLanguages();
+
+        this.printResults();
+    }
+
+    async testCommands() {
+        try {
+            const commands = new VoiceCommands();
+            const names = ['Clear that.', 'search this', 'Undo last', 'scratch that', 'stop listening']
+                .map(text => (commands.parse(text) || {}).name);
+
+            this.assert(
+                names.join('|') === 'clear|search|undo|undo|stop',
+                'Commands: Should recognize each command regardless of case and punctuation'
+            );
+
+            this.assert(
+                commands.parse('I want to clear my schedule') === null &&
+                    commands.parse('something I cannot undo') === null &&
+                    commands.parse('search this page for prices') === null &&
+                    commands.parse('') === null,
+                'Commands: Command words mid-sentence are just speech'
+            );
+
+            this.assert(
+                new VoiceCommands({ enabled: false }).parse('stop listening') === null,
+                'Commands: Disabled commands should never match'
+            );
+
+        } catch (error) {
+            this.assert(false, `Commands test failed: ${error.message}`);
+        }
+    }
+
+    async testRemainder() {
+        try {
+            const commands = new VoiceCommands();
+            const command = commands.parse('I need flights to Tokyo, search this');
+
+            this.assert(
+                command.name === 'search' && command.remainder === 'I need flights to Tokyo' && command.phrase === 'search this',
+                'Remainder: Words before a command should be kept without the command'
+            );
+
+            this.assert(
+                commands.parse('stop listening').remainder === '' &&
+                    commands.strip('what about Kyoto undo that') === 'what about Kyoto' &&
+                    commands.strip('what about Kyoto') === 'what about Kyoto',
+                'Remainder: strip() should drop only a trailing command'
+            );
+
+        } catch (error) {
+            this.assert(false, `Remainder test failed: ${error.message}`);
+        }
+    }
+
+    async testPickNumbers() {
+        try {
+            const commands = new VoiceCommands();
+            const indexes = ['pick one', 'Pick 2', 'pick to', 'choose the third one', 'select number three', 'pick suggestion 1']
+                .map(text => commands.parse(text).index);
+
+            this.assert(
+                indexes.join(',') === '0,1,1,2,2,0',
+                'Pick: Number words, digits, ordinals and misheard numbers should give 0-based indexes'
+            );
+
+            this.assert(
+                commands.parse('pick four') === null && commands.parse('pick') === null,
+                'Pick: Only suggestions one to three can be picked'
+            );
+
+        } catch (error) {
+            this.assert(false, `Pick numbers test failed: ${error.message}`);
+        }
+    }
+
+    async testLanguages() {
+        try {
+            const commands = new VoiceCommands({ language: 'es-ES' });
+            this.assert(
+                commands.parse('Quiero ir a Madrid, busca esto').remainder === 'Quiero ir a Madrid' &&
+                    commands.parse('elige la segunda').index === 1 &&
+                    commands.parse('search this') === null,
+                'Languages: Spanish should use its own phrases'
+            );
+
+            commands.setLanguage('fr-FR');
+            const french = commands.parse('Arrête d’écouter');
+            commands.setLanguage('de-DE');
+            const german = commands.parse('Wähle die dritte');
+
+            this.assert(
+                french.name === 'stop' && german.name === 'pick' && german.index === 2,
+                'Languages: Switching language should switch phrases, accented words included'
+            );
+
+            commands.setLanguage('ja-JP');
+            this.assert(
+                commands.language === 'en' && commands.parse('undo last').name === 'undo',
+                'Languages: Languages without phrases should get English'
+            );
+
+        } catch (error) {
+            this.assert(false, `Languages test failed: ${error.message}`);
+        }
+    }
+
+    assert(condition, message) {
+        const result = {
+            message,
+            passed: !!condition,
+            timestamp: new Date().toISOString()
+        };
+        this.testResults.push(result);
+
+        const status = result.passed ? '✅' : '❌';
+        console.log(`${status} ${message}`);
+    }
+
+    printResults() {
+        const passed = this.testResults.filter(r => r.passed).length;
+        const total = this.testResults.length;
+        const percentage = Math.round((passed / total) * 100);
+
+        console.log('\n📊 Test Results Summary:');
+        console.log(`✅ Passed: ${passed}/${total} (${percentage}%)`);
+        console.log(`❌ Failed: ${total - passed}/${total}`);
+
+        if (passed === total) {
+            console.log('🎉 All tests passed!');
+        } else {
+            console.log('⚠️  Some tests failed. Review the output above.');
+        }
+    }
+}
+
+// Export for use in test runners
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VoiceCommandsTests };
+}
+
+// Auto-run if executed directly
+if (typeof window === 'undefined' && typeof process !== 'undefined') {
+    const tests = new VoiceCommandsTests();
+    tests.runAllTests().catch(console.error);
+}
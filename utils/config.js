@@ -6,6 +6,7 @@
 class ConfigManager {
     constructor() {
         this.config = {};
+        this.vault = null; // CredentialVault holding secret ENV_* overrides; see useVault
         this.environment = this.detectEnvironment();
         this.loadConfiguration();
     }
@@ -41,7 +42,8 @@ class ConfigManager {
                 language: 'en-US',
                 continuous: true,
                 interimResults: true,
-                maxAlternatives: 1,
+                maxAlternatives: 3, // N-best list - lets the user fix words the recognizer was unsure of
+                lowConfidenceThreshold: 0.75, // Final results below this confidence get their alternatives offered
                 grammars: [],
                 serviceURI: null
             },
@@ -52,11 +54,26 @@ class ConfigManager {
                 apiKey: this.getEnvVar('LLM_API_KEY', ''),
                 modelName: this.getEnvVar('LLM_MODEL', 'gpt-4o-mini'),
                 deploymentName: this.getEnvVar('LLM_DEPLOYMENT', ''),
+                proxyUrl: this.getEnvVar('LLM_PROXY_URL', ''), // Team proxy server (utils/proxy-server.js) - used unless the user configures their own
                 maxTokens: 150,
                 temperature: 0.7,
                 timeout: 10000, // 10 seconds
                 retryAttempts: 3,
-                retryDelay: 1000
+                retryDelay: 1000,
+                structuredOutput: true // JSON suggestions; falls back to text parsing when invalid
+            },
+
+            // Search destinations (see SearchProviderRegistry)
+            search: {
+                defaultProvider: 'bing-copilot', // Until the user picks one in settings
+                providers: [] // Extra read-only providers, e.g. { name: 'Team Wiki', urlTemplate: 'https://wiki.example.com/search?q={query}' }
+            },
+
+            // Checks on model output before it is shown (see SuggestionFilter)
+            suggestionFilter: {
+                maxLength: 120, // Characters per suggestion
+                minSuggestions: 3, // Fewer left after filtering asks the model for more
+                blocklist: [] // Words never to show on top of the built-in profanity list; 'word*' also matches longer words
             },
 
             // UI settings
@@ -78,6 +95,7 @@ class ConfigManager {
                 analytics: this.environment !== 'production', // Disable in prod for privacy
                 errorReporting: true,
                 offlineMode: false,
+                voiceCommands: true, // "pick two", "clear that", "search this", "undo last", "stop listening"
                 experimentalFeatures: this.environment === 'development'
             },
 
@@ -95,7 +113,7 @@ class ConfigManager {
                 enableCSP: this.environment === 'production',
                 allowedOrigins: this.getAllowedOrigins(),
                 enableCORS: true,
-                sanitizeInput: true,
+                sanitizeInput: true, // Scrub transcripts before they are sent (see InputSanitizer); false turns the privacy filter off
                 enableRateLimit: true,
                 maxRequestsPerMinute: 60
             },
@@ -199,7 +217,10 @@ class ConfigManager {
             return metaTag.getAttribute('content') || defaultValue;
         }
 
-        // Try to get from localStorage (for user overrides)
+        // Try to get from localStorage (for user overrides); secrets live in the CredentialVault
+        if (/KEY|SECRET|TOKEN|PASSWORD/i.test(key)) {
+            return (this.vault && this.vault.get(`env.${key}`)) || defaultValue;
+        }
         const storedValue = localStorage.getItem(`ENV_${key}`);
         if (storedValue) {
             return storedValue;
@@ -208,6 +229,18 @@ class ConfigManager {
         return defaultValue;
     }
 
+    /**
+     * Read secret overrides from `vault`, where CredentialVault.migratePlaintext moves
+     * ENV_* secrets (as env.<NAME>), and refresh the settings that come from them.
+     * The front ends call this whenever the vault's keys change - they're empty while it's locked
+     */
+    useVault(vault) {
+        this.vault = vault;
+        Object.entries(ConfigManager.SECRET_SETTINGS).forEach(([path, key]) => {
+            this.set(path, this.getEnvVar(key, ''));
+        });
+    }
+
     loadUserPreferences() {
         try {
             const stored = localStorage.getItem('voiceApp_userPreferences');
@@ -350,6 +383,11 @@ class ConfigManager {
     }
 }
 
+// Settings read from secret environment variables, which useVault refreshes
+ConfigManager.SECRET_SETTINGS = {
+    'llm.apiKey': 'LLM_API_KEY'
+};
+
 // Create global configuration instance
 const config = new ConfigManager();
 
@@ -0,0 +1,195 @@
+/**
+ * Rolling Conversation Context
+ * Remembers the last few utterances and what happened to the suggestions shown
+ * for them (applied or dismissed), so prompts can carry the conversation so far
+ * as chat history instead of only the text currently on screen
+ */
+
+class ConversationContext {
+    constructor(options = {}) {
+        this.options = {
+            maxTurns: options.maxTurns || 6, // Utterances kept as history
+            maxAvoided: options.maxAvoided || 12, // Applied/dismissed suggestions listed in the prompt
+            ...options
+        };
+
+        this.clear();
+    }
+
+    clear() {
+        this.turns = [];
+        this.shown = []; // Suggestions on screen, not yet applied or replaced
+        this.typedLength = 0; // How much of the typed text is already recorded as utterances
+    }
+
+    /**
+     * Record a finished utterance; suggestions shown from now on belong to it
+     */
+    addUtterance(text) {
+        const utterance = String(text || '').trim();
+        if (!utterance) return;
+
+        this.turns.push({ utterance, applied: [], dismissed: [] });
+        if (this.turns.length > this.options.maxTurns) {
+            this.turns.shift();
+        }
+    }
+
+    /**
+     * Correct the latest matching utterance, e.g. after picking another recognition alternative
+     */
+    replaceUtterance(previous, replacement) {
+        const key = ConversationContext.normalize(previous);
+        const turn = this.turns.slice().reverse().find(t => ConversationContext.normalize(t.utterance) === key);
+        const utterance = String(replacement || '').trim();
+
+        if (turn && utterance) {
+            turn.utterance = utterance;
+        }
+    }
+
+    /**
+     * Forget the latest matching utterance, e.g. after "undo last"
+     */
+    removeUtterance(text) {
+        const key = ConversationContext.normalize(text);
+        const index = this.turns.map(t => ConversationContext.normalize(t.utterance)).lastIndexOf(key);
+
+        if (index >= 0) {
+            this.turns.splice(index, 1);
+        }
+    }
+
+    /**
+     * Record the sentences finished in typed text since the last call
+     * Typed input has no final speech results, so a sentence counts as an utterance once
+     * its closing punctuation is followed by a space. Deleting text rewinds to the edit
+     */
+    addTypedText(text = '') {
+        const value = String(text);
+        this.typedLength = Math.min(this.typedLength, value.length);
+
+        const pending = value.slice(this.typedLength);
+        const boundary = /[.!?]+(?=\s)/g;
+        let end = -1;
+        let match;
+        while ((match = boundary.exec(pending)) !== null) {
+            end = match.index + match[0].length;
+        }
+        if (end < 0) return;
+
+        pending.slice(0, end).split(/(?<=[.!?])\s+/).forEach(sentence => this.addUtterance(sentence));
+        this.typedLength += end;
+    }
+
+    /**
+     * Record a newly displayed set of suggestions
+     * Whatever was on screen before and never applied counts as dismissed
+     */
+    recordShown(suggestions = []) {
+        const next = suggestions.filter(s => typeof s === 'string' && s.trim());
+        if (next.join('\n') === this.shown.join('\n')) return;
+
+        this.dismissShown();
+        this.shown = next;
+    }
+
+    /**
+     * Record a suggestion the user picked; the rest of its set is dismissed
+     */
+    recordApplied(suggestion) {
+        const turn = this.getCurrentTurn();
+        if (!turn || !suggestion) return;
+
+        turn.applied.push(suggestion);
+        this.shown = this.shown.filter(s => s !== suggestion);
+        this.dismissShown();
+    }
+
+    /**
+     * An applied suggestion the user took back counts as dismissed
+     */
+    unapply(suggestion) {
+        const turn = this.turns.slice().reverse().find(t => t.applied.includes(suggestion));
+        if (!turn) return;
+
+        turn.applied = turn.applied.filter(s => s !== suggestion);
+        if (!turn.dismissed.includes(suggestion)) {
+            turn.dismissed.push(suggestion);
+        }
+    }
+
+    dismissShown() {
+        const turn = this.getCurrentTurn();
+        if (turn) {
+            this.shown
+                .filter(s => !turn.dismissed.includes(s))
+                .forEach(s => turn.dismissed.push(s));
+        }
+        this.shown = [];
+    }
+
+    getCurrentTurn() {
+        return this.turns[this.turns.length - 1] || null;
+    }
+
+    /**
+     * Prior turns as chat messages: each utterance as a user message, followed by the
+     * suggestions applied to it as an assistant message. Utterances still part of
+     * `currentText` are left out - the prompt already contains them
+     */
+    getHistory(currentText = '') {
+        // Padded so a short utterance like "no" only matches whole words, not "know"
+        const current = ` ${ConversationContext.normalize(currentText)} `;
+
+        return this.turns
+            .filter(turn => !current.includes(` ${ConversationContext.normalize(turn.utterance)} `))
+            .flatMap(turn => {
+                const messages = [{ role: 'user', content: turn.utterance }];
+                if (turn.applied.length > 0) {
+                    messages.push({ role: 'assistant', content: turn.applied.join('\n') });
+                }
+                return messages;
+            });
+    }
+
+    /**
+     * Suggestions not worth repeating, most recent first
+     */
+    getAvoidList() {
+        const seen = new Set();
+
+        return this.turns
+            .slice()
+            .reverse()
+            .flatMap(turn => [...turn.applied, ...turn.dismissed])
+            .filter(s => {
+                const key = s.toLowerCase();
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.options.maxAvoided);
+    }
+
+    /**
+     * Context fields for SharedLLMService.generateSuggestions
+     */
+    toRequestContext(currentText = '') {
+        return {
+            history: this.getHistory(currentText),
+            avoidSuggestions: this.getAvoidList()
+        };
+    }
+
+    static normalize(text) {
+        return String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationContext;
+} else {
+    window.ConversationContext = ConversationContext;
+}
@@ -0,0 +1,315 @@
+/**
+ * Credential Vault
+ * Keeps API keys out of plain localStorage. Keys are either kept for this session
+ * only (sessionStorage - gone when the tab closes) or encrypted on this device with
+ * WebCrypto AES-GCM, under a key derived from the user's passphrase with PBKDF2.
+ * The passphrase unlocks them once per page session; the derived key is never stored.
+ * Plaintext keys left by older versions (saved configs, ENV_* overrides) are moved
+ * into the vault and removed by migratePlaintext().
+ */
+
+class CredentialVault {
+    constructor(options = {}) {
+        const constants = typeof SharedConstants !== 'undefined' ? SharedConstants : null;
+
+        this.options = {
+            storageKey: options.storageKey || (constants && constants.STORAGE_KEYS.CREDENTIALS) || 'voice_autocomplete_credentials',
+            iterations: options.iterations || 600000, // PBKDF2-SHA256, per OWASP's recommendation
+            minPassphraseLength: options.minPassphraseLength || 8
+        };
+
+        // Pass `null` for either storage to go without it, e.g. in tests
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.sessionStorage = options.sessionStorage !== undefined
+            ? options.sessionStorage
+            : (typeof sessionStorage !== 'undefined' ? sessionStorage : null);
+        this.crypto = options.crypto || (typeof crypto !== 'undefined' ? crypto : null);
+
+        this.key = null; // Derived AES-GCM key while unlocked
+        this.credentials = this.readSession(); // name -> value; while locked, only what's waiting to be encrypted
+    }
+
+    /**
+     * 'persistent' when keys are encrypted on this device, otherwise 'session'
+     */
+    get mode() {
+        return this.readRecord() ? 'persistent' : 'session';
+    }
+
+    isLocked() {
+        return this.mode === 'persistent' && !this.key;
+    }
+
+    get(name) {
+        return this.credentials[name] ?? '';
+    }
+
+    async set(name, value) {
+        return this.setMany({ [name]: value });
+    }
+
+    /**
+     * Store several credentials at once; empty values are removed.
+     * While locked they wait in sessionStorage and are encrypted on unlock
+     */
+    async setMany(values) {
+        Object.entries(values).forEach(([name, value]) => {
+            if (value === '' || value === null || value === undefined || (Array.isArray(value) && !value.some(Boolean))) {
+                delete this.credentials[name];
+            } else {
+                this.credentials[name] = value;
+            }
+        });
+        await this.persist();
+    }
+
+    /**
+     * Decrypt the stored keys; throws on a wrong passphrase
+     */
+    async unlock(passphrase) {
+        const record = this.readRecord();
+        if (!record) return;
+
+        const key = await this.deriveKey(passphrase, CredentialVault.fromBase64(record.salt), record.iterations);
+        let stored;
+        try {
+            stored = JSON.parse(await this.decrypt(key, record));
+        } catch (error) {
+            throw new Error('Wrong passphrase');
+        }
+
+        const pending = this.readSession();
+        this.key = key;
+        this.credentials = { ...stored, ...pending };
+        if (Object.keys(pending).length > 0) {
+            await this.persist();
+        }
+    }
+
+    /**
+     * Forget the decrypted keys until the next unlock
+     */
+    lock() {
+        if (this.mode !== 'persistent') return;
+
+        this.key = null;
+        this.credentials = {};
+    }
+
+    /**
+     * Encrypt the keys on this device under `passphrase` - also how the passphrase is changed
+     */
+    async usePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < this.options.minPassphraseLength) {
+            throw new Error(`Passphrase must be at least ${this.options.minPassphraseLength} characters`);
+        }
+        if (this.isLocked()) {
+            throw new Error('Unlock the saved keys before changing the passphrase');
+        }
+
+        const salt = this.crypto.getRandomValues(new Uint8Array(16));
+        this.key = await this.deriveKey(passphrase, salt, this.options.iterations);
+        this.salt = salt;
+        await this.persist(true);
+    }
+
+    /**
+     * Keep the keys for this session only; the encrypted copy is deleted
+     */
+    useSessionOnly() {
+        if (this.isLocked()) {
+            throw new Error('Unlock the saved keys first, or forget them');
+        }
+
+        this.key = null;
+        if (this.storage) this.storage.removeItem(this.options.storageKey);
+        this.writeSession(this.credentials);
+    }
+
+    /**
+     * Delete every stored key, encrypted or not
+     */
+    forget() {
+        this.key = null;
+        this.credentials = {};
+        if (this.storage) this.storage.removeItem(this.options.storageKey);
+        if (this.sessionStorage) this.sessionStorage.removeItem(this.options.storageKey);
+    }
+
+    /**
+     * Move plaintext keys found in localStorage into the vault, then remove them there
+     * @returns {number} How many keys were moved
+     */
+    async migratePlaintext() {
+        if (!this.storage) return 0;
+
+        const found = {};
+        const scrubs = [];
+
+        CredentialVault.PLAINTEXT_SOURCES.forEach(({ storageKey, fields }) => {
+            let saved;
+            try {
+                saved = JSON.parse(this.storage.getItem(storageKey) || 'null');
+            } catch (error) {
+                return;
+            }
+            if (!saved || typeof saved !== 'object') return;
+
+            let changed = false;
+            Object.entries(fields).forEach(([field, name]) => {
+                const value = field === 'fallbackProviders'
+                    ? (Array.isArray(saved[field]) ? saved[field].map(provider => (provider && provider.apiKey) || '') : [])
+                    : saved[field];
+                if (Array.isArray(value) ? value.some(Boolean) : value) {
+                    found[name] = value;
+                }
+                if (field === 'fallbackProviders' && Array.isArray(saved[field])) {
+                    changed = changed || value.some(Boolean);
+                    saved[field] = saved[field].map(provider => ({ ...provider, apiKey: '' }));
+                } else if (saved[field]) {
+                    saved[field] = '';
+                    changed = true;
+                }
+            });
+            if (changed) {
+                scrubs.push(() => this.storage.setItem(storageKey, JSON.stringify(saved)));
+            }
+        });
+
+        // ENV_* overrides that hold secrets; other overrides (endpoints, models) stay
+        for (let i = 0; i < this.storage.length; i++) {
+            const storageKey = this.storage.key(i);
+            if (storageKey && storageKey.startsWith('ENV_') && CredentialVault.isSecretName(storageKey)) {
+                found[`env.${storageKey.slice(4)}`] = this.storage.getItem(storageKey);
+                scrubs.push(() => this.storage.removeItem(storageKey));
+            }
+        }
+
+        const count = Object.keys(found).length;
+        if (count === 0) return 0;
+
+        // Keys already in the vault are newer than leftovers from older versions
+        await this.setMany(Object.fromEntries(Object.entries(found).filter(([name]) => !(name in this.credentials))));
+        scrubs.forEach(scrub => scrub());
+        return count;
+    }
+
+    async persist(force = false) {
+        if (this.key && (force || this.mode === 'persistent')) {
+            const record = this.readRecord();
+            const salt = this.salt || CredentialVault.fromBase64(record.salt);
+            const encrypted = await this.encrypt(this.key, JSON.stringify(this.credentials));
+
+            this.storage.setItem(this.options.storageKey, JSON.stringify({
+                version: 1,
+                salt: CredentialVault.toBase64(salt),
+                iterations: this.salt ? this.options.iterations : record.iterations,
+                ...encrypted
+            }));
+            this.salt = null;
+            if (this.sessionStorage) this.sessionStorage.removeItem(this.options.storageKey);
+            return;
+        }
+
+        this.writeSession(this.credentials);
+    }
+
+    async deriveKey(passphrase, salt, iterations) {
+        const subtle = this.getSubtle();
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+        return subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async encrypt(key, text) {
+        const iv = this.crypto.getRandomValues(new Uint8Array(12));
+        const data = await this.getSubtle().encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+        return { iv: CredentialVault.toBase64(iv), data: CredentialVault.toBase64(new Uint8Array(data)) };
+    }
+
+    async decrypt(key, { iv, data }) {
+        const plain = await this.getSubtle().decrypt(
+            { name: 'AES-GCM', iv: CredentialVault.fromBase64(iv) },
+            key,
+            CredentialVault.fromBase64(data)
+        );
+        return new TextDecoder().decode(plain);
+    }
+
+    getSubtle() {
+        if (!this.crypto || !this.crypto.subtle) {
+            throw new Error('Encrypted key storage needs WebCrypto (a secure https:// or localhost page)');
+        }
+        return this.crypto.subtle;
+    }
+
+    readRecord() {
+        if (!this.storage) return null;
+
+        try {
+            const record = JSON.parse(this.storage.getItem(this.options.storageKey) || 'null');
+            return record && record.salt && record.data ? record : null;
+        } catch (error) {
+            console.warn('Ignoring unreadable encrypted keys:', error.message);
+            return null;
+        }
+    }
+
+    readSession() {
+        if (!this.sessionStorage) return {};
+
+        try {
+            return JSON.parse(this.sessionStorage.getItem(this.options.storageKey) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    writeSession(credentials) {
+        if (!this.sessionStorage) return;
+
+        if (Object.keys(credentials).length === 0) {
+            this.sessionStorage.removeItem(this.options.storageKey);
+        } else {
+            this.sessionStorage.setItem(this.options.storageKey, JSON.stringify(credentials));
+        }
+    }
+
+    static isSecretName(name) {
+        return /KEY|SECRET|TOKEN|PASSWORD/i.test(name);
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
+
+// Saved settings that may hold plaintext keys from older versions: field -> vault name
+CredentialVault.PLAINTEXT_SOURCES = [
+    { storageKey: 'llmConfig', fields: { apiKey: 'desktop.llm', fallbackProviders: 'desktop.fallbacks' } },
+    { storageKey: 'mobileLLMConfig', fields: { apiKey: 'mobile.llm' } },
+    { storageKey: 'desktopSpeechEngine', fields: { apiKey: 'desktop.whisper' } },
+    { storageKey: 'mobileSpeechEngine', fields: { apiKey: 'mobile.whisper' } }
+];
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CredentialVault;
+} else {
+    window.CredentialVault = CredentialVault;
+}
@@ -161,6 +161,13 @@ class ErrorHandler {
      * Fallback strategies implementation
      */
     enableManualInput() {
+        // Both front ends have a typed input mode that keeps suggestions running
+        const app = window.speechTranscriber || window.mobileApp;
+        if (app && typeof app.setInputMode === 'function') {
+            app.setInputMode('typed');
+            return { mode: 'manual_input', element: app.typedInput };
+        }
+        
         const textInput = document.createElement('input');
         textInput.type = 'text';
         textInput.placeholder = 'Type your message here...';
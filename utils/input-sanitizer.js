@@ -0,0 +1,190 @@
+/**
+ * Input Sanitizer
+ * Scrubs transcripts before they are sent to an LLM provider. Email addresses, phone
+ * numbers and card numbers are replaced with placeholders like [email], and quotes or
+ * instruction-breaking sequences (fake role markers, chat-template tokens, "ignore
+ * previous instructions") are neutralized so the transcript can't escape the quoted
+ * text in the prompt templates. Each category can be switched off in settings; the
+ * choice is kept in localStorage, shared by the desktop and mobile versions.
+ */
+
+class InputSanitizer {
+    constructor(options = {}) {
+        const constants = typeof SharedConstants !== 'undefined'
+            ? SharedConstants
+            : require('./shared-constants.js');
+
+        this.options = {
+            storageKey: options.storageKey || constants.STORAGE_KEYS.PRIVACY_FILTER || 'voice_autocomplete_privacy_filter'
+        };
+        this.enabled = options.enabled !== false; // `security.sanitizeInput`; false sends transcripts as they are
+        this.regex = constants.REGEX;
+
+        // Pass `storage: null` to keep the category settings in memory only
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.categories = {};
+        InputSanitizer.CATEGORIES.forEach(({ id }) => {
+            this.categories[id] = !options.categories || options.categories[id] !== false;
+        });
+        this.load();
+    }
+
+    isEnabled(category) {
+        return this.enabled && !!this.categories[category];
+    }
+
+    /**
+     * Switch a category on or off and remember the choice
+     */
+    setCategory(category, enabled) {
+        if (!(category in this.categories)) {
+            throw new Error(`Unknown privacy filter category: ${category}`);
+        }
+
+        this.categories[category] = !!enabled;
+        this.save();
+    }
+
+    getCategories() {
+        return { ...this.categories };
+    }
+
+    /**
+     * Scrub one piece of text
+     * @returns {{ text: string, redactions: Object }} The text to send and how many
+     * of each category were replaced, e.g. { email: 1, injection: 2 }
+     */
+    sanitize(text) {
+        const redactions = {};
+        if (typeof text !== 'string' || !text || !this.enabled) {
+            return { text, redactions };
+        }
+
+        const replace = (category, pattern, replacement, accept = () => true) => {
+            text = text.replace(pattern, (match, ...groups) => {
+                if (!accept(match)) return match;
+                redactions[category] = (redactions[category] || 0) + 1;
+                return typeof replacement === 'function' ? replacement(match, ...groups) : replacement;
+            });
+        };
+
+        // Emails first - their local part may hold digits that look like a phone number
+        if (this.isEnabled('email')) {
+            replace('email', this.regex.EMAIL, '[email]');
+        }
+        // Cards before phones, whose pattern matches ten digits of a card number
+        if (this.isEnabled('card')) {
+            replace('card', this.regex.CARD_NUMBER, '[card]', InputSanitizer.passesLuhn);
+        }
+        if (this.isEnabled('phone')) {
+            replace('phone', this.regex.INTERNATIONAL_PHONE, '[phone]');
+            replace('phone', this.regex.PHONE, '[phone]');
+        }
+        if (this.isEnabled('injection')) {
+            InputSanitizer.INJECTION_PATTERNS.forEach(({ pattern, replacement }) => {
+                replace('injection', pattern, replacement);
+            });
+            // Line breaks would let a transcript start what looks like a new prompt section.
+            // Collapsing them is plain whitespace cleanup, so it isn't counted
+            text = text.replace(/\s*[\r\n]+\s*/g, ' ').replace(/ {2,}/g, ' ').trim();
+        }
+
+        return { text, redactions };
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(this.options.storageKey) || '{}');
+            Object.keys(this.categories).forEach(id => {
+                if (typeof saved[id] === 'boolean') {
+                    this.categories[id] = saved[id];
+                }
+            });
+        } catch (error) {
+            console.warn('Ignoring unreadable privacy filter settings:', error.message);
+        }
+    }
+
+    save() {
+        if (!this.storage) return;
+
+        this.storage.setItem(this.options.storageKey, JSON.stringify(this.categories));
+    }
+
+    /**
+     * Add up redaction counts, e.g. over every field of a request
+     */
+    static mergeCounts(...counts) {
+        const total = {};
+        counts.forEach(count => {
+            Object.entries(count || {}).forEach(([category, n]) => {
+                total[category] = (total[category] || 0) + n;
+            });
+        });
+        return total;
+    }
+
+    /**
+     * Summary for the console, e.g. "2 email addresses, 1 phone number";
+     * empty when nothing was redacted
+     */
+    static summarize(redactions = {}) {
+        return InputSanitizer.CATEGORIES
+            .filter(({ id }) => redactions[id] > 0)
+            .map(({ id, singular, plural }) => `${redactions[id]} ${redactions[id] === 1 ? singular : plural}`)
+            .join(', ');
+    }
+
+    /**
+     * Card numbers carry a Luhn check digit; long order or tracking numbers usually don't
+     */
+    static passesLuhn(number) {
+        const digits = number.replace(/\D/g, '');
+        let sum = 0;
+
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return digits.length >= 13 && sum % 10 === 0;
+    }
+}
+
+// Settings categories, in the order they are applied and shown
+InputSanitizer.CATEGORIES = [
+    { id: 'email', label: 'Redact email addresses', singular: 'email address', plural: 'email addresses' },
+    { id: 'card', label: 'Redact card numbers', singular: 'card number', plural: 'card numbers' },
+    { id: 'phone', label: 'Redact phone numbers', singular: 'phone number', plural: 'phone numbers' },
+    { id: 'injection', label: 'Neutralize quotes and prompt instructions', singular: 'instruction sequence', plural: 'instruction sequences' }
+];
+
+// Sequences that could close the quoted transcript or pose as new instructions
+InputSanitizer.INJECTION_PATTERNS = [
+    // Chat-template tokens: <|im_start|>, [INST], <<SYS>>, </s>
+    { pattern: /<\|[^|>]*\|>|\[\/?INST\]|<<\/?SYS>>|<\/?s>/gi, replacement: ' ' },
+    // Double quotes and backticks would close the "{text}" in the prompt templates
+    { pattern: /["“”„«»]|`+/g, replacement: '\'' },
+    // Markdown headings at the start of a line pose as a new prompt section
+    { pattern: /^[ \t]*#{2,}[ \t]*/gm, replacement: '' },
+    { pattern: /\b(system|assistant|developer)\s*:/gi, replacement: (match, role) => role },
+    {
+        pattern: /\b(?:ignore|disregard|forget|override)\s+(?:all\s+|any\s+)?(?:of\s+)?(?:the\s+|your\s+|my\s+)?(?:previous|prior|above|earlier|preceding|system)\s+(?:instructions?|prompts?|rules|messages?)\b/gi,
+        replacement: '[instruction removed]'
+    }
+];
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputSanitizer;
+} else {
+    window.InputSanitizer = InputSanitizer;
+}
@@ -0,0 +1,202 @@
+/**
+ * Locale Support
+ * Per-language data for the locales in SharedConstants.LANGUAGES: the instruction that
+ * keeps suggestions in the speaker's language, error fallback suggestions, and the rules
+ * keyword highlighting and word counting need (month names, units, stopwords).
+ * Regional variants share their language's data, and unknown languages get English.
+ */
+
+class LocaleSupport {
+    constructor(code = 'en-US') {
+        this.code = code;
+        this.language = LocaleSupport.getLanguage(code);
+        this.data = LocaleSupport.LOCALES[this.language] || LocaleSupport.LOCALES.en;
+    }
+
+    /**
+     * Sentence telling the model which language to answer in, written in that
+     * language; empty for English, which the built-in prompts already use
+     */
+    getResponseInstruction() {
+        return this.data.instruction || '';
+    }
+
+    /**
+     * Suggestions shown when every provider failed
+     */
+    getFallbackSuggestions(text) {
+        return this.data.fallbacks.map(fallback => fallback.replace('{text}', text));
+    }
+
+    /**
+     * Words in `text` - languages written without spaces are segmented with Intl.Segmenter
+     * when the browser has it, otherwise every two characters count as a word
+     */
+    countWords(text = '') {
+        const trimmed = text.trim();
+        if (!trimmed) return 0;
+
+        if (this.data.spaced) {
+            return trimmed.split(/\s+/).length;
+        }
+
+        if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+            const segmenter = new Intl.Segmenter(this.code, { granularity: 'word' });
+            return Array.from(segmenter.segment(trimmed)).filter(segment => segment.isWordLike).length;
+        }
+        return Math.ceil(trimmed.replace(/\s+/g, '').length / 2);
+    }
+
+    /**
+     * Rules for keyword highlighting:
+     * - numbers: global regex for numbers, amounts, times and dates
+     * - properNouns: global regex for capitalized names, or null where capitals don't mark
+     *   names (German capitalizes every noun; Japanese, Korean and Chinese have no case)
+     * - stopwords: Set of lowercase words never highlighted as names
+     */
+    getKeywordRules() {
+        if (!this.keywordRules) {
+            const { months, units, dates, spaced, properNouns, stopwords } = this.data;
+
+            // Letters and digits can't touch a match in spaced languages; \b only knows ASCII
+            const before = spaced ? '(?<![\\p{L}\\p{N}])' : '';
+            const after = spaced ? '(?![\\p{L}\\p{N}])' : '';
+            const number = '\\d+(?:[.,:/-]\\d+)*';
+            const alternatives = [
+                dates.replace('{months}', months.join('|')),
+                `(?:(?:R\\$|[$€£¥₹₩₽])\\s?)?${number}(?:\\s*(?:${units.join('|')}))?`
+            ];
+
+            this.keywordRules = {
+                numbers: new RegExp(`${before}(?:${alternatives.join('|')})${after}`, 'giu'),
+                properNouns: properNouns ? new RegExp(`${before}\\p{Lu}\\p{Ll}{2,}${after}`, 'gu') : null,
+                stopwords: new Set(stopwords.map(word => word.toLowerCase()))
+            };
+        }
+        return this.keywordRules;
+    }
+
+    /**
+     * 'es-ES' -> 'es'
+     */
+    static getLanguage(code = '') {
+        return String(code).split(/[-_]/)[0].toLowerCase();
+    }
+
+    static isSupported(code) {
+        return Object.prototype.hasOwnProperty.call(LocaleSupport.LOCALES, LocaleSupport.getLanguage(code));
+    }
+}
+
+// dates - regex for written dates, with {months} standing for the month names;
+// units - regex fragments that may follow a number (currencies, times, measures);
+// spaced - whether words are separated by spaces
+LocaleSupport.LOCALES = {
+    en: {
+        instruction: '',
+        fallbacks: ['{text} - please continue', '{text} and more details', '{text} with additional context', 'Please try again'],
+        months: ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'],
+        dates: '(?:{months})\\s+\\d{1,2}(?:st|nd|rd|th)?',
+        units: ['dollars?', 'euros?', 'pounds?', 'rupees?', 'rs', '₹', 'am', 'pm', '%'],
+        spaced: true,
+        properNouns: true,
+        stopwords: ['I', 'The', 'A', 'An', 'This', 'That', 'These', 'Those', 'My', 'Your', 'His', 'Her', 'Its', 'Our', 'Their', 'Some', 'Any', 'All', 'Each', 'Every', 'Many', 'Much', 'Few', 'Little', 'More', 'Most', 'Less', 'Least', 'First', 'Last', 'Next', 'Previous', 'Same', 'Different', 'Other', 'Another', 'But', 'And', 'So', 'What', 'When', 'Where', 'How', 'Why']
+    },
+    es: {
+        instruction: 'Responde siempre en español: escribe todas las sugerencias en español.',
+        fallbacks: ['{text}... ¿y después?', '{text} y más detalles', '{text} con más contexto', 'Inténtalo de nuevo'],
+        months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'],
+        dates: '\\d{1,2}\\s+de\\s+(?:{months})',
+        units: ['euros?', 'dólares', 'dólar', 'pesos?', 'horas?', 'h', '%'],
+        spaced: true,
+        properNouns: true,
+        stopwords: ['Yo', 'El', 'La', 'Los', 'Las', 'Un', 'Una', 'Unos', 'Unas', 'Este', 'Esta', 'Estos', 'Estas', 'Eso', 'Esto', 'Mi', 'Mis', 'Tu', 'Tus', 'Su', 'Sus', 'Nuestro', 'Nuestra', 'Pero', 'Porque', 'Cuando', 'Donde', 'Como', 'Qué', 'Todo', 'Todos', 'Otro', 'Otra', 'Hoy', 'Mañana', 'Ayer', 'Hola', 'Bueno', 'Entonces']
+    },
+    fr: {
+        instruction: 'Réponds toujours en français : écris toutes les suggestions en français.',
+        fallbacks: ['{text}... et ensuite ?', '{text} et plus de détails', '{text} avec plus de contexte', 'Veuillez réessayer'],
+        months: ['janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre'],
+        dates: '\\d{1,2}(?:er)?\\s+(?:{months})',
+        units: ['euros?', 'dollars?', 'heures?', 'h\\d{0,2}', '%'],
+        spaced: true,
+        properNouns: true,
+        stopwords: ['Je', 'Le', 'La', 'Les', 'Un', 'Une', 'Des', 'Ce', 'Cet', 'Cette', 'Ces', 'Mon', 'Ma', 'Mes', 'Ton', 'Ta', 'Tes', 'Son', 'Sa', 'Ses', 'Notre', 'Nous', 'Vous', 'Mais', 'Parce', 'Quand', 'Comment', 'Pourquoi', 'Tout', 'Tous', 'Autre', 'Aujourd', 'Demain', 'Hier', 'Bonjour', 'Alors', 'Donc']
+    },
+    de: {
+        instruction: 'Antworte immer auf Deutsch: Schreibe alle Vorschläge auf Deutsch.',
+        fallbacks: ['{text} ... und dann?', '{text} und mehr Details', '{text} mit mehr Kontext', 'Bitte versuche es erneut'],
+        months: ['januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember'],
+        dates: '\\d{1,2}\\.?\\s+(?:{months})',
+        units: ['euro', 'dollar', 'franken', 'uhr', 'stunden?', '%'],
+        spaced: true,
+        properNouns: false, // Every noun is capitalized
+        stopwords: []
+    },
+    it: {
+        instruction: 'Rispondi sempre in italiano: scrivi tutti i suggerimenti in italiano.',
+        fallbacks: ['{text}... e poi?', '{text} e più dettagli', '{text} con più contesto', 'Riprova'],
+        months: ['gennaio', 'febbraio', 'marzo', 'aprile', 'maggio', 'giugno', 'luglio', 'agosto', 'settembre', 'ottobre', 'novembre', 'dicembre'],
+        dates: '\\d{1,2}\\s+(?:{months})',
+        units: ['euro', 'dollari', 'dollaro', 'ore', 'ora', '%'],
+        spaced: true,
+        properNouns: true,
+        stopwords: ['Io', 'Il', 'Lo', 'La', 'Gli', 'Le', 'Un', 'Una', 'Uno', 'Questo', 'Questa', 'Quello', 'Quella', 'Mio', 'Mia', 'Miei', 'Tuo', 'Tua', 'Suo', 'Sua', 'Nostro', 'Nostra', 'Noi', 'Voi', 'Loro', 'Ma', 'Perché', 'Quando', 'Dove', 'Come', 'Tutto', 'Tutti', 'Altro', 'Altra', 'Oggi', 'Domani', 'Ieri', 'Ciao', 'Allora']
+    },
+    pt: {
+        instruction: 'Responda sempre em português: escreva todas as sugestões em português.',
+        fallbacks: ['{text}... e depois?', '{text} e mais detalhes', '{text} com mais contexto', 'Tente novamente'],
+        months: ['janeiro', 'fevereiro', 'março', 'abril', 'maio', 'junho', 'julho', 'agosto', 'setembro', 'outubro', 'novembro', 'dezembro'],
+        dates: '\\d{1,2}\\s+de\\s+(?:{months})',
+        units: ['reais', 'real', 'euros?', 'dólares', 'dólar', 'horas?', 'h', '%'],
+        spaced: true,
+        properNouns: true,
+        stopwords: ['Eu', 'Os', 'As', 'Um', 'Uma', 'Uns', 'Umas', 'Este', 'Esta', 'Esse', 'Essa', 'Isso', 'Isto', 'Meu', 'Minha', 'Seu', 'Sua', 'Nosso', 'Nossa', 'Nós', 'Você', 'Vocês', 'Mas', 'Porque', 'Quando', 'Onde', 'Como', 'Tudo', 'Todos', 'Outro', 'Outra', 'Hoje', 'Amanhã', 'Ontem', 'Olá', 'Então']
+    },
+    ru: {
+        instruction: 'Всегда отвечай по-русски: пиши все подсказки на русском языке.',
+        fallbacks: ['{text}... а дальше?', '{text} и подробнее', '{text} с дополнительным контекстом', 'Попробуйте ещё раз'],
+        months: ['января', 'февраля', 'марта', 'апреля', 'мая', 'июня', 'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря'],
+        dates: '\\d{1,2}\\s+(?:{months})',
+        units: ['рублей', 'рубля', 'рубль', 'руб\\.?', '₽', 'долларов', 'доллара', 'евро', 'часов', 'часа', 'час', '%'],
+        spaced: true,
+        properNouns: true,
+        stopwords: ['Я', 'Мы', 'Вы', 'Они', 'Это', 'Этот', 'Эта', 'Эти', 'Мой', 'Моя', 'Мои', 'Твой', 'Наш', 'Наша', 'Ваш', 'Но', 'Потому', 'Когда', 'Где', 'Как', 'Что', 'Почему', 'Все', 'Всё', 'Другой', 'Сегодня', 'Завтра', 'Вчера', 'Привет', 'Здравствуйте', 'Тогда', 'Поэтому']
+    },
+    ja: {
+        instruction: '必ず日本語で答えてください。提案はすべて日本語で書いてください。',
+        fallbacks: ['{text}…続けてください', '{text}についてもっと詳しく', '{text}の背景も', 'もう一度お試しください'],
+        months: [],
+        dates: '\\d{1,2}月\\d{1,2}日',
+        units: ['円', '年', '月', '日', '時', '分', '人', '歳', '個', '%'],
+        spaced: false,
+        properNouns: false,
+        stopwords: []
+    },
+    ko: {
+        instruction: '항상 한국어로 답하세요. 모든 제안을 한국어로 작성하세요.',
+        fallbacks: ['{text}... 계속해 주세요', '{text} 더 자세히', '{text} 추가 맥락', '다시 시도해 주세요'],
+        months: [],
+        dates: '\\d{1,2}월\\s?\\d{1,2}일',
+        units: ['원', '년', '월', '일', '시', '분', '명', '살', '개', '%'],
+        spaced: false, // Spaces separate phrases, not words
+        properNouns: false,
+        stopwords: []
+    },
+    zh: {
+        instruction: '请始终用简体中文回答：所有建议都用中文写。',
+        fallbacks: ['{text}……请继续', '{text}，更多细节', '{text}，更多背景', '请重试'],
+        months: [],
+        dates: '\\d{1,2}月\\d{1,2}[日号]',
+        units: ['元', '块', '年', '月', '日', '号', '点', '分', '人', '岁', '个', '%'],
+        spaced: false,
+        properNouns: false,
+        stopwords: []
+    }
+};
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LocaleSupport;
+} else {
+    window.LocaleSupport = LocaleSupport;
+}
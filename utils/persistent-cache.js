@@ -0,0 +1,219 @@
+/**
+ * Persistent Suggestion Cache
+ * IndexedDB-backed cache layer with TTL and size limits that survives page reloads.
+ * Desktop and mobile share one database per origin. When IndexedDB is unavailable
+ * (private browsing, Node), every method resolves as a no-op.
+ */
+
+class PersistentSuggestionCache {
+    constructor(options = {}) {
+        const constants = typeof SharedConstants !== 'undefined' ? SharedConstants : null;
+        const defaults = constants ? constants.DEFAULTS.CACHE : {};
+
+        this.options = {
+            dbName: options.dbName || (constants ? constants.STORAGE_KEYS.CACHE : 'voice_autocomplete_cache'),
+            storeName: options.storeName || 'suggestions',
+            ttl: options.ttl || defaults.PERSISTENT_TTL || 86400000, // 24 hours
+            maxEntries: options.maxEntries || defaults.PERSISTENT_MAX_SIZE || 500
+        };
+
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB can be used in this environment
+     */
+    isAvailable() {
+        return !!this.indexedDB;
+    }
+
+    /**
+     * Open (and create on first use) the database
+     */
+    open() {
+        if (!this.isAvailable()) {
+            return Promise.resolve(null);
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                const request = this.indexedDB.open(this.options.dbName, 1);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.options.storeName)) {
+                        const store = db.createObjectStore(this.options.storeName, { keyPath: 'key' });
+                        store.createIndex('timestamp', 'timestamp');
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Persistent cache unavailable:', request.error);
+                    resolve(null);
+                };
+            }).then((db) => {
+                // Expired entries from earlier sessions are dropped once per page load
+                if (db) {
+                    this.prune(db).catch(error => console.warn('Persistent cache prune failed:', error));
+                }
+                return db;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run `operation(store)` inside a transaction and resolve with its request result
+     */
+    async withStore(mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.options.storeName, mode);
+            const store = transaction.objectStore(this.options.storeName);
+            const request = operation(store);
+            let result = null;
+
+            if (request) {
+                request.onsuccess = () => { result = request.result; };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached value, or null when missing or expired
+     */
+    async get(key) {
+        try {
+            const record = await this.withStore('readonly', store => store.get(key));
+            if (!record) {
+                return null;
+            }
+
+            if (Date.now() - record.timestamp > this.options.ttl) {
+                this.delete(key);
+                return null;
+            }
+
+            return record.value;
+        } catch (error) {
+            console.warn('Persistent cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value, evicting the oldest entries beyond the size limit
+     */
+    async set(key, value) {
+        try {
+            await this.withStore('readwrite', store => store.put({ key, value, timestamp: Date.now() }));
+            await this.enforceSizeLimit();
+        } catch (error) {
+            console.warn('Persistent cache write failed:', error);
+        }
+    }
+
+    async delete(key) {
+        try {
+            await this.withStore('readwrite', store => store.delete(key));
+        } catch (error) {
+            console.warn('Persistent cache delete failed:', error);
+        }
+    }
+
+    /**
+     * Remove every persisted suggestion
+     */
+    async clear() {
+        await this.withStore('readwrite', store => store.clear());
+    }
+
+    async count() {
+        try {
+            return (await this.withStore('readonly', store => store.count())) || 0;
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Delete the oldest entries until the store is within `maxEntries`
+     */
+    async enforceSizeLimit() {
+        const excess = (await this.count()) - this.options.maxEntries;
+        if (excess <= 0) {
+            return;
+        }
+
+        await this.withStore('readwrite', (store) => {
+            let removed = 0;
+            const cursorRequest = store.index('timestamp').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor && removed < excess) {
+                    cursor.delete();
+                    removed++;
+                    cursor.continue();
+                }
+            };
+            return null;
+        });
+    }
+
+    /**
+     * Delete entries older than the TTL
+     */
+    async prune(db = null) {
+        if (!db && !(await this.open())) {
+            return;
+        }
+
+        const cutoff = Date.now() - this.options.ttl;
+        const range = typeof IDBKeyRange !== 'undefined' ? IDBKeyRange.upperBound(cutoff) : null;
+        if (!range) {
+            return;
+        }
+
+        await this.withStore('readwrite', (store) => {
+            const cursorRequest = store.index('timestamp').openCursor(range);
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return null;
+        });
+    }
+
+    /**
+     * Get cache statistics
+     */
+    async getStats() {
+        return {
+            available: this.isAvailable(),
+            size: await this.count(),
+            maxEntries: this.options.maxEntries,
+            ttl: this.options.ttl
+        };
+    }
+}
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PersistentSuggestionCache;
+} else {
+    window.PersistentSuggestionCache = PersistentSuggestionCache;
+}
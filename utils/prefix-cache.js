@@ -0,0 +1,235 @@
+/**
+ * Prefix-Aware Suggestion Cache
+ * Map-compatible suggestion cache with a word trie, so a transcript can reuse
+ * suggestions cached for the longest prefix the user already said
+ */
+
+class PrefixSuggestionCache {
+    constructor(options = {}) {
+        this.options = {
+            maxRemainderWords: options.maxRemainderWords || 4, // Words spoken since the prefix before it is too stale
+            minPrefixWords: options.minPrefixWords || 3,
+            ...options
+        };
+
+        this.store = new Map();
+        this.root = this.createNode();
+    }
+
+    createNode() {
+        return { children: new Map(), key: null };
+    }
+
+    /**
+     * Split text into normalized words for trie lookups
+     */
+    static tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(word => word.length > 0);
+    }
+
+    // === Map-compatible API ===
+
+    get size() {
+        return this.store.size;
+    }
+
+    get(key) {
+        return this.store.get(key);
+    }
+
+    has(key) {
+        return this.store.has(key);
+    }
+
+    set(key, value) {
+        this.store.set(key, value);
+
+        let node = this.root;
+        for (const word of PrefixSuggestionCache.tokenize(key)) {
+            if (!node.children.has(word)) {
+                node.children.set(word, this.createNode());
+            }
+            node = node.children.get(word);
+        }
+        node.key = key;
+
+        return this;
+    }
+
+    delete(key) {
+        if (!this.store.delete(key)) {
+            return false;
+        }
+
+        const node = this.findNode(PrefixSuggestionCache.tokenize(key));
+        if (node && node.key === key) {
+            node.key = null;
+        }
+        return true;
+    }
+
+    clear() {
+        this.store.clear();
+        this.root = this.createNode();
+    }
+
+    keys() {
+        return this.store.keys();
+    }
+
+    values() {
+        return this.store.values();
+    }
+
+    entries() {
+        return this.store.entries();
+    }
+
+    forEach(callback, thisArg) {
+        this.store.forEach(callback, thisArg);
+    }
+
+    [Symbol.iterator]() {
+        return this.store.entries();
+    }
+
+    findNode(words) {
+        let node = this.root;
+        for (const word of words) {
+            node = node.children.get(word);
+            if (!node) return null;
+        }
+        return node;
+    }
+
+    // === Prefix lookup ===
+
+    /**
+     * Find the longest cached prefix of `text`
+     * @param {string} text - Live transcript
+     * @param {Function} isUsable - Optional (entry) => boolean, e.g. a freshness check
+     * @returns {{key: string, entry: Object, remainder: string[]}|null}
+     */
+    findLongestPrefix(text, isUsable = () => true) {
+        const words = PrefixSuggestionCache.tokenize(text);
+        let node = this.root;
+        let best = null;
+
+        for (let i = 0; i < words.length; i++) {
+            node = node.children.get(words[i]);
+            if (!node) break;
+
+            const depth = i + 1;
+            if (node.key !== null && depth >= this.options.minPrefixWords && this.store.has(node.key)) {
+                const entry = this.store.get(node.key);
+                if (isUsable(entry)) {
+                    best = { key: node.key, entry, remainder: words.slice(depth) };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Reuse suggestions from the longest cached prefix of `text`
+     * Suggestions already answered by the words spoken since the prefix are dropped.
+     * Returns null when nothing usable is left
+     */
+    lookupPrefix(text, isUsable = () => true) {
+        const match = this.findLongestPrefix(text, isUsable);
+        if (!match || match.remainder.length === 0 || match.remainder.length > this.options.maxRemainderWords) {
+            return null;
+        }
+
+        const prefixWords = PrefixSuggestionCache.tokenize(match.key);
+        const suggestions = PrefixSuggestionCache.filterAnswered(match.entry.suggestions || [], match.remainder, prefixWords);
+        if (suggestions.length === 0) {
+            return null;
+        }
+
+        return {
+            ...match.entry,
+            suggestions,
+            source: 'prefix-cache',
+            prefix: match.key,
+            remainder: match.remainder.join(' ')
+        };
+    }
+
+    /**
+     * Drop suggestions the newly spoken words already answer, keeping the original order
+     */
+    static filterAnswered(suggestions, remainderWords, prefixWords = []) {
+        const spoken = remainderWords.map(word => word.toLowerCase());
+        const contentWords = new Set(spoken.filter(word => !PrefixSuggestionCache.STOP_WORDS.has(word)));
+        const answered = PrefixSuggestionCache.answeredQuestionTypes(spoken, prefixWords[prefixWords.length - 1]);
+
+        return suggestions.filter(suggestion => {
+            const words = PrefixSuggestionCache.tokenize(suggestion);
+
+            // Suggestion repeats something the user just said
+            if (words.some(word => contentWords.has(word))) {
+                return false;
+            }
+
+            // Suggestion asks a question the user just answered
+            return !words.some(word => answered.has(word));
+        });
+    }
+
+    /**
+     * Question words answered by the spoken words, e.g. "to Paris" answers "where"
+     * The last prefix word is included so "trip to" + "Paris" counts too
+     */
+    static answeredQuestionTypes(spoken, lastPrefixWord = null) {
+        const answered = new Set();
+        const timeWords = PrefixSuggestionCache.TIME_WORDS;
+        const sequence = lastPrefixWord ? [lastPrefixWord, ...spoken] : spoken;
+
+        sequence.forEach((word, index) => {
+            const next = sequence[index + 1];
+
+            if (['to', 'in', 'at', 'from', 'near'].includes(word) && next &&
+                !PrefixSuggestionCache.STOP_WORDS.has(next) && !timeWords.has(next)) {
+                answered.add('where');
+            }
+            if (word === 'with' && next) {
+                answered.add('who');
+                answered.add('whom');
+            }
+            if (timeWords.has(word) || /^\d/.test(word)) {
+                answered.add('when');
+            }
+            if (word === 'because' || word === 'since') {
+                answered.add('why');
+            }
+        });
+
+        return answered;
+    }
+}
+
+PrefixSuggestionCache.STOP_WORDS = new Set([
+    'a', 'an', 'the', 'and', 'or', 'but', 'to', 'in', 'on', 'at', 'of', 'for', 'with', 'from',
+    'i', 'i\'m', 'im', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'is', 'am', 'are', 'was',
+    'be', 'so', 'that', 'this', 'then', 'just', 'um', 'uh', 'like', 'near', 'because', 'since'
+]);
+
+PrefixSuggestionCache.TIME_WORDS = new Set([
+    'today', 'tomorrow', 'tonight', 'yesterday', 'next', 'last', 'week', 'weekend', 'month', 'year',
+    'morning', 'afternoon', 'evening', 'soon', 'later', 'monday', 'tuesday', 'wednesday', 'thursday',
+    'friday', 'saturday', 'sunday', 'january', 'february', 'march', 'april', 'may', 'june', 'july',
+    'august', 'september', 'october', 'november', 'december', 'summer', 'winter', 'spring', 'fall'
+]);
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PrefixSuggestionCache;
+} else {
+    window.PrefixSuggestionCache = PrefixSuggestionCache;
+}
@@ -0,0 +1,535 @@
+/**
+ * Prompt Evaluation Harness
+ * Runs the cases from test_prompt_examples.js through every prompt style, against a
+ * live provider or a fixture of recorded responses, scores the suggestions with
+ * simple rules and writes a JSON and an HTML report for comparing styles and models.
+ *
+ * Usage:
+ *   node utils/prompt-eval.js --fixture tests/fixtures/prompt-eval-responses.json
+ *   OPENAI_API_KEY=... node utils/prompt-eval.js --provider openai --models gpt-4o-mini,gpt-4o
+ *
+ * Options:
+ *   --provider <name>     azure | openai | anthropic | local (default: azure)
+ *   --endpoint <url>      Override the provider endpoint
+ *   --models <a,b>        Models to compare (Azure: deployment names)
+ *   --styles <a,b>        Style ids to run (default: all)
+ *   --styles-file <file>  Prompt styles exported from the app, evaluated alongside the built-ins
+ *   --rules <file>        Per-style rule overrides, e.g. { "my-style": { "maxWords": 4 } }
+ *   --fixture <file>      Replay recorded responses instead of calling the provider
+ *   --record <file>       Save the live responses as a fixture
+ *   --structured          Request structured JSON output
+ *   --out <name>          Report file name without extension (default: prompt-eval-report)
+ *
+ * Credentials come from AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT,
+ * OPENAI_API_KEY and ANTHROPIC_API_KEY.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SharedLLMService = require('./shared-llm.js');
+const PromptTemplateRegistry = require('./prompt-templates.js');
+const SharedConstants = require('./shared-constants.js');
+
+class PromptEvaluator {
+    constructor(options = {}) {
+        this.options = {
+            provider: options.provider || 'azure',
+            endpoint: options.endpoint || '',
+            apiKey: options.apiKey || '',
+            models: options.models || [],
+            styles: options.styles || [], // Empty runs every registered style
+            rules: options.rules || {}, // Per-style overrides of STYLE_RULES
+            fixture: options.fixture || null, // { version, responses: { model: { style: { input: response } } } }
+            record: !!options.record,
+            structuredOutput: !!options.structuredOutput
+        };
+
+        this.registry = options.registry || new PromptTemplateRegistry({ storage: null });
+        this.cases = options.cases || require('../test_prompt_examples.js').testCases;
+        this.recorded = {};
+        this.current = null; // { model, style, input } of the request in flight
+    }
+
+    /**
+     * Evaluate every model and style
+     * @returns {Object} The report
+     */
+    async run() {
+        const models = this.getModels();
+        const styles = this.getStyles();
+        const runs = [];
+
+        const realFetch = global.fetch;
+        global.fetch = this.options.fixture
+            ? this.createFixtureFetch()
+            : this.createRecordingFetch(realFetch);
+
+        try {
+            for (const model of models) {
+                const service = this.createService(model);
+
+                for (const style of styles) {
+                    console.log(`🧪 ${model} / ${style.id}`);
+                    runs.push(await this.evaluateStyle(service, model, style));
+                }
+            }
+        } finally {
+            global.fetch = realFetch;
+        }
+
+        return {
+            generatedAt: new Date().toISOString(),
+            mode: this.options.fixture ? 'fixture' : 'live',
+            provider: this.options.fixture ? 'fixture' : this.options.provider,
+            cases: this.cases.length,
+            runs
+        };
+    }
+
+    getModels() {
+        if (this.options.models.length > 0) {
+            return this.options.models;
+        }
+        if (this.options.fixture) {
+            return Object.keys(this.options.fixture.responses || {});
+        }
+        return [process.env.AZURE_OPENAI_DEPLOYMENT || 'gpt-4o-mini'];
+    }
+
+    getStyles() {
+        const wanted = this.options.styles;
+        const unknown = wanted.filter(id => !this.registry.has(id));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown prompt style: ${unknown.join(', ')}`);
+        }
+
+        return this.registry.list().filter(style => wanted.length === 0 || wanted.includes(style.id));
+    }
+
+    createService(model) {
+        const { provider, endpoint, apiKey, structuredOutput } = this.options;
+
+        return new SharedLLMService({
+            provider: this.options.fixture ? 'openai' : provider,
+            endpoint: endpoint || PromptEvaluator.getDefaultEndpoint(provider),
+            apiKey: apiKey || PromptEvaluator.getEnvApiKey(provider),
+            model: model,
+            deploymentName: provider === 'azure' ? model : '',
+            streaming: false,
+            structuredOutput: structuredOutput,
+            retryAttempts: this.options.fixture ? 0 : 2,
+            enableRateLimit: false,
+            promptRegistry: this.registry
+        });
+    }
+
+    async evaluateStyle(service, model, style) {
+        const rules = this.getRules(style.id);
+        const cases = [];
+
+        for (const testCase of this.cases) {
+            this.current = { model, style: style.id, input: testCase.input };
+
+            const result = await service.generateSuggestions(testCase.input, { style: style.id });
+            const failed = result.source !== 'llm' && result.source !== 'cache';
+            const suggestions = failed ? [] : result.suggestions;
+            const checks = failed ? [] : PromptEvaluator.scoreSuggestions(suggestions, testCase.input, rules, style.maxSuggestions);
+
+            cases.push({
+                input: testCase.input,
+                expectedExamples: testCase.expectedExamples || [],
+                suggestions,
+                checks,
+                score: failed ? 0 : PromptEvaluator.getPassRate(checks),
+                latency: result.latency,
+                error: failed ? (result.error || 'No suggestions returned') : null
+            });
+        }
+
+        return {
+            model,
+            style: style.id,
+            styleName: style.name,
+            rules,
+            score: PromptEvaluator.average(cases.map(c => c.score)),
+            ruleScores: PromptEvaluator.getRuleScores(cases),
+            averageLatency: Math.round(PromptEvaluator.average(cases.map(c => c.latency || 0))),
+            errors: cases.filter(c => c.error).length,
+            cases
+        };
+    }
+
+    getRules(styleId) {
+        return {
+            ...PromptEvaluator.DEFAULT_RULES,
+            ...(PromptEvaluator.STYLE_RULES[styleId] || {}),
+            ...(this.options.rules[styleId] || {})
+        };
+    }
+
+    /**
+     * fetch replacement answering from the fixture for the request in flight
+     * A recorded response may be a provider response body or just its text
+     */
+    createFixtureFetch() {
+        return async () => {
+            const { model, style, input } = this.current;
+            const responses = this.options.fixture.responses || {};
+            const recorded = ((responses[model] || {})[style] || {})[input];
+
+            if (recorded === undefined) {
+                return {
+                    ok: false,
+                    status: 404,
+                    statusText: `No recorded response for ${model} / ${style} / "${input}"`,
+                    headers: { get: () => null },
+                    json: async () => ({})
+                };
+            }
+
+            const body = typeof recorded === 'string'
+                ? { choices: [{ message: { content: recorded } }] }
+                : recorded;
+
+            return {
+                ok: true,
+                status: 200,
+                statusText: 'OK',
+                headers: { get: () => null },
+                json: async () => body
+            };
+        };
+    }
+
+    /**
+     * fetch wrapper keeping each successful response body for saveFixture
+     */
+    createRecordingFetch(realFetch) {
+        return async (url, options) => {
+            const response = await realFetch(url, options);
+            if (!this.options.record || !response.ok) {
+                return response;
+            }
+
+            const { model, style, input } = this.current;
+            const body = await response.json();
+            this.recorded[model] = this.recorded[model] || {};
+            this.recorded[model][style] = this.recorded[model][style] || {};
+            this.recorded[model][style][input] = body;
+
+            return {
+                ok: response.ok,
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers,
+                json: async () => body
+            };
+        };
+    }
+
+    saveFixture(file) {
+        fs.writeFileSync(file, JSON.stringify({ version: 1, responses: this.recorded }, null, 2));
+        console.log(`📼 Recorded responses saved to ${file}`);
+    }
+
+    saveReport(report, name = 'prompt-eval-report') {
+        fs.writeFileSync(`${name}.json`, JSON.stringify(report, null, 2));
+        fs.writeFileSync(`${name}.html`, PromptEvaluator.renderHTML(report));
+        console.log(`\n📄 Reports saved to ${name}.json and ${name}.html`);
+    }
+
+    printSummary(report) {
+        console.log('\n📊 Prompt Evaluation Report:');
+        console.log('================================');
+
+        report.runs
+            .slice()
+            .sort((a, b) => b.score - a.score)
+            .forEach(run => {
+                const status = run.errors > 0 ? '⚠️' : '✅';
+                const rules = Object.entries(run.ruleScores)
+                    .map(([rule, score]) => `${rule} ${PromptEvaluator.percent(score)}`)
+                    .join(', ');
+                console.log(`${status} ${run.model} / ${run.style}: ${PromptEvaluator.percent(run.score)} (${rules}, ${run.averageLatency}ms)`);
+                if (run.errors > 0) {
+                    console.log(`   💡 ${run.errors} case(s) failed: ${run.cases.find(c => c.error).error}`);
+                }
+            });
+    }
+
+    /**
+     * Run every rule over a response
+     * @returns {Array} Checks as { rule, suggestion, passed }; `suggestion` is null for response-level rules
+     */
+    static scoreSuggestions(suggestions, input, rules, maxSuggestions = 3) {
+        const inputNouns = PromptEvaluator.getInputNouns(input);
+        const checks = [{
+            rule: 'enoughSuggestions',
+            suggestion: null,
+            passed: suggestions.length >= Math.min(rules.minSuggestions, maxSuggestions)
+        }];
+
+        suggestions.forEach(suggestion => {
+            const words = PromptEvaluator.getWords(suggestion);
+
+            if (rules.question) {
+                checks.push({ rule: 'endsWithQuestion', suggestion, passed: suggestion.trim().endsWith('?') });
+            }
+            checks.push({ rule: 'wordLimit', suggestion, passed: words.length <= rules.maxWords });
+            checks.push({ rule: 'noInputNouns', suggestion, passed: !words.some(word => inputNouns.includes(word)) });
+            checks.push({
+                rule: 'noFiller',
+                suggestion,
+                passed: !words.some(word => PromptEvaluator.FILLER_WORDS.includes(word)) &&
+                    !PromptEvaluator.FILLER_PHRASES.some(phrase => suggestion.toLowerCase().includes(phrase))
+            });
+        });
+
+        return checks;
+    }
+
+    /**
+     * Content words of the input - without a tagger, every word outside
+     * the stoplist of function words and common verbs counts as a noun
+     */
+    static getInputNouns(input) {
+        return PromptEvaluator.getWords(input)
+            .filter(word => word.length > 2 && !PromptEvaluator.STOP_WORDS.includes(word));
+    }
+
+    static getWords(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[’']/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+
+    static getPassRate(checks) {
+        if (checks.length === 0) return 0;
+        return checks.filter(check => check.passed).length / checks.length;
+    }
+
+    /**
+     * Pass rate of each rule across every case of a run
+     */
+    static getRuleScores(cases) {
+        const byRule = {};
+        cases.forEach(c => c.checks.forEach(check => {
+            (byRule[check.rule] = byRule[check.rule] || []).push(check);
+        }));
+
+        return Object.fromEntries(
+            Object.entries(byRule).map(([rule, checks]) => [rule, PromptEvaluator.getPassRate(checks)])
+        );
+    }
+
+    static average(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+
+    static percent(value) {
+        return `${Math.round(value * 100)}%`;
+    }
+
+    static getDefaultEndpoint(provider) {
+        switch (provider) {
+        case 'azure':
+            return process.env.AZURE_OPENAI_ENDPOINT || '';
+        case 'openai':
+            return SharedConstants.ENDPOINTS.OPENAI.BASE_URL;
+        case 'anthropic':
+            return SharedConstants.ENDPOINTS.ANTHROPIC.BASE_URL;
+        default:
+            return '';
+        }
+    }
+
+    static getEnvApiKey(provider) {
+        return {
+            azure: process.env.AZURE_OPENAI_API_KEY,
+            openai: process.env.OPENAI_API_KEY,
+            anthropic: process.env.ANTHROPIC_API_KEY
+        }[provider] || '';
+    }
+
+    static escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Standalone HTML page: a summary table per model and style, then every case
+     */
+    static renderHTML(report) {
+        const esc = PromptEvaluator.escapeHTML;
+        const pct = PromptEvaluator.percent;
+        const rules = [...new Set(report.runs.flatMap(run => Object.keys(run.ruleScores)))];
+
+        const summaryRows = report.runs.map(run => `
+            <tr>
+                <td>${esc(run.model)}</td>
+                <td>${esc(run.styleName)} <small>(${esc(run.style)})</small></td>
+                <td class="score">${pct(run.score)}</td>
+                ${rules.map(rule => `<td>${rule in run.ruleScores ? pct(run.ruleScores[rule]) : '–'}</td>`).join('')}
+                <td>${run.averageLatency}ms</td>
+                <td>${run.errors}</td>
+            </tr>`).join('');
+
+        const details = report.runs.map(run => `
+        <h2>${esc(run.model)} / ${esc(run.styleName)}</h2>
+        <table>
+            <tr><th>Input</th><th>Suggestions</th><th>Expected (examples)</th><th>Score</th></tr>
+            ${run.cases.map(c => `
+            <tr>
+                <td>${esc(c.input)}</td>
+                <td>${PromptEvaluator.renderCaseSuggestions(c)}</td>
+                <td>${esc(c.expectedExamples.join(', '))}</td>
+                <td class="score">${pct(c.score)}</td>
+            </tr>`).join('')}
+        </table>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Prompt Evaluation Report</title>
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; margin: 2rem; color: #222; }
+        table { border-collapse: collapse; margin-bottom: 2rem; width: 100%; }
+        th, td { border: 1px solid #ddd; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+        th { background: #f5f5f5; }
+        .score { font-weight: bold; }
+        .pass { color: #2e7d32; }
+        .fail { color: #c62828; }
+    </style>
+</head>
+<body>
+    <h1>📊 Prompt Evaluation Report</h1>
+    <p>${esc(report.generatedAt)} · ${esc(report.mode)} · ${esc(report.provider)} · ${report.cases} cases</p>
+    <table>
+        <tr><th>Model</th><th>Style</th><th>Score</th>${rules.map(rule => `<th>${esc(rule)}</th>`).join('')}<th>Latency</th><th>Errors</th></tr>
+        ${summaryRows}
+    </table>
+    ${details}
+</body>
+</html>
+`;
+    }
+
+    /**
+     * A case's suggestions, each marked with the rules it failed
+     */
+    static renderCaseSuggestions(evaluatedCase) {
+        const esc = PromptEvaluator.escapeHTML;
+        if (evaluatedCase.error) {
+            return `<span class="fail">${esc(evaluatedCase.error)}</span>`;
+        }
+
+        return evaluatedCase.suggestions.map(suggestion => {
+            const failed = evaluatedCase.checks
+                .filter(check => check.suggestion === suggestion && !check.passed)
+                .map(check => check.rule);
+            const note = failed.length > 0 ? ` <small>(${esc(failed.join(', '))})</small>` : '';
+            return `<div class="${failed.length > 0 ? 'fail' : 'pass'}">${esc(suggestion)}${note}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Options from command line arguments
+     */
+    static parseArgs(argv) {
+        const args = {};
+        for (let i = 0; i < argv.length; i++) {
+            if (!argv[i].startsWith('--')) continue;
+
+            const key = argv[i].slice(2);
+            const next = argv[i + 1];
+            if (next === undefined || next.startsWith('--')) {
+                args[key] = true;
+            } else {
+                args[key] = next;
+                i++;
+            }
+        }
+
+        const list = value => (typeof value === 'string' ? value.split(',').map(s => s.trim()).filter(Boolean) : []);
+        const readJSON = file => JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+
+        const registry = new PromptTemplateRegistry({ storage: null });
+        if (args['styles-file']) {
+            registry.importStyles(readJSON(args['styles-file']));
+        }
+
+        return {
+            provider: args.provider,
+            endpoint: args.endpoint,
+            models: list(args.models),
+            styles: list(args.styles),
+            rules: args.rules ? readJSON(args.rules) : {},
+            fixture: args.fixture ? readJSON(args.fixture) : null,
+            record: typeof args.record === 'string' ? args.record : null,
+            structuredOutput: !!args.structured,
+            out: typeof args.out === 'string' ? args.out : 'prompt-eval-report',
+            registry
+        };
+    }
+}
+
+// Rules every style is scored with, unless STYLE_RULES or --rules say otherwise
+PromptEvaluator.DEFAULT_RULES = {
+    question: true, // Suggestions should end with '?'
+    maxWords: 6,
+    minSuggestions: 3
+};
+
+// Built-in styles, going by what their prompts ask for
+PromptEvaluator.STYLE_RULES = {
+    default: { maxWords: 5 },
+    keywords: { maxWords: 2 },
+    'thinking-buddy': { maxWords: 5 },
+    professional: { question: false, maxWords: 8 },
+    conversational: { question: false, maxWords: 8 }
+};
+
+PromptEvaluator.FILLER_WORDS = [
+    'um', 'uh', 'er', 'basically', 'actually', 'literally', 'really', 'just', 'very',
+    'totally', 'definitely', 'honestly', 'wow', 'oh', 'awesome', 'amazing', 'cool', 'nice'
+];
+
+PromptEvaluator.FILLER_PHRASES = ['you know', 'i mean', 'that sounds'];
+
+PromptEvaluator.STOP_WORDS = [
+    'the', 'and', 'but', 'for', 'with', 'about', 'from', 'into', 'this', 'that', 'these', 'those',
+    'its', 'our', 'your', 'their', 'his', 'her', 'him', 'she', 'they', 'them', 'you', 'ive',
+    'new', 'some', 'any', 'all', 'very', 'really', 'just', 'great', 'good', 'well', 'nice',
+    'was', 'were', 'are', 'been', 'being', 'have', 'has', 'had', 'did', 'does', 'doing',
+    'want', 'wanted', 'went', 'going', 'get', 'got', 'make', 'made', 'think', 'thinking',
+    'bought', 'buy', 'start', 'starting', 'planning', 'plan', 'need', 'like', 'would', 'could', 'should',
+    'not', 'dont', 'cant', 'wont', 'what', 'when', 'where', 'who', 'why', 'how', 'which'
+];
+
+// Export for use in tests; run when executed directly
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptEvaluator;
+}
+
+if (require.main === module) {
+    (async () => {
+        const options = PromptEvaluator.parseArgs(process.argv.slice(2));
+        const evaluator = new PromptEvaluator({ ...options, record: !!options.record });
+        const report = await evaluator.run();
+
+        evaluator.printSummary(report);
+        evaluator.saveReport(report, options.out);
+        if (options.record) {
+            evaluator.saveFixture(options.record);
+        }
+    })().catch(error => {
+        console.error('❌ Prompt evaluation failed:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,383 @@
+/**
+ * Prompt Template Registry
+ * Suggestion styles, each declaring its system message, a user template with
+ * {text} and {maxSuggestions} placeholders, token budget and response parser.
+ * A style may carry translations per language in `locales`; without one, prompts
+ * in another language get LocaleSupport's instruction to answer in that language.
+ * Built-in styles are read-only; user styles are kept in localStorage (shared by
+ * the desktop and mobile versions) and can be exported and imported as JSON.
+ */
+
+class PromptTemplateRegistry {
+    constructor(options = {}) {
+        const constants = typeof SharedConstants !== 'undefined' ? SharedConstants : null;
+
+        this.options = {
+            storageKey: options.storageKey || (constants && constants.STORAGE_KEYS.PROMPT_STYLES) || 'voice_autocomplete_prompt_styles'
+        };
+
+        // Pass `storage: null` for a registry holding only the built-in styles
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.styles = new Map();
+        PromptTemplateRegistry.BUILT_IN_STYLES.forEach(style => {
+            this.styles.set(style.id, { ...style, builtIn: true });
+        });
+        this.load();
+    }
+
+    list() {
+        return Array.from(this.styles.values());
+    }
+
+    has(id) {
+        return this.styles.has(id);
+    }
+
+    /**
+     * Style by id, or the mobile default when it doesn't exist (e.g. a deleted user style)
+     */
+    get(id) {
+        return this.styles.get(id) || this.styles.get('default');
+    }
+
+    /**
+     * Fill in a style's template for `text`, spoken in `language` (e.g. 'es-ES')
+     * @returns {Object} { style, systemMessage, prompt, maxTokens, maxSuggestions, parser }
+     */
+    render(id, text, language = 'en-US') {
+        const style = this.get(id);
+        const values = { text: text, maxSuggestions: style.maxSuggestions };
+        const { systemMessage, userTemplate } = this.localize(style, language);
+
+        return {
+            style: style.id,
+            systemMessage,
+            prompt: userTemplate.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match)),
+            maxTokens: style.maxTokens,
+            maxSuggestions: style.maxSuggestions,
+            parser: style.parser
+        };
+    }
+
+    /**
+     * A style's system message and user template for `language`: its own translation
+     * when it has one, otherwise its template told to answer in that language
+     */
+    localize(style, language) {
+        const Locale = typeof LocaleSupport !== 'undefined'
+            ? LocaleSupport
+            : require('./locale-support.js');
+
+        const translation = style.locales && style.locales[Locale.getLanguage(language)];
+        if (translation) {
+            return {
+                systemMessage: translation.systemMessage || style.systemMessage,
+                userTemplate: translation.userTemplate
+            };
+        }
+
+        const instruction = new Locale(language).getResponseInstruction();
+        if (!instruction) {
+            return { systemMessage: style.systemMessage, userTemplate: style.userTemplate };
+        }
+        return {
+            systemMessage: style.systemMessage ? `${style.systemMessage}\n\n${instruction}` : '',
+            userTemplate: `${style.userTemplate}\n\n${instruction}`
+        };
+    }
+
+    /**
+     * Validate a style and fill in defaults; throws with a message fit for the UI
+     */
+    normalize(style = {}) {
+        const name = typeof style.name === 'string' ? style.name.trim() : '';
+        if (!name) {
+            throw new Error('Style name is required');
+        }
+
+        if (typeof style.userTemplate !== 'string' || !style.userTemplate.includes('{text}')) {
+            throw new Error('User template must include {text}');
+        }
+
+        const maxTokens = Number(style.maxTokens ?? 150);
+        if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 4000) {
+            throw new Error('Max tokens must be a whole number between 1 and 4000');
+        }
+
+        const maxSuggestions = Number(style.maxSuggestions ?? 3);
+        if (!Number.isInteger(maxSuggestions) || maxSuggestions < 1 || maxSuggestions > 10) {
+            throw new Error('Max suggestions must be a whole number between 1 and 10');
+        }
+
+        const parser = style.parser || 'auto';
+        if (!PromptTemplateRegistry.PARSERS.includes(parser)) {
+            throw new Error(`Parser must be one of: ${PromptTemplateRegistry.PARSERS.join(', ')}`);
+        }
+
+        const normalized = {
+            name,
+            description: typeof style.description === 'string' ? style.description.trim() : '',
+            systemMessage: typeof style.systemMessage === 'string' ? style.systemMessage.trim() : '',
+            userTemplate: style.userTemplate.trim(),
+            maxTokens,
+            maxSuggestions,
+            parser
+        };
+
+        const locales = this.normalizeLocales(style.locales);
+        if (locales) {
+            normalized.locales = locales;
+        }
+        return normalized;
+    }
+
+    /**
+     * Translations keyed by language ('es', 'ja', ...), each { systemMessage, userTemplate }
+     */
+    normalizeLocales(locales) {
+        if (locales === undefined || locales === null) {
+            return null;
+        }
+        if (typeof locales !== 'object' || Array.isArray(locales)) {
+            throw new Error('Locales must map language codes to templates');
+        }
+
+        const normalized = {};
+        Object.entries(locales).forEach(([language, translation]) => {
+            if (!/^[a-z]{2,3}$/.test(language)) {
+                throw new Error(`"${language}" is not a language code like "es" or "ja"`);
+            }
+            if (!translation || typeof translation.userTemplate !== 'string' || !translation.userTemplate.includes('{text}')) {
+                throw new Error(`User template for "${language}" must include {text}`);
+            }
+
+            normalized[language] = {
+                systemMessage: typeof translation.systemMessage === 'string' ? translation.systemMessage.trim() : '',
+                userTemplate: translation.userTemplate.trim()
+            };
+        });
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+
+    /**
+     * Create or update a user style
+     * Saving over a built-in style creates a copy, since built-ins are read-only
+     * @returns {Object} The saved style
+     */
+    save(style) {
+        const existing = style.id ? this.styles.get(style.id) : null;
+        // The style editors don't show translations - keep the ones the style had
+        const normalized = this.normalize(style.locales === undefined && existing
+            ? { ...style, locales: existing.locales }
+            : style);
+        const id = existing && !existing.builtIn ? existing.id : this.createId(normalized.name);
+
+        this.styles.set(id, { id, ...normalized, builtIn: false });
+        this.persist();
+        return this.styles.get(id);
+    }
+
+    remove(id) {
+        const style = this.styles.get(id);
+        if (!style || style.builtIn) {
+            return false;
+        }
+
+        this.styles.delete(id);
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Unique id derived from a style name
+     */
+    createId(name) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'style';
+        let id = base;
+        for (let n = 2; this.styles.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    getUserStyles() {
+        return this.list().filter(style => !style.builtIn);
+    }
+
+    /**
+     * User styles without registry bookkeeping, as stored and exported
+     */
+    serializeUserStyles() {
+        return this.getUserStyles().map(style => ({
+            id: style.id,
+            name: style.name,
+            description: style.description,
+            systemMessage: style.systemMessage,
+            userTemplate: style.userTemplate,
+            maxTokens: style.maxTokens,
+            maxSuggestions: style.maxSuggestions,
+            parser: style.parser,
+            ...(style.locales ? { locales: style.locales } : {})
+        }));
+    }
+
+    /**
+     * User styles as a JSON document for importStyles
+     */
+    exportStyles() {
+        return JSON.stringify({ version: 1, styles: this.serializeUserStyles() }, null, 2);
+    }
+
+    /**
+     * Add the styles from an exported document (or a bare array of styles)
+     * Nothing is imported unless every style is valid
+     * @returns {Array} The imported styles
+     */
+    importStyles(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            throw new Error('Style file is not valid JSON');
+        }
+
+        const styles = Array.isArray(data) ? data : data && data.styles;
+        if (!Array.isArray(styles) || styles.length === 0) {
+            throw new Error('Style file contains no styles');
+        }
+
+        const normalized = styles.map((style, index) => {
+            try {
+                return this.normalize(style);
+            } catch (error) {
+                throw new Error(`Style ${index + 1}: ${error.message}`);
+            }
+        });
+
+        // Imported styles never replace existing ones
+        return normalized.map(style => this.save(style));
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        let saved = [];
+        try {
+            saved = JSON.parse(this.storage.getItem(this.options.storageKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring saved prompt styles:', error.message);
+        }
+
+        (Array.isArray(saved) ? saved : []).forEach(style => {
+            if (!style || !style.id || this.styles.has(style.id)) return;
+
+            try {
+                this.styles.set(style.id, { id: style.id, ...this.normalize(style), builtIn: false });
+            } catch (error) {
+                console.warn(`Ignoring saved prompt style "${style.id}":`, error.message);
+            }
+        });
+    }
+
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.options.storageKey, JSON.stringify(this.serializeUserStyles()));
+        } catch (error) {
+            console.warn('Could not save prompt styles:', error.message);
+        }
+    }
+}
+
+// How a style's plain-text responses are split into suggestions (see SharedLLMService.parseSuggestions):
+// 'auto' - one per line, several questions on a line split apart; 'lines' - one per line;
+// 'delimited' - split on lines, commas, semicolons and pipes
+PromptTemplateRegistry.PARSERS = ['auto', 'lines', 'delimited'];
+
+PromptTemplateRegistry.BUILT_IN_STYLES = [
+    {
+        id: 'default',
+        name: 'Default',
+        description: 'Natural conversation flow',
+        example: '"Where to?", "When?", "Budget range?"',
+        systemMessage: 'You are a helpful friend having a natural conversation. Your job is to ask the most logical, natural follow-up questions that continue the conversation in a flowing way. Be direct and focused - no pleasantries, excitement, or filler words. Just ask the essential questions that would naturally come next.',
+        userTemplate: `You are having a natural, helpful conversation with someone. They just told you: "{text}"
+
+Think like a helpful friend - what would you naturally ask next to continue this conversation in a flowing, logical way?
+
+Consider:
+- What's the most immediate next thing you'd want to know?
+- What would make this feel like talking to a real person?
+- What single detail would be most helpful to understand next?
+
+Provide 3 natural, conversational follow-up questions (4-5 words each) that flow logically from what they just said. Be direct and focused - no pleasantries or filler words, just the essential questions.`,
+        maxTokens: 120,
+        maxSuggestions: 3,
+        parser: 'auto'
+    },
+    {
+        id: 'keywords',
+        name: 'Keywords',
+        description: 'Short, focused questions',
+        example: '"Where?", "When?", "Budget?"',
+        systemMessage: 'You are a helpful assistant that provides short, keyword-style follow-up questions. Be concise and direct - each suggestion should be 1-2 words maximum, asking the most essential next question.',
+        userTemplate: `Someone just said: "{text}"
+
+Provide 3 short, keyword-style follow-up questions (1-2 words each) that ask for the most essential missing information. Think like essential form fields.
+
+Examples:
+- If they mention travel: "Where?" "When?" "Duration?"
+- If they mention food: "Cuisine?" "Budget?" "Location?"
+- If they mention work: "Role?" "Company?" "Timeline?"
+
+Be direct and focused - no explanations, just the essential questions as short keywords.`,
+        maxTokens: 120,
+        maxSuggestions: 3,
+        parser: 'auto'
+    },
+    {
+        id: 'thinking-buddy',
+        name: 'Thinking Buddy',
+        description: 'Casual questions that help you elaborate',
+        example: '"what kind?", "with who?", "how come?"',
+        systemMessage: 'You\'re like a thoughtful friend helping someone think through what they\'re saying. When they pause, suggest 3 casual, conversational questions that would naturally help them add more interesting details. Keep questions short (2-5 words), friendly, and focused on going deeper into what they mentioned. Use casual language like \'what kind?\', \'with who?\', \'how come?\', \'when exactly?\'. Format as three separate questions, each ending with \'?\'. Example format: what kind?, with who?, when exactly?',
+        userTemplate: 'The user just said: "{text}" and paused. What 3 casual, friendly questions would help them think of more details to add? Think like their inner voice encouraging them to elaborate naturally.',
+        maxTokens: 50,
+        maxSuggestions: 3,
+        parser: 'auto'
+    },
+    {
+        id: 'professional',
+        name: 'Professional',
+        description: 'Concise, practical completions',
+        example: '"to Tokyo in spring", "on a two-week budget"',
+        systemMessage: '',
+        userTemplate: 'Provide intelligent autocomplete suggestions for: "{text}"\n\nGenerate 3-5 concise, relevant suggestions that complete or enhance the input. Focus on practical, actionable completions. Be precise and professional.\n\nSuggestions:',
+        maxTokens: 150,
+        maxSuggestions: 5,
+        parser: 'auto'
+    },
+    {
+        id: 'conversational',
+        name: 'Conversational',
+        description: 'Friendly continuations of your sentence',
+        example: '"with my family", "sometime next month"',
+        systemMessage: '',
+        userTemplate: 'You are a helpful friend providing natural autocomplete suggestions. The user said: "{text}"\n\nComplete their thought naturally, as if you\'re finishing their sentence in conversation. Provide 3-5 short, helpful suggestions that feel like natural continuations. Be friendly, conversational, and helpful.\n\nSuggestions:',
+        maxTokens: 150,
+        maxSuggestions: 5,
+        parser: 'auto'
+    }
+];
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PromptTemplateRegistry;
+} else {
+    window.PromptTemplateRegistry = PromptTemplateRegistry;
+}
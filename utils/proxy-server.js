@@ -0,0 +1,448 @@
+/**
+ * Suggestion Proxy Server
+ * Holds the LLM credentials so a team can share one deployment without handing out
+ * API keys. The front ends send the transcript, prompt style and conversation context
+ * to POST /api/suggest (the 'proxy' provider in SharedLLMService); the server builds the
+ * prompt from its built-in styles, adds the model and credentials, forwards the request
+ * to its provider and streams the response back unchanged, so suggestions still appear
+ * one by one. Clients can't send prompts of their own, so the key can't be used as a
+ * general chat endpoint. Every client gets its own rate-limit bucket.
+ *
+ * PROXY_ALLOWED_ORIGINS is CORS, not access control: it keeps other web pages from
+ * calling the proxy through a visitor's browser, but scripts can send any Origin. A
+ * shared deployment that should only serve its team sets PROXY_CLIENT_TOKEN, which
+ * every request must then carry (the front ends send their API key field as the token).
+ *
+ * Usage:
+ *   AZURE_OPENAI_ENDPOINT=... AZURE_OPENAI_API_KEY=... AZURE_OPENAI_DEPLOYMENT=gpt-4o-mini npm run proxy
+ *   PROXY_PROVIDER=anthropic PROXY_MODEL=claude-3-5-haiku-latest ANTHROPIC_API_KEY=... npm run proxy
+ *
+ * Environment:
+ *   PROXY_PROVIDER         azure | openai | anthropic | local (default: azure)
+ *   PROXY_MODEL            Model name (Azure: defaults to the deployment)
+ *   PROXY_PORT             Port to listen on (default: 8787)
+ *   PROXY_ALLOWED_ORIGINS  Comma-separated origins that may call it (default: the `npm start` ones)
+ *   PROXY_CLIENT_TOKEN     Team token every request must send as X-Client-Token
+ *   PROXY_ALLOW_NO_ORIGIN  Without a client token, set to 1 to also accept requests that send no Origin
+ *   PROXY_RATE_LIMIT       Requests per minute per client (default: 60)
+ *   PROXY_TRUST_FORWARDED  Set to 1 behind a reverse proxy, to tell clients apart by X-Forwarded-For
+ *
+ * Credentials come from AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_API_KEY, AZURE_OPENAI_DEPLOYMENT,
+ * OPENAI_API_KEY, ANTHROPIC_API_KEY and LOCAL_LLM_ENDPOINT (plus LOCAL_LLM_API_KEY, if set).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const SharedLLMService = require('./shared-llm.js');
+const TokenBucketRateLimiter = require('./rate-limiter.js');
+const SharedConstants = require('./shared-constants.js');
+const InputSanitizer = require('./input-sanitizer.js');
+
+class SuggestionProxyServer {
+    constructor(options = {}) {
+        this.options = {
+            provider: options.provider || 'azure',
+            endpoint: options.endpoint || '',
+            apiKey: options.apiKey || '',
+            model: options.model || 'gpt-4o-mini',
+            deploymentName: options.deploymentName || '',
+            allowedOrigins: options.allowedOrigins || ['http://localhost:8000', 'http://127.0.0.1:8000'],
+            clientToken: options.clientToken || '', // When set, every request must send it as X-Client-Token
+            allowNoOrigin: !!options.allowNoOrigin, // Without a token, requests with no Origin are refused unless set
+            maxRequestsPerMinute: options.maxRequestsPerMinute || 60,
+            trustForwarded: !!options.trustForwarded,
+            maxTokens: options.maxTokens || 1000, // Cap on a style's token budget
+            maxHistory: options.maxHistory || 12, // Earlier messages; ConversationContext sends up to 6 turns of 2
+            maxAvoidSuggestions: options.maxAvoidSuggestions || 24,
+            maxAlternatives: options.maxAlternatives || 20,
+            maxInputChars: options.maxInputChars || 8000, // Transcript and context together
+            maxBodyBytes: options.maxBodyBytes || 64 * 1024,
+            timeout: options.timeout || 30000
+        };
+
+        // Builds the provider's URL, headers and body; the browser does the retrying and parsing
+        this.service = new SharedLLMService({
+            provider: this.options.provider,
+            endpoint: this.options.endpoint,
+            apiKey: this.options.apiKey,
+            model: this.options.model,
+            deploymentName: this.options.deploymentName,
+            rateLimiter: new TokenBucketRateLimiter({ channelName: null, enabled: false }),
+            // Redacting personal data is the browser's choice; instruction sequences are neutralized regardless
+            sanitizer: new InputSanitizer({ storage: null, categories: { email: false, card: false, phone: false } })
+        });
+
+        this.clients = new Map(); // client id -> { limiter, lastSeen }
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Options from PROXY_* and provider credential environment variables
+     */
+    static fromEnv(env = process.env) {
+        const provider = env.PROXY_PROVIDER || 'azure';
+        const credentials = {
+            azure: { endpoint: env.AZURE_OPENAI_ENDPOINT, apiKey: env.AZURE_OPENAI_API_KEY },
+            openai: { endpoint: SharedConstants.ENDPOINTS.OPENAI.BASE_URL, apiKey: env.OPENAI_API_KEY },
+            anthropic: { endpoint: SharedConstants.ENDPOINTS.ANTHROPIC.BASE_URL, apiKey: env.ANTHROPIC_API_KEY },
+            local: { endpoint: env.LOCAL_LLM_ENDPOINT || SharedLLMService.LOCAL_BASE_URL, apiKey: env.LOCAL_LLM_API_KEY }
+        }[provider];
+
+        if (!credentials) {
+            throw new Error(`PROXY_PROVIDER must be azure, openai, anthropic or local, not "${provider}"`);
+        }
+        if (provider !== 'local' && !credentials.apiKey) {
+            throw new Error(`No API key for ${provider} - see the environment variables in utils/proxy-server.js`);
+        }
+        if (provider === 'azure' && (!credentials.endpoint || !env.AZURE_OPENAI_DEPLOYMENT)) {
+            throw new Error('Azure needs AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_DEPLOYMENT');
+        }
+
+        const list = value => (value ? value.split(',').map(s => s.trim()).filter(Boolean) : undefined);
+        return {
+            provider,
+            ...credentials,
+            model: env.PROXY_MODEL || SuggestionProxyServer.DEFAULT_MODELS[provider] || env.AZURE_OPENAI_DEPLOYMENT,
+            deploymentName: provider === 'azure' ? env.AZURE_OPENAI_DEPLOYMENT : '',
+            port: parseInt(env.PROXY_PORT, 10) || 8787,
+            allowedOrigins: list(env.PROXY_ALLOWED_ORIGINS),
+            allowNoOrigin: env.PROXY_ALLOW_NO_ORIGIN === '1' || env.PROXY_ALLOW_NO_ORIGIN === 'true',
+            clientToken: env.PROXY_CLIENT_TOKEN,
+            maxRequestsPerMinute: parseInt(env.PROXY_RATE_LIMIT, 10) || undefined,
+            trustForwarded: env.PROXY_TRUST_FORWARDED === '1' || env.PROXY_TRUST_FORWARDED === 'true'
+        };
+    }
+
+    /**
+     * Start listening; resolves to the port (pass 0 for any free one)
+     */
+    listen(port = 8787, host) {
+        // Buckets idle for a whole interval are full again, so they can go
+        this.pruneTimer = setInterval(() => this.pruneClients(), 60000);
+        this.pruneTimer.unref();
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, host, () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    async handleRequest(req, res) {
+        // The Origin allowlist only decides which pages browsers let call the proxy (CORS) -
+        // any other client can send whatever Origin it likes. The client token is the access control
+        const origin = req.headers.origin;
+        if (origin) {
+            if (!this.isAllowedOrigin(origin)) {
+                this.sendError(res, 403, 'Origin not allowed');
+                return;
+            }
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+        }
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname !== '/api/suggest') {
+            this.sendError(res, 404, 'Not found');
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'POST',
+                'Access-Control-Allow-Headers': 'Content-Type, X-Client-Token',
+                'Access-Control-Max-Age': '600'
+            });
+            res.end();
+            return;
+        }
+        if (req.method !== 'POST') {
+            res.setHeader('Allow', 'POST, OPTIONS');
+            this.sendError(res, 405, 'Use POST');
+            return;
+        }
+
+        if (this.options.clientToken ? !this.hasClientToken(req) : (!origin && !this.options.allowNoOrigin)) {
+            this.sendError(res, 403, this.options.clientToken ? 'Client token required' : 'Origin required');
+            return;
+        }
+
+        try {
+            const request = this.parseRequest(await this.readBody(req));
+            const limiter = this.getLimiter(this.getClientId(req));
+
+            if (!limiter.tryAcquire(request.priority)) {
+                res.setHeader('Retry-After', String(Math.ceil(limiter.getWaitTime(request.priority) / 1000)));
+                this.sendError(res, 429, SharedConstants.ERRORS.MESSAGES.RATE_LIMIT_EXCEEDED);
+                return;
+            }
+
+            await this.forward(request, res);
+        } catch (error) {
+            if (!res.headersSent) {
+                this.sendError(res, error.statusCode || 500, error.statusCode ? error.message : 'Proxy error');
+            } else {
+                res.destroy();
+            }
+            if (!error.statusCode) {
+                console.error('❌ Proxy request failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Validate the browser's request: the transcript `text`, the prompt `style` and `language`,
+     * the context SharedLLMService puts in the prompt (`history`, `avoidSuggestions` and
+     * `alternatives`), `stream`, `structuredOutput` and the rate-limit `priority`. Anything
+     * else - messages, token budgets, models - is ignored; the prompt is built in buildBody
+     */
+    parseRequest(text) {
+        let body;
+        try {
+            body = JSON.parse(text);
+        } catch (error) {
+            throw this.createError(400, 'Body must be JSON');
+        }
+        if (!body || typeof body !== 'object') {
+            throw this.createError(400, 'Body must be a JSON object');
+        }
+
+        const { maxHistory, maxAvoidSuggestions, maxAlternatives, maxInputChars } = this.options;
+        const isText = value => typeof value === 'string';
+        const list = (name, max, isValid, description) => {
+            const value = body[name] === undefined ? [] : body[name];
+            if (!Array.isArray(value) || value.length > max || !value.every(isValid)) {
+                throw this.createError(400, `${name} must be an array of up to ${max} ${description}`);
+            }
+            return value;
+        };
+
+        if (!isText(body.text) || !body.text.trim()) {
+            throw this.createError(400, 'text must be the transcript');
+        }
+        if (body.style !== undefined && !isText(body.style)) {
+            throw this.createError(400, 'style must be a prompt style id');
+        }
+        if (body.language !== undefined && !(isText(body.language) && /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i.test(body.language))) {
+            throw this.createError(400, 'language must be a language tag like en-US');
+        }
+
+        const history = list('history', maxHistory,
+            message => message && ['user', 'assistant'].includes(message.role) && isText(message.content),
+            'user or assistant messages with text content');
+        const avoidSuggestions = list('avoidSuggestions', maxAvoidSuggestions, isText, 'strings');
+        const alternatives = list('alternatives', maxAlternatives,
+            entry => entry && isText(entry.heard) && Array.isArray(entry.options) && entry.options.length <= 5 &&
+                entry.options.every(isText),
+            '{ heard, options } entries');
+
+        const inputChars = [
+            body.text,
+            ...history.map(message => message.content),
+            ...avoidSuggestions,
+            ...alternatives.flatMap(entry => [entry.heard, ...entry.options])
+        ].reduce((total, value) => total + value.length, 0);
+        if (inputChars > maxInputChars) {
+            throw this.createError(413, `Transcript and context must be under ${maxInputChars} characters`);
+        }
+
+        return {
+            text: body.text,
+            context: {
+                style: body.style,
+                language: body.language,
+                history: history.map(({ role, content }) => ({ role, content })),
+                avoidSuggestions,
+                alternatives: alternatives.map(({ heard, options }) => ({ heard, options }))
+            },
+            stream: body.stream === true,
+            structuredOutput: body.structuredOutput === true,
+            priority: body.priority === 'low' ? 'low' : 'high'
+        };
+    }
+
+    /**
+     * The provider request body: the prompt comes from the server's prompt styles
+     * (SharedLLMService.buildMessages), and so does the token budget
+     */
+    buildBody({ text, context, stream, structuredOutput }) {
+        const sanitized = this.service.sanitizeRequest(text, context);
+        const styled = this.service.applyPromptStyle(sanitized.inputText, sanitized.context);
+        const messages = this.service.buildMessages(sanitized.inputText, styled);
+
+        return {
+            ...this.service.buildRequestBody(messages, {
+                maxTokens: Math.min(styled.maxTokens, this.options.maxTokens),
+                maxSuggestions: styled.maxSuggestions,
+                structuredOutput
+            }),
+            ...(stream ? { stream: true } : {})
+        };
+    }
+
+    /**
+     * Send the request to the provider and pipe its answer back
+     */
+    async forward(request, res) {
+        const body = this.buildBody(request);
+        const headers = this.service.buildRequestHeaders();
+        delete headers['anthropic-dangerous-direct-browser-access']; // Only browsers need it
+
+        // Stop the provider's work when the browser gives up (superseded or timed out)
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.options.timeout);
+        res.on('close', () => controller.abort());
+
+        try {
+            let upstream;
+            try {
+                upstream = await fetch(this.service.getEndpointURL(), {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(body),
+                    signal: controller.signal
+                });
+            } catch (error) {
+                throw error.name === 'AbortError'
+                    ? this.createError(504, 'Provider timed out')
+                    : this.createError(502, 'Provider unreachable');
+            }
+
+            if (!upstream.ok) {
+                // The provider's error body may describe our credentials, so it stays in the log
+                console.warn(`⚠️ ${this.options.provider} answered ${upstream.status}:`, (await upstream.text()).slice(0, 200));
+
+                const retryAfter = upstream.headers.get('retry-after');
+                if (retryAfter) {
+                    res.setHeader('Retry-After', retryAfter);
+                }
+                const status = [400, 429].includes(upstream.status) ? upstream.status : 502;
+                throw this.createError(status, `Provider error ${upstream.status}`);
+            }
+
+            res.writeHead(200, {
+                'Content-Type': upstream.headers.get('content-type') || 'application/json',
+                'Cache-Control': 'no-store'
+            });
+            for await (const chunk of upstream.body) {
+                res.write(chunk);
+            }
+            res.end();
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.options.maxBodyBytes) {
+                    // The rest is read and dropped, so the client still gets the 413
+                    reject(this.createError(413, 'Request too large'));
+                    chunks.length = 0;
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Who a request counts against: the connecting address, or the first
+     * X-Forwarded-For address when a trusted reverse proxy sits in front
+     */
+    getClientId(req) {
+        const forwarded = req.headers['x-forwarded-for'];
+        if (this.options.trustForwarded && forwarded) {
+            return forwarded.split(',')[0].trim();
+        }
+        return req.socket.remoteAddress || 'unknown';
+    }
+
+    getLimiter(clientId) {
+        let client = this.clients.get(clientId);
+        if (!client) {
+            client = {
+                limiter: new TokenBucketRateLimiter({ capacity: this.options.maxRequestsPerMinute, channelName: null })
+            };
+            this.clients.set(clientId, client);
+        }
+
+        client.lastSeen = Date.now();
+        return client.limiter;
+    }
+
+    pruneClients() {
+        const idleSince = Date.now() - 60000;
+        this.clients.forEach((client, clientId) => {
+            if (client.lastSeen < idleSince) {
+                this.clients.delete(clientId);
+            }
+        });
+    }
+
+    hasClientToken(req) {
+        const token = req.headers['x-client-token'];
+        if (!this.options.clientToken || typeof token !== 'string') return false;
+
+        // Compare digests, so neither the time taken nor a length mismatch gives the token away
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(token), digest(this.options.clientToken));
+    }
+
+    isAllowedOrigin(origin) {
+        return this.options.allowedOrigins.includes('*') || this.options.allowedOrigins.includes(origin);
+    }
+
+    sendError(res, status, message) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: { message } }));
+    }
+
+    createError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+// Models used when PROXY_MODEL isn't set (Azure uses its deployment)
+SuggestionProxyServer.DEFAULT_MODELS = {
+    openai: 'gpt-4o-mini',
+    anthropic: 'claude-3-5-haiku-latest',
+    local: 'llama3.2'
+};
+
+// Export for use in tests; run when executed directly
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SuggestionProxyServer;
+}
+
+if (require.main === module) {
+    (async () => {
+        const options = SuggestionProxyServer.fromEnv();
+        const proxy = new SuggestionProxyServer(options);
+        const port = await proxy.listen(options.port);
+
+        console.log(`🔐 Suggestion proxy for ${options.provider} on http://localhost:${port}/api/suggest`);
+        console.log(`   Allowed origins: ${proxy.options.allowedOrigins.join(', ')}`);
+        if (!proxy.options.clientToken) {
+            console.warn('⚠️ No PROXY_CLIENT_TOKEN - any client that can reach the port may use the key');
+        }
+        console.log(`   Rate limit: ${proxy.options.maxRequestsPerMinute} requests per minute per client`);
+    })().catch(error => {
+        console.error('❌ Proxy failed to start:', error.message);
+        process.exit(1);
+    });
+}
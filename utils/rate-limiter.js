@@ -0,0 +1,144 @@
+/**
+ * Token-Bucket Rate Limiter
+ * Refills `capacity` tokens per interval. Tabs on the same origin share one budget:
+ * every token taken is announced over a BroadcastChannel so the other tabs' buckets
+ * drain with it. Low-priority requests (prefetches) can't dip into a reserve kept
+ * for high-priority ones (pause-triggered suggestions).
+ */
+
+class TokenBucketRateLimiter {
+    constructor(options = {}) {
+        this.options = {
+            capacity: options.capacity || 30, // Requests per interval
+            interval: options.interval || 60000, // 1 minute
+            lowPriorityReserve: options.lowPriorityReserve ?? 0.25, // Share of capacity low priority can't use
+            channelName: options.channelName === undefined ? 'voice_autocomplete_rate_limit' : options.channelName,
+            enabled: options.enabled !== false
+        };
+
+        this.tokens = this.options.capacity;
+        this.lastRefill = Date.now();
+        this.channel = null;
+        this.connect();
+    }
+
+    /**
+     * Join the cross-tab channel and ask open tabs for their bucket,
+     * so a new tab doesn't start with a full one
+     */
+    connect() {
+        if (!this.options.channelName || typeof BroadcastChannel === 'undefined') {
+            return;
+        }
+
+        this.channel = new BroadcastChannel(this.options.channelName);
+        this.channel.onmessage = (event) => this.handleMessage(event.data);
+
+        // Don't keep Node processes (tests) alive just for the channel
+        if (typeof this.channel.unref === 'function') {
+            this.channel.unref();
+        }
+
+        this.channel.postMessage({ type: 'sync-request' });
+    }
+
+    handleMessage(message) {
+        if (!message) return;
+
+        this.refill();
+        switch (message.type) {
+        case 'consume':
+            this.tokens = Math.max(0, this.tokens - message.count);
+            break;
+        case 'sync-request':
+            this.channel.postMessage({ type: 'sync', tokens: this.tokens });
+            break;
+        case 'sync':
+            this.tokens = Math.min(this.tokens, message.tokens);
+            break;
+        }
+    }
+
+    refill() {
+        const now = Date.now();
+        const refillPerMs = this.options.capacity / this.options.interval;
+
+        this.tokens = Math.min(this.options.capacity, this.tokens + (now - this.lastRefill) * refillPerMs);
+        this.lastRefill = now;
+    }
+
+    /**
+     * Tokens a request of `priority` must leave in the bucket
+     */
+    getReserve(priority) {
+        return priority === 'low' ? this.options.capacity * this.options.lowPriorityReserve : 0;
+    }
+
+    /**
+     * Take a token if one is available to `priority` ('high' or 'low')
+     * @returns {boolean} Whether the request may go ahead
+     */
+    tryAcquire(priority = 'high') {
+        if (!this.options.enabled) {
+            return true;
+        }
+
+        this.refill();
+        if (this.tokens - this.getReserve(priority) < 1) {
+            return false;
+        }
+
+        this.tokens -= 1;
+        if (this.channel) {
+            this.channel.postMessage({ type: 'consume', count: 1 });
+        }
+        return true;
+    }
+
+    /**
+     * Milliseconds until a token is available to `priority`
+     */
+    getWaitTime(priority = 'high') {
+        if (!this.options.enabled) {
+            return 0;
+        }
+
+        this.refill();
+        const missing = 1 + this.getReserve(priority) - this.tokens;
+        return missing <= 0 ? 0 : Math.ceil(missing * this.options.interval / this.options.capacity);
+    }
+
+    getTokens() {
+        this.refill();
+        return this.tokens;
+    }
+
+    updateOptions(options) {
+        this.refill();
+        this.options = { ...this.options, ...options };
+        this.tokens = Math.min(this.tokens, this.options.capacity);
+    }
+
+    getStatus() {
+        return {
+            enabled: this.options.enabled,
+            tokens: Math.floor(this.getTokens()),
+            capacity: this.options.capacity,
+            nextTokenIn: this.getWaitTime()
+        };
+    }
+
+    close() {
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+}
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenBucketRateLimiter;
+} else {
+    window.TokenBucketRateLimiter = TokenBucketRateLimiter;
+}
@@ -0,0 +1,208 @@
+/**
+ * Recognition Alternatives
+ * Keeps the N-best alternatives of final results the recognizer wasn't confident about.
+ * Web Speech gives one confidence per result, not per word, so the uncertain words are
+ * the ones the alternatives disagree on. The front ends underline them and let the user
+ * pick another alternative; until then prompts mention them, so suggestions don't build
+ * on a misheard word
+ */
+
+class RecognitionAlternatives {
+    constructor(options = {}) {
+        this.options = {
+            threshold: options.threshold || 0.75, // Results less confident than this are uncertain
+            maxOptions: options.maxOptions || 3, // Alternatives offered per uncertain phrase
+            maxEntries: options.maxEntries || 20 // Oldest uncertain results are forgotten first
+        };
+
+        this.clear();
+    }
+
+    clear() {
+        this.entries = []; // { id, text, start, end, heard, options, confidence }, in transcript order
+        this.nextId = 1;
+    }
+
+    /**
+     * Record a final result from a speech engine's onFinal(text, details)
+     * Returns the entry when the result is uncertain and its alternatives differ, else null
+     */
+    addResult(text, details = {}) {
+        const words = RecognitionAlternatives.getWords(text);
+        const { confidence, alternatives = [] } = details;
+
+        // Engines without confidence scores (0 or missing) say nothing about uncertainty
+        if (!confidence || confidence >= this.options.threshold || words.length === 0) {
+            return null;
+        }
+
+        const span = RecognitionAlternatives.findUncertainSpan(
+            words,
+            alternatives.map(alternative => RecognitionAlternatives.getWords(alternative.transcript))
+        );
+        if (!span) {
+            return null;
+        }
+
+        const heard = words.slice(span.start, span.end).join(' ');
+        const seen = new Set([RecognitionAlternatives.normalize(heard)]);
+        const options = span.options
+            .filter(option => {
+                const key = RecognitionAlternatives.normalize(option);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, this.options.maxOptions);
+
+        if (options.length === 0) {
+            return null;
+        }
+
+        const entry = { id: this.nextId++, text: words.join(' '), start: span.start, end: span.end, heard, options, confidence };
+        this.entries.push(entry);
+        if (this.entries.length > this.options.maxEntries) {
+            this.entries.shift();
+        }
+        return entry;
+    }
+
+    getEntry(id) {
+        return this.entries.find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Where the uncertain words of each entry are in `text`: [{ entry, index }]
+     * Entries no longer in the text (edited or cleared) are left out
+     */
+    locate(text = '') {
+        const located = [];
+        let cursor = 0;
+
+        this.entries.forEach(entry => {
+            const index = text.indexOf(entry.text, cursor);
+            if (index < 0) return;
+
+            const before = entry.text.split(' ').slice(0, entry.start).join(' ');
+            located.push({ entry, index: index + before.length + (entry.start > 0 ? 1 : 0) });
+            cursor = index + entry.text.length;
+        });
+
+        return located;
+    }
+
+    /**
+     * Split `text` for display: [{ text }, { text, entry }, ...] - parts with an entry are uncertain
+     */
+    segment(text = '') {
+        const parts = [];
+        let cursor = 0;
+
+        this.locate(text).forEach(({ entry, index }) => {
+            if (index > cursor) {
+                parts.push({ text: text.slice(cursor, index) });
+            }
+            parts.push({ text: entry.heard, entry });
+            cursor = index + entry.heard.length;
+        });
+
+        if (cursor < text.length) {
+            parts.push({ text: text.slice(cursor) });
+        }
+        return parts;
+    }
+
+    /**
+     * Swap an entry's uncertain words for one of its options; the entry is settled and dropped
+     * Returns { from, to } - the result's text before and after - for the caller to
+     * replace in its transcript, or null for an unknown entry or option
+     */
+    pick(id, option) {
+        const entry = this.getEntry(id);
+        if (!entry || !entry.options.includes(option)) {
+            return null;
+        }
+
+        const words = entry.text.split(' ');
+        const to = [...words.slice(0, entry.start), option, ...words.slice(entry.end)].join(' ');
+        this.entries = this.entries.filter(other => other !== entry);
+
+        return { from: entry.text, to };
+    }
+
+    /**
+     * Context fields for SharedLLMService.generateSuggestions
+     */
+    toRequestContext(currentText = '') {
+        return {
+            alternatives: this.locate(currentText).map(({ entry }) => ({ heard: entry.heard, options: entry.options }))
+        };
+    }
+
+    /**
+     * The words of `words` the alternatives disagree on, as { start, end, options }
+     * with each differing alternative's words for that span, or null when they all agree.
+     * Words before and after the span are the same in every alternative
+     */
+    static findUncertainSpan(words, alternatives) {
+        const same = (a, b) => RecognitionAlternatives.normalize(a) === RecognitionAlternatives.normalize(b);
+        const differing = [];
+        let start = words.length;
+        let end = 0;
+
+        alternatives.forEach(alternative => {
+            let prefix = 0;
+            while (prefix < words.length && prefix < alternative.length && same(words[prefix], alternative[prefix])) {
+                prefix++;
+            }
+            if (prefix === words.length && prefix === alternative.length) {
+                return; // The transcript itself
+            }
+
+            let suffix = 0;
+            while (suffix < words.length - prefix && suffix < alternative.length - prefix &&
+                same(words[words.length - 1 - suffix], alternative[alternative.length - 1 - suffix])) {
+                suffix++;
+            }
+
+            start = Math.min(start, prefix);
+            end = Math.max(end, words.length - suffix);
+            differing.push(alternative);
+        });
+
+        if (differing.length === 0) {
+            return null;
+        }
+
+        // Only words missing from the transcript - take in a neighbour so there's something to tap
+        if (end <= start) {
+            if (start > 0) {
+                start--;
+            } else {
+                end++;
+            }
+        }
+
+        const tail = words.length - end;
+        return {
+            start,
+            end,
+            options: differing.map(alternative => alternative.slice(start, alternative.length - tail).join(' '))
+        };
+    }
+
+    static getWords(text) {
+        return String(text || '').trim().split(/\s+/).filter(Boolean);
+    }
+
+    static normalize(text) {
+        return String(text).toLowerCase().replace(/[^\p{L}\p{N}'\s]/gu, '').replace(/\s+/g, ' ').trim();
+    }
+}
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecognitionAlternatives;
+} else {
+    window.RecognitionAlternatives = RecognitionAlternatives;
+}
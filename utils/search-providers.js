@@ -0,0 +1,179 @@
+/**
+ * Search Provider Registry
+ * Where performSearch sends the transcript: each provider is a name and a URL
+ * template with a {query} placeholder. Built-ins cover Bing Copilot, Google,
+ * DuckDuckGo and Perplexity; deployments can add their own (e.g. an internal wiki)
+ * through the `search.providers` config, and users can add any URL template.
+ * User providers are kept in localStorage, shared by the desktop and mobile versions.
+ */
+
+class SearchProviderRegistry {
+    constructor(options = {}) {
+        const constants = typeof SharedConstants !== 'undefined' ? SharedConstants : null;
+
+        this.options = {
+            storageKey: options.storageKey || (constants && constants.STORAGE_KEYS.SEARCH_PROVIDERS) || 'voice_autocomplete_search_providers'
+        };
+
+        // Pass `storage: null` for a registry holding only the built-in providers
+        this.storage = options.storage !== undefined
+            ? options.storage
+            : (typeof localStorage !== 'undefined' ? localStorage : null);
+
+        this.providers = new Map();
+        SearchProviderRegistry.BUILT_IN_PROVIDERS.forEach(provider => {
+            this.providers.set(provider.id, { ...provider, builtIn: true });
+        });
+
+        // Providers configured for the deployment are read-only, like the built-ins
+        (options.providers || []).forEach(provider => {
+            try {
+                const normalized = this.normalize(provider);
+                const id = provider.id || this.createId(normalized.name);
+                this.providers.set(id, { id, ...normalized, builtIn: true });
+            } catch (error) {
+                console.warn(`Ignoring configured search provider "${provider && provider.name}":`, error.message);
+            }
+        });
+        this.load();
+    }
+
+    list() {
+        return Array.from(this.providers.values());
+    }
+
+    has(id) {
+        return this.providers.has(id);
+    }
+
+    /**
+     * Provider by id, or Bing Copilot when it doesn't exist (e.g. a deleted user provider)
+     */
+    get(id) {
+        return this.providers.get(id) || this.providers.get(SearchProviderRegistry.DEFAULT_PROVIDER);
+    }
+
+    /**
+     * The URL searching `query` with a provider
+     */
+    buildUrl(id, query) {
+        return this.get(id).urlTemplate.replace(/\{query\}/g, encodeURIComponent(String(query).trim()));
+    }
+
+    /**
+     * Validate a provider; throws with a message fit for the UI
+     */
+    normalize(provider = {}) {
+        const name = typeof provider.name === 'string' ? provider.name.trim() : '';
+        if (!name) {
+            throw new Error('Provider name is required');
+        }
+
+        const urlTemplate = typeof provider.urlTemplate === 'string' ? provider.urlTemplate.trim() : '';
+        if (!urlTemplate.includes('{query}')) {
+            throw new Error('URL template must include {query}');
+        }
+
+        let url;
+        try {
+            url = new URL(urlTemplate.replace(/\{query\}/g, 'test'));
+        } catch (error) {
+            throw new Error('URL template must be a full URL, like https://example.com/search?q={query}');
+        }
+        if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+            throw new Error('URL template must start with https:// or http://');
+        }
+
+        return { name, urlTemplate };
+    }
+
+    /**
+     * Create or update a user provider
+     * Saving over a built-in provider creates a copy, since built-ins are read-only
+     * @returns {Object} The saved provider
+     */
+    save(provider) {
+        const existing = provider.id ? this.providers.get(provider.id) : null;
+        const normalized = this.normalize(provider);
+        const id = existing && !existing.builtIn ? existing.id : this.createId(normalized.name);
+
+        this.providers.set(id, { id, ...normalized, builtIn: false });
+        this.persist();
+        return this.providers.get(id);
+    }
+
+    remove(id) {
+        const provider = this.providers.get(id);
+        if (!provider || provider.builtIn) {
+            return false;
+        }
+
+        this.providers.delete(id);
+        this.persist();
+        return true;
+    }
+
+    /**
+     * Unique id derived from a provider name
+     */
+    createId(name) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'search';
+        let id = base;
+        for (let n = 2; this.providers.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    getUserProviders() {
+        return this.list().filter(provider => !provider.builtIn);
+    }
+
+    load() {
+        if (!this.storage) return;
+
+        let saved = [];
+        try {
+            saved = JSON.parse(this.storage.getItem(this.options.storageKey) || '[]');
+        } catch (error) {
+            console.warn('Ignoring saved search providers:', error.message);
+        }
+
+        (Array.isArray(saved) ? saved : []).forEach(provider => {
+            if (!provider || !provider.id || this.providers.has(provider.id)) return;
+
+            try {
+                this.providers.set(provider.id, { id: provider.id, ...this.normalize(provider), builtIn: false });
+            } catch (error) {
+                console.warn(`Ignoring saved search provider "${provider.id}":`, error.message);
+            }
+        });
+    }
+
+    persist() {
+        if (!this.storage) return;
+
+        try {
+            const saved = this.getUserProviders().map(({ id, name, urlTemplate }) => ({ id, name, urlTemplate }));
+            this.storage.setItem(this.options.storageKey, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not save search providers:', error.message);
+        }
+    }
+}
+
+SearchProviderRegistry.DEFAULT_PROVIDER = 'bing-copilot';
+
+SearchProviderRegistry.BUILT_IN_PROVIDERS = [
+    { id: 'bing-copilot', name: 'Bing Copilot', urlTemplate: 'https://www.bing.com/copilotsearch?q={query}&FORM=CSSCOP' },
+    { id: 'google', name: 'Google', urlTemplate: 'https://www.google.com/search?q={query}' },
+    { id: 'duckduckgo', name: 'DuckDuckGo', urlTemplate: 'https://duckduckgo.com/?q={query}' },
+    { id: 'perplexity', name: 'Perplexity', urlTemplate: 'https://www.perplexity.ai/search?q={query}' }
+];
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchProviderRegistry;
+} else {
+    window.SearchProviderRegistry = SearchProviderRegistry;
+}
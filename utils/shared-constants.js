@@ -42,7 +42,9 @@ const SharedConstants = {
         CACHE: {
             MAX_SIZE: 50,
             TTL: 300000, // 5 minutes
-            CLEANUP_INTERVAL: 60000 // 1 minute
+            CLEANUP_INTERVAL: 60000, // 1 minute
+            PERSISTENT_MAX_SIZE: 500,
+            PERSISTENT_TTL: 86400000 // 24 hours
         }
     },
 
@@ -50,13 +52,22 @@ const SharedConstants = {
     ENDPOINTS: {
         AZURE_OPENAI: {
             BASE_URL: 'https://{resource}.openai.azure.com/openai/deployments/{deployment}/chat/completions',
-            API_VERSION: '2024-02-15-preview'
+            API_VERSION: '2024-02-15-preview',
+            RESOURCE_DOMAINS: ['openai.azure.com', 'cognitiveservices.azure.com'] // Azure OpenAI and Azure AI Services resources
         },
         OPENAI: {
             BASE_URL: 'https://api.openai.com/v1/chat/completions'
         },
         ANTHROPIC: {
             BASE_URL: 'https://api.anthropic.com/v1/messages'
+        },
+        LOCAL: {
+            BASE_URL: '{host}/v1/chat/completions', // OpenAI-compatible (Ollama, llama.cpp server)
+            DEFAULT_HOST: 'http://localhost:11434'
+        },
+        PROXY: {
+            BASE_URL: '{host}/api/suggest', // utils/proxy-server.js, holding the provider credentials
+            DEFAULT_HOST: 'http://localhost:8787'
         }
     },
 
@@ -148,7 +159,11 @@ const SharedConstants = {
         CONFIG: 'voice_autocomplete_config',
         CACHE: 'voice_autocomplete_cache',
         USER_PREFERENCES: 'voice_autocomplete_preferences',
-        SESSION_DATA: 'voice_autocomplete_session'
+        SESSION_DATA: 'voice_autocomplete_session',
+        PROMPT_STYLES: 'voice_autocomplete_prompt_styles',
+        SEARCH_PROVIDERS: 'voice_autocomplete_search_providers',
+        CREDENTIALS: 'voice_autocomplete_credentials',
+        PRIVACY_FILTER: 'voice_autocomplete_privacy_filter'
     },
 
     // Regular expressions for text processing
@@ -157,7 +172,9 @@ const SharedConstants = {
         NUMBERS: /\b(?:\d+(?:,\d{3})*(?:\.\d+)?|\$\d+(?:,\d{3})*(?:\.\d{2})?|\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}:\d{2}(?:\s*[APap][Mm])?)\b/g,
         EMAIL: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
         URL: /(https?:\/\/[^\s]+)/g,
-        PHONE: /\b(?:\+?1[-.\s]?)?\(?([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})\b/g
+        PHONE: /(?:\b(?:\+?1[-.\s]?)?\(?|\()([0-9]{3})\)?[-.\s]?([0-9]{3})[-.\s]?([0-9]{4})\b/g,
+        INTERNATIONAL_PHONE: /(?<![\w+])\+\d{1,3}[-.\s]?\(?\d{1,4}\)?(?:[-.\s]?\d{2,4}){2,4}\b/g,
+        CARD_NUMBER: /\b(?:\d[ -]?){12,18}\d\b/g // 13-19 digits; check with the Luhn algorithm before trusting it
     },
 
     // Language support
@@ -229,7 +246,7 @@ const SharedConstants = {
         ANALYTICS: false,
         DARK_MODE: true,
         OFFLINE_MODE: false,
-        VOICE_COMMANDS: false,
+        VOICE_COMMANDS: true,
         MULTI_LANGUAGE: true
     },
 
@@ -294,6 +311,36 @@ SharedConstants.utils = {
         return SharedConstants.VERSION_FEATURES[version.toUpperCase()] || {};
     },
 
+    /**
+     * Check a user-entered endpoint against the provider's ENDPOINTS template
+     * The template's base URL is accepted on its own, e.g. https://my-resource.openai.azure.com/;
+     * Azure resources may also be on any of its RESOURCE_DOMAINS (https://x.cognitiveservices.azure.com/)
+     */
+    validateEndpoint(provider, url) {
+        const keys = { azure: 'AZURE_OPENAI', openai: 'OPENAI', anthropic: 'ANTHROPIC', local: 'LOCAL', proxy: 'PROXY' };
+        const key = keys[provider.toLowerCase()];
+        if (!key || !url) return false;
+
+        const toPattern = part => part
+            .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+            .replace('{host}', 'https?://[^/?#\\s]+')
+            .replace(/\{\w+\}/g, '[\\w.-]+');
+
+        // Split into origin and path, then make each trailing path segment optional
+        const { BASE_URL, RESOURCE_DOMAINS } = SharedConstants.ENDPOINTS[key];
+        const templates = RESOURCE_DOMAINS
+            ? RESOURCE_DOMAINS.map(domain => BASE_URL.replace(RESOURCE_DOMAINS[0], domain))
+            : [BASE_URL];
+
+        return templates.some(template => {
+            const [, origin, path] = template.match(/^((?:https?:\/\/)?[^/]+)(.*)$/);
+            const optionalPath = path.split('/').filter(Boolean)
+                .reduceRight((rest, segment) => `(?:/${toPattern(segment)}${rest})?`, '');
+
+            return new RegExp(`^${toPattern(origin)}${optionalPath}/?(?:\\?.*)?$`, 'i').test(url.trim());
+        });
+    },
+
     /**
      * Build API endpoint URL
      */
@@ -301,20 +348,24 @@ SharedConstants.utils = {
         const endpoints = SharedConstants.ENDPOINTS;
         
         switch (provider.toLowerCase()) {
-            case 'azure':
-                return endpoints.AZURE_OPENAI.BASE_URL
-                    .replace('{resource}', config.resource || 'your-resource')
-                    .replace('{deployment}', config.deployment || 'gpt-4o-mini') +
-                    `?api-version=${endpoints.AZURE_OPENAI.API_VERSION}`;
-            
-            case 'openai':
-                return endpoints.OPENAI.BASE_URL;
-            
-            case 'anthropic':
-                return endpoints.ANTHROPIC.BASE_URL;
-            
-            default:
-                throw new Error(`Unsupported provider: ${provider}`);
+        case 'azure':
+            return endpoints.AZURE_OPENAI.BASE_URL
+                .replace('{resource}', config.resource || 'your-resource')
+                .replace('{deployment}', config.deployment || 'gpt-4o-mini') +
+                `?api-version=${endpoints.AZURE_OPENAI.API_VERSION}`;
+        
+        case 'openai':
+            return endpoints.OPENAI.BASE_URL;
+        
+        case 'anthropic':
+            return endpoints.ANTHROPIC.BASE_URL;
+        
+        case 'local':
+            return endpoints.LOCAL.BASE_URL
+                .replace('{host}', (config.host || endpoints.LOCAL.DEFAULT_HOST).replace(/\/+$/, ''));
+        
+        default:
+            throw new Error(`Unsupported provider: ${provider}`);
         }
     }
 };
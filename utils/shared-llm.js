@@ -10,167 +10,1051 @@ class SharedLLMService {
             endpoint: config.endpoint || '',
             apiKey: config.apiKey || '',
             model: config.model || 'gpt-4o-mini',
+            deploymentName: config.deploymentName || '',
+            apiVersion: config.apiVersion || '2024-12-01-preview',
             maxTokens: config.maxTokens || 150,
             temperature: config.temperature || 0.7,
             timeout: config.timeout || 10000,
+            streaming: config.streaming !== false,
+            structuredOutput: !!config.structuredOutput, // Ask for JSON matching SUGGESTION_SCHEMA
+            retryAttempts: config.retryAttempts ?? 3,
+            retryDelay: config.retryDelay || 1000,
+            maxRetryDelay: config.maxRetryDelay || 8000, // Longer waits would only bring stale suggestions
+            fallbackProviders: config.fallbackProviders || [], // Provider configs tried in order when this one fails
+            failureThreshold: config.failureThreshold || 2, // Consecutive failures that open the circuit
+            circuitCooldown: config.circuitCooldown || 30000,
+            slowThreshold: config.slowThreshold || 5000, // Successful responses slower than this count as failures
+            maxRequestsPerMinute: config.maxRequestsPerMinute || 30,
+            enableRateLimit: config.enableRateLimit !== false,
             ...config
         };
 
         this.cache = new Map();
-        this.rateLimiter = {
-            requests: 0,
-            lastReset: Date.now(),
-            maxRequestsPerMinute: 30
+        this.circuit = { failures: 0, openUntil: 0 };
+        this.structuredOutputRejected = false; // Set once the provider refuses response_format or tools
+        this.persistentCache = this.config.persistentCache || null; // Optional PersistentSuggestionCache
+        this.rateLimiter = this.config.rateLimiter || this.createRateLimiter(); // Shared by the fallback providers
+        this.promptRegistry = this.config.promptRegistry || this.createPromptRegistry();
+        this.sanitizer = this.config.sanitizer || this.createSanitizer();
+        this.suggestionFilter = this.config.suggestionFilter || this.createSuggestionFilter();
+        this.setFallbackProviders(this.config.fallbackProviders);
+    }
+
+    /**
+     * Token bucket shared with other tabs, sized by `maxRequestsPerMinute`
+     */
+    createRateLimiter() {
+        const Limiter = typeof TokenBucketRateLimiter !== 'undefined'
+            ? TokenBucketRateLimiter
+            : require('./rate-limiter.js');
+
+        return new Limiter({
+            capacity: this.config.maxRequestsPerMinute,
+            enabled: this.config.enableRateLimit
+        });
+    }
+
+    /**
+     * Registry with only the built-in prompt styles; the front ends pass their own,
+     * which also holds the user's styles
+     */
+    createPromptRegistry() {
+        const Registry = typeof PromptTemplateRegistry !== 'undefined'
+            ? PromptTemplateRegistry
+            : require('./prompt-templates.js');
+
+        return new Registry({ storage: null });
+    }
+
+    /**
+     * Sanitizer with every category on; the front ends pass their own, which
+     * holds the user's privacy filter settings
+     */
+    createSanitizer() {
+        const Sanitizer = typeof InputSanitizer !== 'undefined'
+            ? InputSanitizer
+            : require('./input-sanitizer.js');
+
+        return new Sanitizer({ storage: null });
+    }
+
+    /**
+     * Suggestion filter with the default limits and blocklist; the front ends pass
+     * their own, set up from ConfigManager's `suggestionFilter`
+     */
+    createSuggestionFilter() {
+        const Filter = typeof SuggestionFilter !== 'undefined'
+            ? SuggestionFilter
+            : require('./suggestion-filter.js');
+
+        return new Filter();
+    }
+
+    /**
+     * Scrub the transcript and everything else from it that goes into the prompt -
+     * earlier turns, suggestions to avoid and recognition alternatives - before it
+     * leaves the device (see InputSanitizer). Logs what was redacted
+     */
+    sanitizeRequest(inputText, context = {}) {
+        const counts = [];
+        const clean = (text) => {
+            const result = this.sanitizer.sanitize(text);
+            counts.push(result.redactions);
+            return result.text;
         };
+
+        const sanitizedText = clean(inputText);
+        const sanitized = { ...context };
+        if (Array.isArray(context.history)) {
+            sanitized.history = context.history.map(message => (
+                message && typeof message.content === 'string' ? { ...message, content: clean(message.content) } : message
+            ));
+        }
+        if (Array.isArray(context.avoidSuggestions)) {
+            sanitized.avoidSuggestions = context.avoidSuggestions.map(clean);
+        }
+        if (Array.isArray(context.alternatives)) {
+            sanitized.alternatives = context.alternatives.map(({ heard, options, ...rest }) => ({
+                ...rest,
+                heard: clean(heard),
+                options: (options || []).map(clean)
+            }));
+        }
+
+        const Sanitizer = this.sanitizer.constructor;
+        const summary = Sanitizer.summarize(Sanitizer.mergeCounts(...counts));
+        if (summary) {
+            console.log(`🛡️ Redacted before sending: ${summary}`);
+        }
+
+        return { inputText: sanitizedText, context: sanitized };
     }
 
     /**
      * Generate suggestions based on input text
+     * Resolves to { suggestions, source, timestamp, latency } for every outcome,
+     * with source 'llm', 'cache', 'fallback' (plus `error`) or 'cancelled' when
+     * `context.signal` aborts the request. Failed requests are retried; see requestWithRetry
      */
     async generateSuggestions(inputText, context = {}) {
+        const startTime = this.now();
+        ({ inputText, context } = this.sanitizeRequest(inputText, context));
+        context = this.applyPromptStyle(inputText, context);
+
         try {
-            // Check rate limiting
-            if (!this.checkRateLimit()) {
-                throw new Error('Rate limit exceeded. Please wait before making more requests.');
+            // Superseded before it started - don't spend rate-limit budget on it
+            if (context.signal && context.signal.aborted) {
+                throw this.createCancelError();
             }
 
-            // Check cache first
+            // Check cache first - cached answers don't count against the rate limit
             const cacheKey = this.getCacheKey(inputText, context);
             if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
+                return {
+                    ...this.cache.get(cacheKey),
+                    source: 'cache',
+                    latency: this.now() - startTime
+                };
+            }
+
+            // Then the persistent cache, which survives page reloads
+            if (this.persistentCache) {
+                const persisted = await this.getPersistedResult(inputText, context);
+                if (persisted) {
+                    this.cacheResult(cacheKey, persisted);
+                    return {
+                        ...persisted,
+                        source: 'cache',
+                        latency: this.now() - startTime
+                    };
+                }
+
+                if (context.signal && context.signal.aborted) {
+                    throw this.createCancelError();
+                }
             }
 
-            // Prepare the prompt
-            const prompt = this.buildPrompt(inputText, context);
+            // Prepare the conversation; the proxy provider sends the transcript instead
+            const messages = this.buildMessages(inputText, context);
+            context = { ...context, inputText };
 
-            // Make API request
-            const response = await this.makeAPIRequest(prompt);
+            // Make API request - streamed when the caller wants suggestions as they arrive,
+            // each checked by the suggestion filter before it is shown
+            let firstSuggestionLatency = null;
+            const filterRequest = this.suggestionFilter.prepare({
+                inputText, systemMessage: context.systemMessage, prompt: context.prompt
+            });
+            const shown = [];
+            const onSuggestion = (suggestion) => {
+                if (this.suggestionFilter.check(suggestion, filterRequest, shown)) {
+                    return;
+                }
+                if (shown.length === 0) {
+                    firstSuggestionLatency = this.now() - startTime;
+                }
+                shown.push(suggestion);
+                context.onSuggestion(suggestion.trim(), shown.length - 1);
+            };
+            // Never retry or fail over once suggestions are on screen
+            const { response, provider } = await this.requestWithFailover(
+                messages, context, onSuggestion, () => firstSuggestionLatency === null
+            );
             
-            // Process and format response
-            const suggestions = this.processSuggestions(response);
+            // Process and format response, then filter what the model sent
+            const suggestions = this.processSuggestions(response, context);
+            if (suggestions.source === 'llm') {
+                await this.filterSuggestions(suggestions, filterRequest, inputText, context);
+                if (suggestions.suggestions.length === 0) {
+                    throw new Error('Every suggestion was filtered out');
+                }
+            }
+            suggestions.provider = provider;
+            suggestions.latency = this.now() - startTime;
+            if (firstSuggestionLatency !== null) {
+                suggestions.firstSuggestionLatency = firstSuggestionLatency;
+            }
 
             // Cache the result
-            this.cacheResult(cacheKey, suggestions);
+            if (suggestions.source === 'llm') {
+                this.cacheResult(cacheKey, suggestions);
+                this.persistResult(inputText, context, suggestions);
+            }
 
             return suggestions;
 
         } catch (error) {
+            if (error.cancelled) {
+                return {
+                    suggestions: [],
+                    timestamp: Date.now(),
+                    source: 'cancelled',
+                    latency: this.now() - startTime
+                };
+            }
+
             console.error('LLM API error:', error);
-            return this.getErrorFallback(inputText, error);
+            return {
+                ...this.getErrorFallback(inputText, error, context.language),
+                latency: this.now() - startTime
+            };
         }
     }
 
     /**
-     * Build appropriate prompt based on interface version
+     * Drop suggestions the suggestion filter rejects (see SuggestionFilter), and when
+     * fewer than its `minSuggestions` are left, ask once more for suggestions that
+     * avoid everything already sent. Updates `result` in place, adding the drop count
+     * per filter as `filtered`
      */
-    buildPrompt(inputText, context = {}) {
-        const { version = 'v1', style = 'professional' } = context;
+    async filterSuggestions(result, filterRequest, inputText, context) {
+        const filter = this.suggestionFilter;
+        const first = filter.filter(result.suggestions, filterRequest);
+        const received = result.suggestions;
+
+        result.suggestions = first.suggestions;
+        if (result.details) {
+            result.details = first.indexes.map(index => result.details[index]);
+        }
+        result.filtered = first.dropped;
 
-        if (version === 'v2' || style === 'conversational') {
-            return this.buildConversationalPrompt(inputText, context);
-        } else {
-            return this.buildProfessionalPrompt(inputText, context);
+        const maxSuggestions = context.maxSuggestions || 5;
+        if (result.suggestions.length >= Math.min(filter.options.minSuggestions, maxSuggestions) ||
+            (context.signal && context.signal.aborted)) {
+            return result;
         }
+
+        filter.recordBackfill();
+        try {
+            // Not streamed - the caller replaces the streamed suggestions with the final list
+            const backfillContext = {
+                ...context,
+                onSuggestion: undefined,
+                avoidSuggestions: [...(context.avoidSuggestions || []), ...received]
+            };
+            const messages = this.buildMessages(inputText, backfillContext);
+            const { response } = await this.requestWithFailover(messages, backfillContext, () => {});
+            const backfill = this.processSuggestions(response, backfillContext);
+            if (backfill.source !== 'llm') {
+                return result;
+            }
+
+            const second = filter.filter(backfill.suggestions, filterRequest, result.suggestions);
+            const added = second.indexes.slice(0, maxSuggestions - result.suggestions.length);
+            result.suggestions = [...result.suggestions, ...added.map(index => backfill.suggestions[index].trim())];
+            if (result.details && backfill.details) {
+                result.details = [...result.details, ...added.map(index => backfill.details[index])];
+            } else if (added.length > 0) {
+                delete result.details; // Only some suggestions would have details
+            }
+            Object.entries(second.dropped).forEach(([name, count]) => {
+                result.filtered[name] = (result.filtered[name] || 0) + count;
+            });
+        } catch (error) {
+            if (error.cancelled) {
+                throw error;
+            }
+            console.warn('⚠️ Backfill request failed - keeping the suggestions left:', error.message);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build chat messages for a request
+     * Callers may supply their own `systemMessage` and `prompt` in the context;
+     * otherwise the built-in prompt for the interface version is used. Earlier turns
+     * go in `context.history`, suggestions not to repeat in `context.avoidSuggestions`
+     * and words speech recognition was unsure of in `context.alternatives`
+     * ([{ heard, options }], see RecognitionAlternatives)
+     */
+    buildMessages(inputText, context = {}) {
+        const messages = [];
+
+        if (context.systemMessage) {
+            messages.push({ role: 'system', content: context.systemMessage });
+        }
+
+        (context.history || [])
+            .filter(message => message && message.role !== 'system' && message.content)
+            .forEach(message => messages.push({ role: message.role, content: message.content }));
+
+        let prompt = context.prompt || this.buildPrompt(inputText, context);
+        if (context.avoidSuggestions && context.avoidSuggestions.length > 0) {
+            prompt += `\n\nAlready covered earlier - don't suggest these again: ${context.avoidSuggestions.join(' | ')}`;
+        }
+        if (context.alternatives && context.alternatives.length > 0) {
+            const unsure = context.alternatives
+                .map(({ heard, options }) => `"${heard}" (or ${options.map(option => `"${option}"`).join(', ')})`)
+                .join('; ');
+            prompt += `\n\nSpeech recognition may have misheard ${unsure}. Don't build suggestions on those words - prefer ones that fit whichever was said.`;
+        }
+
+        messages.push({ role: 'user', content: prompt });
+
+        return messages;
     }
 
     /**
-     * Build conversational prompt for V2 mobile interface
+     * Fill in the prompt, system message, token budget, suggestion count and parser
+     * from the context's prompt style. Fields the caller set explicitly win, and a
+     * caller-supplied `prompt` bypasses styles altogether
      */
-    buildConversationalPrompt(inputText, context) {
-        const basePrompt = `You are a helpful friend providing natural autocomplete suggestions. The user said: "${inputText}"\n\n`;
-        
-        const instructions = `Complete their thought naturally, as if you're finishing their sentence in conversation. Provide 3-5 short, helpful suggestions that feel like natural continuations. Be friendly, conversational, and helpful.\n\nSuggestions:`;
+    applyPromptStyle(inputText, context = {}) {
+        if (context.prompt) {
+            return context;
+        }
 
-        return basePrompt + instructions;
+        const rendered = this.promptRegistry.render(this.resolveStyleId(context), inputText, context.language);
+        return {
+            ...context,
+            systemMessage: context.systemMessage ?? rendered.systemMessage,
+            prompt: rendered.prompt,
+            maxTokens: context.maxTokens ?? rendered.maxTokens,
+            maxSuggestions: context.maxSuggestions ?? rendered.maxSuggestions,
+            parser: context.parser ?? rendered.parser
+        };
     }
 
     /**
-     * Build professional prompt for V1 desktop interface
+     * Registry style for a request: `context.style` when registered, otherwise
+     * the conversational style for V2 and the professional one for V1
      */
-    buildProfessionalPrompt(inputText, context) {
-        const basePrompt = `Provide intelligent autocomplete suggestions for: "${inputText}"\n\n`;
-        
-        const instructions = `Generate 3-5 concise, relevant suggestions that complete or enhance the input. Focus on practical, actionable completions. Be precise and professional.\n\nSuggestions:`;
+    resolveStyleId(context = {}) {
+        const { version = 'v1', style } = context;
 
-        return basePrompt + instructions;
+        if (style && this.promptRegistry.has(style)) {
+            return style;
+        }
+        return version === 'v2' ? 'conversational' : 'professional';
+    }
+
+    /**
+     * Build the user prompt for the context's prompt style
+     */
+    buildPrompt(inputText, context = {}) {
+        return this.promptRegistry.render(this.resolveStyleId(context), inputText, context.language).prompt;
     }
 
     /**
      * Make API request to LLM service
      */
-    async makeAPIRequest(prompt) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+    async makeAPIRequest(messages, options = {}) {
+        const request = this.createRequestController(options);
 
         try {
-            const requestBody = this.buildRequestBody(prompt);
+            const requestBody = this.buildRequestBody(messages, options);
             const headers = this.buildRequestHeaders();
 
-            const response = await fetch(this.config.endpoint, {
+            const response = await fetch(this.getEndpointURL(), {
                 method: 'POST',
                 headers: headers,
                 body: JSON.stringify(requestBody),
-                signal: controller.signal
+                signal: request.signal
             });
 
-            clearTimeout(timeoutId);
-
             if (!response.ok) {
-                throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+                throw await this.createHTTPError(response);
             }
 
             const data = await response.json();
             return data;
 
         } catch (error) {
-            clearTimeout(timeoutId);
-            
-            if (error.name === 'AbortError') {
-                throw new Error('Request timeout - please try again');
+            throw request.translateError(error);
+        } finally {
+            request.cleanup();
+        }
+    }
+
+    /**
+     * Send one request to this service's provider, streamed when possible
+     * A provider that refuses the structured output fields with a 400 gets the request
+     * again without them, and plain requests from then on
+     */
+    async sendRequest(messages, context, onSuggestion) {
+        try {
+            return await this.sendOnce(messages, context, onSuggestion);
+        } catch (error) {
+            if (!this.isStructuredOutputRejection(error, context)) {
+                throw error;
             }
-            
-            throw error;
+
+            console.warn(`⚠️ ${this.config.provider} doesn't support structured output - sending plain requests`);
+            this.structuredOutputRejected = true;
+            return this.sendOnce(messages, context, onSuggestion);
+        }
+    }
+
+    sendOnce(messages, context, onSuggestion) {
+        if (this.canStream(context)) {
+            return this.makeStreamingRequest(messages, context, onSuggestion);
+        }
+        return this.makeAPIRequest(messages, context);
+    }
+
+    /**
+     * A 400 complaining about the fields buildStructuredOutputFields adds
+     */
+    isStructuredOutputRejection(error, context = {}) {
+        return error.status === 400 && !!this.usesStructuredOutput(context) &&
+            /response_format|json_schema|tool/i.test(error.detail || '');
+    }
+
+    /**
+     * Whether a request can be streamed with server-sent events
+     */
+    canStream(context = {}) {
+        return this.config.streaming &&
+            typeof context.onSuggestion === 'function' &&
+            ['azure', 'openai', 'anthropic', 'local', 'proxy'].includes(this.config.provider);
+    }
+
+    /**
+     * Make a streaming API request (`stream: true`)
+     * Calls onSuggestion(suggestion, index) as soon as each suggestion is complete
+     * and resolves to the full response text
+     */
+    async makeStreamingRequest(messages, options = {}, onSuggestion = () => {}) {
+        const request = this.createRequestController(options);
+
+        try {
+            const requestBody = {
+                ...this.buildRequestBody(messages, options),
+                stream: true
+            };
+            const headers = this.buildRequestHeaders();
+
+            const response = await fetch(this.getEndpointURL(), {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(requestBody),
+                signal: request.signal
+            });
+
+            if (!response.ok) {
+                throw await this.createHTTPError(response);
+            }
+
+            // Some environments hand back a buffered body - treat it as a regular response
+            if (!response.body || typeof response.body.getReader !== 'function') {
+                return await response.json();
+            }
+
+            let content = '';
+            let emitted = 0;
+
+            await this.readEventStream(response.body, (delta) => {
+                content += delta;
+
+                const completed = this.usesStructuredOutput(options)
+                    ? this.getCompletedStructuredSuggestions(content, options.maxSuggestions)
+                    : this.getCompletedSuggestions(content, options.maxSuggestions, options.parser);
+                while (emitted < completed.length) {
+                    onSuggestion(completed[emitted], emitted);
+                    emitted++;
+                }
+            });
+
+            // Emit whatever was still pending when the stream ended
+            const finalSuggestions = content.trim() ? this.extractSuggestions(content, options).suggestions : [];
+            while (emitted < finalSuggestions.length) {
+                onSuggestion(finalSuggestions[emitted], emitted);
+                emitted++;
+            }
+
+            return content;
+
+        } catch (error) {
+            throw request.translateError(error);
+        } finally {
+            request.cleanup();
+        }
+    }
+
+    /**
+     * Abort controller for one request
+     * Aborts on timeout or when the caller's `options.signal` fires, and tells the two apart
+     */
+    createRequestController(options = {}) {
+        const controller = new AbortController();
+        const externalSignal = options.signal;
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout || this.config.timeout);
+        const onCancel = () => controller.abort();
+
+        if (externalSignal) {
+            if (externalSignal.aborted) {
+                controller.abort();
+            }
+            externalSignal.addEventListener('abort', onCancel);
+        }
+
+        return {
+            signal: controller.signal,
+            cleanup: () => {
+                clearTimeout(timeoutId);
+                if (externalSignal) {
+                    externalSignal.removeEventListener('abort', onCancel);
+                }
+            },
+            translateError: (error) => {
+                if (externalSignal && externalSignal.aborted) {
+                    return this.createCancelError();
+                }
+                if (error.name === 'AbortError') {
+                    return new Error('Request timeout - please try again');
+                }
+                return error;
+            }
+        };
+    }
+
+    /**
+     * Build one service per fallback provider; they share this service's timing settings
+     */
+    setFallbackProviders(providers = []) {
+        const { timeout, maxTokens, temperature, streaming, structuredOutput, retryAttempts, retryDelay,
+            maxRetryDelay, failureThreshold, circuitCooldown, slowThreshold } = this.config;
+
+        this.fallbackServices = providers.map(providerConfig => new SharedLLMService({
+            timeout, maxTokens, temperature, streaming, structuredOutput, retryAttempts, retryDelay, maxRetryDelay,
+            failureThreshold, circuitCooldown, slowThreshold,
+            ...providerConfig,
+            fallbackProviders: [],
+            persistentCache: null,
+            rateLimiter: this.rateLimiter
+        }));
+    }
+
+    /**
+     * Try this provider, then each fallback provider in order
+     * Providers with an open circuit are skipped (unless every circuit is open), and only
+     * the last provider tried retries - the others fail over straight away.
+     * Resolves to { response, provider }
+     */
+    async requestWithFailover(messages, context, onSuggestion, canRetry = () => true) {
+        const chain = [this, ...this.fallbackServices];
+        const closed = chain.filter(service => !service.isCircuitOpen());
+        const candidates = closed.length > 0 ? closed : chain;
+        let lastError = null;
+
+        for (let i = 0; i < candidates.length; i++) {
+            const service = candidates[i];
+            const isLast = i === candidates.length - 1;
+
+            // The bucket is shared by the whole chain, so there's no point trying further
+            if (!service.checkRateLimit(context.priority)) {
+                throw this.createRateLimitError();
+            }
+
+            const startTime = this.now();
+            try {
+                const response = await service.requestWithRetry(
+                    () => service.sendRequest(messages, context, onSuggestion),
+                    context,
+                    () => isLast && canRetry()
+                );
+                service.recordSuccess(this.now() - startTime);
+                return { response, provider: service.config.provider };
+            } catch (error) {
+                if (error.cancelled) {
+                    throw error;
+                }
+
+                service.recordFailure();
+                lastError = error;
+
+                // A partly streamed answer can't be completed by another provider
+                if (!canRetry()) {
+                    throw error;
+                }
+
+                if (!isLast) {
+                    console.warn(`⚠️ ${service.config.provider} failed (${error.message}), trying next provider`);
+                }
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Whether the circuit breaker currently keeps requests away from this provider
+     */
+    isCircuitOpen() {
+        return Date.now() < this.circuit.openUntil;
+    }
+
+    recordSuccess(latency) {
+        if (latency > this.config.slowThreshold) {
+            this.recordFailure();
+            return;
+        }
+
+        this.circuit.failures = 0;
+        this.circuit.openUntil = 0;
+    }
+
+    /**
+     * Count a failure; opens the circuit at the threshold, or straight away
+     * for a provider on trial after its cooldown
+     */
+    recordFailure() {
+        this.circuit.failures++;
+
+        if (this.circuit.failures >= this.config.failureThreshold || this.circuit.openUntil > 0) {
+            this.circuit.failures = 0;
+            this.circuit.openUntil = Date.now() + this.config.circuitCooldown;
+            console.warn(`⚡ Circuit open for ${this.config.provider} - skipping it for ${this.config.circuitCooldown / 1000}s`);
+        }
+    }
+
+    /**
+     * Run `request`, retrying 429, 5xx and network failures up to `retryAttempts` times
+     * Waits for Retry-After when the server sends it, otherwise backs off exponentially
+     * with jitter. Calls context.onRetry(attempt, retryAttempts, delay) before each retry
+     * and stops as soon as `context.signal` aborts or `canRetry()` returns false
+     */
+    async requestWithRetry(request, context = {}, canRetry = () => true) {
+        const maxRetries = this.config.retryAttempts;
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                const delay = this.getRetryDelay(attempt, error);
+                if (attempt > maxRetries || !this.isRetryable(error) || !canRetry() || delay === null) {
+                    throw error;
+                }
+
+                if (typeof context.onRetry === 'function') {
+                    context.onRetry(attempt, maxRetries, delay);
+                }
+
+                // Rejects with a cancel error if newer speech supersedes the request meanwhile
+                await this.wait(delay, context.signal);
+
+                if (!this.checkRateLimit(context.priority)) {
+                    throw error;
+                }
+            }
+        }
+    }
+
+    /**
+     * Rate limits, server errors and dropped connections are worth another try;
+     * timeouts and client errors are not
+     */
+    isRetryable(error) {
+        if (error.cancelled) {
+            return false;
+        }
+        if (error.status) {
+            return error.status === 429 || error.status >= 500;
+        }
+        return error.name === 'TypeError'; // fetch network failure
+    }
+
+    /**
+     * Delay before retry number `attempt`, or null when Retry-After asks for too long
+     */
+    getRetryDelay(attempt, error) {
+        if (typeof error.retryAfter === 'number') {
+            return error.retryAfter <= this.config.maxRetryDelay ? error.retryAfter : null;
+        }
+
+        // Exponential backoff with equal jitter
+        const backoff = Math.min(this.config.maxRetryDelay, this.config.retryDelay * 2 ** (attempt - 1));
+        return backoff / 2 + Math.random() * backoff / 2;
+    }
+
+    /**
+     * Resolve after `ms`, or reject with a cancel error once `signal` aborts
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createCancelError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(this.createCancelError());
+            };
+            const timeoutId = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Error for a non-2xx response, carrying its status and Retry-After delay,
+     * plus the start of the body as `detail` for a 400 (see isStructuredOutputRejection)
+     */
+    async createHTTPError(response) {
+        const error = new Error(`API request failed: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        error.retryAfter = this.parseRetryAfter(response);
+
+        if (response.status === 400 && typeof response.text === 'function') {
+            try {
+                error.detail = (await response.text()).slice(0, 500);
+            } catch (readError) {
+                // The status alone will do
+            }
+        }
+        return error;
+    }
+
+    /**
+     * Retry-After in milliseconds - the header holds either seconds or an HTTP date
+     */
+    parseRetryAfter(response) {
+        const value = response.headers && typeof response.headers.get === 'function'
+            ? response.headers.get('Retry-After')
+            : null;
+        if (!value) {
+            return null;
+        }
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Error for requests cancelled by the caller
+     */
+    createCancelError() {
+        const error = new Error('Request cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Read a server-sent events body, calling onText with each text delta
+     */
+    async readEventStream(body, onText) {
+        const reader = body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) {
+                return false;
+            }
+
+            const data = line.slice(5).trim();
+            if (data === '[DONE]') {
+                return true;
+            }
+
+            let event;
+            try {
+                event = JSON.parse(data);
+            } catch (error) {
+                console.warn('Skipping malformed stream chunk:', data);
+                return false;
+            }
+
+            const text = this.extractStreamDelta(event);
+            if (text) {
+                onText(text);
+            }
+            return false;
+        };
+
+        let chunk = await reader.read();
+        while (!chunk.done) {
+            buffer += decoder.decode(chunk.value, { stream: true });
+            const lines = buffer.split(/\r?\n/);
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                if (handleLine(line)) {
+                    reader.cancel().catch(() => {});
+                    return;
+                }
+            }
+
+            chunk = await reader.read();
+        }
+
+        if (buffer) {
+            handleLine(buffer);
+        }
+    }
+
+    /**
+     * Extract the text delta from one parsed stream event
+     * OpenAI and Azure send choices[].delta.content, Anthropic sends content_block_delta events
+     */
+    extractStreamDelta(event) {
+        if (event.choices && event.choices[0]?.delta?.content) {
+            return event.choices[0].delta.content;
+        }
+
+        if (event.type === 'content_block_delta' && event.delta?.text) {
+            return event.delta.text;
+        }
+
+        // Tool input arrives as fragments of its JSON
+        if (event.type === 'content_block_delta' && event.delta?.partial_json) {
+            return event.delta.partial_json;
         }
+
+        if (event.type === 'error' || event.error) {
+            throw new Error(event.error?.message || 'Stream error');
+        }
+
+        return '';
+    }
+
+    /**
+     * Suggestions that are complete in partially streamed content
+     * A suggestion is complete once its line ends or its question mark arrives
+     */
+    getCompletedSuggestions(content, maxSuggestions = 5, parser = 'auto') {
+        const boundary = Math.max(content.lastIndexOf('\n'), content.lastIndexOf('?') + 1);
+        const completed = content.slice(0, boundary).trim();
+
+        if (!completed.replace(/^(Suggestions?:?\s*)/i, '').trim()) {
+            return [];
+        }
+
+        return this.parseSuggestions(completed, maxSuggestions, parser);
+    }
+
+    /**
+     * Suggestions that are complete in partially streamed JSON
+     * A suggestion is complete once the closing quote of its "text" value arrives
+     */
+    getCompletedStructuredSuggestions(content, maxSuggestions = 5) {
+        const texts = [];
+        const textPattern = /"text"\s*:\s*("(?:[^"\\]|\\.)*")/g;
+        let match;
+
+        while ((match = textPattern.exec(content)) !== null) {
+            try {
+                const text = JSON.parse(match[1]).trim();
+                if (text) {
+                    texts.push(text);
+                }
+            } catch (error) {
+                // Malformed escape - leave it to the final parse
+            }
+        }
+
+        return texts.slice(0, maxSuggestions);
+    }
+
+    /**
+     * Resolve the request URL for the configured provider
+     * Azure endpoints may be given as the resource base URL plus a deployment name,
+     * local servers and the proxy server (utils/proxy-server.js) as their base URL
+     */
+    getEndpointURL() {
+        const { provider, endpoint, deploymentName, apiVersion } = this.config;
+
+        if (provider === 'azure' && deploymentName && !endpoint.includes('/deployments/')) {
+            const base = endpoint.endsWith('/') ? endpoint : endpoint + '/';
+            return `${base}openai/deployments/${deploymentName}/chat/completions?api-version=${apiVersion}`;
+        }
+
+        if (provider === 'local') {
+            const base = (endpoint || SharedLLMService.LOCAL_BASE_URL).replace(/\/+$/, '');
+            if (base.endsWith('/chat/completions')) {
+                return base;
+            }
+            return base.endsWith('/v1') ? `${base}/chat/completions` : `${base}/v1/chat/completions`;
+        }
+
+        if (provider === 'proxy') {
+            const base = endpoint.replace(/\/+$/, '');
+            return base.endsWith('/api/suggest') ? base : `${base}/api/suggest`;
+        }
+
+        return endpoint;
+    }
+
+    /**
+     * Build request body, asking for structured output when enabled
+     */
+    buildRequestBody(messages, options = {}) {
+        if (this.config.provider === 'proxy' || !this.usesStructuredOutput(options)) {
+            return this.buildProviderBody(messages, options);
+        }
+
+        // Keys, kinds and confidences cost tokens a plain list doesn't
+        const maxTokens = (options.maxTokens || this.config.maxTokens) +
+            SharedLLMService.STRUCTURED_TOKENS_PER_SUGGESTION * (options.maxSuggestions || 5);
+
+        return {
+            ...this.buildProviderBody(messages, { ...options, maxTokens }),
+            ...this.buildStructuredOutputFields()
+        };
+    }
+
+    /**
+     * Whether a request asks for JSON suggestions; `options.structuredOutput` overrides the config,
+     * and neither counts once the provider has refused the structured output fields
+     */
+    usesStructuredOutput(options = {}) {
+        return !this.structuredOutputRejected && (options.structuredOutput ?? this.config.structuredOutput);
+    }
+
+    /**
+     * Request fields that constrain the response to SUGGESTION_SCHEMA
+     * Anthropic has no response_format, so it is forced to call a tool taking the schema as input
+     */
+    buildStructuredOutputFields() {
+        const schema = SharedLLMService.SUGGESTION_SCHEMA;
+
+        if (this.config.provider === 'anthropic') {
+            return {
+                tools: [{
+                    name: 'provide_suggestions',
+                    description: 'Return the autocomplete suggestions',
+                    input_schema: schema
+                }],
+                tool_choice: { type: 'tool', name: 'provide_suggestions' }
+            };
+        }
+
+        return {
+            response_format: {
+                type: 'json_schema',
+                json_schema: { name: 'suggestions', strict: true, schema }
+            }
+        };
     }
 
     /**
      * Build request body based on provider
      */
-    buildRequestBody(prompt) {
+    buildProviderBody(messages, options = {}) {
+        const maxTokens = options.maxTokens || this.config.maxTokens;
+        const temperature = options.temperature ?? this.config.temperature;
+
         const baseBody = {
-            messages: [
-                {
-                    role: "user",
-                    content: prompt
-                }
-            ],
-            max_tokens: this.config.maxTokens,
-            temperature: this.config.temperature
+            messages: messages,
+            max_tokens: maxTokens,
+            temperature: temperature
         };
 
+        if (this.config.provider === 'proxy') {
+            return this.buildProxyBody(options);
+        }
+
         // Provider-specific configurations
         switch (this.config.provider) {
-            case 'azure':
-                return {
-                    ...baseBody,
-                    model: this.config.model
-                };
-            case 'openai':
-                return {
-                    ...baseBody,
-                    model: this.config.model
-                };
-            case 'anthropic':
-                return {
-                    model: this.config.model,
-                    max_tokens: this.config.maxTokens,
-                    messages: baseBody.messages
-                };
-            default:
-                return baseBody;
+        case 'azure':
+            return {
+                ...baseBody,
+                model: this.config.model
+            };
+        case 'openai':
+            return {
+                ...baseBody,
+                model: this.config.model
+            };
+        case 'local':
+            // OpenAI-compatible; llama.cpp ignores the model, Ollama requires it
+            return {
+                ...baseBody,
+                model: this.config.model
+            };
+        case 'anthropic': {
+            // Anthropic takes the system prompt as a top-level field
+            const system = messages.find(m => m.role === 'system');
+            const body = {
+                model: this.config.model,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                messages: messages.filter(m => m.role !== 'system')
+            };
+            if (system) {
+                body.system = system.content;
+            }
+            return body;
+        }
+        default:
+            return baseBody;
         }
     }
 
+    /**
+     * Body for the proxy server (utils/proxy-server.js), which builds the prompt from its
+     * own built-in styles and picks the model and token budget - so only the transcript
+     * (`options.inputText`), style and context go out. `priority` lets its per-client
+     * rate limit keep a reserve for pauses
+     */
+    buildProxyBody(options = {}) {
+        return {
+            text: options.inputText,
+            style: this.resolveStyleId(options),
+            language: options.language,
+            history: (options.history || [])
+                .filter(message => message && message.role !== 'system' && message.content)
+                .map(({ role, content }) => ({ role, content })),
+            avoidSuggestions: options.avoidSuggestions || [],
+            alternatives: (options.alternatives || []).map(entry => ({ heard: entry.heard, options: entry.options })),
+            structuredOutput: !!this.usesStructuredOutput(options),
+            priority: options.priority || 'high'
+        };
+    }
+
     /**
      * Build request headers based on provider
      */
@@ -179,41 +1063,55 @@ class SharedLLMService {
             'Content-Type': 'application/json'
         };
 
+        // The proxy server holds the provider credentials; `apiKey` is only its team token, if it has one
+        if (this.config.provider === 'proxy') {
+            return this.config.apiKey ? { ...baseHeaders, 'X-Client-Token': this.config.apiKey } : baseHeaders;
+        }
+
         switch (this.config.provider) {
-            case 'azure':
-                return {
-                    ...baseHeaders,
-                    'api-key': this.config.apiKey
-                };
-            case 'openai':
-                return {
-                    ...baseHeaders,
-                    'Authorization': `Bearer ${this.config.apiKey}`
-                };
-            case 'anthropic':
-                return {
-                    ...baseHeaders,
-                    'x-api-key': this.config.apiKey,
-                    'anthropic-version': '2023-06-01'
-                };
-            default:
-                return {
-                    ...baseHeaders,
-                    'Authorization': `Bearer ${this.config.apiKey}`
-                };
+        case 'azure':
+            return {
+                ...baseHeaders,
+                'api-key': this.config.apiKey
+            };
+        case 'openai':
+            return {
+                ...baseHeaders,
+                'Authorization': `Bearer ${this.config.apiKey}`
+            };
+        case 'anthropic':
+            return {
+                ...baseHeaders,
+                'x-api-key': this.config.apiKey,
+                'anthropic-version': '2023-06-01',
+                // Required for CORS when calling the API straight from the browser
+                'anthropic-dangerous-direct-browser-access': 'true'
+            };
+        case 'local':
+            // Local servers run without a key unless started with one (llama.cpp --api-key)
+            return this.config.apiKey
+                ? { ...baseHeaders, 'Authorization': `Bearer ${this.config.apiKey}` }
+                : baseHeaders;
+        default:
+            return {
+                ...baseHeaders,
+                'Authorization': `Bearer ${this.config.apiKey}`
+            };
         }
     }
 
     /**
      * Process API response into suggestions
      */
-    processSuggestions(response) {
+    processSuggestions(response, options = {}) {
         try {
             let content = '';
 
             // Extract content based on provider response format
             if (response.choices && response.choices[0]?.message?.content) {
                 content = response.choices[0].message.content;
+            } else if (Array.isArray(response.content) && response.content.some(block => block.type === 'tool_use')) {
+                content = response.content.find(block => block.type === 'tool_use').input;
             } else if (response.content && response.content[0]?.text) {
                 content = response.content[0].text;
             } else if (typeof response === 'string') {
@@ -223,10 +1121,8 @@ class SharedLLMService {
             }
 
             // Parse suggestions from content
-            const suggestions = this.parseSuggestions(content);
-            
             return {
-                suggestions: suggestions,
+                ...this.extractSuggestions(content, options),
                 timestamp: Date.now(),
                 source: 'llm'
             };
@@ -241,12 +1137,76 @@ class SharedLLMService {
         }
     }
 
+    /**
+     * Suggestions from response content
+     * Structured output is validated first; when it wasn't requested or fails validation
+     * the text parser takes over. Resolves to { suggestions, details }, `details` being
+     * the validated { text, kind, confidence } items (structured output only)
+     */
+    extractSuggestions(content, options = {}) {
+        if (this.usesStructuredOutput(options)) {
+            const details = this.parseStructuredSuggestions(content, options.maxSuggestions);
+            if (details) {
+                return {
+                    suggestions: details.map(item => item.text),
+                    details: details
+                };
+            }
+            console.warn('Structured suggestions failed validation - parsing as text');
+        }
+
+        const text = typeof content === 'string' ? content : JSON.stringify(content);
+        return { suggestions: this.parseSuggestions(text, options.maxSuggestions, options.parser) };
+    }
+
+    /**
+     * Validate structured output against SUGGESTION_SCHEMA
+     * Accepts the JSON text or the already-parsed tool input; invalid items are dropped
+     * @returns {Array|null} The valid items, or null if there are none
+     */
+    parseStructuredSuggestions(content, maxSuggestions = 5) {
+        let data = content;
+
+        if (typeof content === 'string') {
+            try {
+                // Some local models wrap JSON in a code fence despite the schema
+                data = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!data || !Array.isArray(data.suggestions)) {
+            return null;
+        }
+
+        const items = data.suggestions
+            .filter(item => this.isValidSuggestion(item))
+            .map(item => ({ text: item.text.trim(), kind: item.kind, confidence: item.confidence }))
+            .slice(0, maxSuggestions);
+
+        return items.length > 0 ? items : null;
+    }
+
+    isValidSuggestion(item) {
+        return !!item &&
+            typeof item.text === 'string' &&
+            item.text.trim().length > 0 &&
+            item.text.length < 200 &&
+            SharedLLMService.SUGGESTION_KINDS.includes(item.kind) &&
+            typeof item.confidence === 'number' &&
+            item.confidence >= 0 && item.confidence <= 1;
+    }
+
     /**
      * Parse suggestions from LLM response text
+     * `parser` is a prompt style's parser: 'auto' handles one-per-line lists as well as
+     * several questions on a single line, 'lines' takes each line whole and
+     * 'delimited' also splits on commas, semicolons and pipes
      */
-    parseSuggestions(content) {
+    parseSuggestions(content, maxSuggestions = 5, parser = 'auto') {
         // Remove common prefixes and clean up
-        let cleaned = content
+        const cleaned = content
             .replace(/^(Suggestions?:?\s*)/i, '')
             .replace(/^\d+\.\s*/gm, '') // Remove numbered lists
             .replace(/^-\s*/gm, '')     // Remove dashes
@@ -255,10 +1215,11 @@ class SharedLLMService {
 
         // Split into individual suggestions
         let suggestions = cleaned
-            .split(/\n+/)
-            .map(s => s.trim())
+            .split(parser === 'delimited' ? /[\n,;|]+/ : /\n+/)
+            .flatMap(line => (parser === 'auto' ? this.splitQuestions(line) : [line]))
+            .map(s => s.trim().replace(/^["'“]+|["'”]+$/g, '').replace(/^[,;]\s*/, ''))
             .filter(s => s.length > 0 && s.length < 200) // Filter reasonable length
-            .slice(0, 5); // Limit to 5 suggestions
+            .slice(0, maxSuggestions);
 
         // Fallback if no suggestions found
         if (suggestions.length === 0) {
@@ -269,32 +1230,41 @@ class SharedLLMService {
     }
 
     /**
-     * Check rate limiting
+     * Split a line holding several questions ("what kind?, with who?") into one per question
      */
-    checkRateLimit() {
-        const now = Date.now();
-        const timeSinceReset = now - this.rateLimiter.lastReset;
-
-        // Reset counter every minute
-        if (timeSinceReset >= 60000) {
-            this.rateLimiter.requests = 0;
-            this.rateLimiter.lastReset = now;
+    splitQuestions(line) {
+        const questions = line.match(/[^?]+\?/g);
+        if (!questions || questions.length < 2) {
+            return [line];
         }
+        return questions;
+    }
 
-        // Check if within rate limit
-        if (this.rateLimiter.requests >= this.rateLimiter.maxRequestsPerMinute) {
-            return false;
-        }
+    /**
+     * Take a rate-limit token; `priority` 'low' (prefetches) leaves a reserve for 'high'
+     */
+    checkRateLimit(priority = 'high') {
+        return this.rateLimiter.tryAcquire(priority);
+    }
 
-        this.rateLimiter.requests++;
-        return true;
+    createRateLimitError() {
+        const error = new Error('Rate limit exceeded. Please wait before making more requests.');
+        error.rateLimited = true;
+        return error;
     }
 
     /**
-     * Generate cache key
+     * Generate cache key from the text and the context fields that change the prompt or
+     * the answer's shape - not `priority`, `signal` or the callbacks, so a prefetch and
+     * the pause request for the same text share an entry
      */
-    getCacheKey(inputText, context) {
-        const contextString = JSON.stringify(context);
+    getCacheKey(inputText, context = {}) {
+        const { style, version, language, systemMessage, prompt, history, avoidSuggestions, alternatives,
+            maxSuggestions, structuredOutput } = context;
+        const contextString = JSON.stringify({
+            style, version, language, systemMessage, prompt, history, avoidSuggestions, alternatives,
+            maxSuggestions, structuredOutput
+        });
         return `${inputText}_${contextString}`.replace(/\s+/g, '_').toLowerCase();
     }
 
@@ -312,29 +1282,81 @@ class SharedLLMService {
     }
 
     /**
-     * Get error fallback suggestions
+     * Key for the persistent cache - scoped to provider and model, since the
+     * persistent cache outlives configuration changes, then the text, style and language.
+     * Session history and the avoid list are left out so entries are still found after
+     * a reload, when the conversation they came from is gone
+     */
+    getPersistentKey(inputText, context = {}) {
+        const { provider, model, deploymentName } = this.config;
+        const text = inputText.trim().replace(/\s+/g, ' ').toLowerCase();
+        return `${provider}|${model}|${deploymentName}|${text}|${this.resolveStyleId(context)}|${context.language || 'en-US'}`;
+    }
+
+    /**
+     * Look up a result in the persistent cache, if one is configured
      */
-    getErrorFallback(inputText, error) {
-        const fallbackSuggestions = [
-            `${inputText} - please continue`,
-            `${inputText} and more details`,
-            `${inputText} with additional context`,
-            'Please try again'
-        ];
+    async getPersistedResult(inputText, context) {
+        try {
+            return await this.persistentCache.get(this.getPersistentKey(inputText, context));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Write a result to the persistent cache without blocking the caller
+     */
+    persistResult(inputText, context, result) {
+        if (!this.persistentCache) {
+            return;
+        }
+
+        const { suggestions, timestamp, source } = result;
+        Promise.resolve(this.persistentCache.set(this.getPersistentKey(inputText, context), { suggestions, timestamp, source }))
+            .catch(error => console.warn('Failed to persist suggestions:', error));
+    }
+
+    /**
+     * Get error fallback suggestions, in the speaker's language
+     */
+    getErrorFallback(inputText, error, language = 'en-US') {
+        const Locale = typeof LocaleSupport !== 'undefined'
+            ? LocaleSupport
+            : require('./locale-support.js');
 
         return {
-            suggestions: fallbackSuggestions,
+            suggestions: new Locale(language).getFallbackSuggestions(inputText),
             timestamp: Date.now(),
             source: 'fallback',
-            error: error.message
+            error: error.message,
+            rateLimited: !!error.rateLimited
         };
     }
 
+    /**
+     * High-resolution timestamp for latency measurements
+     */
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
+
     /**
      * Update configuration
      */
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
+
+        if (newConfig.maxRequestsPerMinute || newConfig.enableRateLimit !== undefined) {
+            this.rateLimiter.updateOptions({
+                capacity: this.config.maxRequestsPerMinute,
+                enabled: this.config.enableRateLimit
+            });
+        }
+
+        if (newConfig.fallbackProviders) {
+            this.setFallbackProviders(newConfig.fallbackProviders);
+        }
     }
 
     /**
@@ -344,6 +1366,16 @@ class SharedLLMService {
         this.cache.clear();
     }
 
+    /**
+     * Clear the persistent cache as well as the in-memory one
+     */
+    async clearPersistentCache() {
+        this.cache.clear();
+        if (this.persistentCache) {
+            await this.persistentCache.clear();
+        }
+    }
+
     /**
      * Get service status
      */
@@ -351,20 +1383,25 @@ class SharedLLMService {
         return {
             config: this.config,
             cacheSize: this.cache.size,
-            rateLimitStatus: {
-                requests: this.rateLimiter.requests,
-                limit: this.rateLimiter.maxRequestsPerMinute,
-                resetTime: this.rateLimiter.lastReset + 60000
-            }
+            providers: [this, ...this.fallbackServices].map(service => ({
+                provider: service.config.provider,
+                circuitOpen: service.isCircuitOpen()
+            })),
+            rateLimitStatus: this.rateLimiter.getStatus()
         };
     }
 
     /**
-     * Test API connection
+     * Test API connection with a minimal request, sent with the structured output
+     * setting real requests use (see sendRequest)
+     * Unlike generateSuggestions, failures are reported rather than replaced by fallbacks
      */
     async testConnection() {
         try {
-            const response = await this.generateSuggestions('test', { timeout: 5000 });
+            const response = await this.sendRequest(
+                [{ role: 'user', content: 'Hello, this is a connection test.' }],
+                { timeout: 5000, maxTokens: 5, inputText: 'Hello, this is a connection test.' }
+            );
             return {
                 success: true,
                 response: response
@@ -378,6 +1415,33 @@ class SharedLLMService {
     }
 }
 
+// Default for the local provider (Ollama; llama.cpp's server listens on :8080)
+SharedLLMService.LOCAL_BASE_URL = 'http://localhost:11434';
+
+// Structured output: { suggestions: [{ text, kind, confidence }] }
+SharedLLMService.SUGGESTION_KINDS = ['question', 'completion', 'keyword'];
+SharedLLMService.STRUCTURED_TOKENS_PER_SUGGESTION = 20;
+SharedLLMService.SUGGESTION_SCHEMA = {
+    type: 'object',
+    properties: {
+        suggestions: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    text: { type: 'string' },
+                    kind: { type: 'string', enum: SharedLLMService.SUGGESTION_KINDS },
+                    confidence: { type: 'number', description: 'Between 0 and 1' }
+                },
+                required: ['text', 'kind', 'confidence'],
+                additionalProperties: false
+            }
+        }
+    },
+    required: ['suggestions'],
+    additionalProperties: false
+};
+
 // Export for both module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SharedLLMService;
@@ -9,7 +9,7 @@ class SharedSpeechRecognition {
             language: config.language || 'en-US',
             continuous: config.continuous !== false,
             interimResults: config.interimResults !== false,
-            maxAlternatives: config.maxAlternatives || 1,
+            maxAlternatives: config.maxAlternatives || 3,
             ...config
         };
 
@@ -28,19 +28,22 @@ class SharedSpeechRecognition {
     }
 
     /**
-     * Initialize speech recognition with browser compatibility
+     * Create the configured engine - the browser's Web Speech API unless
+     * config.engine says otherwise (see utils/speech-engine.js)
      */
     initializeRecognition() {
+        const Engines = typeof SpeechEngine !== 'undefined'
+            ? SpeechEngine
+            : require('./speech-engine.js').SpeechEngine;
+
         try {
-            const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-            
-            if (!SpeechRecognition) {
+            this.recognition = Engines.create(this.config);
+
+            if (!this.recognition) {
                 throw new Error('Speech recognition not supported in this browser');
             }
 
-            this.recognition = new SpeechRecognition();
             this.setupRecognitionEvents();
-            this.configureRecognition();
         } catch (error) {
             console.error('Failed to initialize speech recognition:', error);
             if (this.callbacks.onError) {
@@ -50,106 +53,61 @@ class SharedSpeechRecognition {
     }
 
     /**
-     * Configure recognition settings
-     */
-    configureRecognition() {
-        if (!this.recognition) return;
-
-        this.recognition.lang = this.config.language;
-        this.recognition.continuous = this.config.continuous;
-        this.recognition.interimResults = this.config.interimResults;
-        this.recognition.maxAlternatives = this.config.maxAlternatives;
-    }
-
-    /**
-     * Set up recognition event handlers
+     * Pass engine events on to the callbacks
      */
     setupRecognitionEvents() {
-        if (!this.recognition) return;
-
-        this.recognition.onstart = () => {
+        this.recognition.setCallback('onStart', () => {
             this.isListening = true;
             if (this.callbacks.onStart) {
                 this.callbacks.onStart();
             }
-        };
+        });
 
-        this.recognition.onend = () => {
+        this.recognition.setCallback('onEnd', () => {
             this.isListening = false;
             if (this.callbacks.onEnd) {
                 this.callbacks.onEnd();
             }
-        };
+        });
 
-        this.recognition.onspeechstart = () => {
+        this.recognition.setCallback('onSpeechStart', () => {
             if (this.callbacks.onSpeechStart) {
                 this.callbacks.onSpeechStart();
             }
-        };
+        });
 
-        this.recognition.onspeechend = () => {
+        this.recognition.setCallback('onSpeechEnd', () => {
             if (this.callbacks.onSpeechEnd) {
                 this.callbacks.onSpeechEnd();
             }
-        };
-
-        this.recognition.onresult = (event) => {
-            this.handleResult(event);
-        };
+        });
+
+        this.recognition.setCallback('onInterim', (text) => {
+            this.handleResult({ final: '', interim: text, confidence: 0 });
+        });
+
+        this.recognition.setCallback('onFinal', (text, details = {}) => {
+            this.handleResult({
+                final: text,
+                interim: '',
+                confidence: details.confidence || 0,
+                alternatives: details.alternatives || []
+            });
+        });
 
-        this.recognition.onerror = (event) => {
-            this.handleError(event);
-        };
+        this.recognition.setCallback('onError', (error) => {
+            if (this.callbacks.onError) {
+                this.callbacks.onError({ ...error, event: error });
+            }
+        });
     }
 
     /**
      * Handle speech recognition results
      */
-    handleResult(event) {
-        let finalTranscript = '';
-        let interimTranscript = '';
-
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-            const transcript = event.results[i][0].transcript;
-            
-            if (event.results[i].isFinal) {
-                finalTranscript += transcript;
-            } else {
-                interimTranscript += transcript;
-            }
-        }
-
+    handleResult(result) {
         if (this.callbacks.onResult) {
-            this.callbacks.onResult({
-                final: finalTranscript,
-                interim: interimTranscript,
-                confidence: event.results[event.results.length - 1]?.[0]?.confidence || 0
-            });
-        }
-    }
-
-    /**
-     * Handle speech recognition errors
-     */
-    handleError(event) {
-        const errorMessages = {
-            'no-speech': 'No speech was detected. Please try again.',
-            'audio-capture': 'Audio capture failed. Please check your microphone.',
-            'not-allowed': 'Microphone access was denied. Please enable microphone permissions.',
-            'network': 'Network error occurred. Please check your connection.',
-            'service-not-allowed': 'Speech recognition service is not allowed.',
-            'bad-grammar': 'Grammar error in speech recognition.',
-            'language-not-supported': 'Language not supported.'
-        };
-
-        const userFriendlyMessage = errorMessages[event.error] || `Speech recognition error: ${event.error}`;
-        
-        if (this.callbacks.onError) {
-            this.callbacks.onError({
-                error: event.error,
-                message: userFriendlyMessage,
-                event: event
-            });
+            this.callbacks.onResult(result);
         }
     }
 
@@ -228,7 +186,20 @@ class SharedSpeechRecognition {
      */
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
-        this.configureRecognition();
+
+        // Engines read their config when created
+        this.abort();
+        this.initializeRecognition();
+    }
+
+    /**
+     * Switch the recognition language without stopping
+     */
+    setLanguage(language) {
+        this.config.language = language;
+        if (this.recognition) {
+            this.recognition.setLanguage(language);
+        }
     }
 
     /**
@@ -243,10 +214,13 @@ class SharedSpeechRecognition {
     }
 
     /**
-     * Check browser compatibility
+     * Check browser compatibility for an engine config (default: Web Speech)
      */
-    static isSupported() {
-        return !!(window.SpeechRecognition || window.webkitSpeechRecognition);
+    static isSupported(config = {}) {
+        const Engines = typeof SpeechEngine !== 'undefined'
+            ? SpeechEngine
+            : require('./speech-engine.js').SpeechEngine;
+        return Engines.isSupported(config);
     }
 
     /**
@@ -0,0 +1,429 @@
+/**
+ * Pluggable Speech Engines
+ * Every engine has start(), stop() and abort() and reports through the callbacks
+ * onStart, onInterim(text), onFinal(text, { confidence, alternatives }), onError({ error, message }) and
+ * onEnd. Engines that can tell when speech begins and ends also call onSpeechStart and onSpeechEnd.
+ * Error codes follow the Web Speech API ('not-allowed', 'audio-capture', 'network', ...)
+ * whichever engine raised them, so the front ends handle both the same way.
+ */
+
+class SpeechEngine {
+    constructor(config = {}) {
+        this.config = {
+            ...config,
+            language: config.language || 'en-US'
+        };
+
+        this.isListening = false;
+        this.callbacks = {
+            onStart: null,
+            onInterim: null, // Text not final yet - replaces the previous interim text
+            onFinal: null, // A finished piece of the transcript, trimmed
+            onError: null,
+            onEnd: null,
+            onSpeechStart: null,
+            onSpeechEnd: null
+        };
+    }
+
+    setCallback(eventName, callback) {
+        if (Object.prototype.hasOwnProperty.call(this.callbacks, eventName)) {
+            this.callbacks[eventName] = callback;
+        } else {
+            console.warn(`Unknown callback event: ${eventName}`);
+        }
+    }
+
+    emit(eventName, ...args) {
+        if (this.callbacks[eventName]) {
+            this.callbacks[eventName](...args);
+        }
+    }
+
+    emitError(error, message) {
+        this.emit('onError', {
+            error,
+            message: message || SpeechEngine.ERROR_MESSAGES[error] || `Speech recognition error: ${error}`
+        });
+    }
+
+    start() {
+        throw new Error(`${this.constructor.name} does not implement start()`);
+    }
+
+    stop() {
+        throw new Error(`${this.constructor.name} does not implement stop()`);
+    }
+
+    abort() {
+        this.stop();
+    }
+
+    /**
+     * Recognize `language` (e.g. 'es-ES') from now on - a listening engine switches without stopping
+     */
+    setLanguage(language) {
+        this.config.language = language;
+    }
+
+    /**
+     * Engine for the config - { engine: 'webspeech' | 'whisper', ... }
+     * Returns null when this browser can't run it
+     */
+    static create(config = {}) {
+        const Engine = SpeechEngine.getEngineClass(config.engine);
+        return Engine.isSupported(config) ? new Engine(config) : null;
+    }
+
+    static isSupported(config = {}) {
+        return SpeechEngine.getEngineClass(config.engine).isSupported(config);
+    }
+
+    static getEngineClass(name = 'webspeech') {
+        const Engine = SpeechEngine.ENGINES[name];
+        if (!Engine) {
+            throw new Error(`Unknown speech engine "${name}" - use one of: ${Object.keys(SpeechEngine.ENGINES).join(', ')}`);
+        }
+        return Engine;
+    }
+}
+
+SpeechEngine.ERROR_MESSAGES = {
+    'no-speech': 'No speech was detected. Please try again.',
+    'audio-capture': 'Audio capture failed. Please check your microphone.',
+    'not-allowed': 'Microphone access was denied. Please enable microphone permissions.',
+    'network': 'Network error occurred. Please check your connection.',
+    'service-not-allowed': 'Speech recognition service is not allowed.',
+    'bad-grammar': 'Grammar error in speech recognition.',
+    'language-not-supported': 'Language not supported.'
+};
+
+/**
+ * The browser's own recognizer (window.SpeechRecognition)
+ */
+class WebSpeechEngine extends SpeechEngine {
+    constructor(config = {}) {
+        super({
+            ...config,
+            continuous: config.continuous !== false,
+            interimResults: config.interimResults !== false,
+            maxAlternatives: config.maxAlternatives || 3
+        });
+
+        const SpeechRecognition = WebSpeechEngine.getRecognitionClass();
+        this.recognition = new SpeechRecognition();
+        this.restarting = false; // Stopped to pick up a new language, starting again
+        this.configureRecognition();
+
+        this.recognition.onstart = () => {
+            this.isListening = true;
+            if (this.restarting) {
+                this.restarting = false;
+                return;
+            }
+            this.emit('onStart');
+        };
+        this.recognition.onspeechstart = () => this.emit('onSpeechStart');
+        this.recognition.onspeechend = () => this.emit('onSpeechEnd');
+        this.recognition.onresult = (event) => this.handleResult(event);
+        this.recognition.onerror = (event) => this.emitError(event.error);
+        this.recognition.onend = () => {
+            if (this.restarting) {
+                try {
+                    this.recognition.start();
+                    return;
+                } catch (error) {
+                    this.restarting = false;
+                }
+            }
+            this.isListening = false;
+            this.emit('onEnd');
+        };
+    }
+
+    configureRecognition() {
+        this.recognition.lang = this.config.language;
+        this.recognition.continuous = this.config.continuous;
+        this.recognition.interimResults = this.config.interimResults;
+        this.recognition.maxAlternatives = this.config.maxAlternatives;
+    }
+
+    handleResult(event) {
+        let interimTranscript = '';
+
+        // Results before resultIndex were reported on an earlier event
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            const transcript = result[0].transcript;
+
+            if (result.isFinal) {
+                if (transcript.trim()) {
+                    this.emit('onFinal', transcript.trim(), {
+                        confidence: result[0].confidence || 0,
+                        // N-best list, most likely first - result[0] is the transcript itself
+                        alternatives: Array.from({ length: result.length }, (_, k) => ({
+                            transcript: result[k].transcript.trim(),
+                            confidence: result[k].confidence || 0
+                        }))
+                    });
+                }
+            } else {
+                interimTranscript += transcript;
+            }
+        }
+
+        if (interimTranscript.trim()) {
+            this.emit('onInterim', interimTranscript.trim());
+        }
+    }
+
+    start() {
+        this.recognition.start();
+    }
+
+    stop() {
+        this.restarting = false;
+        this.recognition.stop();
+    }
+
+    abort() {
+        this.restarting = false;
+        this.recognition.abort();
+        this.isListening = false;
+    }
+
+    /**
+     * Web Speech reads `lang` only when it starts, so a listening recognizer is
+     * restarted; results already heard still arrive, and onEnd/onStart aren't fired
+     */
+    setLanguage(language) {
+        super.setLanguage(language);
+        this.recognition.lang = language;
+
+        if (this.isListening) {
+            this.restarting = true;
+            this.recognition.stop();
+        }
+    }
+
+    static getRecognitionClass() {
+        return typeof window !== 'undefined'
+            ? window.SpeechRecognition || window.webkitSpeechRecognition
+            : undefined;
+    }
+
+    static isSupported() {
+        return !!WebSpeechEngine.getRecognitionClass();
+    }
+}
+
+/**
+ * Records the microphone with MediaRecorder and sends it in segments to a
+ * Whisper-compatible transcription endpoint - OpenAI's /v1/audio/transcriptions
+ * or a local whisper.cpp server (/inference, started with --convert for WebM audio).
+ * Each segment is its own recording, so every upload is a complete audio file.
+ * Whisper has no partial results or confidence: every segment arrives as one onFinal(text, {}).
+ */
+class WhisperSpeechEngine extends SpeechEngine {
+    constructor(config = {}) {
+        super({
+            ...config,
+            endpoint: config.endpoint || '',
+            apiKey: config.apiKey || '',
+            model: config.model || 'whisper-1',
+            segmentDuration: config.segmentDuration || 4000, // ms of audio per request
+            minSegmentBytes: config.minSegmentBytes || 2000 // Smaller recordings are silence - skip them
+        });
+
+        this.stream = null;
+        this.recorder = null;
+        this.segmentTimer = null;
+        this.controller = null;
+        this.transcriptions = Promise.resolve(); // Segments are sent one after another, in order
+        this.previousText = '';
+    }
+
+    async start() {
+        if (this.isListening) {
+            return;
+        }
+        this.isListening = true;
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        } catch (error) {
+            this.isListening = false;
+            this.emitError(WhisperSpeechEngine.getMediaErrorCode(error));
+            this.emit('onEnd');
+            return;
+        }
+
+        // Stopped while waiting for the microphone
+        if (!this.isListening) {
+            this.releaseStream();
+            this.emit('onEnd');
+            return;
+        }
+
+        this.controller = new AbortController();
+        this.previousText = '';
+        this.emit('onStart');
+        this.recordSegment();
+    }
+
+    recordSegment() {
+        const recorder = new MediaRecorder(this.stream);
+        const chunks = [];
+
+        recorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                chunks.push(event.data);
+            }
+        };
+
+        recorder.onstop = () => {
+            if (this.controller && !this.controller.signal.aborted) {
+                this.queueTranscription(new Blob(chunks, { type: recorder.mimeType }));
+            }
+
+            if (this.isListening) {
+                this.recordSegment();
+            } else {
+                this.finish();
+            }
+        };
+
+        this.recorder = recorder;
+        recorder.start();
+        this.segmentTimer = setTimeout(() => recorder.stop(), this.config.segmentDuration);
+    }
+
+    queueTranscription(audio) {
+        if (audio.size < this.config.minSegmentBytes) {
+            return;
+        }
+
+        // Audio recorded before a language switch is transcribed in the old language
+        const language = this.config.language;
+        this.transcriptions = this.transcriptions
+            .then(() => this.transcribe(audio, language))
+            .then(text => {
+                if (text) {
+                    this.previousText = text;
+                    this.emit('onFinal', text, {});
+                }
+            })
+            .catch(error => {
+                if (error.name === 'AbortError') {
+                    return;
+                }
+                this.emitError(error.code || 'network', error.message);
+                this.abort(); // Like Web Speech, an error ends the session
+            });
+    }
+
+    async transcribe(audio, language = this.config.language) {
+        const form = new FormData();
+        form.append('file', audio, `speech.${WhisperSpeechEngine.getFileExtension(audio.type)}`);
+        form.append('model', this.config.model);
+        form.append('language', language.split('-')[0]); // Whisper wants ISO-639-1
+        form.append('response_format', 'json');
+
+        // The last segment helps Whisper with words cut at the boundary
+        if (this.previousText) {
+            form.append('prompt', this.previousText);
+        }
+
+        const response = await fetch(this.config.endpoint, {
+            method: 'POST',
+            headers: this.config.apiKey ? { 'Authorization': `Bearer ${this.config.apiKey}` } : {},
+            body: form,
+            signal: this.controller.signal
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Transcription failed: ${response.status} ${response.statusText}`);
+            error.code = response.status === 401 || response.status === 403 ? 'service-not-allowed' : 'network';
+            throw error;
+        }
+
+        const data = await response.json();
+        return (data.text || '').trim();
+    }
+
+    /**
+     * Stop listening - audio already recorded is still transcribed before onEnd
+     */
+    stop() {
+        if (!this.isListening) {
+            return;
+        }
+        this.isListening = false;
+        clearTimeout(this.segmentTimer);
+
+        if (this.recorder && this.recorder.state !== 'inactive') {
+            this.recorder.stop(); // onstop finishes up
+        }
+    }
+
+    /**
+     * Stop listening and drop audio that hasn't been transcribed yet
+     */
+    abort() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+        this.stop();
+    }
+
+    finish() {
+        this.releaseStream();
+        this.recorder = null;
+
+        this.transcriptions.then(() => {
+            if (!this.isListening) {
+                this.emit('onEnd');
+            }
+        });
+    }
+
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    static isSupported(config = {}) {
+        return !!(config.endpoint &&
+            typeof navigator !== 'undefined' && navigator.mediaDevices && navigator.mediaDevices.getUserMedia &&
+            typeof MediaRecorder !== 'undefined');
+    }
+
+    static getMediaErrorCode(error) {
+        return error && (error.name === 'NotAllowedError' || error.name === 'SecurityError')
+            ? 'not-allowed'
+            : 'audio-capture';
+    }
+
+    static getFileExtension(mimeType = '') {
+        if (mimeType.includes('mp4')) return 'mp4';
+        if (mimeType.includes('ogg')) return 'ogg';
+        if (mimeType.includes('wav')) return 'wav';
+        return 'webm';
+    }
+}
+
+SpeechEngine.ENGINES = {
+    webspeech: WebSpeechEngine,
+    whisper: WhisperSpeechEngine
+};
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpeechEngine, WebSpeechEngine, WhisperSpeechEngine };
+} else {
+    window.SpeechEngine = SpeechEngine;
+    window.WebSpeechEngine = WebSpeechEngine;
+    window.WhisperSpeechEngine = WhisperSpeechEngine;
+}
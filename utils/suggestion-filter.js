@@ -0,0 +1,230 @@
+/**
+ * Suggestion Filter
+ * Checks parsed model output before it reaches the suggestion chips. Each suggestion
+ * runs through the filters in FILTERS order and is dropped by the first that rejects
+ * it: empty text, duplicates, text over the length cap, blocklisted words, near-copies
+ * of the input and echoes of the prompt's own instructions. Drop counts per filter are
+ * kept in `stats` and reported to a metrics sink (PerformanceMonitor's recordMetric),
+ * so SharedLLMService can tell when to ask the model for more.
+ */
+
+class SuggestionFilter {
+    constructor(options = {}) {
+        this.options = {
+            maxLength: options.maxLength || 120, // Characters; longer ones don't fit a chip
+            minSuggestions: options.minSuggestions || 3, // Fewer left than this asks for a backfill
+            similarityThreshold: options.similarityThreshold || 0.8, // Word overlap with the input that counts as a copy
+            promptEchoWords: options.promptEchoWords || 6 // Shared run of words that counts as echoing the prompt
+        };
+        this.enabled = options.enabled !== false;
+        this.blocklist = SuggestionFilter.compileBlocklist([...SuggestionFilter.DEFAULT_BLOCKLIST, ...(options.blocklist || [])]);
+        this.metrics = options.metrics !== undefined
+            ? options.metrics
+            : (typeof performanceMonitor !== 'undefined' ? performanceMonitor : null);
+
+        this.stats = { checked: 0, kept: 0, backfills: 0, dropped: {} };
+        SuggestionFilter.FILTERS.forEach(name => { this.stats.dropped[name] = 0; });
+    }
+
+    /**
+     * Filter a parsed list and report the drops
+     * `request` is { inputText, systemMessage, prompt } or what prepare() made of it; `kept` holds suggestions already
+     * accepted for the same request (e.g. before a backfill), which count as duplicates
+     * @returns {{ suggestions: string[], indexes: number[], dropped: Object }} The survivors,
+     * their positions in the input list and the drop count per filter
+     */
+    filter(suggestions, request = {}, kept = []) {
+        const accepted = [...kept];
+        const result = { suggestions: [], indexes: [], dropped: {} };
+        const prepared = request.inputWords ? request : this.prepare(request);
+
+        (suggestions || []).forEach((suggestion, index) => {
+            const reason = this.check(suggestion, prepared, accepted);
+            if (reason) {
+                result.dropped[reason] = (result.dropped[reason] || 0) + 1;
+                return;
+            }
+            accepted.push(suggestion);
+            result.suggestions.push(suggestion.trim());
+            result.indexes.push(index);
+        });
+
+        this.record(result.suggestions.length, result.dropped);
+        return result;
+    }
+
+    /**
+     * The filter that drops `suggestion`, or null when it may be shown.
+     * Doesn't touch the stats, so it's safe for suggestions streamed in one at a time
+     */
+    check(suggestion, request = {}, kept = []) {
+        if (!this.enabled) {
+            return typeof suggestion === 'string' && suggestion.trim() ? null : 'empty';
+        }
+
+        const prepared = request.inputWords ? request : this.prepare(request);
+        const text = typeof suggestion === 'string' ? suggestion.trim() : '';
+        const normalized = SuggestionFilter.normalize(text);
+
+        if (!normalized) return 'empty';
+        if (kept.some(other => SuggestionFilter.normalize(other) === normalized)) return 'duplicate';
+        if (text.length > this.options.maxLength) return 'tooLong';
+        if (this.blocklist && this.blocklist.test(normalized)) return 'blocked';
+        if (this.echoesInput(normalized, prepared)) return 'echoesInput';
+        if (this.echoesPrompt(normalized, prepared)) return 'echoesPrompt';
+        return null;
+    }
+
+    /**
+     * Normalize the request once per list rather than once per suggestion
+     */
+    prepare({ inputText = '', systemMessage = '', prompt = '' } = {}) {
+        const input = SuggestionFilter.normalize(inputText);
+        // The prompt quotes the transcript; only the instructions around it count as prompt text
+        const instructions = [systemMessage, inputText ? prompt.split(inputText).join(' | ') : prompt]
+            .map(text => SuggestionFilter.normalize(text || ''))
+            .filter(Boolean);
+
+        return {
+            input,
+            inputWords: SuggestionFilter.words(input),
+            instructions,
+            instructionRuns: new Set(instructions.flatMap(text => SuggestionFilter.runs(text, this.options.promptEchoWords)))
+        };
+    }
+
+    /**
+     * The input repeated back: the same words, mostly the same words, or a stretch of it
+     */
+    echoesInput(normalized, { input, inputWords }) {
+        if (!input) return false;
+        if (normalized === input) return true;
+
+        const words = SuggestionFilter.words(normalized);
+        if (words.length >= 3 && ` ${input} `.includes(` ${normalized} `)) return true;
+
+        return SuggestionFilter.similarity(words, inputWords) >= this.options.similarityThreshold;
+    }
+
+    /**
+     * Instructions from the system message or prompt template, quoted back as a suggestion
+     */
+    echoesPrompt(normalized, { instructions, instructionRuns }) {
+        const words = SuggestionFilter.words(normalized);
+        if (words.length >= 4 && instructions.some(text => ` ${text} `.includes(` ${normalized} `))) return true;
+
+        return SuggestionFilter.runs(normalized, this.options.promptEchoWords).some(run => instructionRuns.has(run));
+    }
+
+    recordBackfill() {
+        this.stats.backfills++;
+        this.report('backfill', 1);
+    }
+
+    record(keptCount, dropped) {
+        const total = Object.values(dropped).reduce((sum, count) => sum + count, 0);
+        this.stats.checked += keptCount + total;
+        this.stats.kept += keptCount;
+
+        SuggestionFilter.FILTERS.forEach(name => {
+            this.stats.dropped[name] += dropped[name] || 0;
+            this.report(name, dropped[name] || 0);
+        });
+        if (total > 0) {
+            console.log('🧹 Dropped suggestions:', dropped);
+        }
+    }
+
+    report(name, value) {
+        if (!this.metrics || typeof this.metrics.recordMetric !== 'function') return;
+
+        try {
+            this.metrics.recordMetric(`suggestionFilter_${name}`, value);
+        } catch (error) {
+            // Metrics are best effort
+        }
+    }
+
+    /**
+     * Total suggestions dropped so far, across every filter
+     */
+    getDroppedCount() {
+        return Object.values(this.stats.dropped).reduce((sum, count) => sum + count, 0);
+    }
+
+    /**
+     * Lowercase words and numbers only, in any script
+     */
+    static normalize(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s']/gu, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    static words(normalized) {
+        return normalized ? normalized.split(' ') : [];
+    }
+
+    /**
+     * Every run of `length` consecutive words
+     */
+    static runs(normalized, length) {
+        const words = SuggestionFilter.words(normalized);
+        const runs = [];
+        for (let i = 0; i + length <= words.length; i++) {
+            runs.push(words.slice(i, i + length).join(' '));
+        }
+        return runs;
+    }
+
+    /**
+     * Dice coefficient of two word lists: 1 for the same words, 0 for none in common
+     */
+    static similarity(a, b) {
+        if (a.length === 0 || b.length === 0) return 0;
+
+        const remaining = [...b];
+        let shared = 0;
+        a.forEach(word => {
+            const index = remaining.indexOf(word);
+            if (index !== -1) {
+                shared++;
+                remaining.splice(index, 1);
+            }
+        });
+        return (2 * shared) / (a.length + b.length);
+    }
+
+    /**
+     * One regex for the blocklist; entries ending in * also match longer words
+     */
+    static compileBlocklist(entries) {
+        const patterns = entries
+            .map(entry => {
+                const words = SuggestionFilter.normalize(String(entry).replace(/\*+$/, ''));
+                return words && (String(entry).endsWith('*') ? `${words}[\\p{L}']*` : words);
+            })
+            .filter(Boolean);
+
+        if (patterns.length === 0) return null;
+        return new RegExp(`(?:^|\\s)(?:${patterns.join('|')})(?=\\s|$)`, 'u');
+    }
+}
+
+// Filters in the order they run; also the metric names (suggestionFilter_<name>)
+SuggestionFilter.FILTERS = ['empty', 'duplicate', 'tooLong', 'blocked', 'echoesInput', 'echoesPrompt'];
+
+// Profanity no suggestion should contain; deployments add their own via `suggestionFilter.blocklist`
+SuggestionFilter.DEFAULT_BLOCKLIST = [
+    'fuck*', 'motherfuck*', 'shit*', 'bullshit', 'bitch*', 'cunt*', 'asshole*', 'bastard*',
+    'dickhead*', 'prick', 'pricks', 'twat*', 'wank*', 'slut*', 'whore*', 'piss off', 'jackass'
+];
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SuggestionFilter;
+} else {
+    window.SuggestionFilter = SuggestionFilter;
+}
@@ -0,0 +1,119 @@
+/**
+ * Voice Commands
+ * Spots spoken commands ("pick two", "clear that", "search this", "undo last",
+ * "stop listening") at the end of a final speech result. The front ends run the
+ * command and keep only the words said before it, so commands never reach the
+ * transcript. Phrases are per language; languages without their own get English
+ */
+
+class VoiceCommands {
+    constructor(options = {}) {
+        this.options = {
+            enabled: options.enabled !== false
+        };
+
+        this.setLanguage(options.language || 'en-US');
+    }
+
+    setLanguage(code) {
+        const language = String(code || '').split('-')[0].toLowerCase();
+        const phrases = VoiceCommands.PHRASES[language] || VoiceCommands.PHRASES.en;
+
+        this.language = VoiceCommands.PHRASES[language] ? language : 'en';
+        this.numbers = phrases.numbers;
+        this.patterns = Object.entries(phrases.commands).map(([name, source]) => ({
+            name,
+            // A command is a whole result, or the last words of one; spaces match any run of spaces and commas
+            regex: new RegExp(`(?:^|[\\s,;:]+)(${source.replace(/ /g, '[\\s,]+')})[\\s.,!?]*$`, 'iu')
+        }));
+    }
+
+    /**
+     * The command ending `text` as { name, phrase, remainder }, or null
+     * `remainder` is the text said before the command; 'pick' commands also carry
+     * the 0-based suggestion `index`
+     */
+    parse(text) {
+        const value = String(text || '');
+        if (!this.options.enabled || !value.trim()) return null;
+
+        for (const { name, regex } of this.patterns) {
+            const match = value.match(regex);
+            if (!match) continue;
+
+            const command = {
+                name,
+                phrase: match[1],
+                remainder: value.slice(0, match.index).replace(/[\s,;:]+$/, '').trim()
+            };
+            if (name === 'pick') {
+                command.index = this.numbers[match.groups.number.toLowerCase()] - 1;
+            }
+            return command;
+        }
+
+        return null;
+    }
+
+    /**
+     * `text` without a command at its end - for interim results, so a command
+     * being spoken doesn't flash up in the transcript
+     */
+    strip(text) {
+        const command = this.parse(text);
+        return command ? command.remainder : text;
+    }
+}
+
+// Command phrases, as regex sources: a space stands for the gap between words, and
+// 'pick' names the suggestion in a `number` group looked up in `numbers` (1-based).
+// Words recognizers confuse with the numbers ("to", "won") count as them
+VoiceCommands.PHRASES = {
+    en: {
+        numbers: { one: 1, won: 1, first: 1, 1: 1, two: 2, to: 2, too: 2, second: 2, 2: 2, three: 3, third: 3, 3: 3 },
+        commands: {
+            pick: '(?:pick|choose|select) (?:(?:the|number|option|suggestion) )*(?<number>one|won|first|two|to|too|second|three|third|[123])(?: one)?',
+            clear: 'clear (?:that|this|it|all|everything)',
+            search: 'search (?:for )?(?:this|that|it)',
+            undo: '(?:undo|scratch) (?:last|that)',
+            stop: 'stop (?:listening|recording)'
+        }
+    },
+    es: {
+        numbers: { uno: 1, una: 1, primero: 1, primera: 1, 1: 1, dos: 2, segundo: 2, segunda: 2, 2: 2, tres: 3, tercero: 3, tercera: 3, 3: 3 },
+        commands: {
+            pick: '(?:elige|escoge|selecciona) (?:(?:el|la|número|opción|sugerencia) )*(?<number>uno|una|primero|primera|dos|segundo|segunda|tres|tercero|tercera|[123])',
+            clear: 'borra (?:eso|esto|todo)',
+            search: 'busca (?:eso|esto)',
+            undo: 'deshaz (?:eso|lo último)',
+            stop: '(?:deja|para) de escuchar'
+        }
+    },
+    fr: {
+        numbers: { un: 1, une: 1, premier: 1, première: 1, 1: 1, deux: 2, deuxième: 2, second: 2, seconde: 2, 2: 2, trois: 3, troisième: 3, 3: 3 },
+        commands: {
+            pick: '(?:choisis|prends|sélectionne) (?:(?:le|la|numéro|option|suggestion) )*(?<number>un|une|premier|première|deux|deuxième|second|seconde|trois|troisième|[123])',
+            clear: 'efface (?:ça|cela|tout)',
+            search: 'cherche (?:ça|cela)',
+            undo: 'annule (?:ça|le dernier|la dernière)',
+            stop: 'arrête (?:d[\'’]écouter|l[\'’]écoute)'
+        }
+    },
+    de: {
+        numbers: { eins: 1, erste: 1, ersten: 1, 1: 1, zwei: 2, zweite: 2, zweiten: 2, 2: 2, drei: 3, dritte: 3, dritten: 3, 3: 3 },
+        commands: {
+            pick: '(?:wähle|nimm) (?:(?:die|den|nummer|option|vorschlag) )*(?<number>eins|erste|ersten|zwei|zweite|zweiten|drei|dritte|dritten|[123])',
+            clear: 'lösche? (?:das|alles)',
+            search: 'suche? (?:das|danach)',
+            undo: 'mach das rückgängig',
+            stop: 'hör auf zuzuhören|stopp(?:e)? die aufnahme'
+        }
+    }
+};
+
+// Export for both module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VoiceCommands;
+} else {
+    window.VoiceCommands = VoiceCommands;
+}